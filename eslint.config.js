@@ -24,6 +24,11 @@ export default [
         AbortController: "readonly",
         window: "readonly",
         setInterval: "readonly",
+        TextEncoder: "readonly",
+        TextDecoder: "readonly",
+        DecompressionStream: "readonly",
+        Response: "readonly",
+        DOMParser: "readonly",
       },
     },
     plugins: {
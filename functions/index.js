@@ -73,9 +73,29 @@ const {
   addMaterial,
   deleteMaterial,
   editMaterial,
+  importMaterials,
   validateMaterialData,
 } = require('./modules/materialsManager');
-const computeMaterials = require('./modules/calculateMaterials');
+const {
+  calculateMaterials: computeMaterials,
+  calculateProject: computeProject,
+} = require('./modules/calculateMaterials');
+const { saveCategoryFormula } = require('./modules/formulas');
+const {
+  getLabourItems,
+  addLabourItem,
+  editLabourItem,
+  deleteLabourItem,
+} = require('./modules/labourManager');
+const { loadPricingSettings, savePricingSettings } = require('./modules/pricing');
+const {
+  createProject,
+  getProject,
+  updateProject,
+  listProjects,
+  listProjectRevisions,
+  getProjectRevision,
+} = require('./modules/projectsManager');
 
 /**
  * Логирует событие в Firestore.
@@ -153,6 +173,45 @@ async function authenticateRequest(req, res, next) {
   }
 }
 
+// Действия manageMaterials, изменяющие общие данные: только для администраторов (claim admin),
+// как в firestore.rules — Admin SDK эти правила не применяет
+const ADMIN_ACTIONS = new Set([
+  'importMaterials',
+  'savePricing',
+  'saveFormula',
+  'addLabour',
+  'editLabour',
+  'deleteLabour',
+]);
+
+/**
+ * Проверяет, что запрос выполняет администратор; иначе отвечает 403.
+ * @param {Object} req - Запрос с проверенным токеном в req.user.
+ * @param {Object} res - Ответ.
+ * @param {string} endpoint - Название эндпоинта для лога.
+ * @param {string} action - Действие.
+ * @param {string} ip - IP-адрес клиента.
+ * @returns {Promise<boolean>} True, если доступ разрешён.
+ */
+async function requireAdmin(req, res, endpoint, action, ip) {
+  if (req.user && req.user.admin === true) {
+    return true;
+  }
+  functions.logger.error('Admin access required', {
+    endpoint,
+    action,
+    userId: req.user?.uid || 'unauthenticated',
+    ip,
+  });
+  await logToFirestore('access_denied', req.user?.uid || 'unauthenticated', ip, {
+    endpoint,
+    action,
+    error: 'Admin access required',
+  });
+  res.status(403).json({ success: false, error: 'Admin access required' });
+  return false;
+}
+
 /**
  * Эндпоинт для управления материалами.
  */
@@ -466,8 +525,217 @@ exports.manageMaterials = onRequest(
               );
               return res.status(result.success ? 200 : 400).json(result);
             },
+            importMaterials: async () => {
+              if (!Array.isArray(data)) {
+                functions.logger.error(
+                  'Data is required and must be an array for importMaterials',
+                  {
+                    userId: req.userId,
+                    ip,
+                    authToken: req.authToken ? '[provided]' : '[missing]',
+                  }
+                );
+                await logToFirestore('invalid_request', req.userId, ip, {
+                  endpoint: 'manageMaterials',
+                  action: 'importMaterials',
+                  error: 'Data is required and must be an array',
+                });
+                return res
+                  .status(400)
+                  .json({ success: false, error: 'Data is required and must be an array' });
+              }
+              const result = await importMaterials(data, req.authToken, req.userId);
+              await logToFirestore(
+                result.success ? 'action_processed' : 'action_failed',
+                req.userId,
+                ip,
+                {
+                  endpoint: 'manageMaterials',
+                  action: 'importMaterials',
+                  itemsCount: data.length,
+                  success: result.success,
+                  created: result.created ?? null,
+                  updated: result.updated ?? null,
+                  error: result.error || null,
+                  duration: `${Date.now() - startTime}ms`,
+                }
+              );
+              // 207: часть пакетов записана до сбоя — клиент должен получить created/updated
+              const partial = !result.success && result.created + result.updated > 0;
+              return res.status(result.success ? 200 : partial ? 207 : 400).json(result);
+            },
+            saveFormula: async () => {
+              if (!key || typeof key !== 'string' || !data || typeof data !== 'object') {
+                functions.logger.error('Key and data are required for saveFormula', {
+                  key,
+                  data,
+                  userId: req.userId,
+                  ip,
+                  authToken: req.authToken ? '[provided]' : '[missing]',
+                });
+                await logToFirestore('invalid_request', req.userId, ip, {
+                  endpoint: 'manageMaterials',
+                  action: 'saveFormula',
+                  error: 'Key (category) and data are required',
+                });
+                return res
+                  .status(400)
+                  .json({ success: false, error: 'Key (category) and data are required' });
+              }
+              const result = await saveCategoryFormula(key, data.rule ?? null, req.userId);
+              await logToFirestore(
+                result.success ? 'action_processed' : 'action_failed',
+                req.userId,
+                ip,
+                {
+                  endpoint: 'manageMaterials',
+                  action: 'saveFormula',
+                  category: key,
+                  success: result.success,
+                  error: result.error || null,
+                  duration: `${Date.now() - startTime}ms`,
+                }
+              );
+              return res.status(result.success ? 200 : 400).json(result);
+            },
+            getLabour: async () => {
+              const result = await getLabourItems(req.authToken, req.userId);
+              await logToFirestore(
+                result.success ? 'action_processed' : 'action_failed',
+                req.userId,
+                ip,
+                {
+                  endpoint: 'manageMaterials',
+                  action: 'getLabour',
+                  success: result.success,
+                  error: result.error || null,
+                  duration: `${Date.now() - startTime}ms`,
+                }
+              );
+              return res.status(result.success ? 200 : 500).json(result);
+            },
+            addLabour: async () => {
+              if (!data || typeof data !== 'object') {
+                await logToFirestore('invalid_request', req.userId, ip, {
+                  endpoint: 'manageMaterials',
+                  action: 'addLabour',
+                  error: 'Data is required and must be an object',
+                });
+                return res
+                  .status(400)
+                  .json({ success: false, error: 'Data is required and must be an object' });
+              }
+              const result = await addLabourItem(data, req.authToken, req.userId);
+              await logToFirestore(
+                result.success ? 'action_processed' : 'action_failed',
+                req.userId,
+                ip,
+                {
+                  endpoint: 'manageMaterials',
+                  action: 'addLabour',
+                  success: result.success,
+                  error: result.error || null,
+                  duration: `${Date.now() - startTime}ms`,
+                }
+              );
+              return res.status(result.success ? 200 : 400).json(result);
+            },
+            editLabour: async () => {
+              if (!data || typeof data !== 'object') {
+                await logToFirestore('invalid_request', req.userId, ip, {
+                  endpoint: 'manageMaterials',
+                  action: 'editLabour',
+                  error: 'Data is required and must be an object',
+                });
+                return res
+                  .status(400)
+                  .json({ success: false, error: 'Data is required and must be an object' });
+              }
+              const result = await editLabourItem(data, req.authToken, req.userId);
+              await logToFirestore(
+                result.success ? 'action_processed' : 'action_failed',
+                req.userId,
+                ip,
+                {
+                  endpoint: 'manageMaterials',
+                  action: 'editLabour',
+                  success: result.success,
+                  error: result.error || null,
+                  duration: `${Date.now() - startTime}ms`,
+                }
+              );
+              return res.status(result.success ? 200 : 400).json(result);
+            },
+            deleteLabour: async () => {
+              if (!key || typeof key !== 'string') {
+                await logToFirestore('invalid_request', req.userId, ip, {
+                  endpoint: 'manageMaterials',
+                  action: 'deleteLabour',
+                  error: 'Key is required and must be a string',
+                });
+                return res
+                  .status(400)
+                  .json({ success: false, error: 'Key is required and must be a string' });
+              }
+              const result = await deleteLabourItem(key, req.authToken, req.userId);
+              await logToFirestore(
+                result.success ? 'action_processed' : 'action_failed',
+                req.userId,
+                ip,
+                {
+                  endpoint: 'manageMaterials',
+                  action: 'deleteLabour',
+                  success: result.success,
+                  error: result.error || null,
+                  duration: `${Date.now() - startTime}ms`,
+                }
+              );
+              return res.status(result.success ? 200 : 404).json(result);
+            },
+            getPricing: async () => {
+              const pricing = await loadPricingSettings(req.userId);
+              await logToFirestore('action_processed', req.userId, ip, {
+                endpoint: 'manageMaterials',
+                action: 'getPricing',
+                success: true,
+                duration: `${Date.now() - startTime}ms`,
+              });
+              return res.status(200).json({ success: true, pricing });
+            },
+            savePricing: async () => {
+              if (!data || typeof data !== 'object') {
+                await logToFirestore('invalid_request', req.userId, ip, {
+                  endpoint: 'manageMaterials',
+                  action: 'savePricing',
+                  error: 'Data is required and must be an object',
+                });
+                return res
+                  .status(400)
+                  .json({ success: false, error: 'Data is required and must be an object' });
+              }
+              const result = await savePricingSettings(data, req.userId);
+              await logToFirestore(
+                result.success ? 'action_processed' : 'action_failed',
+                req.userId,
+                ip,
+                {
+                  endpoint: 'manageMaterials',
+                  action: 'savePricing',
+                  success: result.success,
+                  error: result.error || null,
+                  duration: `${Date.now() - startTime}ms`,
+                }
+              );
+              return res.status(result.success ? 200 : 400).json(result);
+            },
           };
 
+          if (
+            ADMIN_ACTIONS.has(action) &&
+            !(await requireAdmin(req, res, 'manageMaterials', action, ip))
+          ) {
+            return;
+          }
           if (actions[action]) {
             return await actions[action]();
           } else {
@@ -627,3 +895,290 @@ exports.calculateMaterials = onRequest(
     });
   }
 );
+
+/**
+ * Эндпоинт для расчёта всех вкладок проекта одним запросом.
+ */
+exports.calculateProject = onRequest(
+  {
+    region: 'us-central1',
+    timeoutSeconds: 300,
+    memory: '512MB',
+    maxInstances: 10,
+    maxBodySize: '1mb',
+  },
+  async (req, res) => {
+    corsMiddleware(req, res, async () => {
+      const startTime = Date.now();
+      const ip = req.ip || 'unknown';
+      const body = req.body || {};
+
+      functions.logger.info('Received request for calculateProject', {
+        method: req.method,
+        tabsCount: Array.isArray(body.tabs) ? body.tabs.length : 0,
+        headers: req.headers,
+        ip,
+        timestamp: new Date().toISOString(),
+        authToken: req.headers.authorization ? '[provided]' : '[missing]',
+      });
+
+      try {
+        if (req.method === 'OPTIONS') {
+          functions.logger.info('Handling OPTIONS request for calculateProject', { ip });
+          await logToFirestore('options_request', 'unauthenticated', ip, {
+            endpoint: 'calculateProject',
+          });
+          return res.status(204).send('');
+        }
+
+        if (req.method !== 'POST') {
+          functions.logger.error('Method not allowed', {
+            method: req.method,
+            ip,
+            authToken: req.headers.authorization ? '[provided]' : '[missing]',
+          });
+          await logToFirestore('method_not_allowed', 'unauthenticated', ip, {
+            endpoint: 'calculateProject',
+            method: req.method,
+          });
+          return res.status(405).json({ success: false, error: 'Method not allowed. Use POST.' });
+        }
+
+        await authenticateRequest(req, res, async () => {
+          const { tabs } = body;
+          if (!Array.isArray(tabs) || tabs.length === 0) {
+            functions.logger.error('Invalid request body for calculateProject', {
+              tabs,
+              userId: req.user.uid,
+              ip,
+              authToken: req.headers.authorization ? '[provided]' : '[missing]',
+            });
+            await logToFirestore('invalid_request', req.user.uid, ip, {
+              endpoint: 'calculateProject',
+              error: 'tabs is required and must be a non-empty array',
+            });
+            return res.status(400).json({
+              success: false,
+              error: 'tabs is required and must be a non-empty array',
+            });
+          }
+
+          req.userId = req.user.uid;
+          req.authToken = req.headers.authorization;
+
+          const result = await computeProject(req);
+          functions.logger.info('calculateProject result', {
+            success: result.success,
+            tabsCalculated: result.tabs ? result.tabs.length : 0,
+            errors: result.errors || [],
+            userId: req.userId,
+            ip,
+            duration: `${Date.now() - startTime}ms`,
+            authToken: req.authToken ? '[provided]' : '[missing]',
+          });
+
+          await logToFirestore(
+            result.success ? 'action_processed' : 'action_failed',
+            req.userId,
+            ip,
+            {
+              endpoint: 'calculateProject',
+              action: 'computeProject',
+              success: result.success,
+              error: result.error || null,
+              totalCost: result.totalCost || null,
+              tabsCalculated: result.tabs ? result.tabs.length : 0,
+              tabsFailed: result.errors ? result.errors.length : 0,
+              duration: `${Date.now() - startTime}ms`,
+            }
+          );
+
+          return res.status(result.success ? 200 : 400).json(result);
+        });
+      } catch (error) {
+        functions.logger.error('Error in calculateProject', {
+          message: error.message,
+          stack: error.stack,
+          userId: req.user?.uid || 'unauthenticated',
+          ip,
+          duration: `${Date.now() - startTime}ms`,
+          authToken: req.headers.authorization ? '[provided]' : '[missing]',
+        });
+        await logToFirestore('request_failed', req.user?.uid || 'unauthenticated', ip, {
+          endpoint: 'calculateProject',
+          action: 'computeProject',
+          error: error.message,
+          duration: `${Date.now() - startTime}ms`,
+        });
+        return res.status(500).json({ success: false, error: `Server error: ${error.message}` });
+      }
+    });
+  }
+);
+
+/**
+ * Эндпоинт для сохранённых расчётов (проектов) пользователя.
+ */
+exports.manageProjects = onRequest(
+  {
+    region: 'us-central1',
+    timeoutSeconds: 60,
+    memory: '256MB',
+    maxInstances: 10,
+    maxBodySize: '2mb',
+  },
+  async (req, res) => {
+    corsMiddleware(req, res, async () => {
+      const startTime = Date.now();
+      const ip = req.ip || 'unknown';
+      const body = req.body || {};
+
+      functions.logger.info('Received request for manageProjects', {
+        method: req.method,
+        action: body.action || null,
+        headers: req.headers,
+        ip,
+        timestamp: new Date().toISOString(),
+        authToken: req.headers.authorization ? '[provided]' : '[missing]',
+      });
+
+      try {
+        if (req.method === 'OPTIONS') {
+          functions.logger.info('Handling OPTIONS request for manageProjects', { ip });
+          await logToFirestore('options_request', 'unauthenticated', ip, {
+            endpoint: 'manageProjects',
+          });
+          return res.status(204).send('');
+        }
+
+        if (req.method !== 'POST') {
+          functions.logger.error('Method not allowed', {
+            method: req.method,
+            ip,
+            authToken: req.headers.authorization ? '[provided]' : '[missing]',
+          });
+          await logToFirestore('method_not_allowed', 'unauthenticated', ip, {
+            endpoint: 'manageProjects',
+            method: req.method,
+          });
+          return res.status(405).json({ success: false, error: 'Method not allowed. Use POST.' });
+        }
+
+        await authenticateRequest(req, res, async () => {
+          const { action, key, data, search, startAfter, limit, revisionId } = body;
+          if (!action || typeof action !== 'string') {
+            functions.logger.error('No action specified in request body', {
+              userId: req.user.uid,
+              ip,
+              authToken: req.headers.authorization ? '[provided]' : '[missing]',
+            });
+            await logToFirestore('invalid_request', req.user.uid, ip, {
+              endpoint: 'manageProjects',
+              error: 'Action is required and must be a string',
+            });
+            return res
+              .status(400)
+              .json({ success: false, error: 'Action is required and must be a string' });
+          }
+
+          req.userId = req.user.uid;
+
+          /**
+           * Логирует результат действия и отправляет ответ.
+           * @param {string} actionName - Название действия.
+           * @param {Object} result - Результат действия.
+           * @param {number} errorStatus - HTTP-статус ошибки по умолчанию.
+           */
+          const respond = async (actionName, result, errorStatus) => {
+            await logToFirestore(
+              result.success ? 'action_processed' : 'action_failed',
+              req.userId,
+              ip,
+              {
+                endpoint: 'manageProjects',
+                action: actionName,
+                success: result.success,
+                error: result.error || null,
+                duration: `${Date.now() - startTime}ms`,
+              }
+            );
+            const { status, ...payload } = result;
+            return res.status(result.success ? 200 : status || errorStatus).json(payload);
+          };
+
+          const actions = {
+            createProject: async () => {
+              if (!data || typeof data !== 'object') {
+                await logToFirestore('invalid_request', req.userId, ip, {
+                  endpoint: 'manageProjects',
+                  action: 'createProject',
+                  error: 'Data is required and must be an object',
+                });
+                return res
+                  .status(400)
+                  .json({ success: false, error: 'Data is required and must be an object' });
+              }
+              return respond('createProject', await createProject(data, req.user), 400);
+            },
+            getProject: async () => respond('getProject', await getProject(key, req.user), 500),
+            updateProject: async () => {
+              if (!data || typeof data !== 'object') {
+                await logToFirestore('invalid_request', req.userId, ip, {
+                  endpoint: 'manageProjects',
+                  action: 'updateProject',
+                  error: 'Data is required and must be an object',
+                });
+                return res
+                  .status(400)
+                  .json({ success: false, error: 'Data is required and must be an object' });
+              }
+              return respond('updateProject', await updateProject(data, req.user), 500);
+            },
+            listProjects: async () =>
+              respond(
+                'listProjects',
+                await listProjects({ search, startAfter, limit }, req.user),
+                500
+              ),
+            listProjectRevisions: async () =>
+              respond('listProjectRevisions', await listProjectRevisions(key, req.user), 500),
+            getProjectRevision: async () =>
+              respond(
+                'getProjectRevision',
+                await getProjectRevision(key, revisionId, req.user),
+                500
+              ),
+          };
+
+          if (actions[action]) {
+            return await actions[action]();
+          }
+          functions.logger.error('Invalid action', { action, userId: req.userId, ip });
+          await logToFirestore('invalid_request', req.userId, ip, {
+            endpoint: 'manageProjects',
+            action,
+            error: 'Invalid action',
+          });
+          return res.status(400).json({ success: false, error: 'Invalid action' });
+        });
+      } catch (error) {
+        functions.logger.error('Error in manageProjects', {
+          action: body.action || 'unknown',
+          message: error.message,
+          stack: error.stack,
+          userId: req.user?.uid || 'unauthenticated',
+          ip,
+          duration: `${Date.now() - startTime}ms`,
+          authToken: req.headers.authorization ? '[provided]' : '[missing]',
+        });
+        await logToFirestore('request_failed', req.user?.uid || 'unauthenticated', ip, {
+          endpoint: 'manageProjects',
+          action: body.action || 'unknown',
+          error: error.message,
+          duration: `${Date.now() - startTime}ms`,
+        });
+        return res.status(500).json({ success: false, error: `Server error: ${error.message}` });
+      }
+    });
+  }
+);
@@ -0,0 +1,168 @@
+const { toKopecks, fromKopecks, costOf, isNonNegativeNumber } = require('./money');
+
+// Ограничения ручных корректировок сметы
+const ADJUSTMENT_LIMITS = {
+  MAX_ADJUSTMENTS: 200,
+  MATERIAL_LENGTH: 200,
+  UNIT_LENGTH: 20,
+};
+
+/**
+ * Проверяет ручные корректировки сметы.
+ * @param {*} adjustments - Корректировки из запроса: null или [{ tabName, material, unit,
+ *   quantity, unitPrice?, category? }].
+ * @returns {{ success: boolean, error?: string }} Результат проверки.
+ */
+function validateAdjustments(adjustments) {
+  if (adjustments === null || adjustments === undefined) {
+    return { success: true };
+  }
+  if (!Array.isArray(adjustments) || adjustments.length > ADJUSTMENT_LIMITS.MAX_ADJUSTMENTS) {
+    return {
+      success: false,
+      error: `adjustments должен быть массивом (не более ${ADJUSTMENT_LIMITS.MAX_ADJUSTMENTS} корректировок)`,
+    };
+  }
+  for (const adjustment of adjustments) {
+    const {
+      tabName,
+      material,
+      unit,
+      quantity,
+      unitPrice = null,
+      category = null,
+    } = adjustment || {};
+    if (
+      typeof tabName !== 'string' ||
+      typeof material !== 'string' ||
+      !material.trim() ||
+      material.length > ADJUSTMENT_LIMITS.MATERIAL_LENGTH ||
+      typeof unit !== 'string' ||
+      unit.length > ADJUSTMENT_LIMITS.UNIT_LENGTH
+    ) {
+      return {
+        success: false,
+        error: `Корректировка должна содержать tabName, material (до ${ADJUSTMENT_LIMITS.MATERIAL_LENGTH} символов) и unit (до ${ADJUSTMENT_LIMITS.UNIT_LENGTH} символов)`,
+      };
+    }
+    if (!isNonNegativeNumber(quantity) || (unitPrice !== null && !isNonNegativeNumber(unitPrice))) {
+      return {
+        success: false,
+        error: `Количество и цена корректировки "${material}" должны быть неотрицательными числами`,
+      };
+    }
+    if (category !== null && typeof category !== 'string') {
+      return {
+        success: false,
+        error: `Категория корректировки "${material}" должна быть строкой`,
+      };
+    }
+  }
+  return { success: true };
+}
+
+/**
+ * Возвращает цену за единицу строки: стоимость, делённую на количество (для фасованного
+ * материала — цену единицы с учётом выбранных упаковок).
+ * @param {Object} line - Строка материала.
+ * @returns {number} Цена за единицу (руб.).
+ */
+function effectiveUnitPrice(line) {
+  return line.quantity > 0
+    ? fromKopecks(Math.round(toKopecks(line.cost) / line.quantity))
+    : (line.trace && line.trace.unitPrice) || 0;
+}
+
+/**
+ * Применяет ручные корректировки к строкам материалов вкладки до расчёта работ, чтобы объёмы
+ * работ считались по исправленным количествам. Корректировка задаёт итоговое количество
+ * материала на вкладке (строки с тем же названием и единицей сводятся в одну), количество 0
+ * удаляет материал, корректировка без совпадения добавляет новую строку.
+ * Строка с изменённой ценой больше не привязана к материалу каталога (materialId: null),
+ * чтобы ручная цена не попала в снимок цен и не смешалась с ценой каталога в закупке.
+ * @param {string} tabName - Название вкладки.
+ * @param {Object[]} results - Строки материалов вкладки (не изменяются).
+ * @param {Object[]|null} adjustments - Проверенные корректировки всего расчёта.
+ * @returns {{ results: Object[], costDelta: number, warnings: string[] }} Исправленные строки,
+ *   изменение стоимости материалов в копейках и предупреждения о неприменённых корректировках.
+ */
+function applyTabAdjustments(tabName, results, adjustments) {
+  const warnings = [];
+  let adjusted = results;
+  let costDelta = 0;
+  (adjustments || [])
+    .filter(adjustment => adjustment.tabName === tabName)
+    .forEach(adjustment => {
+      const { material, unit, quantity, unitPrice = null, category = null } = adjustment;
+      const matches = adjusted.filter(line => line.material === material && line.unit === unit);
+      if (matches.length === 0 && unitPrice === null) {
+        warnings.push(
+          `Корректировка "${material}" (${tabName}) не применена: для нового материала нужна цена`
+        );
+        return;
+      }
+      const before = matches.reduce((sum, line) => sum + toKopecks(line.cost), 0);
+      const original = matches[0] || null;
+      const originalQuantity = matches.reduce((sum, line) => sum + line.quantity, 0);
+      const originalPrice = original
+        ? effectiveUnitPrice({ ...original, quantity: originalQuantity, cost: fromKopecks(before) })
+        : null;
+      const price = unitPrice !== null ? unitPrice : originalPrice;
+      const priceChanged = originalPrice === null || toKopecks(price) !== toKopecks(originalPrice);
+      const cost = costOf(quantity, price);
+
+      const index = original ? adjusted.indexOf(original) : adjusted.length;
+      adjusted = adjusted.filter(line => !matches.includes(line));
+      if (quantity > 0) {
+        adjusted.splice(index, 0, {
+          material,
+          quantity: Math.round(quantity * 100) / 100,
+          unit,
+          cost: fromKopecks(cost),
+          hidden: original ? original.hidden : false,
+          category: original ? original.category || null : category,
+          adjusted: true,
+          trace: {
+            inputs: {},
+            formula: null,
+            area: null,
+            perimeter: null,
+            wasteFactor: 1,
+            unitPrice: price,
+            materialId:
+              original && !priceChanged
+                ? (original.trace && original.trace.materialId) || null
+                : null,
+            adjustment: original
+              ? { quantity: Math.round(originalQuantity * 100) / 100, unitPrice: originalPrice }
+              : null,
+          },
+        });
+      }
+      costDelta += cost - before;
+    });
+  return { results: adjusted, costDelta, warnings };
+}
+
+/**
+ * Возвращает предупреждения о корректировках вкладок, которые не были рассчитаны.
+ * @param {Object[]} tabResults - Рассчитанные вкладки { tabName }.
+ * @param {Object[]|null} adjustments - Проверенные корректировки.
+ * @returns {string[]} Предупреждения.
+ */
+function missingTabWarnings(tabResults, adjustments) {
+  const tabNames = new Set(tabResults.map(tab => tab.tabName));
+  return (adjustments || [])
+    .filter(adjustment => !tabNames.has(adjustment.tabName))
+    .map(
+      ({ material, tabName }) =>
+        `Корректировка "${material}" не применена: вкладка "${tabName}" не рассчитана`
+    );
+}
+
+module.exports = {
+  ADJUSTMENT_LIMITS,
+  validateAdjustments,
+  applyTabAdjustments,
+  missingTabWarnings,
+};
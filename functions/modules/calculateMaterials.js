@@ -1,16 +1,67 @@
 const functions = require('firebase-functions');
 const admin = require('firebase-admin');
 const db = admin.firestore();
-const { getMaterial, getMaterials } = require('./materialsManager');
+const { getMaterialsBatch } = require('./materialsManager');
+const { getLabourItems } = require('./labourManager');
+const {
+  evaluateFormula,
+  roundQuantity,
+  planLinearCuts,
+  unwrapConditional,
+  loadCategoryFormulas,
+  resolveFormula,
+} = require('./formulas');
+const { FINISH_DIRECTIONS, layoutPanels } = require('./panelLayout');
+const { validateGeometry, applyGeometry, checkSurfaceConsistency } = require('./geometry');
+const { normalizeOutline, containsPoint } = require('./polygon');
+const { choosePacks } = require('./packs');
+const { toKopecks, fromKopecks, costOf } = require('./money');
+const { buildPriceSnapshot } = require('./priceSnapshot');
+const { buildPurchaseList } = require('./purchaseList');
+const { validateAdjustments, applyTabAdjustments, missingTabWarnings } = require('./adjustments');
+const {
+  validateDiscount,
+  loadPricingSettings,
+  applyPricing,
+  formatPricingSummary,
+} = require('./pricing');
 
 // Конфигурационные параметры
 const CONFIG = {
   WASTE_FACTOR: 1.1, // 10% на отходы
-  RAIL_WASTE_FACTOR: 1.05, // 5% на отходы
   RAIL_STEP: 0.5, // Шаг реек 0.5 м
   RAIL_DEFAULT_LENGTH: 3000, // Длина рейки по умолчанию (мм)
+  CUT_KERF: 3, // Ширина пропила при раскрое погонных материалов (мм)
   PAINT_COVERAGE: 10, // 10 м² на литр краски
-  ITEMS_PER_PAGE: 100, // Количество материалов на страницу
+  PAINT_COATS: 1, // Число слоёв краски
+  MAX_PROJECT_TABS: 20, // Максимум вкладок в одном расчёте проекта
+  MAX_VARIANTS: 5, // Максимум вариантов в одном расчёте проекта
+  VARIANT_NAME_LENGTH: 50, // Максимальная длина названия варианта
+};
+
+// Правила расчёта по умолчанию (если ни у материала, ни у категории нет своего правила)
+const DEFAULT_FORMULAS = {
+  finish: { type: 'perSheet', wasteFactor: CONFIG.WASTE_FACTOR, round: 'ceil' },
+  insulation: { type: 'perSheet', wasteFactor: CONFIG.WASTE_FACTOR, round: 'ceil' },
+  hidden: { type: 'lathing', step: CONFIG.RAIL_STEP },
+  paint: {
+    type: 'perCoverage',
+    coverage: CONFIG.PAINT_COVERAGE,
+    coats: CONFIG.PAINT_COATS,
+    round: 'ceil',
+  },
+  // Откосы и наличники: верх и боковые стороны каждого проёма
+  opening: { type: 'linear', edges: ['openingTop', 'openingLeft', 'openingRight'] },
+};
+
+// Вкладки-поверхности и их поля покраски
+const SURFACE_TABS = {
+  'Главная стена': { paintToggle: 'wallPainting', paintCategory: 'Покраска стен' },
+  'Фасадная стена': { paintToggle: 'wallPainting', paintCategory: 'Покраска стен' },
+  'БЛ стена': { paintToggle: 'wallPainting', paintCategory: 'Покраска стен' },
+  'БП стена': { paintToggle: 'wallPainting', paintCategory: 'Покраска стен' },
+  Потолок: { paintToggle: 'ceilingPainting', paintCategory: 'Покраска потолка' },
+  Полы: { paintToggle: null, paintCategory: null },
 };
 
 /**
@@ -34,49 +85,292 @@ async function logErrorToFirestore(endpoint, action, userId, ip, error) {
 }
 
 /**
- * Получает все материалы для категории, учитывая постраничную загрузку.
- * @param {string} category - Категория материалов.
- * @param {number} itemsPerPage - Количество материалов на страницу.
+ * Пакетно загружает материалы для каталога и логирует ошибку загрузки.
+ * @param {Object} request - ID, категории и товары (см. getMaterialsBatch).
  * @param {string} authToken - Токен аутентификации.
  * @param {string} userId - ID пользователя.
- * @returns {Promise<Array>} Список материалов.
+ * @returns {Promise<{ materials: Object[], missingIds: string[] }>} Загруженные материалы.
  */
-async function fetchAllMaterials(category, itemsPerPage, authToken, userId) {
-  functions.logger.info(`Fetching all materials for category "${category}"`, { userId });
-  let page = 0;
-  let allMaterials = [];
-  let hasMore = true;
-
-  while (hasMore) {
-    const result = await getMaterials(category, page, itemsPerPage, authToken, userId);
-    if (!result.success) {
-      functions.logger.error('Error fetching materials', {
-        error: result.error,
-        category,
-        page,
-        itemsPerPage,
-        userId,
-        authToken: authToken ? '[provided]' : '[missing]',
-      });
-      await logErrorToFirestore(
-        'calculateMaterials',
-        'fetchAllMaterials',
-        userId,
-        null,
-        new Error(result.error)
-      );
-      throw new Error(result.error || `Failed to load materials for category "${category}"`);
+async function loadMaterialsBatch(request, authToken, userId) {
+  const result = await getMaterialsBatch(request, authToken, userId);
+  if (!result.success) {
+    functions.logger.error('Error fetching materials batch', {
+      error: result.error,
+      request,
+      userId,
+      authToken: authToken ? '[provided]' : '[missing]',
+    });
+    await logErrorToFirestore(
+      'calculateMaterials',
+      'loadMaterialsBatch',
+      userId,
+      null,
+      new Error(result.error)
+    );
+    throw new Error(result.error || 'Failed to load materials');
+  }
+  return result;
+}
+
+/**
+ * Собирает ID материалов и категории, которые понадобятся для расчёта вкладки.
+ * Список нужен только для предзагрузки: если обработчик вкладки запросит что-то ещё,
+ * каталог догрузит это отдельно.
+ * @param {string} tabName - Название вкладки.
+ * @param {Object} data - Данные вкладки.
+ * @returns {{ materialIds: string[], categories: string[] }} Требуемые материалы и категории.
+ */
+function collectTabRequirements(tabName, data) {
+  const materialIds = [];
+  const categories = [];
+  if (!tabName || !data || typeof data !== 'object') {
+    return { materialIds, categories };
+  }
+  const addMaterial = value => {
+    if (value && typeof value === 'string' && value !== 'no') {
+      materialIds.push(value.split(':')[0]);
+    }
+  };
+
+  if (SURFACE_TABS[tabName]) {
+    const surface = SURFACE_TABS[tabName];
+    addMaterial(data.finishType);
+    addMaterial(data.insulationType);
+    categories.push(`${tabName}:Скрытые`);
+    if (Array.isArray(data.openings) && data.openings.length > 0) {
+      categories.push(`${tabName}:Проёмы`);
+    }
+    if (surface.paintCategory && data[surface.paintToggle] === 'yes') {
+      categories.push(`${tabName}:${surface.paintCategory}`);
+    }
+  } else if (tabName === 'На заезд') {
+    [
+      ['entryListToggle', 'На заезд:Список на заезд'],
+      ['entryFastenersToggle', 'На заезд:Крепеж'],
+      ['entryTilingToggle', 'На заезд:Плиточные работы'],
+    ].forEach(([toggle, category]) => {
+      if (data[toggle] === 'yes') {
+        categories.push(category);
+      }
+    });
+  } else if (tabName === 'Остекление') {
+    [
+      'glazingType',
+      'frameType',
+      'exteriorFinish',
+      'balconyBlock',
+      'windowSlopes',
+      'sillType',
+      'roofType',
+    ].forEach(field => addMaterial(data[field]));
+    if (data.windowType) {
+      categories.push('Остекление:Окно', `Остекление:Окно:${data.windowType}:Скрытые`);
+    }
+  } else if (tabName === 'Электрика') {
+    ['cableType', 'switchType', 'socketType', 'spotType'].forEach(field =>
+      addMaterial(data[field])
+    );
+  } else if (tabName === 'Мебель') {
+    ['furnitureMaterial', 'shelfTopMaterial', 'shelfBottomMaterial'].forEach(field =>
+      addMaterial(data[field])
+    );
+    if (data.furniturePainting === 'yes') {
+      categories.push('Мебель:Покраска мебели');
+    }
+    if (data.stoveSide === 'yes') {
+      categories.push('Мебель:Бок у печки');
+    }
+    if (data.countertop === 'yes') {
+      categories.push('Мебель:Столешница');
     }
-    const materials = result.materials || [];
-    allMaterials = allMaterials.concat(materials);
-    hasMore = materials.length === itemsPerPage;
-    page++;
   }
 
-  functions.logger.info(`Loaded ${allMaterials.length} materials for category "${category}"`, {
-    userId,
-  });
-  return allMaterials;
+  if (Array.isArray(data.extraMaterials)) {
+    data.extraMaterials.forEach(extra => addMaterial(extra && extra.materialKey));
+  }
+  return { materialIds, categories };
+}
+
+/**
+ * Создаёт каталог материалов на время одного запроса: каждый материал, категория, товар
+ * и правило категории загружаются не больше одного раза, даже если нужны нескольким вкладкам.
+ * Всё, что собрано preload, загружается несколькими пакетными чтениями.
+ * @param {string} authToken - Токен аутентификации.
+ * @param {string} userId - ID пользователя.
+ * @returns {Object} Каталог с методами preload, getMaterial, fetchAllMaterials, getPackVariants,
+ *   getCategoryFormulas и getLabour.
+ */
+function createCatalog(authToken, userId) {
+  const materials = new Map();
+  const categories = new Map();
+  const formulas = new Map();
+  const families = new Map();
+  let labour = null;
+
+  // Ошибку загрузки получит тот, кто запросит значение; сам промис не должен падать необработанным
+  const remember = (map, key, promise) => {
+    promise.catch(() => {});
+    map.set(key, promise);
+  };
+  const rememberMaterials = list =>
+    list.forEach(material => {
+      if (!materials.has(material.id)) {
+        remember(materials, material.id, Promise.resolve({ success: true, material }));
+      }
+    });
+
+  /**
+   * Загружает одним пакетом всё, чего ещё нет в каталоге.
+   * @param {{ ids?: string[], categories?: string[], families?: string[] }} request - Что загрузить.
+   * @returns {Promise<void>}
+   */
+  const loadMissing = async request => {
+    const ids = [...new Set(request.ids || [])].filter(id => id && !materials.has(id));
+    const categoryList = [...new Set(request.categories || [])].filter(
+      category => category && !categories.has(category)
+    );
+    const familyList = [...new Set(request.families || [])].filter(
+      family => family && !families.has(family)
+    );
+    if (ids.length === 0 && categoryList.length === 0 && familyList.length === 0) {
+      return;
+    }
+
+    const batch = loadMaterialsBatch(
+      { ids, categories: categoryList, families: familyList },
+      authToken,
+      userId
+    );
+    ids.forEach(id =>
+      remember(
+        materials,
+        id,
+        batch.then(
+          result => {
+            const material = result.materials.find(item => item.id === id);
+            return material
+              ? { success: true, material }
+              : { success: false, error: 'Material not found' };
+          },
+          error => ({ success: false, error: error.message })
+        )
+      )
+    );
+    categoryList.forEach(category =>
+      remember(
+        categories,
+        category,
+        batch.then(result =>
+          result.materials.filter(
+            material => Array.isArray(material.categories) && material.categories.includes(category)
+          )
+        )
+      )
+    );
+    familyList.forEach(family =>
+      remember(
+        families,
+        family,
+        batch.then(
+          result => ({
+            success: true,
+            materials: result.materials.filter(material => material.family === family),
+          }),
+          error => ({ success: false, error: error.message })
+        )
+      )
+    );
+
+    // Ошибка загрузки уже записана в промисы материалов и категорий
+    const result = await batch.catch(() => null);
+    if (result) {
+      rememberMaterials(result.materials);
+    }
+  };
+
+  return {
+    // Предзагрузка всего, что нужно вкладкам, и вариантов упаковки найденных материалов
+    async preload(requirements) {
+      this.getLabour();
+      await loadMissing({
+        ids: requirements.flatMap(requirement => requirement.materialIds),
+        categories: requirements.flatMap(requirement => requirement.categories),
+      });
+      const loaded = await Promise.all(Array.from(materials.values()));
+      await loadMissing({
+        families: loaded
+          .filter(result => result.success && result.material.family)
+          .map(result => result.material.family),
+      });
+    },
+    async getMaterial(materialId) {
+      if (!materials.has(materialId)) {
+        await loadMissing({ ids: [materialId] });
+      }
+      return materials.get(materialId);
+    },
+    async fetchAllMaterials(category) {
+      if (!categories.has(category)) {
+        await loadMissing({ categories: [category] });
+      }
+      const list = await categories.get(category);
+      functions.logger.info(`Loaded ${list.length} materials for category "${category}"`, {
+        userId,
+      });
+      return list;
+    },
+    // Варианты упаковки: материалы того же товара (family), сам фасованный материал
+    // или null для нефасованного
+    async getPackVariants(material) {
+      if (!(material.packSize > 0) || !material.packUnit) {
+        return null;
+      }
+      if (!material.family) {
+        return [material];
+      }
+      if (!families.has(material.family)) {
+        await loadMissing({ families: [material.family] });
+      }
+      const familyResult = await families.get(material.family);
+      // В подбор идут только упаковки в той же единице, что и исходный материал
+      const variants = familyResult.success
+        ? familyResult.materials.filter(
+            variant => variant.packSize > 0 && variant.packUnit === material.packUnit
+          )
+        : [];
+      return variants.length > 0 ? variants : [material];
+    },
+    // Каталог работ; если он не загрузился, расчёт продолжается без работ
+    getLabour() {
+      if (!labour) {
+        labour = getLabourItems(authToken, userId).then(result => {
+          if (!result.success) {
+            functions.logger.warn('Labour catalog unavailable, skipping labour', {
+              error: result.error,
+              userId,
+            });
+            return [];
+          }
+          return result.labour;
+        });
+      }
+      return labour;
+    },
+    async getCategoryFormulas(categoryList) {
+      const missing = [...new Set(categoryList.filter(c => c && !formulas.has(c)))];
+      if (missing.length > 0) {
+        const loaded = await loadCategoryFormulas(missing);
+        missing.forEach(category => formulas.set(category, loaded[category] || null));
+      }
+      const result = {};
+      categoryList.forEach(category => {
+        if (category && formulas.get(category)) {
+          result[category] = formulas.get(category);
+        }
+      });
+      return result;
+    },
+  };
 }
 
 /**
@@ -106,14 +400,224 @@ function normalizeDimensions(dimensions, materialName) {
 }
 
 /**
- * Обрабатывает дополнительные материалы (extraMaterials).
+ * Проверяет проёмы поверхности (окна, двери) и приводит их к числам.
+ * @param {Array} openings - Проёмы из данных вкладки.
+ * @param {number} surfaceLength - Длина поверхности (мм).
+ * @param {number} surfaceHeight - Высота поверхности (мм).
+ * @param {Object|null} [outline=null] - Контур непрямоугольной поверхности (см. normalizeOutline).
+ * @returns {{ success: boolean, openings?: Array, error?: string }}
+ *   Проёмы { width, height, x, y } в мм или ошибка.
+ */
+function normalizeOpenings(openings, surfaceLength, surfaceHeight, outline = null) {
+  if (openings === undefined || openings === null) {
+    return { success: true, openings: [] };
+  }
+  if (!Array.isArray(openings)) {
+    return { success: false, error: 'Проёмы должны быть переданы списком' };
+  }
+
+  const normalized = [];
+  for (const [index, opening] of openings.entries()) {
+    const width = parseFloat(opening && opening.width);
+    const height = parseFloat(opening && opening.height);
+    const x = parseFloat(opening && opening.x) || 0;
+    const y = parseFloat(opening && opening.y) || 0;
+    if (!(width > 0) || !(height > 0) || x < 0 || y < 0) {
+      return { success: false, error: `Некорректные размеры проёма №${index + 1}` };
+    }
+    const corners = [
+      { x, y },
+      { x: x + width, y },
+      { x, y: y + height },
+      { x: x + width, y: y + height },
+    ];
+    if (
+      x + width > surfaceLength ||
+      y + height > surfaceHeight ||
+      (outline && !corners.every(corner => containsPoint(outline.vertices, corner)))
+    ) {
+      return { success: false, error: `Проём №${index + 1} выходит за пределы поверхности` };
+    }
+    normalized.push({ width, height, x, y });
+  }
+
+  const openingArea = normalized.reduce((sum, opening) => sum + opening.width * opening.height, 0);
+  if (openingArea >= (outline ? outline.area : surfaceLength * surfaceHeight)) {
+    return { success: false, error: 'Площадь проёмов не может быть больше площади поверхности' };
+  }
+  return { success: true, openings: normalized };
+}
+
+/**
+ * Возвращает параметры расчёта, заданные у материала. Незаданные параметры не попадают
+ * в результат, и тогда действуют значения из правила (по умолчанию — из CONFIG).
+ * @param {Object} material - Материал.
+ * @returns {{ wasteFactor?: number, coverage?: number, coats?: number }} Параметры материала.
+ */
+function getMaterialAttributes(material) {
+  const attributes = {};
+  ['wasteFactor', 'coverage', 'coats'].forEach(field => {
+    if (typeof material[field] === 'number' && material[field] > 0) {
+      attributes[field] = material[field];
+    }
+  });
+  return attributes;
+}
+
+/**
+ * Формирует трассировку строки результата: из каких данных и по какому правилу получено количество.
+ * @param {Object} material - Материал.
+ * @param {Object} [options] - Параметры трассировки.
+ * @param {Object} [options.inputs={}] - Входные данные расчёта (длины в мм, площади в м²).
+ * @param {Object|null} [options.rule=null] - Правило расчёта; null — количество задано напрямую.
+ * @param {Object|null} [options.geometry=null] - Геометрия поверхности (м, м²).
+ * @returns {{ inputs: Object, formula: Object|null, area: number|null, perimeter: number|null,
+ *   wasteFactor: number, unitPrice: number, materialId: string|null }} Трассировка расчёта;
+ *   materialId — ID материала или работы, по цене которых посчитана строка.
+ */
+function buildTrace(material, { inputs = {}, rule = null, geometry = null } = {}) {
+  // В трассировку попадает ветка условного правила, которая реально применилась
+  const formula = rule ? unwrapConditional(rule, geometry ? geometry.data : {}) : null;
+  const { wasteFactor } = getMaterialAttributes(material);
+  return {
+    inputs,
+    formula,
+    area: geometry ? Math.round(geometry.area * 1000) / 1000 : null,
+    perimeter: geometry ? Math.round(geometry.perimeter * 1000) / 1000 : null,
+    wasteFactor: formula ? wasteFactor || formula.wasteFactor || 1 : 1,
+    unitPrice: material.price,
+    materialId: material.id || null,
+  };
+}
+
+/**
+ * Добавляет строку результата для материала поверхности (и других фасованных материалов).
+ * Фасованный материал (packSize/packUnit) покупается целыми упаковками; если материал
+ * входит в товар (family) с несколькими объёмами упаковки, выбирается самая дешёвая комбинация.
+ * Упаковки подбираются по потребности до округления — упаковка сама задаёт шаг покупки;
+ * количество нефасованного материала округляется по правилу из трассировки. Потребность
+ * сохраняется в строке (demand): по ней сводная закупка складывает одинаковые материалы
+ * вкладок и округляет их один раз.
+ * @param {Array} results - Массив результатов расчёта.
+ * @param {Object} catalog - Каталог материалов запроса.
+ * @param {Object} material - Материал.
+ * @param {number} demand - Потребность до округления (для фасованного материала — в packUnit).
+ * @param {boolean} hidden - Скрытый ли материал.
+ * @param {string} [defaultUnit='шт.'] - Единица измерения, если у материала она не задана.
+ * @param {Object} [details={}] - Дополнительные поля строки (раскладка панелей, трассировка).
+ * @returns {Promise<number>} Стоимость строки в копейках.
+ */
+async function pushSurfaceResult(
+  results,
+  catalog,
+  material,
+  demand,
+  hidden,
+  defaultUnit = 'шт.',
+  details = {}
+) {
+  const rounded = Math.round(demand * 1000) / 1000;
+  const variants = await catalog.getPackVariants(material);
+  if (variants) {
+    const selection = choosePacks(demand, variants);
+    if (selection.success) {
+      results.push({
+        material: material.family || material.name,
+        quantity: selection.purchased,
+        unit: material.packUnit,
+        cost: selection.cost,
+        hidden,
+        required: Math.round(demand * 100) / 100,
+        leftover: selection.leftover,
+        packs: selection.packs,
+        demand: rounded,
+        ...details,
+      });
+      return toKopecks(selection.cost);
+    }
+    functions.logger.warn('Pack selection failed, using raw quantity', {
+      materialName: material.name,
+      error: selection.error,
+    });
+  }
+
+  const quantity = roundQuantity(details.trace ? details.trace.formula : null, demand);
+  const cost = costOf(quantity, material.price);
+  results.push({
+    material: material.name,
+    quantity: Math.round(quantity * 100) / 100,
+    unit: material.unit || defaultUnit,
+    cost: fromKopecks(cost),
+    hidden,
+    demand: rounded,
+    ...details,
+  });
+  return cost;
+}
+
+/**
+ * Рассчитывает работы по результатам вкладки. Работа включается, если в результатах есть
+ * материал одной из её категорий; объём берётся по базе работы (площадь, периметр, проёмы,
+ * количество связанных материалов или одна работа на вкладку) и умножается на rate.
+ * @param {Object[]} labourItems - Каталог работ.
+ * @param {Object[]} results - Строки материалов вкладки.
+ * @param {{ area: number, perimeter: number, openings: number }|null} metrics
+ *   Размеры поверхности (м, м²) или null для вкладок без поверхности.
+ * @returns {{ labour: Object[], totalCost: number }} Строки работ и их стоимость в копейках.
+ */
+function calculateLabour(labourItems, results, metrics) {
+  const labour = [];
+  let totalCost = 0;
+  labourItems.forEach(item => {
+    const categories = Array.isArray(item.categories) ? item.categories : [];
+    const linked = results.filter(line => line.category && categories.includes(line.category));
+    if (linked.length === 0 || !(item.price >= 0)) {
+      return;
+    }
+    const bases = {
+      area: metrics ? metrics.area : 0,
+      perimeter: metrics ? metrics.perimeter : 0,
+      openings: metrics ? metrics.openings : 0,
+      quantity: linked.reduce((sum, line) => sum + (parseFloat(line.quantity) || 0), 0),
+      fixed: 1,
+    };
+    const baseQuantity = bases[item.basis] || 0;
+    const rate = item.rate > 0 ? item.rate : 1;
+    const quantity = Math.round(baseQuantity * rate * 100) / 100;
+    if (!(quantity > 0)) {
+      return;
+    }
+    const cost = costOf(quantity, item.price);
+    labour.push({
+      work: item.name,
+      quantity,
+      unit: item.unit,
+      cost: fromKopecks(cost),
+      trace: buildTrace(item, {
+        inputs: {
+          basis: item.basis,
+          baseQuantity: Math.round(baseQuantity * 1000) / 1000,
+          rate,
+          materials: linked.map(line => line.material).join(', '),
+        },
+      }),
+    });
+    totalCost += cost;
+  });
+  return { labour, totalCost };
+}
+
+/**
+ * Обрабатывает дополнительные материалы (extraMaterials). Все строки, включая скрытые,
+ * добавляются в results с признаком hidden — что показывать клиенту, решает представление.
  * @param {Array} extraMaterials - Список дополнительных материалов.
  * @param {Array} results - Массив результатов расчёта.
- * @param {string} authToken - Токен аутентификации.
+ * @param {Object} catalog - Каталог материалов запроса.
  * @param {string} userId - ID пользователя.
- * @returns {Promise<{ totalCost: number, results: Array }>} Обновлённые результаты.
+ * @returns {Promise<{ totalCost: number, results: Array }>} Обновлённые результаты и их стоимость
+ *   в копейках.
  */
-async function processExtraMaterials(extraMaterials, results, authToken, userId) {
+async function processExtraMaterials(extraMaterials, results, catalog, userId) {
   let totalCost = 0;
   const extraResults = [];
 
@@ -137,13 +641,12 @@ async function processExtraMaterials(extraMaterials, results, authToken, userId)
     }
 
     const materialId = materialKey.split(':')[0];
-    const materialResult = await getMaterial(materialId, authToken, userId);
+    const materialResult = await catalog.getMaterial(materialId);
     if (!materialResult.success) {
       functions.logger.warn('Failed to load material', {
         materialKey: materialId,
         error: materialResult.error,
         userId,
-        authToken: authToken ? '[provided]' : '[missing]',
       });
       continue;
     }
@@ -159,2076 +662,1158 @@ async function processExtraMaterials(extraMaterials, results, authToken, userId)
       continue;
     }
 
-    const extraCost = quantity * material.price;
+    const extraCost = costOf(quantity, material.price);
     const resultEntry = {
       material: material.name,
-      quantity: quantity.toFixed(2),
+      quantity: Math.round(quantity * 100) / 100,
       unit: material.unit,
-      cost: extraCost.toFixed(2),
+      cost: fromKopecks(extraCost),
       hidden: material.isHidden || false,
+      category: (material.categories || [])[0] || null,
+      trace: buildTrace(material, { inputs: { quantity } }),
     };
     extraResults.push(resultEntry);
-    if (!material.isHidden) {
-      results.push(resultEntry);
-    }
+    results.push(resultEntry);
     totalCost += extraCost;
   }
 
   functions.logger.info('Processed extra materials', {
     count: extraMaterials.length,
-    totalCost: totalCost.toFixed(2),
+    totalCost: fromKopecks(totalCost),
     userId,
   });
   return { totalCost, results: extraResults };
 }
 
 /**
- * Вычисляет материалы и стоимость для указанной вкладки.
- * @param {Object} req - HTTP-запрос.
- * @returns {Promise<Object>} Результат расчёта.
+ * Рассчитывает материалы и стоимость для одной вкладки.
+ * @param {string} tabName - Название вкладки.
+ * @param {Object} data - Данные вкладки.
+ * @param {Object} context - Контекст запроса.
+ * @param {Object} context.catalog - Каталог материалов запроса (см. createCatalog).
+ * @param {string} context.userId - ID пользователя.
+ * @param {string} context.ip - IP-адрес клиента.
+ * @param {Object[]} [context.adjustments] - Ручные корректировки расчёта (см. applyTabAdjustments).
+ * @returns {Promise<{ success: boolean, results?: Array, labour?: Array, materialsCost?: number,
+ *   labourCost?: number, totalCost?: number, warnings?: string[], error?: string }>} Результат
+ *   расчёта вкладки: материалы и работы с отдельными подытогами в копейках.
  */
-async function calculateMaterials(req) {
-  const startTime = Date.now();
-  let userId = req.body.userId || req.user?.uid || 'unauthenticated';
-  const authToken = req.headers.authorization || '';
-  const { tabName, data } = req.body;
+async function computeTab(tabName, data, context) {
+  const { catalog, userId, ip } = context;
+  let results = [];
+  let totalCost = 0;
+  // Размеры поверхности для работ, считающихся по площади, периметру или проёмам
+  let surfaceMetrics = null;
+
+  // Обработчик поверхностей (стены, потолок, полы): количество считается по правилам
+  const calculateSurface = async () => {
+    const surface = SURFACE_TABS[tabName];
+    const {
+      finishType,
+      finishDirection,
+      insulationType,
+      openings: rawOpenings,
+      extraMaterials,
+    } = data;
+
+    // Непрямоугольная поверхность задаётся контуром, габариты берутся из него
+    let outline = null;
+    if (data.outline) {
+      const outlineResult = normalizeOutline(data.outline);
+      if (!outlineResult.success) {
+        functions.logger.error('Invalid surface outline', {
+          tabName,
+          outline: data.outline,
+          error: outlineResult.error,
+          userId,
+        });
+        return { success: false, error: outlineResult.error };
+      }
+      outline = outlineResult;
+    }
+    const length = outline ? outline.length : data.length;
+    const height = outline ? outline.height : data.width;
 
-  functions.logger.info(`Processing request for tab "${tabName}"`, {
-    userId,
-    timestamp: new Date().toISOString(),
-    authToken: authToken ? '[provided]' : '[missing]',
-  });
+    if (
+      typeof length !== 'number' ||
+      isNaN(length) ||
+      length <= 0 ||
+      typeof height !== 'number' ||
+      isNaN(height) ||
+      height <= 0 ||
+      !finishType ||
+      typeof finishType !== 'string'
+    ) {
+      functions.logger.error('Invalid dimensions or finishType', {
+        tabName,
+        length,
+        height,
+        finishType,
+        userId,
+        data,
+      });
+      await logErrorToFirestore(
+        'calculateMaterials',
+        'computeMaterials',
+        userId,
+        ip,
+        new Error('Invalid dimensions or finishType')
+      );
+      return { success: false, error: 'Некорректные размеры или тип отделки' };
+    }
 
-  try {
-    // Валидация authToken
-    if (!authToken || typeof authToken !== 'string') {
-      functions.logger.error('Missing or invalid authToken', { userId });
+    const materialId = finishType.split(':')[0];
+    const visibleMaterialResult = await catalog.getMaterial(materialId);
+    if (!visibleMaterialResult.success) {
+      functions.logger.error('Failed to get visible material', {
+        tabName,
+        materialId,
+        error: visibleMaterialResult.error,
+        userId,
+      });
       await logErrorToFirestore(
         'calculateMaterials',
         'computeMaterials',
         userId,
-        req.ip,
-        new Error('Missing authToken')
+        ip,
+        new Error(visibleMaterialResult.error)
       );
-      return { success: false, error: 'authToken is required and must be a string' };
+      return visibleMaterialResult;
     }
+    const visibleMaterial = visibleMaterialResult.material;
 
-    // Валидация userId
-    if (!userId || typeof userId !== 'string') {
-      functions.logger.warn('userId is missing or invalid, using default', { userId });
-      userId = 'unauthenticated';
+    if (!visibleMaterial.price || !visibleMaterial.unit) {
+      functions.logger.error('Material missing price or unit', {
+        tabName,
+        materialName: visibleMaterial.name,
+        userId,
+      });
+      await logErrorToFirestore(
+        'calculateMaterials',
+        'computeMaterials',
+        userId,
+        ip,
+        new Error('Material missing price or unit')
+      );
+      return { success: false, error: 'У материала отсутствует цена или единица измерения' };
     }
 
-    // Валидация базовых входных данных
-    if (!tabName || !data || typeof tabName !== 'string' || typeof data !== 'object') {
-      functions.logger.error('Missing or invalid tabName or data', { tabName, data, userId });
+    const dimensions = normalizeDimensions(visibleMaterial.dimensions, visibleMaterial.name);
+    if (dimensions.length <= 0 || dimensions.width <= 0) {
+      functions.logger.error('Invalid material dimensions', {
+        tabName,
+        materialName: visibleMaterial.name,
+        matLength: dimensions.length,
+        matWidth: dimensions.width,
+        userId,
+      });
       await logErrorToFirestore(
         'calculateMaterials',
         'computeMaterials',
         userId,
-        req.ip,
-        new Error('Invalid tabName or data')
+        ip,
+        new Error('Invalid material dimensions')
       );
       return {
         success: false,
-        error: 'tabName и data обязательны и должны быть строкой и объектом соответственно',
+        error: `Недопустимые размеры материала "${visibleMaterial.name}"`,
       };
     }
 
-    let results = [];
-    let totalCost = 0;
-
-    // Обработчики для вкладок
-    const tabHandlers = {
-      'Главная стена': async () => {
-        const {
-          length,
-          width: height,
-          finishType,
-          insulationType,
-          wallPainting,
-          extraMaterials,
-        } = data;
+    const openingsResult = normalizeOpenings(rawOpenings, length, height, outline);
+    if (!openingsResult.success) {
+      functions.logger.error('Invalid openings', {
+        tabName,
+        openings: rawOpenings,
+        error: openingsResult.error,
+        userId,
+      });
+      return { success: false, error: openingsResult.error };
+    }
+    const { openings } = openingsResult;
+
+    const finishCategory = `${tabName}:Вид отделки`;
+    const insulationCategory = `${tabName}:Вид утепления`;
+    const hiddenCategory = `${tabName}:Скрытые`;
+    const openingCategory = `${tabName}:Проёмы`;
+    const paintCategory = surface.paintCategory ? `${tabName}:${surface.paintCategory}` : null;
+    const categoryFormulas = await catalog.getCategoryFormulas([
+      finishCategory,
+      insulationCategory,
+      hiddenCategory,
+      openingCategory,
+      paintCategory,
+    ]);
+
+    // Площадь отделки, утепления и покраски считается за вычетом проёмов
+    const openingArea = openings.reduce((sum, opening) => sum + opening.width * opening.height, 0);
+    const surfaceArea = outline ? outline.area : length * height;
+    const geometry = {
+      length: length / 1000,
+      height: height / 1000,
+      area: (surfaceArea - openingArea) / 1_000_000,
+      perimeter: (outline ? outline.perimeter : 2 * (length + height)) / 1000,
+      outline: outline
+        ? outline.vertices.map(vertex => ({ x: vertex.x / 1000, y: vertex.y / 1000 }))
+        : null,
+      openings: openings.map(opening => ({
+        width: opening.width / 1000,
+        height: opening.height / 1000,
+      })),
+      data,
+    };
+
+    surfaceMetrics = {
+      area: geometry.area,
+      perimeter: geometry.perimeter,
+      openings: openings.length,
+    };
 
-        if (
-          typeof length !== 'number' ||
-          isNaN(length) ||
-          length <= 0 ||
-          typeof height !== 'number' ||
-          isNaN(height) ||
-          height <= 0 ||
-          !finishType ||
-          typeof finishType !== 'string'
-        ) {
-          functions.logger.error('Invalid dimensions or finishType', {
-            tabName,
-            length,
-            height,
-            finishType,
-            userId,
-            data,
-          });
-          await logErrorToFirestore(
-            'calculateMaterials',
-            'computeMaterials',
-            userId,
-            req.ip,
-            new Error('Invalid dimensions or finishType')
-          );
-          return { success: false, error: 'Некорректные размеры или тип отделки' };
-        }
+    // Исходные данные поверхности для трассировки расчёта
+    const surfaceInputs = {
+      length,
+      height,
+      openings: openings.length,
+      outline: Boolean(outline),
+    };
+
+    // Явное правило материала или категории важнее раскладки по направлению отделки
+    const finishRule = resolveFormula(visibleMaterial, finishCategory, categoryFormulas, null);
+    let visibleQuantity;
+    let visibleDemand;
+    let layoutDetails = {};
+    let finishTrace;
+    if (!finishRule && FINISH_DIRECTIONS.includes(finishDirection)) {
+      const layout = layoutPanels({
+        surfaceLength: length,
+        surfaceHeight: height,
+        panelLength: dimensions.length,
+        panelWidth: dimensions.width,
+        direction: finishDirection,
+        openings,
+        outline: outline ? outline.vertices : null,
+      });
+      if (!layout.success) {
+        return { success: false, error: layout.error };
+      }
+      visibleQuantity = layout.panelCount;
+      visibleDemand = layout.panelCount;
+      layoutDetails = {
+        layout: {
+          direction: finishDirection,
+          fullPanels: layout.fullPanels,
+          cutPanels: layout.cutPanels,
+          offcutsReused: layout.offcutsReused,
+          wasteArea: layout.wasteArea,
+          cutList: layout.cutList,
+        },
+      };
+      finishTrace = buildTrace(visibleMaterial, {
+        inputs: {
+          ...surfaceInputs,
+          direction: finishDirection,
+          panelLength: dimensions.length,
+          panelWidth: dimensions.width,
+        },
+        geometry,
+      });
+    } else {
+      if (finishDirection && !FINISH_DIRECTIONS.includes(finishDirection)) {
+        functions.logger.warn('Unknown finishDirection, using area formula', {
+          tabName,
+          finishDirection,
+          userId,
+        });
+      }
+      const materialArea = (dimensions.length * dimensions.width) / 1_000_000;
+      visibleDemand = evaluateFormula(
+        finishRule || DEFAULT_FORMULAS.finish,
+        { ...geometry, ...getMaterialAttributes(visibleMaterial), materialArea },
+        { round: false }
+      );
+      finishTrace = buildTrace(visibleMaterial, {
+        inputs: { ...surfaceInputs, materialArea },
+        rule: finishRule || DEFAULT_FORMULAS.finish,
+        geometry,
+      });
+      // Скрытые материалы и материалы проёмов считаются от количества покупаемых панелей
+      visibleQuantity = roundQuantity(finishTrace.formula, visibleDemand);
+    }
+    totalCost += await pushSurfaceResult(
+      results,
+      catalog,
+      visibleMaterial,
+      visibleDemand,
+      false,
+      'шт.',
+      { ...layoutDetails, category: finishCategory, trace: finishTrace }
+    );
+
+    const hiddenMaterials = await catalog.fetchAllMaterials(hiddenCategory);
+    if (hiddenMaterials.length === 0) {
+      functions.logger.warn(`No hidden materials found for "${hiddenCategory}"`, { userId });
+    }
+    for (const hiddenMaterial of hiddenMaterials) {
+      if (!hiddenMaterial.price) {
+        functions.logger.warn('Hidden material missing price', {
+          tabName,
+          materialName: hiddenMaterial.name,
+          userId,
+        });
+        continue;
+      }
+
+      const hiddenDimensions = normalizeDimensions(hiddenMaterial.dimensions, hiddenMaterial.name);
+      if (!hiddenDimensions.length) {
+        functions.logger.info('Using default rail length', {
+          tabName,
+          materialName: hiddenMaterial.name,
+          defaultLength: CONFIG.RAIL_DEFAULT_LENGTH,
+          userId,
+        });
+      }
+
+      const hiddenRule = resolveFormula(
+        hiddenMaterial,
+        hiddenCategory,
+        categoryFormulas,
+        DEFAULT_FORMULAS.hidden
+      );
+      const hiddenContext = {
+        ...geometry,
+        ...getMaterialAttributes(hiddenMaterial),
+        materialLength: (hiddenDimensions.length || CONFIG.RAIL_DEFAULT_LENGTH) / 1000,
+        kerf: CONFIG.CUT_KERF / 1000,
+        visibleQuantity,
+      };
+      // Погонные материалы считаются целыми хлыстами с картой раскроя для монтажника
+      const cutPlan = planLinearCuts(hiddenRule, hiddenContext);
+      const hiddenQuantity = cutPlan
+        ? cutPlan.quantity
+        : evaluateFormula(hiddenRule, hiddenContext, { round: false });
+      const cutDetails = cutPlan
+        ? { cutting: { stockLength: cutPlan.stockLength, sticks: cutPlan.sticks } }
+        : {};
+      cutDetails.category = hiddenCategory;
+      cutDetails.trace = buildTrace(hiddenMaterial, {
+        inputs: {
+          ...surfaceInputs,
+          materialLength: hiddenDimensions.length || CONFIG.RAIL_DEFAULT_LENGTH,
+          visibleQuantity,
+        },
+        rule: hiddenRule,
+        geometry,
+      });
+      totalCost += await pushSurfaceResult(
+        results,
+        catalog,
+        hiddenMaterial,
+        hiddenQuantity,
+        true,
+        'шт.',
+        cutDetails
+      );
+    }
 
-        const materialId = finishType.split(':')[0];
-        const visibleMaterialResult = await getMaterial(materialId, authToken, userId);
-        if (!visibleMaterialResult.success) {
-          functions.logger.error('Failed to get visible material', {
+    if (openings.length > 0) {
+      const openingMaterials = await catalog.fetchAllMaterials(openingCategory);
+      if (openingMaterials.length === 0) {
+        functions.logger.warn(`No opening materials found for "${openingCategory}"`, { userId });
+      }
+      for (const openingMaterial of openingMaterials) {
+        if (!openingMaterial.price) {
+          functions.logger.warn('Opening material missing price', {
             tabName,
-            materialId,
-            error: visibleMaterialResult.error,
+            materialName: openingMaterial.name,
             userId,
           });
-          await logErrorToFirestore(
-            'calculateMaterials',
-            'computeMaterials',
-            userId,
-            req.ip,
-            new Error(visibleMaterialResult.error)
-          );
-          return visibleMaterialResult;
+          continue;
         }
-        const visibleMaterial = visibleMaterialResult.material;
+        const openingDimensions = normalizeDimensions(
+          openingMaterial.dimensions,
+          openingMaterial.name
+        );
+        const openingRule = resolveFormula(
+          openingMaterial,
+          openingCategory,
+          categoryFormulas,
+          DEFAULT_FORMULAS.opening
+        );
+        const openingContext = {
+          ...geometry,
+          ...getMaterialAttributes(openingMaterial),
+          materialLength: openingDimensions.length / 1000,
+          kerf: CONFIG.CUT_KERF / 1000,
+          visibleQuantity,
+        };
+        const cutPlan = planLinearCuts(openingRule, openingContext);
+        const openingQuantity = cutPlan
+          ? cutPlan.quantity
+          : evaluateFormula(openingRule, openingContext, { round: false });
+        const cutDetails =
+          cutPlan && cutPlan.stockLength > 0
+            ? { cutting: { stockLength: cutPlan.stockLength, sticks: cutPlan.sticks } }
+            : {};
+        cutDetails.category = openingCategory;
+        cutDetails.trace = buildTrace(openingMaterial, {
+          inputs: { ...surfaceInputs, materialLength: openingDimensions.length },
+          rule: openingRule,
+          geometry,
+        });
+        totalCost += await pushSurfaceResult(
+          results,
+          catalog,
+          openingMaterial,
+          openingQuantity,
+          false,
+          cutPlan && cutPlan.stockLength === 0 ? 'м.п.' : 'шт.',
+          cutDetails
+        );
+      }
+    }
 
-        if (!visibleMaterial.price || !visibleMaterial.unit) {
-          functions.logger.error('Material missing price or unit', {
+    if (insulationType && typeof insulationType === 'string') {
+      const insulationMaterialId = insulationType.split(':')[0];
+      const insulationMaterialResult = await catalog.getMaterial(insulationMaterialId);
+      if (insulationMaterialResult.success) {
+        const insulationMaterial = insulationMaterialResult.material;
+        if (!insulationMaterial.price || !insulationMaterial.unit) {
+          functions.logger.warn('Insulation material missing price or unit', {
             tabName,
-            materialName: visibleMaterial.name,
+            materialName: insulationMaterial.name,
             userId,
           });
-          await logErrorToFirestore(
-            'calculateMaterials',
-            'computeMaterials',
-            userId,
-            req.ip,
-            new Error('Material missing price or unit')
+        } else {
+          const insulationDimensions = normalizeDimensions(
+            insulationMaterial.dimensions,
+            insulationMaterial.name
+          );
+          const insulationRule = resolveFormula(
+            insulationMaterial,
+            insulationCategory,
+            categoryFormulas,
+            DEFAULT_FORMULAS.insulation
+          );
+          const materialArea =
+            (insulationDimensions.length * insulationDimensions.width) / 1_000_000;
+          const insulationQuantity = evaluateFormula(
+            insulationRule,
+            {
+              ...geometry,
+              ...getMaterialAttributes(insulationMaterial),
+              materialArea,
+              visibleQuantity,
+            },
+            { round: false }
+          );
+          totalCost += await pushSurfaceResult(
+            results,
+            catalog,
+            insulationMaterial,
+            insulationQuantity,
+            false,
+            'шт.',
+            {
+              category: insulationCategory,
+              trace: buildTrace(insulationMaterial, {
+                inputs: { ...surfaceInputs, materialArea, visibleQuantity },
+                rule: insulationRule,
+                geometry,
+              }),
+            }
           );
-          return { success: false, error: 'У материала отсутствует цена или единица измерения' };
         }
+      } else {
+        functions.logger.warn('Failed to load insulation material', {
+          tabName,
+          insulationMaterialId,
+          error: insulationMaterialResult.error,
+          userId,
+        });
+      }
+    }
 
-        const dimensions = normalizeDimensions(visibleMaterial.dimensions, visibleMaterial.name);
-        const matLength = dimensions.length;
-        const matWidth = dimensions.width;
-
-        if (matLength <= 0 || matWidth <= 0) {
-          functions.logger.error('Invalid material dimensions', {
+    if (paintCategory && data[surface.paintToggle] === 'yes') {
+      const paintMaterials = await catalog.fetchAllMaterials(paintCategory);
+      for (const paintMaterial of paintMaterials) {
+        if (!paintMaterial.price) {
+          functions.logger.warn('Paint material missing price', {
             tabName,
-            materialName: visibleMaterial.name,
-            matLength,
-            matWidth,
+            materialName: paintMaterial.name,
             userId,
           });
-          await logErrorToFirestore(
-            'calculateMaterials',
-            'computeMaterials',
-            userId,
-            req.ip,
-            new Error('Invalid material dimensions')
-          );
-          return {
-            success: false,
-            error: `Недопустимые размеры материала "${visibleMaterial.name}"`,
-          };
+          continue;
         }
-
-        const area = (length * height) / 1_000_000;
-        const materialArea = (matLength * matWidth) / 1_000_000;
-        const visibleQuantity = Math.ceil((area / materialArea) * CONFIG.WASTE_FACTOR);
-        const visibleCost = visibleQuantity * visibleMaterial.price;
-
-        results.push({
-          material: visibleMaterial.name,
-          quantity: visibleQuantity,
-          unit: visibleMaterial.unit,
-          cost: visibleCost.toFixed(2),
-          hidden: false,
-        });
-        totalCost += visibleCost;
-
-        const hiddenMaterials = await fetchAllMaterials(
-          `${tabName}:Скрытые`,
-          CONFIG.ITEMS_PER_PAGE,
-          authToken,
-          userId
+        const paintRule = resolveFormula(
+          paintMaterial,
+          paintCategory,
+          categoryFormulas,
+          DEFAULT_FORMULAS.paint
         );
-        if (hiddenMaterials.length === 0) {
-          functions.logger.warn(`No hidden materials found for "${tabName}:Скрытые"`, { userId });
-        }
-        for (const hiddenMaterial of hiddenMaterials) {
-          if (!hiddenMaterial.price) {
-            functions.logger.warn('Hidden material missing price', {
-              tabName,
-              materialName: hiddenMaterial.name,
-              userId,
-            });
-            continue;
+        const paintQuantity = evaluateFormula(
+          paintRule,
+          { ...geometry, ...getMaterialAttributes(paintMaterial), visibleQuantity },
+          { round: false }
+        );
+        totalCost += await pushSurfaceResult(
+          results,
+          catalog,
+          paintMaterial,
+          paintQuantity,
+          false,
+          'л.',
+          {
+            category: paintCategory,
+            trace: buildTrace(paintMaterial, {
+              inputs: { ...surfaceInputs, visibleQuantity },
+              rule: paintRule,
+              geometry,
+            }),
           }
+        );
+      }
+    }
 
-          const hiddenDimensions = normalizeDimensions(
-            hiddenMaterial.dimensions,
-            hiddenMaterial.name
-          );
-          const railLength = (hiddenDimensions.length || CONFIG.RAIL_DEFAULT_LENGTH) / 1000;
-          if (!hiddenDimensions.length) {
-            functions.logger.info('Using default rail length', {
-              tabName,
-              materialName: hiddenMaterial.name,
-              defaultLength: CONFIG.RAIL_DEFAULT_LENGTH,
-              userId,
-            });
-          }
+    if (extraMaterials) {
+      const extraResult = await processExtraMaterials(extraMaterials, results, catalog, userId);
+      totalCost += extraResult.totalCost;
+    }
 
-          const horizontalCount = Math.ceil(length / CONFIG.RAIL_STEP);
-          const verticalCount = Math.ceil(height / railLength);
-          const railQuantity = horizontalCount * verticalCount * CONFIG.RAIL_WASTE_FACTOR;
-          const railCost = railQuantity * hiddenMaterial.price;
+    return { success: true };
+  };
 
-          results.push({
-            material: hiddenMaterial.name,
-            quantity: railQuantity.toFixed(2),
-            unit: hiddenMaterial.unit || 'шт.',
-            cost: railCost.toFixed(2),
-            hidden: true,
-          });
-          totalCost += railCost;
-        }
+  // Обработчики для вкладок
+  const tabHandlers = {
+    'Главная стена': calculateSurface,
+    'Фасадная стена': calculateSurface,
+    'БЛ стена': calculateSurface,
+    'БП стена': calculateSurface,
+    Потолок: calculateSurface,
+    Полы: calculateSurface,
+    'На заезд': async () => {
+      const { entryListToggle, entryFastenersToggle, entryTilingToggle, extraMaterials } = data;
+
+      if (
+        typeof entryListToggle !== 'string' ||
+        typeof entryFastenersToggle !== 'string' ||
+        typeof entryTilingToggle !== 'string'
+      ) {
+        functions.logger.error('Invalid data for tab "На заезд"', { tabName, data, userId });
+        await logErrorToFirestore(
+          'calculateMaterials',
+          'computeMaterials',
+          userId,
+          ip,
+          new Error('Invalid data for На заезд')
+        );
+        return { success: false, error: 'Некорректные данные для вкладки "На заезд"' };
+      }
 
-        if (insulationType && typeof insulationType === 'string') {
-          const insulationMaterialId = insulationType.split(':')[0];
-          const insulationMaterialResult = await getMaterial(
-            insulationMaterialId,
-            authToken,
-            userId
-          );
-          if (insulationMaterialResult.success) {
-            const insulationMaterial = insulationMaterialResult.material;
-            if (!insulationMaterial.price || !insulationMaterial.unit) {
-              functions.logger.warn('Insulation material missing price or unit', {
+      const categoriesToCheck = [
+        { toggle: entryListToggle, category: 'На заезд:Список на заезд' },
+        { toggle: entryFastenersToggle, category: 'На заезд:Крепеж' },
+        { toggle: entryTilingToggle, category: 'На заезд:Плиточные работы' },
+      ];
+
+      for (const { toggle, category } of categoriesToCheck) {
+        if (toggle === 'yes') {
+          const materials = await catalog.fetchAllMaterials(category);
+          if (materials.length === 0) {
+            functions.logger.warn(`No materials found for "${category}"`, { userId });
+            continue;
+          }
+          for (const material of materials) {
+            if (!material.price) {
+              functions.logger.warn('Material missing price', {
                 tabName,
-                materialName: insulationMaterial.name,
+                materialName: material.name,
+                category,
                 userId,
               });
-            } else {
-              const insulationDimensions = normalizeDimensions(
-                insulationMaterial.dimensions,
-                insulationMaterial.name
-              );
-              const insulationArea = (length * height) / 1_000_000;
-              const insulationMatArea =
-                (insulationDimensions.length * insulationDimensions.width) / 1_000_000 || 1;
-              const insulationQuantity = Math.ceil(
-                (insulationArea / insulationMatArea) * CONFIG.WASTE_FACTOR
-              );
-              const insulationCost = insulationQuantity * insulationMaterial.price;
-
-              results.push({
-                material: insulationMaterial.name,
-                quantity: insulationQuantity,
-                unit: insulationMaterial.unit,
-                cost: insulationCost.toFixed(2),
-                hidden: false,
-              });
-              totalCost += insulationCost;
+              continue;
             }
-          } else {
-            functions.logger.warn('Failed to load insulation material', {
-              tabName,
-              insulationMaterialId,
-              error: insulationMaterialResult.error,
-              userId,
-            });
+            const quantity = material.quantity || 1;
+            const materialCost = costOf(quantity, material.price);
+            const resultEntry = {
+              material: material.name,
+              quantity: Math.round(quantity * 100) / 100,
+              unit: material.unit || 'шт.',
+              cost: fromKopecks(materialCost),
+              hidden: material.isHidden || false,
+              category,
+              trace: buildTrace(material, { inputs: { quantity, category } }),
+            };
+            results.push(resultEntry);
+            totalCost += materialCost;
           }
         }
+      }
 
-        if (wallPainting === 'yes') {
-          const paintMaterials = await fetchAllMaterials(
-            `${tabName}:Покраска стен`,
-            CONFIG.ITEMS_PER_PAGE,
-            authToken,
-            userId
-          );
-          for (const paintMaterial of paintMaterials) {
-            if (!paintMaterial.price) {
-              functions.logger.warn('Paint material missing price', {
+      if (extraMaterials) {
+        const extraResult = await processExtraMaterials(extraMaterials, results, catalog, userId);
+        totalCost += extraResult.totalCost;
+      }
+    },
+    Остекление: async () => {
+      functions.logger.info(`Processing glazing for tab "${tabName}"`, { userId });
+      const {
+        glazingType,
+        frameType,
+        exteriorFinish,
+        balconyBlock,
+        windowType,
+        windowSlopes,
+        sillType,
+        roofType,
+        windowQuantity,
+        extraMaterials,
+      } = data;
+
+      if (
+        !windowType ||
+        typeof windowQuantity !== 'number' ||
+        isNaN(windowQuantity) ||
+        windowQuantity <= 0
+      ) {
+        functions.logger.error('Invalid data for tab "Остекление"', {
+          tabName,
+          windowType,
+          windowQuantity,
+          userId,
+          data,
+        });
+        await logErrorToFirestore(
+          'calculateMaterials',
+          'computeMaterials',
+          userId,
+          ip,
+          new Error('Invalid data for Остекление')
+        );
+        return {
+          success: false,
+          error:
+            'Некорректные данные для вкладки "Остекление": требуется windowType и windowQuantity',
+        };
+      }
+
+      const validVariants = [
+        'Балкон 3м.',
+        'Балкон 6м.',
+        'Лоджия 3м.',
+        'Лоджия 6м.',
+        'Окно 1.5м. кирпич',
+      ];
+      if (!validVariants.includes(windowType)) {
+        functions.logger.error('Invalid windowType', { tabName, windowType, userId });
+        await logErrorToFirestore(
+          'calculateMaterials',
+          'computeMaterials',
+          userId,
+          ip,
+          new Error(`Invalid windowType: ${windowType}`)
+        );
+        return { success: false, error: `Недопустимый вариант окна: ${windowType}` };
+      }
+
+      const glazingCategories = [
+        { value: glazingType, category: 'Остекление:Что делаем' },
+        { value: frameType, category: 'Остекление:Основная рама' },
+        { value: exteriorFinish, category: 'Остекление:Наружная отделка' },
+        { value: balconyBlock, category: 'Остекление:Замена балконного блока' },
+        { value: windowType, category: 'Остекление:Окно' },
+        { value: windowSlopes, category: 'Остекление:Откосы для окон' },
+        { value: sillType, category: 'Остекление:Подоконники' },
+        { value: roofType, category: 'Остекление:Крыша' },
+      ];
+
+      for (const { value, category } of glazingCategories) {
+        if (value && value !== 'no') {
+          let materialId;
+          if (category === 'Остекление:Окно') {
+            const materials = await catalog.fetchAllMaterials(category);
+            const windowMaterial = materials.find(mat => mat.name === value);
+            if (!windowMaterial) {
+              functions.logger.warn('Material not found for windowType', {
                 tabName,
-                materialName: paintMaterial.name,
+                windowType: value,
+                category,
                 userId,
               });
               continue;
             }
-            const paintArea = (length * height) / 1_000_000;
-            const paintQuantity = Math.ceil(paintArea / CONFIG.PAINT_COVERAGE);
-            const paintCost = paintQuantity * paintMaterial.price;
-
-            results.push({
-              material: paintMaterial.name,
-              quantity: paintQuantity,
-              unit: paintMaterial.unit || 'л.',
-              cost: paintCost.toFixed(2),
-              hidden: false,
-            });
-            totalCost += paintCost;
+            materialId = windowMaterial.id;
+          } else {
+            materialId = value.split(':')[0];
           }
-        }
-
-        if (extraMaterials) {
-          const extraResult = await processExtraMaterials(
-            extraMaterials,
-            results,
-            authToken,
-            userId
-          );
-          totalCost += extraResult.totalCost;
-          results.push(...extraResult.results.filter(r => r.hidden));
-        }
-      },
-      'Фасадная стена': async () => {
-        const {
-          length,
-          width: height,
-          finishType,
-          insulationType,
-          wallPainting,
-          extraMaterials,
-        } = data;
-
-        if (
-          typeof length !== 'number' ||
-          isNaN(length) ||
-          length <= 0 ||
-          typeof height !== 'number' ||
-          isNaN(height) ||
-          height <= 0 ||
-          !finishType ||
-          typeof finishType !== 'string'
-        ) {
-          functions.logger.error('Invalid dimensions or finishType', {
-            tabName,
-            length,
-            height,
-            finishType,
-            userId,
-            data,
-          });
-          await logErrorToFirestore(
-            'calculateMaterials',
-            'computeMaterials',
-            userId,
-            req.ip,
-            new Error('Invalid dimensions or finishType')
-          );
-          return { success: false, error: 'Некорректные размеры или тип отделки' };
-        }
-
-        const materialId = finishType.split(':')[0];
-        const visibleMaterialResult = await getMaterial(materialId, authToken, userId);
-        if (!visibleMaterialResult.success) {
-          functions.logger.error('Failed to get visible material', {
-            tabName,
-            materialId,
-            error: visibleMaterialResult.error,
-            userId,
-          });
-          await logErrorToFirestore(
-            'calculateMaterials',
-            'computeMaterials',
-            userId,
-            req.ip,
-            new Error(visibleMaterialResult.error)
-          );
-          return visibleMaterialResult;
-        }
-        const visibleMaterial = visibleMaterialResult.material;
-
-        if (!visibleMaterial.price || !visibleMaterial.unit) {
-          functions.logger.error('Material missing price or unit', {
-            tabName,
-            materialName: visibleMaterial.name,
-            userId,
-          });
-          await logErrorToFirestore(
-            'calculateMaterials',
-            'computeMaterials',
-            userId,
-            req.ip,
-            new Error('Material missing price or unit')
-          );
-          return { success: false, error: 'У материала отсутствует цена или единица измерения' };
-        }
-
-        const dimensions = normalizeDimensions(visibleMaterial.dimensions, visibleMaterial.name);
-        const matLength = dimensions.length;
-        const matWidth = dimensions.width;
-
-        if (matLength <= 0 || matWidth <= 0) {
-          functions.logger.error('Invalid material dimensions', {
-            tabName,
-            materialName: visibleMaterial.name,
-            matLength,
-            matWidth,
-            userId,
-          });
-          await logErrorToFirestore(
-            'calculateMaterials',
-            'computeMaterials',
-            userId,
-            req.ip,
-            new Error('Invalid material dimensions')
-          );
-          return {
-            success: false,
-            error: `Недопустимые размеры материала "${visibleMaterial.name}"`,
-          };
-        }
 
-        const area = (length * height) / 1_000_000;
-        const materialArea = (matLength * matWidth) / 1_000_000;
-        const visibleQuantity = Math.ceil((area / materialArea) * CONFIG.WASTE_FACTOR);
-        const visibleCost = visibleQuantity * visibleMaterial.price;
-
-        results.push({
-          material: visibleMaterial.name,
-          quantity: visibleQuantity,
-          unit: visibleMaterial.unit,
-          cost: visibleCost.toFixed(2),
-          hidden: false,
-        });
-        totalCost += visibleCost;
-
-        const hiddenMaterials = await fetchAllMaterials(
-          `${tabName}:Скрытые`,
-          CONFIG.ITEMS_PER_PAGE,
-          authToken,
-          userId
-        );
-        if (hiddenMaterials.length === 0) {
-          functions.logger.warn(`No hidden materials found for "${tabName}:Скрытые"`, { userId });
-        }
-        for (const hiddenMaterial of hiddenMaterials) {
-          if (!hiddenMaterial.price) {
-            functions.logger.warn('Hidden material missing price', {
+          const materialResult = await catalog.getMaterial(materialId);
+          if (!materialResult.success) {
+            functions.logger.warn('Failed to get material', {
               tabName,
-              materialName: hiddenMaterial.name,
+              materialId,
+              category,
+              error: materialResult.error,
               userId,
             });
             continue;
           }
 
-          const hiddenDimensions = normalizeDimensions(
-            hiddenMaterial.dimensions,
-            hiddenMaterial.name
-          );
-          const railLength = (hiddenDimensions.length || CONFIG.RAIL_DEFAULT_LENGTH) / 1000;
-          if (!hiddenDimensions.length) {
-            functions.logger.info('Using default rail length', {
+          const material = materialResult.material;
+          if (!material.price || !material.unit) {
+            functions.logger.warn('Material missing price or unit', {
               tabName,
-              materialName: hiddenMaterial.name,
-              defaultLength: CONFIG.RAIL_DEFAULT_LENGTH,
+              materialName: material.name,
+              category,
               userId,
             });
+            continue;
           }
 
-          const horizontalCount = Math.ceil(length / CONFIG.RAIL_STEP);
-          const verticalCount = Math.ceil(height / railLength);
-          const railQuantity = horizontalCount * verticalCount * CONFIG.RAIL_WASTE_FACTOR;
-          const railCost = railQuantity * hiddenMaterial.price;
+          const quantity = category === 'Остекление:Окно' ? windowQuantity : 1;
+          const cost = costOf(quantity, material.price);
+
+          const resultEntry = {
+            material: material.name,
+            quantity: Math.round(quantity * 100) / 100,
+            unit: material.unit,
+            cost: fromKopecks(cost),
+            hidden: material.isHidden || false,
+            category,
+            trace: buildTrace(material, { inputs: { quantity, category } }),
+          };
+          results.push(resultEntry);
+          totalCost += cost;
+
+          if (category === 'Остекление:Окно') {
+            const hiddenCategory = `${category}:${value}:Скрытые`;
+            const hiddenMaterials = await catalog.fetchAllMaterials(hiddenCategory);
+            for (const hiddenMaterial of hiddenMaterials) {
+              if (!hiddenMaterial.price) {
+                functions.logger.warn('Hidden material missing price', {
+                  tabName,
+                  materialName: hiddenMaterial.name,
+                  category: hiddenCategory,
+                  userId,
+                });
+                continue;
+              }
+              const hiddenQuantity = windowQuantity;
+              const hiddenCost = costOf(hiddenQuantity, hiddenMaterial.price);
 
-          results.push({
-            material: hiddenMaterial.name,
-            quantity: railQuantity.toFixed(2),
-            unit: hiddenMaterial.unit || 'шт.',
-            cost: railCost.toFixed(2),
-            hidden: true,
-          });
-          totalCost += railCost;
+              results.push({
+                material: hiddenMaterial.name,
+                quantity: Math.round(hiddenQuantity * 100) / 100,
+                unit: hiddenMaterial.unit || 'шт.',
+                cost: fromKopecks(hiddenCost),
+                hidden: true,
+                category: hiddenCategory,
+                trace: buildTrace(hiddenMaterial, {
+                  inputs: { windowQuantity, category: hiddenCategory },
+                }),
+              });
+              totalCost += hiddenCost;
+            }
+          }
         }
+      }
 
-        if (insulationType && typeof insulationType === 'string') {
-          const insulationMaterialId = insulationType.split(':')[0];
-          const insulationMaterialResult = await getMaterial(
-            insulationMaterialId,
-            authToken,
-            userId
-          );
-          if (insulationMaterialResult.success) {
-            const insulationMaterial = insulationMaterialResult.material;
-            if (!insulationMaterial.price || !insulationMaterial.unit) {
-              functions.logger.warn('Insulation material missing price or unit', {
+      if (extraMaterials) {
+        const extraResult = await processExtraMaterials(extraMaterials, results, catalog, userId);
+        totalCost += extraResult.totalCost;
+      }
+    },
+    Электрика: async () => {
+      const {
+        cableType,
+        cableQuantity,
+        switchType,
+        switchQuantity,
+        socketType,
+        socketQuantity,
+        spotType,
+        spotQuantity,
+        extraMaterials,
+      } = data;
+
+      const electricItems = [
+        { type: cableType, quantity: cableQuantity, category: 'Электрика:Кабель' },
+        { type: switchType, quantity: switchQuantity, category: 'Электрика:Выключатель' },
+        { type: socketType, quantity: socketQuantity, category: 'Электрика:Розетка' },
+        { type: spotType, quantity: spotQuantity, category: 'Электрика:Спот' },
+      ];
+
+      for (const item of electricItems) {
+        if (
+          item.type &&
+          typeof item.quantity === 'number' &&
+          !isNaN(item.quantity) &&
+          item.quantity > 0
+        ) {
+          const materialId = item.type.split(':')[0];
+          const materialResult = await catalog.getMaterial(materialId);
+          if (materialResult.success) {
+            const material = materialResult.material;
+            if (!material.price || !material.unit) {
+              functions.logger.warn('Material missing price or unit', {
                 tabName,
-                materialName: insulationMaterial.name,
+                materialName: material.name,
+                category: item.category,
                 userId,
               });
-            } else {
-              const insulationDimensions = normalizeDimensions(
-                insulationMaterial.dimensions,
-                insulationMaterial.name
-              );
-              const insulationArea = (length * height) / 1_000_000;
-              const insulationMatArea =
-                (insulationDimensions.length * insulationDimensions.width) / 1_000_000 || 1;
-              const insulationQuantity = Math.ceil(
-                (insulationArea / insulationMatArea) * CONFIG.WASTE_FACTOR
+              continue;
+            }
+            // Кабель в бухтах и другие фасованные материалы покупаются целыми упаковками
+            if (await catalog.getPackVariants(material)) {
+              totalCost += await pushSurfaceResult(
+                results,
+                catalog,
+                material,
+                item.quantity,
+                material.isHidden || false,
+                material.unit,
+                {
+                  category: item.category,
+                  trace: buildTrace(material, {
+                    inputs: { quantity: item.quantity, category: item.category },
+                  }),
+                }
               );
-              const insulationCost = insulationQuantity * insulationMaterial.price;
-
-              results.push({
-                material: insulationMaterial.name,
-                quantity: insulationQuantity,
-                unit: insulationMaterial.unit,
-                cost: insulationCost.toFixed(2),
-                hidden: false,
-              });
-              totalCost += insulationCost;
+              continue;
             }
+            const cost = costOf(item.quantity, material.price);
+            const resultEntry = {
+              material: material.name,
+              quantity: Math.round(item.quantity * 100) / 100,
+              unit: material.unit,
+              cost: fromKopecks(cost),
+              hidden: material.isHidden || false,
+              category: item.category,
+              trace: buildTrace(material, {
+                inputs: { quantity: item.quantity, category: item.category },
+              }),
+            };
+            results.push(resultEntry);
+            totalCost += cost;
           } else {
-            functions.logger.warn('Failed to load insulation material', {
+            functions.logger.warn('Failed to load material', {
               tabName,
-              insulationMaterialId,
-              error: insulationMaterialResult.error,
+              materialId,
+              category: item.category,
+              error: materialResult.error,
               userId,
             });
           }
         }
+      }
 
-        if (wallPainting === 'yes') {
-          const paintMaterials = await fetchAllMaterials(
-            `${tabName}:Покраска стен`,
-            CONFIG.ITEMS_PER_PAGE,
-            authToken,
-            userId
-          );
-          for (const paintMaterial of paintMaterials) {
-            if (!paintMaterial.price) {
-              functions.logger.warn('Paint material missing price', {
+      if (extraMaterials) {
+        const extraResult = await processExtraMaterials(extraMaterials, results, catalog, userId);
+        totalCost += extraResult.totalCost;
+      }
+    },
+    Мебель: async () => {
+      const {
+        furnitureMaterial,
+        furniturePainting,
+        shelfTopMaterial,
+        shelfTopQuantity,
+        shelfBottomMaterial,
+        shelfBottomQuantity,
+        stoveSide,
+        countertop,
+        extraMaterials,
+      } = data;
+
+      const furnitureItems = [
+        { type: furnitureMaterial, quantity: 1, category: 'Мебель:Материал мебели' },
+        { type: shelfTopMaterial, quantity: shelfTopQuantity, category: 'Мебель:Полки Верх' },
+        {
+          type: shelfBottomMaterial,
+          quantity: shelfBottomQuantity,
+          category: 'Мебель:Полки Низ',
+        },
+      ];
+
+      for (const item of furnitureItems) {
+        if (
+          item.type &&
+          typeof item.quantity === 'number' &&
+          !isNaN(item.quantity) &&
+          item.quantity > 0
+        ) {
+          const materialId = item.type.split(':')[0];
+          const materialResult = await catalog.getMaterial(materialId);
+          if (materialResult.success) {
+            const material = materialResult.material;
+            if (!material.price || !material.unit) {
+              functions.logger.warn('Material missing price or unit', {
                 tabName,
-                materialName: paintMaterial.name,
+                materialName: material.name,
+                category: item.category,
                 userId,
               });
               continue;
             }
-            const paintArea = (length * height) / 1_000_000;
-            const paintQuantity = Math.ceil(paintArea / CONFIG.PAINT_COVERAGE);
-            const paintCost = paintQuantity * paintMaterial.price;
-
-            results.push({
-              material: paintMaterial.name,
-              quantity: paintQuantity,
-              unit: paintMaterial.unit || 'л.',
-              cost: paintCost.toFixed(2),
-              hidden: false,
-            });
-            totalCost += paintCost;
-          }
-        }
-
-        if (extraMaterials) {
-          const extraResult = await processExtraMaterials(
-            extraMaterials,
-            results,
-            authToken,
-            userId
-          );
-          totalCost += extraResult.totalCost;
-          results.push(...extraResult.results.filter(r => r.hidden));
-        }
-      },
-      'БЛ стена': async () => {
-        const {
-          length,
-          width: height,
-          finishType,
-          insulationType,
-          wallPainting,
-          extraMaterials,
-        } = data;
-
-        if (
-          typeof length !== 'number' ||
-          isNaN(length) ||
-          length <= 0 ||
-          typeof height !== 'number' ||
-          isNaN(height) ||
-          height <= 0 ||
-          !finishType ||
-          typeof finishType !== 'string'
-        ) {
-          functions.logger.error('Invalid dimensions or finishType', {
-            tabName,
-            length,
-            height,
-            finishType,
-            userId,
-            data,
-          });
-          await logErrorToFirestore(
-            'calculateMaterials',
-            'computeMaterials',
-            userId,
-            req.ip,
-            new Error('Invalid dimensions or finishType')
-          );
-          return { success: false, error: 'Некорректные размеры или тип отделки' };
-        }
-
-        const materialId = finishType.split(':')[0];
-        const visibleMaterialResult = await getMaterial(materialId, authToken, userId);
-        if (!visibleMaterialResult.success) {
-          functions.logger.error('Failed to get visible material', {
-            tabName,
-            materialId,
-            error: visibleMaterialResult.error,
-            userId,
-          });
-          await logErrorToFirestore(
-            'calculateMaterials',
-            'computeMaterials',
-            userId,
-            req.ip,
-            new Error(visibleMaterialResult.error)
-          );
-          return visibleMaterialResult;
-        }
-        const visibleMaterial = visibleMaterialResult.material;
-
-        if (!visibleMaterial.price || !visibleMaterial.unit) {
-          functions.logger.error('Material missing price or unit', {
-            tabName,
-            materialName: visibleMaterial.name,
-            userId,
-          });
-          await logErrorToFirestore(
-            'calculateMaterials',
-            'computeMaterials',
-            userId,
-            req.ip,
-            new Error('Material missing price or unit')
-          );
-          return { success: false, error: 'У материала отсутствует цена или единица измерения' };
-        }
-
-        const dimensions = normalizeDimensions(visibleMaterial.dimensions, visibleMaterial.name);
-        const matLength = dimensions.length;
-        const matWidth = dimensions.width;
-
-        if (matLength <= 0 || matWidth <= 0) {
-          functions.logger.error('Invalid material dimensions', {
-            tabName,
-            materialName: visibleMaterial.name,
-            matLength,
-            matWidth,
-            userId,
-          });
-          await logErrorToFirestore(
-            'calculateMaterials',
-            'computeMaterials',
-            userId,
-            req.ip,
-            new Error('Invalid material dimensions')
-          );
-          return {
-            success: false,
-            error: `Недопустимые размеры материала "${visibleMaterial.name}"`,
-          };
-        }
-
-        const area = (length * height) / 1_000_000;
-        const materialArea = (matLength * matWidth) / 1_000_000;
-        const visibleQuantity = Math.ceil((area / materialArea) * CONFIG.WASTE_FACTOR);
-        const visibleCost = visibleQuantity * visibleMaterial.price;
-
-        results.push({
-          material: visibleMaterial.name,
-          quantity: visibleQuantity,
-          unit: visibleMaterial.unit,
-          cost: visibleCost.toFixed(2),
-          hidden: false,
-        });
-        totalCost += visibleCost;
-
-        const hiddenMaterials = await fetchAllMaterials(
-          `${tabName}:Скрытые`,
-          CONFIG.ITEMS_PER_PAGE,
-          authToken,
-          userId
-        );
-        if (hiddenMaterials.length === 0) {
-          functions.logger.warn(`No hidden materials found for "${tabName}:Скрытые"`, { userId });
-        }
-        for (const hiddenMaterial of hiddenMaterials) {
-          if (!hiddenMaterial.price) {
-            functions.logger.warn('Hidden material missing price', {
+            const cost = costOf(item.quantity, material.price);
+            const resultEntry = {
+              material: material.name,
+              quantity: Math.round(item.quantity * 100) / 100,
+              unit: material.unit,
+              cost: fromKopecks(cost),
+              hidden: material.isHidden || false,
+              category: item.category,
+              trace: buildTrace(material, {
+                inputs: { quantity: item.quantity, category: item.category },
+              }),
+            };
+            results.push(resultEntry);
+            totalCost += cost;
+          } else {
+            functions.logger.warn('Failed to load material', {
               tabName,
-              materialName: hiddenMaterial.name,
+              materialId,
+              category: item.category,
+              error: materialResult.error,
               userId,
             });
-            continue;
           }
+        }
+      }
 
-          const hiddenDimensions = normalizeDimensions(
-            hiddenMaterial.dimensions,
-            hiddenMaterial.name
-          );
-          const railLength = (hiddenDimensions.length || CONFIG.RAIL_DEFAULT_LENGTH) / 1000;
-          if (!hiddenDimensions.length) {
-            functions.logger.info('Using default rail length', {
+      if (furniturePainting === 'yes') {
+        const paintMaterials = await catalog.fetchAllMaterials('Мебель:Покраска мебели');
+        for (const paintMaterial of paintMaterials) {
+          if (!paintMaterial.price) {
+            functions.logger.warn('Paint material missing price', {
               tabName,
-              materialName: hiddenMaterial.name,
-              defaultLength: CONFIG.RAIL_DEFAULT_LENGTH,
+              materialName: paintMaterial.name,
               userId,
             });
+            continue;
           }
-
-          const horizontalCount = Math.ceil(length / CONFIG.RAIL_STEP);
-          const verticalCount = Math.ceil(height / railLength);
-          const railQuantity = horizontalCount * verticalCount * CONFIG.RAIL_WASTE_FACTOR;
-          const railCost = railQuantity * hiddenMaterial.price;
+          const paintQuantity = 1;
+          const paintCost = costOf(paintQuantity, paintMaterial.price);
 
           results.push({
-            material: hiddenMaterial.name,
-            quantity: railQuantity.toFixed(2),
-            unit: hiddenMaterial.unit || 'шт.',
-            cost: railCost.toFixed(2),
-            hidden: true,
+            material: paintMaterial.name,
+            quantity: paintQuantity,
+            unit: paintMaterial.unit || 'л.',
+            cost: fromKopecks(paintCost),
+            hidden: false,
+            category: 'Мебель:Покраска мебели',
+            trace: buildTrace(paintMaterial, {
+              inputs: { quantity: paintQuantity, category: 'Мебель:Покраска мебели' },
+            }),
           });
-          totalCost += railCost;
-        }
-
-        if (insulationType && typeof insulationType === 'string') {
-          const insulationMaterialId = insulationType.split(':')[0];
-          const insulationMaterialResult = await getMaterial(
-            insulationMaterialId,
-            authToken,
-            userId
-          );
-          if (insulationMaterialResult.success) {
-            const insulationMaterial = insulationMaterialResult.material;
-            if (!insulationMaterial.price || !insulationMaterial.unit) {
-              functions.logger.warn('Insulation material missing price or unit', {
-                tabName,
-                materialName: insulationMaterial.name,
-                userId,
-              });
-            } else {
-              const insulationDimensions = normalizeDimensions(
-                insulationMaterial.dimensions,
-                insulationMaterial.name
-              );
-              const insulationArea = (length * height) / 1_000_000;
-              const insulationMatArea =
-                (insulationDimensions.length * insulationDimensions.width) / 1_000_000 || 1;
-              const insulationQuantity = Math.ceil(
-                (insulationArea / insulationMatArea) * CONFIG.WASTE_FACTOR
-              );
-              const insulationCost = insulationQuantity * insulationMaterial.price;
-
-              results.push({
-                material: insulationMaterial.name,
-                quantity: insulationQuantity,
-                unit: insulationMaterial.unit,
-                cost: insulationCost.toFixed(2),
-                hidden: false,
-              });
-              totalCost += insulationCost;
-            }
-          } else {
-            functions.logger.warn('Failed to load insulation material', {
-              tabName,
-              insulationMaterialId,
-              error: insulationMaterialResult.error,
-              userId,
-            });
-          }
+          totalCost += paintCost;
         }
+      }
 
-        if (wallPainting === 'yes') {
-          const paintMaterials = await fetchAllMaterials(
-            `${tabName}:Покраска стен`,
-            CONFIG.ITEMS_PER_PAGE,
-            authToken,
-            userId
-          );
-          for (const paintMaterial of paintMaterials) {
-            if (!paintMaterial.price) {
-              functions.logger.warn('Paint material missing price', {
+      const additionalItems = [
+        { toggle: stoveSide, category: 'Мебель:Бок у печки' },
+        { toggle: countertop, category: 'Мебель:Столешница' },
+      ];
+
+      for (const { toggle, category } of additionalItems) {
+        if (toggle === 'yes') {
+          const materials = await catalog.fetchAllMaterials(category);
+          for (const material of materials) {
+            if (!material.price) {
+              functions.logger.warn('Material missing price', {
                 tabName,
-                materialName: paintMaterial.name,
+                materialName: material.name,
+                category,
                 userId,
               });
               continue;
             }
-            const paintArea = (length * height) / 1_000_000;
-            const paintQuantity = Math.ceil(paintArea / CONFIG.PAINT_COVERAGE);
-            const paintCost = paintQuantity * paintMaterial.price;
-
-            results.push({
-              material: paintMaterial.name,
-              quantity: paintQuantity,
-              unit: paintMaterial.unit || 'л.',
-              cost: paintCost.toFixed(2),
-              hidden: false,
-            });
-            totalCost += paintCost;
+            const quantity = material.quantity || 1;
+            const materialCost = costOf(quantity, material.price);
+            const resultEntry = {
+              material: material.name,
+              quantity: Math.round(quantity * 100) / 100,
+              unit: material.unit || 'шт.',
+              cost: fromKopecks(materialCost),
+              hidden: material.isHidden || false,
+              category,
+              trace: buildTrace(material, { inputs: { quantity, category } }),
+            };
+            results.push(resultEntry);
+            totalCost += materialCost;
           }
         }
+      }
 
-        if (extraMaterials) {
-          const extraResult = await processExtraMaterials(
-            extraMaterials,
-            results,
-            authToken,
-            userId
-          );
-          totalCost += extraResult.totalCost;
-          results.push(...extraResult.results.filter(r => r.hidden));
-        }
-      },
-      'БП стена': async () => {
-        const {
-          length,
-          width: height,
-          finishType,
-          insulationType,
-          wallPainting,
-          extraMaterials,
-        } = data;
+      if (extraMaterials) {
+        const extraResult = await processExtraMaterials(extraMaterials, results, catalog, userId);
+        totalCost += extraResult.totalCost;
+      }
+    },
+    'Доп. параметр': async () => {
+      const { extraMaterials } = data;
+      if (!extraMaterials || !Array.isArray(extraMaterials) || extraMaterials.length === 0) {
+        functions.logger.error('Invalid or empty extraMaterials for tab "Доп. параметр"', {
+          tabName,
+          data,
+          userId,
+        });
+        await logErrorToFirestore(
+          'calculateMaterials',
+          'computeMaterials',
+          userId,
+          ip,
+          new Error('Invalid extraMaterials')
+        );
+        return {
+          success: false,
+          error:
+            'Некорректные данные для вкладки "Доп. параметр": требуется непустой массив extraMaterials',
+        };
+      }
 
-        if (
-          typeof length !== 'number' ||
-          isNaN(length) ||
-          length <= 0 ||
-          typeof height !== 'number' ||
-          isNaN(height) ||
-          height <= 0 ||
-          !finishType ||
-          typeof finishType !== 'string'
-        ) {
-          functions.logger.error('Invalid dimensions or finishType', {
-            tabName,
-            length,
-            height,
-            finishType,
-            userId,
-            data,
-          });
-          await logErrorToFirestore(
-            'calculateMaterials',
-            'computeMaterials',
-            userId,
-            req.ip,
-            new Error('Invalid dimensions or finishType')
-          );
-          return { success: false, error: 'Некорректные размеры или тип отделки' };
-        }
+      const extraResult = await processExtraMaterials(extraMaterials, results, catalog, userId);
+      totalCost += extraResult.totalCost;
+    },
+  };
 
-        const materialId = finishType.split(':')[0];
-        const visibleMaterialResult = await getMaterial(materialId, authToken, userId);
-        if (!visibleMaterialResult.success) {
-          functions.logger.error('Failed to get visible material', {
-            tabName,
-            materialId,
-            error: visibleMaterialResult.error,
-            userId,
-          });
-          await logErrorToFirestore(
-            'calculateMaterials',
-            'computeMaterials',
-            userId,
-            req.ip,
-            new Error(visibleMaterialResult.error)
-          );
-          return visibleMaterialResult;
-        }
-        const visibleMaterial = visibleMaterialResult.material;
+  if (tabHandlers[tabName]) {
+    const result = await tabHandlers[tabName]();
+    if (result && !result.success) {
+      return result;
+    }
+  } else {
+    functions.logger.error('Unsupported tab', { tabName, userId });
+    await logErrorToFirestore(
+      'calculateMaterials',
+      'computeMaterials',
+      userId,
+      ip,
+      new Error(`Unsupported tab: ${tabName}`)
+    );
+    return { success: false, error: `Расчет для вкладки "${tabName}" пока не реализован` };
+  }
 
-        if (!visibleMaterial.price || !visibleMaterial.unit) {
-          functions.logger.error('Material missing price or unit', {
-            tabName,
-            materialName: visibleMaterial.name,
-            userId,
-          });
-          await logErrorToFirestore(
-            'calculateMaterials',
-            'computeMaterials',
-            userId,
-            req.ip,
-            new Error('Material missing price or unit')
-          );
-          return { success: false, error: 'У материала отсутствует цена или единица измерения' };
-        }
+  // Ручные корректировки применяются до работ: объёмы работ следуют исправленным материалам
+  const adjusted = applyTabAdjustments(tabName, results, context.adjustments);
+  results = adjusted.results;
+  totalCost += adjusted.costDelta;
 
-        const dimensions = normalizeDimensions(visibleMaterial.dimensions, visibleMaterial.name);
-        const matLength = dimensions.length;
-        const matWidth = dimensions.width;
+  const labourResult = calculateLabour(await catalog.getLabour(), results, surfaceMetrics);
+  return {
+    success: true,
+    results,
+    warnings: adjusted.warnings,
+    labour: labourResult.labour,
+    materialsCost: totalCost,
+    labourCost: labourResult.totalCost,
+    totalCost: totalCost + labourResult.totalCost,
+  };
+}
 
-        if (matLength <= 0 || matWidth <= 0) {
-          functions.logger.error('Invalid material dimensions', {
-            tabName,
-            materialName: visibleMaterial.name,
-            matLength,
-            matWidth,
-            userId,
-          });
-          await logErrorToFirestore(
-            'calculateMaterials',
-            'computeMaterials',
-            userId,
-            req.ip,
-            new Error('Invalid material dimensions')
-          );
-          return {
-            success: false,
-            error: `Недопустимые размеры материала "${visibleMaterial.name}"`,
-          };
-        }
-
-        const area = (length * height) / 1_000_000;
-        const materialArea = (matLength * matWidth) / 1_000_000;
-        const visibleQuantity = Math.ceil((area / materialArea) * CONFIG.WASTE_FACTOR);
-        const visibleCost = visibleQuantity * visibleMaterial.price;
-
-        results.push({
-          material: visibleMaterial.name,
-          quantity: visibleQuantity,
-          unit: visibleMaterial.unit,
-          cost: visibleCost.toFixed(2),
-          hidden: false,
-        });
-        totalCost += visibleCost;
-
-        const hiddenMaterials = await fetchAllMaterials(
-          `${tabName}:Скрытые`,
-          CONFIG.ITEMS_PER_PAGE,
-          authToken,
-          userId
-        );
-        if (hiddenMaterials.length === 0) {
-          functions.logger.warn(`No hidden materials found for "${tabName}:Скрытые"`, { userId });
-        }
-        for (const hiddenMaterial of hiddenMaterials) {
-          if (!hiddenMaterial.price) {
-            functions.logger.warn('Hidden material missing price', {
-              tabName,
-              materialName: hiddenMaterial.name,
-              userId,
-            });
-            continue;
-          }
-
-          const hiddenDimensions = normalizeDimensions(
-            hiddenMaterial.dimensions,
-            hiddenMaterial.name
-          );
-          const railLength = (hiddenDimensions.length || CONFIG.RAIL_DEFAULT_LENGTH) / 1000;
-          if (!hiddenDimensions.length) {
-            functions.logger.info('Using default rail length', {
-              tabName,
-              materialName: hiddenMaterial.name,
-              defaultLength: CONFIG.RAIL_DEFAULT_LENGTH,
-              userId,
-            });
-          }
-
-          const horizontalCount = Math.ceil(length / CONFIG.RAIL_STEP);
-          const verticalCount = Math.ceil(height / railLength);
-          const railQuantity = horizontalCount * verticalCount * CONFIG.RAIL_WASTE_FACTOR;
-          const railCost = railQuantity * hiddenMaterial.price;
-
-          results.push({
-            material: hiddenMaterial.name,
-            quantity: railQuantity.toFixed(2),
-            unit: hiddenMaterial.unit || 'шт.',
-            cost: railCost.toFixed(2),
-            hidden: true,
-          });
-          totalCost += railCost;
-        }
-
-        if (insulationType && typeof insulationType === 'string') {
-          const insulationMaterialId = insulationType.split(':')[0];
-          const insulationMaterialResult = await getMaterial(
-            insulationMaterialId,
-            authToken,
-            userId
-          );
-          if (insulationMaterialResult.success) {
-            const insulationMaterial = insulationMaterialResult.material;
-            if (!insulationMaterial.price || !insulationMaterial.unit) {
-              functions.logger.warn('Insulation material missing price or unit', {
-                tabName,
-                materialName: insulationMaterial.name,
-                userId,
-              });
-            } else {
-              const insulationDimensions = normalizeDimensions(
-                insulationMaterial.dimensions,
-                insulationMaterial.name
-              );
-              const insulationArea = (length * height) / 1_000_000;
-              const insulationMatArea =
-                (insulationDimensions.length * insulationDimensions.width) / 1_000_000 || 1;
-              const insulationQuantity = Math.ceil(
-                (insulationArea / insulationMatArea) * CONFIG.WASTE_FACTOR
-              );
-              const insulationCost = insulationQuantity * insulationMaterial.price;
-
-              results.push({
-                material: insulationMaterial.name,
-                quantity: insulationQuantity,
-                unit: insulationMaterial.unit,
-                cost: insulationCost.toFixed(2),
-                hidden: false,
-              });
-              totalCost += insulationCost;
-            }
-          } else {
-            functions.logger.warn('Failed to load insulation material', {
-              tabName,
-              insulationMaterialId,
-              error: insulationMaterialResult.error,
-              userId,
-            });
-          }
-        }
-
-        if (wallPainting === 'yes') {
-          const paintMaterials = await fetchAllMaterials(
-            `${tabName}:Покраска стен`,
-            CONFIG.ITEMS_PER_PAGE,
-            authToken,
-            userId
-          );
-          for (const paintMaterial of paintMaterials) {
-            if (!paintMaterial.price) {
-              functions.logger.warn('Paint material missing price', {
-                tabName,
-                materialName: paintMaterial.name,
-                userId,
-              });
-              continue;
-            }
-            const paintArea = (length * height) / 1_000_000;
-            const paintQuantity = Math.ceil(paintArea / CONFIG.PAINT_COVERAGE);
-            const paintCost = paintQuantity * paintMaterial.price;
-
-            results.push({
-              material: paintMaterial.name,
-              quantity: paintQuantity,
-              unit: paintMaterial.unit || 'л.',
-              cost: paintCost.toFixed(2),
-              hidden: false,
-            });
-            totalCost += paintCost;
-          }
-        }
-
-        if (extraMaterials) {
-          const extraResult = await processExtraMaterials(
-            extraMaterials,
-            results,
-            authToken,
-            userId
-          );
-          totalCost += extraResult.totalCost;
-          results.push(...extraResult.results.filter(r => r.hidden));
-        }
-      },
-      Потолок: async () => {
-        const {
-          length,
-          width: height,
-          finishType,
-          insulationType,
-          ceilingPainting,
-          extraMaterials,
-        } = data;
-
-        if (
-          typeof length !== 'number' ||
-          isNaN(length) ||
-          length <= 0 ||
-          typeof height !== 'number' ||
-          isNaN(height) ||
-          height <= 0 ||
-          !finishType ||
-          typeof finishType !== 'string'
-        ) {
-          functions.logger.error('Invalid dimensions or finishType', {
-            tabName,
-            length,
-            height,
-            finishType,
-            userId,
-            data,
-          });
-          await logErrorToFirestore(
-            'calculateMaterials',
-            'computeMaterials',
-            userId,
-            req.ip,
-            new Error('Invalid dimensions or finishType')
-          );
-          return { success: false, error: 'Некорректные размеры или тип отделки' };
-        }
-
-        const materialId = finishType.split(':')[0];
-        const visibleMaterialResult = await getMaterial(materialId, authToken, userId);
-        if (!visibleMaterialResult.success) {
-          functions.logger.error('Failed to get visible material', {
-            tabName,
-            materialId,
-            error: visibleMaterialResult.error,
-            userId,
-          });
-          await logErrorToFirestore(
-            'calculateMaterials',
-            'computeMaterials',
-            userId,
-            req.ip,
-            new Error(visibleMaterialResult.error)
-          );
-          return visibleMaterialResult;
-        }
-        const visibleMaterial = visibleMaterialResult.material;
-
-        if (!visibleMaterial.price || !visibleMaterial.unit) {
-          functions.logger.error('Material missing price or unit', {
-            tabName,
-            materialName: visibleMaterial.name,
-            userId,
-          });
-          await logErrorToFirestore(
-            'calculateMaterials',
-            'computeMaterials',
-            userId,
-            req.ip,
-            new Error('Material missing price or unit')
-          );
-          return { success: false, error: 'У материала отсутствует цена или единица измерения' };
-        }
-
-        const dimensions = normalizeDimensions(visibleMaterial.dimensions, visibleMaterial.name);
-        const matLength = dimensions.length;
-        const matWidth = dimensions.width;
-
-        if (matLength <= 0 || matWidth <= 0) {
-          functions.logger.error('Invalid material dimensions', {
-            tabName,
-            materialName: visibleMaterial.name,
-            matLength,
-            matWidth,
-            userId,
-          });
-          await logErrorToFirestore(
-            'calculateMaterials',
-            'computeMaterials',
-            userId,
-            req.ip,
-            new Error('Invalid material dimensions')
-          );
-          return {
-            success: false,
-            error: `Недопустимые размеры материала "${visibleMaterial.name}"`,
-          };
-        }
-
-        const area = (length * height) / 1_000_000;
-        const materialArea = (matLength * matWidth) / 1_000_000;
-        const visibleQuantity = Math.ceil((area / materialArea) * CONFIG.WASTE_FACTOR);
-        const visibleCost = visibleQuantity * visibleMaterial.price;
-
-        results.push({
-          material: visibleMaterial.name,
-          quantity: visibleQuantity,
-          unit: visibleMaterial.unit,
-          cost: visibleCost.toFixed(2),
-          hidden: false,
-        });
-        totalCost += visibleCost;
-
-        const hiddenMaterials = await fetchAllMaterials(
-          `${tabName}:Скрытые`,
-          CONFIG.ITEMS_PER_PAGE,
-          authToken,
-          userId
-        );
-        if (hiddenMaterials.length === 0) {
-          functions.logger.warn(`No hidden materials found for "${tabName}:Скрытые"`, { userId });
-        }
-        for (const hiddenMaterial of hiddenMaterials) {
-          if (!hiddenMaterial.price) {
-            functions.logger.warn('Hidden material missing price', {
-              tabName,
-              materialName: hiddenMaterial.name,
-              userId,
-            });
-            continue;
-          }
-
-          const hiddenDimensions = normalizeDimensions(
-            hiddenMaterial.dimensions,
-            hiddenMaterial.name
-          );
-          const railLength = (hiddenDimensions.length || CONFIG.RAIL_DEFAULT_LENGTH) / 1000;
-          if (!hiddenDimensions.length) {
-            functions.logger.info('Using default rail length', {
-              tabName,
-              materialName: hiddenMaterial.name,
-              defaultLength: CONFIG.RAIL_DEFAULT_LENGTH,
-              userId,
-            });
-          }
-
-          const horizontalCount = Math.ceil(length / CONFIG.RAIL_STEP);
-          const verticalCount = Math.ceil(height / railLength);
-          const railQuantity = horizontalCount * verticalCount * CONFIG.RAIL_WASTE_FACTOR;
-          const railCost = railQuantity * hiddenMaterial.price;
-
-          results.push({
-            material: hiddenMaterial.name,
-            quantity: railQuantity.toFixed(2),
-            unit: hiddenMaterial.unit || 'шт.',
-            cost: railCost.toFixed(2),
-            hidden: true,
-          });
-          totalCost += railCost;
-        }
-
-        if (insulationType && typeof insulationType === 'string') {
-          const insulationMaterialId = insulationType.split(':')[0];
-          const insulationMaterialResult = await getMaterial(
-            insulationMaterialId,
-            authToken,
-            userId
-          );
-          if (insulationMaterialResult.success) {
-            const insulationMaterial = insulationMaterialResult.material;
-            if (!insulationMaterial.price || !insulationMaterial.unit) {
-              functions.logger.warn('Insulation material missing price or unit', {
-                tabName,
-                materialName: insulationMaterial.name,
-                userId,
-              });
-            } else {
-              const insulationDimensions = normalizeDimensions(
-                insulationMaterial.dimensions,
-                insulationMaterial.name
-              );
-              const insulationArea = (length * height) / 1_000_000;
-              const insulationMatArea =
-                (insulationDimensions.length * insulationDimensions.width) / 1_000_000 || 1;
-              const insulationQuantity = Math.ceil(
-                (insulationArea / insulationMatArea) * CONFIG.WASTE_FACTOR
-              );
-              const insulationCost = insulationQuantity * insulationMaterial.price;
-
-              results.push({
-                material: insulationMaterial.name,
-                quantity: insulationQuantity,
-                unit: insulationMaterial.unit,
-                cost: insulationCost.toFixed(2),
-                hidden: false,
-              });
-              totalCost += insulationCost;
-            }
-          } else {
-            functions.logger.warn('Failed to load insulation material', {
-              tabName,
-              insulationMaterialId,
-              error: insulationMaterialResult.error,
-              userId,
-            });
-          }
-        }
-
-        if (ceilingPainting === 'yes') {
-          const paintMaterials = await fetchAllMaterials(
-            `${tabName}:Покраска потолка`,
-            CONFIG.ITEMS_PER_PAGE,
-            authToken,
-            userId
-          );
-          for (const paintMaterial of paintMaterials) {
-            if (!paintMaterial.price) {
-              functions.logger.warn('Paint material missing price', {
-                tabName,
-                materialName: paintMaterial.name,
-                userId,
-              });
-              continue;
-            }
-            const paintArea = (length * height) / 1_000_000;
-            const paintQuantity = Math.ceil(paintArea / CONFIG.PAINT_COVERAGE);
-            const paintCost = paintQuantity * paintMaterial.price;
-
-            results.push({
-              material: paintMaterial.name,
-              quantity: paintQuantity,
-              unit: paintMaterial.unit || 'л.',
-              cost: paintCost.toFixed(2),
-              hidden: false,
-            });
-            totalCost += paintCost;
-          }
-        }
-
-        if (extraMaterials) {
-          const extraResult = await processExtraMaterials(
-            extraMaterials,
-            results,
-            authToken,
-            userId
-          );
-          totalCost += extraResult.totalCost;
-          results.push(...extraResult.results.filter(r => r.hidden));
-        }
-      },
-      Полы: async () => {
-        const { length, width: height, finishType, insulationType, extraMaterials } = data;
-
-        if (
-          typeof length !== 'number' ||
-          isNaN(length) ||
-          length <= 0 ||
-          typeof height !== 'number' ||
-          isNaN(height) ||
-          height <= 0 ||
-          !finishType ||
-          typeof finishType !== 'string'
-        ) {
-          functions.logger.error('Invalid dimensions or finishType', {
-            tabName,
-            length,
-            height,
-            finishType,
-            userId,
-            data,
-          });
-          await logErrorToFirestore(
-            'calculateMaterials',
-            'computeMaterials',
-            userId,
-            req.ip,
-            new Error('Invalid dimensions or finishType')
-          );
-          return { success: false, error: 'Некорректные размеры или тип отделки' };
-        }
-
-        const materialId = finishType.split(':')[0];
-        const visibleMaterialResult = await getMaterial(materialId, authToken, userId);
-        if (!visibleMaterialResult.success) {
-          functions.logger.error('Failed to get visible material', {
-            tabName,
-            materialId,
-            error: visibleMaterialResult.error,
-            userId,
-          });
-          await logErrorToFirestore(
-            'calculateMaterials',
-            'computeMaterials',
-            userId,
-            req.ip,
-            new Error(visibleMaterialResult.error)
-          );
-          return visibleMaterialResult;
-        }
-        const visibleMaterial = visibleMaterialResult.material;
-
-        if (!visibleMaterial.price || !visibleMaterial.unit) {
-          functions.logger.error('Material missing price or unit', {
-            tabName,
-            materialName: visibleMaterial.name,
-            userId,
-          });
-          await logErrorToFirestore(
-            'calculateMaterials',
-            'computeMaterials',
-            userId,
-            req.ip,
-            new Error('Material missing price or unit')
-          );
-          return { success: false, error: 'У материала отсутствует цена или единица измерения' };
-        }
-
-        const dimensions = normalizeDimensions(visibleMaterial.dimensions, visibleMaterial.name);
-        const matLength = dimensions.length;
-        const matWidth = dimensions.width;
-
-        if (matLength <= 0 || matWidth <= 0) {
-          functions.logger.error('Invalid material dimensions', {
-            tabName,
-            materialName: visibleMaterial.name,
-            matLength,
-            matWidth,
-            userId,
-          });
-          await logErrorToFirestore(
-            'calculateMaterials',
-            'computeMaterials',
-            userId,
-            req.ip,
-            new Error('Invalid material dimensions')
-          );
-          return {
-            success: false,
-            error: `Недопустимые размеры материала "${visibleMaterial.name}"`,
-          };
-        }
-
-        const area = (length * height) / 1_000_000;
-        const materialArea = (matLength * matWidth) / 1_000_000;
-        const visibleQuantity = Math.ceil((area / materialArea) * CONFIG.WASTE_FACTOR);
-        const visibleCost = visibleQuantity * visibleMaterial.price;
-
-        results.push({
-          material: visibleMaterial.name,
-          quantity: visibleQuantity,
-          unit: visibleMaterial.unit,
-          cost: visibleCost.toFixed(2),
-          hidden: false,
-        });
-        totalCost += visibleCost;
-
-        const hiddenMaterials = await fetchAllMaterials(
-          `${tabName}:Скрытые`,
-          CONFIG.ITEMS_PER_PAGE,
-          authToken,
-          userId
-        );
-        if (hiddenMaterials.length === 0) {
-          functions.logger.warn(`No hidden materials found for "${tabName}:Скрытые"`, { userId });
-        }
-        for (const hiddenMaterial of hiddenMaterials) {
-          if (!hiddenMaterial.price) {
-            functions.logger.warn('Hidden material missing price', {
-              tabName,
-              materialName: hiddenMaterial.name,
-              userId,
-            });
-            continue;
-          }
-
-          const hiddenDimensions = normalizeDimensions(
-            hiddenMaterial.dimensions,
-            hiddenMaterial.name
-          );
-          const railLength = (hiddenDimensions.length || CONFIG.RAIL_DEFAULT_LENGTH) / 1000;
-          if (!hiddenDimensions.length) {
-            functions.logger.info('Using default rail length', {
-              tabName,
-              materialName: hiddenMaterial.name,
-              defaultLength: CONFIG.RAIL_DEFAULT_LENGTH,
-              userId,
-            });
-          }
-
-          const horizontalCount = Math.ceil(length / CONFIG.RAIL_STEP);
-          const verticalCount = Math.ceil(height / railLength);
-          const railQuantity = horizontalCount * verticalCount * CONFIG.RAIL_WASTE_FACTOR;
-          const railCost = railQuantity * hiddenMaterial.price;
-
-          results.push({
-            material: hiddenMaterial.name,
-            quantity: railQuantity.toFixed(2),
-            unit: hiddenMaterial.unit || 'шт.',
-            cost: railCost.toFixed(2),
-            hidden: true,
-          });
-          totalCost += railCost;
-        }
-
-        if (insulationType && typeof insulationType === 'string') {
-          const insulationMaterialId = insulationType.split(':')[0];
-          const insulationMaterialResult = await getMaterial(
-            insulationMaterialId,
-            authToken,
-            userId
-          );
-          if (insulationMaterialResult.success) {
-            const insulationMaterial = insulationMaterialResult.material;
-            if (!insulationMaterial.price || !insulationMaterial.unit) {
-              functions.logger.warn('Insulation material missing price or unit', {
-                tabName,
-                materialName: insulationMaterial.name,
-                userId,
-              });
-            } else {
-              const insulationDimensions = normalizeDimensions(
-                insulationMaterial.dimensions,
-                insulationMaterial.name
-              );
-              const insulationArea = (length * height) / 1_000_000;
-              const insulationMatArea =
-                (insulationDimensions.length * insulationDimensions.width) / 1_000_000 || 1;
-              const insulationQuantity = Math.ceil(
-                (insulationArea / insulationMatArea) * CONFIG.WASTE_FACTOR
-              );
-              const insulationCost = insulationQuantity * insulationMaterial.price;
-
-              results.push({
-                material: insulationMaterial.name,
-                quantity: insulationQuantity,
-                unit: insulationMaterial.unit,
-                cost: insulationCost.toFixed(2),
-                hidden: false,
-              });
-              totalCost += insulationCost;
-            }
-          } else {
-            functions.logger.warn('Failed to load insulation material', {
-              tabName,
-              insulationMaterialId,
-              error: insulationMaterialResult.error,
-              userId,
-            });
-          }
-        }
-
-        if (extraMaterials) {
-          const extraResult = await processExtraMaterials(
-            extraMaterials,
-            results,
-            authToken,
-            userId
-          );
-          totalCost += extraResult.totalCost;
-          results.push(...extraResult.results.filter(r => r.hidden));
-        }
-      },
-      'На заезд': async () => {
-        const { entryListToggle, entryFastenersToggle, entryTilingToggle, extraMaterials } = data;
-
-        if (
-          typeof entryListToggle !== 'string' ||
-          typeof entryFastenersToggle !== 'string' ||
-          typeof entryTilingToggle !== 'string'
-        ) {
-          functions.logger.error('Invalid data for tab "На заезд"', { tabName, data, userId });
-          await logErrorToFirestore(
-            'calculateMaterials',
-            'computeMaterials',
-            userId,
-            req.ip,
-            new Error('Invalid data for На заезд')
-          );
-          return { success: false, error: 'Некорректные данные для вкладки "На заезд"' };
-        }
-
-        const categoriesToCheck = [
-          { toggle: entryListToggle, category: 'На заезд:Список на заезд' },
-          { toggle: entryFastenersToggle, category: 'На заезд:Крепеж' },
-          { toggle: entryTilingToggle, category: 'На заезд:Плиточные работы' },
-        ];
-
-        for (const { toggle, category } of categoriesToCheck) {
-          if (toggle === 'yes') {
-            const materials = await fetchAllMaterials(
-              category,
-              CONFIG.ITEMS_PER_PAGE,
-              authToken,
-              userId
-            );
-            if (materials.length === 0) {
-              functions.logger.warn(`No materials found for "${category}"`, { userId });
-              continue;
-            }
-            for (const material of materials) {
-              if (!material.price) {
-                functions.logger.warn('Material missing price', {
-                  tabName,
-                  materialName: material.name,
-                  category,
-                  userId,
-                });
-                continue;
-              }
-              const quantity = material.quantity || 1;
-              const materialCost = quantity * material.price;
-              const resultEntry = {
-                material: material.name,
-                quantity: quantity.toFixed(2),
-                unit: material.unit || 'шт.',
-                cost: materialCost.toFixed(2),
-                hidden: material.isHidden || false,
-              };
-              if (!material.isHidden) {
-                results.push(resultEntry);
-              }
-              totalCost += materialCost;
-            }
-          }
-        }
-
-        if (extraMaterials) {
-          const extraResult = await processExtraMaterials(
-            extraMaterials,
-            results,
-            authToken,
-            userId
-          );
-          totalCost += extraResult.totalCost;
-          results.push(...extraResult.results.filter(r => r.hidden));
-        }
-      },
-      Остекление: async () => {
-        functions.logger.info(`Processing glazing for tab "${tabName}"`, { userId });
-        const {
-          glazingType,
-          frameType,
-          exteriorFinish,
-          balconyBlock,
-          windowType,
-          windowSlopes,
-          sillType,
-          roofType,
-          windowQuantity,
-          extraMaterials,
-        } = data;
-
-        if (
-          !windowType ||
-          typeof windowQuantity !== 'number' ||
-          isNaN(windowQuantity) ||
-          windowQuantity <= 0
-        ) {
-          functions.logger.error('Invalid data for tab "Остекление"', {
-            tabName,
-            windowType,
-            windowQuantity,
-            userId,
-            data,
-          });
-          await logErrorToFirestore(
-            'calculateMaterials',
-            'computeMaterials',
-            userId,
-            req.ip,
-            new Error('Invalid data for Остекление')
-          );
-          return {
-            success: false,
-            error:
-              'Некорректные данные для вкладки "Остекление": требуется windowType и windowQuantity',
-          };
-        }
-
-        const validVariants = [
-          'Балкон 3м.',
-          'Балкон 6м.',
-          'Лоджия 3м.',
-          'Лоджия 6м.',
-          'Окно 1.5м. кирпич',
-        ];
-        if (!validVariants.includes(windowType)) {
-          functions.logger.error('Invalid windowType', { tabName, windowType, userId });
-          await logErrorToFirestore(
-            'calculateMaterials',
-            'computeMaterials',
-            userId,
-            req.ip,
-            new Error(`Invalid windowType: ${windowType}`)
-          );
-          return { success: false, error: `Недопустимый вариант окна: ${windowType}` };
-        }
-
-        const glazingCategories = [
-          { value: glazingType, category: 'Остекление:Что делаем' },
-          { value: frameType, category: 'Остекление:Основная рама' },
-          { value: exteriorFinish, category: 'Остекление:Наружная отделка' },
-          { value: balconyBlock, category: 'Остекление:Замена балконного блока' },
-          { value: windowType, category: 'Остекление:Окно' },
-          { value: windowSlopes, category: 'Остекление:Откосы для окон' },
-          { value: sillType, category: 'Остекление:Подоконники' },
-          { value: roofType, category: 'Остекление:Крыша' },
-        ];
-
-        for (const { value, category } of glazingCategories) {
-          if (value && value !== 'no') {
-            let materialId;
-            if (category === 'Остекление:Окно') {
-              const materials = await fetchAllMaterials(
-                category,
-                CONFIG.ITEMS_PER_PAGE,
-                authToken,
-                userId
-              );
-              const windowMaterial = materials.find(mat => mat.name === value);
-              if (!windowMaterial) {
-                functions.logger.warn('Material not found for windowType', {
-                  tabName,
-                  windowType: value,
-                  category,
-                  userId,
-                });
-                continue;
-              }
-              materialId = windowMaterial.id;
-            } else {
-              materialId = value.split(':')[0];
-            }
-
-            const materialResult = await getMaterial(materialId, authToken, userId);
-            if (!materialResult.success) {
-              functions.logger.warn('Failed to get material', {
-                tabName,
-                materialId,
-                category,
-                error: materialResult.error,
-                userId,
-              });
-              continue;
-            }
-
-            const material = materialResult.material;
-            if (!material.price || !material.unit) {
-              functions.logger.warn('Material missing price or unit', {
-                tabName,
-                materialName: material.name,
-                category,
-                userId,
-              });
-              continue;
-            }
-
-            const quantity = category === 'Остекление:Окно' ? windowQuantity : 1;
-            const cost = quantity * material.price;
-
-            const resultEntry = {
-              material: material.name,
-              quantity: quantity.toFixed(2),
-              unit: material.unit,
-              cost: cost.toFixed(2),
-              hidden: material.isHidden || false,
-            };
-            if (!material.isHidden) {
-              results.push(resultEntry);
-            }
-            totalCost += cost;
-
-            if (category === 'Остекление:Окно') {
-              const hiddenCategory = `${category}:${value}:Скрытые`;
-              const hiddenMaterials = await fetchAllMaterials(
-                hiddenCategory,
-                CONFIG.ITEMS_PER_PAGE,
-                authToken,
-                userId
-              );
-              for (const hiddenMaterial of hiddenMaterials) {
-                if (!hiddenMaterial.price) {
-                  functions.logger.warn('Hidden material missing price', {
-                    tabName,
-                    materialName: hiddenMaterial.name,
-                    category: hiddenCategory,
-                    userId,
-                  });
-                  continue;
-                }
-                const hiddenQuantity = windowQuantity;
-                const hiddenCost = hiddenQuantity * hiddenMaterial.price;
-
-                results.push({
-                  material: hiddenMaterial.name,
-                  quantity: hiddenQuantity.toFixed(2),
-                  unit: hiddenMaterial.unit || 'шт.',
-                  cost: hiddenCost.toFixed(2),
-                  hidden: true,
-                });
-                totalCost += hiddenCost;
-              }
-            }
-          }
-        }
-
-        if (extraMaterials) {
-          const extraResult = await processExtraMaterials(
-            extraMaterials,
-            results,
-            authToken,
-            userId
-          );
-          totalCost += extraResult.totalCost;
-          results.push(...extraResult.results.filter(r => r.hidden));
-        }
-      },
-      Электрика: async () => {
-        const {
-          cableType,
-          cableQuantity,
-          switchType,
-          switchQuantity,
-          socketType,
-          socketQuantity,
-          spotType,
-          spotQuantity,
-          extraMaterials,
-        } = data;
-
-        const electricItems = [
-          { type: cableType, quantity: cableQuantity, category: 'Электрика:Кабель' },
-          { type: switchType, quantity: switchQuantity, category: 'Электрика:Выключатель' },
-          { type: socketType, quantity: socketQuantity, category: 'Электрика:Розетка' },
-          { type: spotType, quantity: spotQuantity, category: 'Электрика:Спот' },
-        ];
-
-        for (const item of electricItems) {
-          if (
-            item.type &&
-            typeof item.quantity === 'number' &&
-            !isNaN(item.quantity) &&
-            item.quantity > 0
-          ) {
-            const materialId = item.type.split(':')[0];
-            const materialResult = await getMaterial(materialId, authToken, userId);
-            if (materialResult.success) {
-              const material = materialResult.material;
-              if (!material.price || !material.unit) {
-                functions.logger.warn('Material missing price or unit', {
-                  tabName,
-                  materialName: material.name,
-                  category: item.category,
-                  userId,
-                });
-                continue;
-              }
-              const cost = item.quantity * material.price;
-              const resultEntry = {
-                material: material.name,
-                quantity: item.quantity.toFixed(2),
-                unit: material.unit,
-                cost: cost.toFixed(2),
-                hidden: material.isHidden || false,
-              };
-              if (!material.isHidden) {
-                results.push(resultEntry);
-              }
-              totalCost += cost;
-            } else {
-              functions.logger.warn('Failed to load material', {
-                tabName,
-                materialId,
-                category: item.category,
-                error: materialResult.error,
-                userId,
-              });
-            }
-          }
-        }
-
-        if (extraMaterials) {
-          const extraResult = await processExtraMaterials(
-            extraMaterials,
-            results,
-            authToken,
-            userId
-          );
-          totalCost += extraResult.totalCost;
-          results.push(...extraResult.results.filter(r => r.hidden));
-        }
-      },
-      Мебель: async () => {
-        const {
-          furnitureMaterial,
-          furniturePainting,
-          shelfTopMaterial,
-          shelfTopQuantity,
-          shelfBottomMaterial,
-          shelfBottomQuantity,
-          stoveSide,
-          countertop,
-          extraMaterials,
-        } = data;
-
-        const furnitureItems = [
-          { type: furnitureMaterial, quantity: 1, category: 'Мебель:Материал мебели' },
-          { type: shelfTopMaterial, quantity: shelfTopQuantity, category: 'Мебель:Полки Верх' },
-          {
-            type: shelfBottomMaterial,
-            quantity: shelfBottomQuantity,
-            category: 'Мебель:Полки Низ',
-          },
-        ];
-
-        for (const item of furnitureItems) {
-          if (
-            item.type &&
-            typeof item.quantity === 'number' &&
-            !isNaN(item.quantity) &&
-            item.quantity > 0
-          ) {
-            const materialId = item.type.split(':')[0];
-            const materialResult = await getMaterial(materialId, authToken, userId);
-            if (materialResult.success) {
-              const material = materialResult.material;
-              if (!material.price || !material.unit) {
-                functions.logger.warn('Material missing price or unit', {
-                  tabName,
-                  materialName: material.name,
-                  category: item.category,
-                  userId,
-                });
-                continue;
-              }
-              const cost = item.quantity * material.price;
-              const resultEntry = {
-                material: material.name,
-                quantity: item.quantity.toFixed(2),
-                unit: material.unit,
-                cost: cost.toFixed(2),
-                hidden: material.isHidden || false,
-              };
-              if (!material.isHidden) {
-                results.push(resultEntry);
-              }
-              totalCost += cost;
-            } else {
-              functions.logger.warn('Failed to load material', {
-                tabName,
-                materialId,
-                category: item.category,
-                error: materialResult.error,
-                userId,
-              });
-            }
-          }
-        }
-
-        if (furniturePainting === 'yes') {
-          const paintMaterials = await fetchAllMaterials(
-            'Мебель:Покраска мебели',
-            CONFIG.ITEMS_PER_PAGE,
-            authToken,
-            userId
-          );
-          for (const paintMaterial of paintMaterials) {
-            if (!paintMaterial.price) {
-              functions.logger.warn('Paint material missing price', {
-                tabName,
-                materialName: paintMaterial.name,
-                userId,
-              });
-              continue;
-            }
-            const paintQuantity = 1;
-            const paintCost = paintQuantity * paintMaterial.price;
-
-            results.push({
-              material: paintMaterial.name,
-              quantity: paintQuantity,
-              unit: paintMaterial.unit || 'л.',
-              cost: paintCost.toFixed(2),
-              hidden: false,
-            });
-            totalCost += paintCost;
-          }
-        }
+/**
+ * Вычисляет материалы и стоимость для указанной вкладки.
+ * @param {Object} req - HTTP-запрос.
+ * @returns {Promise<Object>} Результат расчёта.
+ */
+async function calculateMaterials(req) {
+  const startTime = Date.now();
+  let userId = req.body.userId || req.user?.uid || 'unauthenticated';
+  const authToken = req.headers.authorization || '';
+  const { tabName, data, geometry: rawGeometry, discount = null } = req.body;
 
-        const additionalItems = [
-          { toggle: stoveSide, category: 'Мебель:Бок у печки' },
-          { toggle: countertop, category: 'Мебель:Столешница' },
-        ];
+  functions.logger.info(`Processing request for tab "${tabName}"`, {
+    userId,
+    timestamp: new Date().toISOString(),
+    authToken: authToken ? '[provided]' : '[missing]',
+  });
 
-        for (const { toggle, category } of additionalItems) {
-          if (toggle === 'yes') {
-            const materials = await fetchAllMaterials(
-              category,
-              CONFIG.ITEMS_PER_PAGE,
-              authToken,
-              userId
-            );
-            for (const material of materials) {
-              if (!material.price) {
-                functions.logger.warn('Material missing price', {
-                  tabName,
-                  materialName: material.name,
-                  category,
-                  userId,
-                });
-                continue;
-              }
-              const quantity = material.quantity || 1;
-              const materialCost = quantity * material.price;
-              const resultEntry = {
-                material: material.name,
-                quantity: quantity.toFixed(2),
-                unit: material.unit || 'шт.',
-                cost: materialCost.toFixed(2),
-                hidden: material.isHidden || false,
-              };
-              if (!material.isHidden) {
-                results.push(resultEntry);
-              }
-              totalCost += materialCost;
-            }
-          }
-        }
+  try {
+    // Валидация authToken
+    if (!authToken || typeof authToken !== 'string') {
+      functions.logger.error('Missing or invalid authToken', { userId });
+      await logErrorToFirestore(
+        'calculateMaterials',
+        'computeMaterials',
+        userId,
+        req.ip,
+        new Error('Missing authToken')
+      );
+      return { success: false, error: 'authToken is required and must be a string' };
+    }
 
-        if (extraMaterials) {
-          const extraResult = await processExtraMaterials(
-            extraMaterials,
-            results,
-            authToken,
-            userId
-          );
-          totalCost += extraResult.totalCost;
-          results.push(...extraResult.results.filter(r => r.hidden));
-        }
-      },
-      'Доп. параметр': async () => {
-        const { extraMaterials } = data;
-        if (!extraMaterials || !Array.isArray(extraMaterials) || extraMaterials.length === 0) {
-          functions.logger.error('Invalid or empty extraMaterials for tab "Доп. параметр"', {
-            tabName,
-            data,
-            userId,
-          });
-          await logErrorToFirestore(
-            'calculateMaterials',
-            'computeMaterials',
-            userId,
-            req.ip,
-            new Error('Invalid extraMaterials')
-          );
-          return {
-            success: false,
-            error:
-              'Некорректные данные для вкладки "Доп. параметр": требуется непустой массив extraMaterials',
-          };
-        }
+    // Валидация userId
+    if (!userId || typeof userId !== 'string') {
+      functions.logger.warn('userId is missing or invalid, using default', { userId });
+      userId = 'unauthenticated';
+    }
 
-        const extraResult = await processExtraMaterials(extraMaterials, results, authToken, userId);
-        totalCost += extraResult.totalCost;
-        results.push(...extraResult.results.filter(r => r.hidden));
-      },
-    };
+    // Валидация базовых входных данных
+    if (!tabName || !data || typeof tabName !== 'string' || typeof data !== 'object') {
+      functions.logger.error('Missing or invalid tabName or data', { tabName, data, userId });
+      await logErrorToFirestore(
+        'calculateMaterials',
+        'computeMaterials',
+        userId,
+        req.ip,
+        new Error('Invalid tabName or data')
+      );
+      return {
+        success: false,
+        error: 'tabName и data обязательны и должны быть строкой и объектом соответственно',
+      };
+    }
 
-    if (tabHandlers[tabName]) {
-      const result = await tabHandlers[tabName]();
-      if (!result.success) {
-        return result;
+    let geometry = null;
+    if (rawGeometry !== undefined && rawGeometry !== null) {
+      const geometryResult = validateGeometry(rawGeometry);
+      if (!geometryResult.success) {
+        functions.logger.error('Invalid geometry', { geometry: rawGeometry, userId });
+        await logErrorToFirestore(
+          'calculateMaterials',
+          'computeMaterials',
+          userId,
+          req.ip,
+          new Error(geometryResult.error)
+        );
+        return { success: false, error: geometryResult.error };
       }
-    } else {
-      functions.logger.error('Unsupported tab', { tabName, userId });
+      geometry = geometryResult.geometry;
+    }
+
+    const discountValidation = validateDiscount(discount);
+    if (!discountValidation.success) {
+      functions.logger.error('Invalid discount', { discount, userId });
       await logErrorToFirestore(
         'calculateMaterials',
         'computeMaterials',
         userId,
         req.ip,
-        new Error(`Unsupported tab: ${tabName}`)
+        new Error(discountValidation.error)
       );
-      return { success: false, error: `Расчет для вкладки "${tabName}" пока не реализован` };
+      return { success: false, error: discountValidation.error };
     }
 
+    const tabData = applyGeometry(tabName, data, geometry);
+    const catalog = createCatalog(authToken, userId);
+    const [settings] = await Promise.all([
+      loadPricingSettings(userId),
+      catalog.preload([collectTabRequirements(tabName, tabData)]),
+    ]);
+    const tabResult = await computeTab(tabName, tabData, {
+      catalog,
+      userId,
+      ip: req.ip,
+    });
+    if (!tabResult.success) {
+      return tabResult;
+    }
+    const { results, labour, materialsCost, labourCost, totalCost } = tabResult;
+    const pricing = applyPricing([{ results, labour }], { ...settings, discount });
+
     functions.logger.info('Calculation completed', {
       tabName,
       resultsCount: results.length,
-      totalCost: totalCost.toFixed(2),
+      totalCost: fromKopecks(totalCost),
       userId,
       duration: `${Date.now() - startTime}ms`,
     });
@@ -2240,7 +1825,7 @@ async function calculateMaterials(req) {
       userId,
       tabName,
       success: true,
-      totalCost: totalCost.toFixed(2),
+      totalCost: fromKopecks(totalCost),
       resultsCount: results.length,
       timestamp: admin.firestore.FieldValue.serverTimestamp(),
     });
@@ -2248,7 +1833,11 @@ async function calculateMaterials(req) {
     return {
       success: true,
       results,
-      totalCost: totalCost.toFixed(2),
+      labour,
+      materialsCost: fromKopecks(materialsCost),
+      labourCost: fromKopecks(labourCost),
+      totalCost: fromKopecks(totalCost),
+      pricing: formatPricingSummary(pricing),
     };
   } catch (error) {
     functions.logger.error('Error in calculation', {
@@ -2264,4 +1853,388 @@ async function calculateMaterials(req) {
   }
 }
 
-module.exports = calculateMaterials;
+/**
+ * Проверяет варианты проекта: у каждого — уникальное название и вкладки, которые он заменяет.
+ * @param {*} variants - Варианты из запроса: [{ name, tabs: [{ tabName, data }] }].
+ * @returns {{ success: boolean, error?: string }} Результат проверки.
+ */
+function validateVariants(variants) {
+  if (variants === undefined || variants === null) {
+    return { success: true };
+  }
+  if (!Array.isArray(variants) || variants.length > CONFIG.MAX_VARIANTS) {
+    return {
+      success: false,
+      error: `variants должен быть массивом (не более ${CONFIG.MAX_VARIANTS} вариантов)`,
+    };
+  }
+  const names = new Set();
+  for (const variant of variants) {
+    const name = variant && typeof variant.name === 'string' ? variant.name.trim() : '';
+    if (!name || name.length > CONFIG.VARIANT_NAME_LENGTH) {
+      return {
+        success: false,
+        error: `У каждого варианта должно быть название (не более ${CONFIG.VARIANT_NAME_LENGTH} символов)`,
+      };
+    }
+    if (names.has(name)) {
+      return { success: false, error: `Вариант "${name}" указан дважды` };
+    }
+    names.add(name);
+    if (
+      !Array.isArray(variant.tabs) ||
+      variant.tabs.length === 0 ||
+      variant.tabs.length > CONFIG.MAX_PROJECT_TABS
+    ) {
+      return {
+        success: false,
+        error: `Вариант "${name}" должен заменять от 1 до ${CONFIG.MAX_PROJECT_TABS} вкладок`,
+      };
+    }
+    const invalidTab = variant.tabs.find(
+      tab =>
+        !tab ||
+        typeof tab.tabName !== 'string' ||
+        (tab.data !== null && (!tab.data || typeof tab.data !== 'object'))
+    );
+    if (invalidTab !== undefined) {
+      return {
+        success: false,
+        error: `Вкладки варианта "${name}" должны содержать tabName и data (объект или null)`,
+      };
+    }
+  }
+  return { success: true };
+}
+
+/**
+ * Собирает вкладки варианта: вкладки варианта заменяют одноимённые вкладки проекта, новые
+ * добавляются в конец, вкладка с data: null в вариант не входит.
+ * @param {Object[]} tabs - Вкладки проекта из запроса.
+ * @param {Object[]} variantTabs - Вкладки варианта.
+ * @returns {Object[]} Вкладки для расчёта варианта.
+ */
+function mergeVariantTabs(tabs, variantTabs) {
+  const overrides = new Map(variantTabs.map(tab => [tab.tabName, tab]));
+  const merged = tabs.map(tab =>
+    tab && overrides.has(tab.tabName) ? overrides.get(tab.tabName) : tab
+  );
+  variantTabs.forEach(tab => {
+    if (!tabs.some(projectTab => projectTab && projectTab.tabName === tab.tabName)) {
+      merged.push(tab);
+    }
+  });
+  return merged.filter(tab => !tab || tab.data !== null);
+}
+
+/**
+ * Рассчитывает вкладки по уже загруженному каталогу. Ошибка одной вкладки не прерывает
+ * расчёт остальных.
+ * @param {Object[]} projectTabs - Вкладки { tabName, data } с применённой геометрией.
+ * @param {{ catalog: Object, userId: string, ip: string, adjustments?: Object[] }} context
+ *   Контекст расчёта.
+ * @returns {Promise<{ tabResults: Object[], errors: Object[], warnings: string[],
+ *   materialsCost: number, labourCost: number, totalCost: number }>} Результаты вкладок,
+ *   предупреждения корректировок и суммы в копейках.
+ */
+async function computeTabs(projectTabs, context) {
+  const tabResults = [];
+  const errors = [];
+  let totalCost = 0;
+  let materialsCost = 0;
+  let labourCost = 0;
+
+  const warnings = [];
+  for (const tab of projectTabs) {
+    const { tabName, data } = tab || {};
+    if (!tabName || typeof tabName !== 'string' || !data || typeof data !== 'object') {
+      errors.push({
+        tabName: typeof tabName === 'string' ? tabName : null,
+        error: 'tabName и data обязательны и должны быть строкой и объектом соответственно',
+      });
+      continue;
+    }
+
+    try {
+      const tabResult = await computeTab(tabName, data, context);
+      if (!tabResult.success) {
+        errors.push({ tabName, error: tabResult.error });
+        continue;
+      }
+      warnings.push(...tabResult.warnings);
+      tabResults.push({
+        tabName,
+        results: tabResult.results,
+        labour: tabResult.labour,
+        materialsCost: fromKopecks(tabResult.materialsCost),
+        labourCost: fromKopecks(tabResult.labourCost),
+        totalCost: fromKopecks(tabResult.totalCost),
+      });
+      totalCost += tabResult.totalCost;
+      materialsCost += tabResult.materialsCost;
+      labourCost += tabResult.labourCost;
+    } catch (error) {
+      functions.logger.error('Error in tab calculation', {
+        tabName,
+        message: error.message,
+        stack: error.stack,
+        userId: context.userId,
+      });
+      errors.push({ tabName, error: error.message || String(error) });
+    }
+  }
+  return { tabResults, errors, warnings, materialsCost, labourCost, totalCost };
+}
+
+/**
+ * Применяет наценки, скидку и НДС к рассчитанным вкладкам и формирует итоги для ответа.
+ * @param {Object} computed - Результат computeTabs.
+ * @param {Object} settings - Настройки ценообразования.
+ * @param {Object|null} discount - Скидка на заказ.
+ * @param {Object} catalog - Каталог материалов запроса.
+ * @returns {Promise<Object>} Вкладки, ошибки, итоги в рублях, сводка цен, снимок цен
+ *   и сводная закупка.
+ */
+async function summarizeTabs(computed, settings, discount, catalog) {
+  // Наценки, скидка и НДС применяются после расчёта количеств всех вкладок
+  const pricing = applyPricing(computed.tabResults, { ...settings, discount });
+  computed.tabResults.forEach(tabResult => {
+    tabResult.saleCost = fromKopecks(tabResult.saleCost);
+  });
+  return {
+    tabs: computed.tabResults,
+    errors: computed.errors,
+    materialsCost: fromKopecks(computed.materialsCost),
+    labourCost: fromKopecks(computed.labourCost),
+    totalCost: fromKopecks(computed.totalCost),
+    pricing: formatPricingSummary(pricing),
+    priceSnapshot: buildPriceSnapshot(computed.tabResults, settings.priceValidityDays),
+    purchaseList: await buildPurchaseList(computed.tabResults, catalog),
+  };
+}
+
+/**
+ * Вычисляет материалы и стоимость сразу для всех вкладок проекта.
+ * Каталог загружается один раз на весь проект; ошибка одной вкладки не прерывает расчёт остальных.
+ * Варианты (например, эконом / стандарт / премиум) рассчитываются в том же запросе по тем же
+ * замерам: каждый заменяет выбранные вкладки проекта своими. Ручные корректировки (например,
+ * из отредактированной таблицы) применяются к рассчитанным вкладкам до наценок и скидки.
+ * @param {Object} req - HTTP-запрос с телом { tabs: [{ tabName, data }], geometry?, discount?,
+ *   variants?: [{ name, tabs: [{ tabName, data }] }], adjustments?: [{ tabName, material, unit,
+ *   quantity, unitPrice?, category? }] }.
+ * @returns {Promise<Object>} Результаты по вкладкам, ошибки по вкладкам, общая стоимость
+ *   и результаты вариантов.
+ */
+async function calculateProject(req) {
+  const startTime = Date.now();
+  let userId = req.body.userId || req.user?.uid || 'unauthenticated';
+  const authToken = req.headers.authorization || '';
+  const {
+    tabs,
+    geometry: rawGeometry,
+    discount = null,
+    variants = null,
+    adjustments = null,
+  } = req.body;
+
+  functions.logger.info('Processing project calculation', {
+    userId,
+    tabsCount: Array.isArray(tabs) ? tabs.length : 0,
+    variantsCount: Array.isArray(variants) ? variants.length : 0,
+    adjustmentsCount: Array.isArray(adjustments) ? adjustments.length : 0,
+    timestamp: new Date().toISOString(),
+    authToken: authToken ? '[provided]' : '[missing]',
+  });
+
+  try {
+    if (!authToken || typeof authToken !== 'string') {
+      functions.logger.error('Missing or invalid authToken', { userId });
+      await logErrorToFirestore(
+        'calculateProject',
+        'computeProject',
+        userId,
+        req.ip,
+        new Error('Missing authToken')
+      );
+      return { success: false, error: 'authToken is required and must be a string' };
+    }
+
+    if (!userId || typeof userId !== 'string') {
+      functions.logger.warn('userId is missing or invalid, using default', { userId });
+      userId = 'unauthenticated';
+    }
+
+    if (!Array.isArray(tabs) || tabs.length === 0 || tabs.length > CONFIG.MAX_PROJECT_TABS) {
+      functions.logger.error('Invalid tabs for project calculation', { tabs, userId });
+      await logErrorToFirestore(
+        'calculateProject',
+        'computeProject',
+        userId,
+        req.ip,
+        new Error('Invalid tabs')
+      );
+      return {
+        success: false,
+        error: `tabs должен быть непустым массивом (не более ${CONFIG.MAX_PROJECT_TABS} вкладок)`,
+      };
+    }
+
+    let geometry = null;
+    if (rawGeometry !== undefined && rawGeometry !== null) {
+      const geometryResult = validateGeometry(rawGeometry);
+      if (!geometryResult.success) {
+        functions.logger.error('Invalid geometry', { geometry: rawGeometry, userId });
+        await logErrorToFirestore(
+          'calculateProject',
+          'computeProject',
+          userId,
+          req.ip,
+          new Error(geometryResult.error)
+        );
+        return { success: false, error: geometryResult.error };
+      }
+      geometry = geometryResult.geometry;
+    }
+
+    const discountValidation = validateDiscount(discount);
+    if (!discountValidation.success) {
+      functions.logger.error('Invalid discount', { discount, userId });
+      await logErrorToFirestore(
+        'calculateProject',
+        'computeProject',
+        userId,
+        req.ip,
+        new Error(discountValidation.error)
+      );
+      return { success: false, error: discountValidation.error };
+    }
+
+    const variantsValidation = validateVariants(variants);
+    if (!variantsValidation.success) {
+      functions.logger.error('Invalid variants', { variants, userId });
+      await logErrorToFirestore(
+        'calculateProject',
+        'computeProject',
+        userId,
+        req.ip,
+        new Error(variantsValidation.error)
+      );
+      return { success: false, error: variantsValidation.error };
+    }
+
+    const adjustmentsValidation = validateAdjustments(adjustments);
+    if (!adjustmentsValidation.success) {
+      functions.logger.error('Invalid adjustments', { adjustments, userId });
+      await logErrorToFirestore(
+        'calculateProject',
+        'computeProject',
+        userId,
+        req.ip,
+        new Error(adjustmentsValidation.error)
+      );
+      return { success: false, error: adjustmentsValidation.error };
+    }
+
+    // Размеры поверхностей берутся из геометрии, если не переопределены на вкладке
+    const withGeometry = list =>
+      list.map(tab =>
+        tab && typeof tab.tabName === 'string' && tab.data && typeof tab.data === 'object'
+          ? { ...tab, data: applyGeometry(tab.tabName, tab.data, geometry) }
+          : tab
+      );
+    const projectTabs = withGeometry(tabs);
+    const variantTabs = (variants || []).map(variant => ({
+      name: variant.name.trim(),
+      tabs: withGeometry(mergeVariantTabs(tabs, variant.tabs)),
+      // Ручные корректировки относятся к вкладкам проекта — в варианте только к незаменённым
+      adjustments: (adjustments || []).filter(
+        adjustment => !variant.tabs.some(tab => tab.tabName === adjustment.tabName)
+      ),
+    }));
+    const warnings = checkSurfaceConsistency(
+      projectTabs.filter(tab => tab && tab.data),
+      geometry
+    );
+
+    // Все материалы и категории проекта загружаются несколькими пакетными чтениями
+    const catalog = createCatalog(authToken, userId);
+    const [settings] = await Promise.all([
+      loadPricingSettings(userId),
+      catalog.preload(
+        [projectTabs, ...variantTabs.map(variant => variant.tabs)].flatMap(list =>
+          list.map(tab => collectTabRequirements(tab && tab.tabName, tab && tab.data))
+        )
+      ),
+    ]);
+    const context = { catalog, userId, ip: req.ip };
+    const computed = await computeTabs(projectTabs, { ...context, adjustments });
+    warnings.push(...computed.warnings, ...missingTabWarnings(computed.tabResults, adjustments));
+    const variantResults = [];
+    for (const variant of variantTabs) {
+      const variantComputed = await computeTabs(variant.tabs, {
+        ...context,
+        adjustments: variant.adjustments,
+      });
+      variantResults.push({ name: variant.name, computed: variantComputed });
+    }
+    const { tabResults, errors, totalCost } = computed;
+    const calculated =
+      tabResults.length > 0 ||
+      variantResults.some(variant => variant.computed.tabResults.length > 0);
+
+    functions.logger.info('Project calculation completed', {
+      tabsCalculated: tabResults.length,
+      tabsFailed: errors.length,
+      variants: variantResults.length,
+      warnings: warnings.length,
+      totalCost: fromKopecks(totalCost),
+      userId,
+      duration: `${Date.now() - startTime}ms`,
+    });
+
+    await db.collection('analytics').add({
+      event: calculated ? 'action_processed' : 'action_failed',
+      endpoint: 'calculateProject',
+      action: 'computeProject',
+      userId,
+      success: calculated,
+      tabsCalculated: tabResults.length,
+      tabsFailed: errors.length,
+      variants: variantResults.length,
+      totalCost: fromKopecks(totalCost),
+      timestamp: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    if (!calculated) {
+      return { success: false, error: 'Не удалось рассчитать ни одной вкладки', errors, warnings };
+    }
+
+    const summaries = [];
+    for (const variant of variantResults) {
+      summaries.push({
+        name: variant.name,
+        ...(await summarizeTabs(variant.computed, settings, discount, catalog)),
+      });
+    }
+
+    return {
+      success: true,
+      ...(await summarizeTabs(computed, settings, discount, catalog)),
+      warnings,
+      geometry,
+      variants: summaries,
+    };
+  } catch (error) {
+    functions.logger.error('Error in project calculation', {
+      message: error.message,
+      stack: error.stack,
+      userId,
+      duration: `${Date.now() - startTime}ms`,
+      authToken: authToken ? '[provided]' : '[missing]',
+    });
+    await logErrorToFirestore('calculateProject', 'computeProject', userId, req.ip, error);
+    return { success: false, error: error.message || String(error) };
+  }
+}
+
+module.exports = { calculateMaterials, calculateProject };
@@ -0,0 +1,69 @@
+/**
+ * Раскладывает требуемые отрезки по хлыстам стандартной длины (одномерный раскрой).
+ * Используется эвристика First Fit Decreasing: отрезки сортируются по убыванию
+ * и кладутся в первый хлыст, где для них хватает места. Отрезки длиннее хлыста
+ * делятся на целые хлысты и остаток.
+ * @param {number[]} segments - Длины требуемых отрезков (мм).
+ * @param {number} stockLength - Длина хлыста (мм).
+ * @param {number} [kerf=0] - Ширина пропила (мм), теряется на каждом резе.
+ * @returns {{ success: boolean, stickCount?: number, requiredLength?: number, wasteLength?: number,
+ *   sticks?: Array<{ cuts: number[], offcut: number, count: number }>, error?: string }}
+ *   Результат раскроя: число хлыстов и карта раскроя (одинаковые хлысты сгруппированы).
+ */
+function optimizeCutting(segments, stockLength, kerf = 0) {
+  if (typeof stockLength !== 'number' || !Number.isFinite(stockLength) || stockLength <= 0) {
+    return { success: false, error: 'Длина хлыста должна быть положительным числом' };
+  }
+  if (!Array.isArray(segments)) {
+    return { success: false, error: 'Список отрезков должен быть массивом' };
+  }
+
+  const pieces = [];
+  for (const segment of segments) {
+    if (typeof segment !== 'number' || !Number.isFinite(segment) || segment <= 0) {
+      continue;
+    }
+    const length = Math.round(segment);
+    const fullSticks = Math.floor(length / stockLength);
+    for (let i = 0; i < fullSticks; i++) {
+      pieces.push(stockLength);
+    }
+    const remainder = length - fullSticks * stockLength;
+    if (remainder > 0) {
+      pieces.push(remainder);
+    }
+  }
+  pieces.sort((a, b) => b - a);
+
+  const sticks = [];
+  for (const piece of pieces) {
+    // Каждый следующий отрезок в хлысте требует ещё одного пропила
+    const stick = sticks.find(s => s.free >= piece + (s.cuts.length > 0 ? kerf : 0));
+    if (stick) {
+      stick.free -= piece + kerf;
+      stick.cuts.push(piece);
+    } else {
+      sticks.push({ cuts: [piece], free: stockLength - piece });
+    }
+  }
+
+  const patterns = new Map();
+  sticks.forEach(stick => {
+    const offcut = Math.max(0, stick.free);
+    const key = `${stick.cuts.join('+')}|${offcut}`;
+    const pattern = patterns.get(key) || { cuts: stick.cuts, offcut, count: 0 };
+    pattern.count++;
+    patterns.set(key, pattern);
+  });
+
+  const requiredLength = pieces.reduce((sum, piece) => sum + piece, 0);
+  return {
+    success: true,
+    stickCount: sticks.length,
+    requiredLength,
+    wasteLength: sticks.length * stockLength - requiredLength,
+    sticks: Array.from(patterns.values()),
+  };
+}
+
+module.exports = { optimizeCutting };
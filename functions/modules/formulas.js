@@ -0,0 +1,428 @@
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const db = admin.firestore();
+const { optimizeCutting } = require('./cuttingStock');
+const { crossSection, polygonEdges } = require('./polygon');
+const { isNonNegativeNumber } = require('./money');
+
+// Коллекция с правилами расчёта для категорий (ID документа — полное имя категории)
+const FORMULAS_COLLECTION = 'formulas';
+
+// Допустимые типы правил расчёта количества
+const FORMULA_TYPES = [
+  'fixed', // Фиксированное количество
+  'perArea', // На м² поверхности
+  'perPerimeter', // На погонный метр периметра
+  'perPiece', // На штуку видимого материала
+  'perSheet', // Площадь поверхности / площадь листа материала
+  'perCoverage', // Площадь × число слоёв / расход (краски, грунты, клей)
+  'lathing', // Обрешётка: ряды с шагом step на высоту поверхности
+  'linear', // Погонный материал по краям поверхности (плинтус, уголки, профили)
+  'conditional', // Правило, зависящее от выбора на вкладке
+];
+
+// Правила для погонных материалов: количество считается раскроем по хлыстам
+const LINEAR_FORMULA_TYPES = ['lathing', 'linear'];
+
+// Края поверхности и проёмов для правила linear (края проёмов считаются для каждого проёма).
+// top/bottom/left/right — стороны описанного прямоугольника, outline — все стороны контура
+const SURFACE_EDGES = ['top', 'bottom', 'left', 'right'];
+const OPENING_EDGES = ['openingTop', 'openingBottom', 'openingLeft', 'openingRight'];
+const LINEAR_EDGES = [...SURFACE_EDGES, 'outline', ...OPENING_EDGES];
+
+const ROUNDING_MODES = ['ceil', 'none'];
+
+/**
+ * Валидирует декларативное правило расчёта количества.
+ * @param {Object} rule - Правило расчёта.
+ * @param {number} [depth=0] - Глубина вложенности (для условных правил).
+ * @returns {{ success: boolean, error?: string }} Результат валидации.
+ */
+function validateFormula(rule, depth = 0) {
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+    return { success: false, error: 'Formula must be an object' };
+  }
+  if (depth > 3) {
+    return { success: false, error: 'Formula nesting must not exceed 3 levels' };
+  }
+  if (!FORMULA_TYPES.includes(rule.type)) {
+    return {
+      success: false,
+      error: `Invalid formula type: "${rule.type}". Expected one of: ${FORMULA_TYPES.join(', ')}`,
+    };
+  }
+  if (
+    rule.wasteFactor !== undefined &&
+    (!isNonNegativeNumber(rule.wasteFactor) || rule.wasteFactor < 1)
+  ) {
+    return { success: false, error: 'Formula wasteFactor must be a number >= 1' };
+  }
+  if (rule.round !== undefined && !ROUNDING_MODES.includes(rule.round)) {
+    return { success: false, error: `Formula round must be one of: ${ROUNDING_MODES.join(', ')}` };
+  }
+
+  switch (rule.type) {
+    case 'fixed':
+      if (!isNonNegativeNumber(rule.quantity)) {
+        return { success: false, error: 'Fixed formula requires a non-negative quantity' };
+      }
+      break;
+    case 'perArea':
+    case 'perPerimeter':
+    case 'perPiece':
+      if (!isNonNegativeNumber(rule.rate)) {
+        return { success: false, error: `Formula "${rule.type}" requires a non-negative rate` };
+      }
+      break;
+    case 'perCoverage':
+      if (
+        rule.coverage !== undefined &&
+        (!isNonNegativeNumber(rule.coverage) || rule.coverage === 0)
+      ) {
+        return { success: false, error: 'Coverage formula requires a positive coverage' };
+      }
+      if (rule.coats !== undefined && (!Number.isInteger(rule.coats) || rule.coats < 1)) {
+        return { success: false, error: 'Coverage formula coats must be a positive integer' };
+      }
+      break;
+    case 'lathing':
+      if (!isNonNegativeNumber(rule.step) || rule.step === 0) {
+        return { success: false, error: 'Lathing formula requires a positive step (m)' };
+      }
+      break;
+    case 'linear':
+      if (
+        !Array.isArray(rule.edges) ||
+        rule.edges.length === 0 ||
+        !rule.edges.every(edge => LINEAR_EDGES.includes(edge))
+      ) {
+        return {
+          success: false,
+          error: `Linear formula requires edges from: ${LINEAR_EDGES.join(', ')}`,
+        };
+      }
+      break;
+    case 'conditional': {
+      if (typeof rule.field !== 'string' || rule.field.trim() === '') {
+        return { success: false, error: 'Conditional formula requires a field name' };
+      }
+      if (!('equals' in rule)) {
+        return { success: false, error: 'Conditional formula requires an "equals" value' };
+      }
+      const thenValidation = validateFormula(rule.then, depth + 1);
+      if (!thenValidation.success) {
+        return { success: false, error: `Invalid "then" branch: ${thenValidation.error}` };
+      }
+      if (rule.else !== undefined) {
+        const elseValidation = validateFormula(rule.else, depth + 1);
+        if (!elseValidation.success) {
+          return { success: false, error: `Invalid "else" branch: ${elseValidation.error}` };
+        }
+      }
+      break;
+    }
+    default:
+      break;
+  }
+
+  return { success: true };
+}
+
+/**
+ * Вычисляет количество материала по правилу.
+ * Все линейные величины контекста — в метрах, площади — в м².
+ * @param {Object} rule - Правило расчёта.
+ * @param {Object} context - Контекст расчёта.
+ * @param {number} [context.area] - Площадь поверхности.
+ * @param {number} [context.perimeter] - Периметр поверхности.
+ * @param {number} [context.length] - Длина поверхности.
+ * @param {number} [context.height] - Высота поверхности.
+ * @param {number} [context.materialArea] - Площадь одного листа/панели материала.
+ * @param {number} [context.materialLength] - Длина одной штуки материала.
+ * @param {number} [context.visibleQuantity] - Количество видимого материала.
+ * @param {number} [context.wasteFactor] - Запас на отходы материала (важнее запаса в правиле).
+ * @param {number} [context.coverage] - Площадь, покрываемая единицей материала.
+ * @param {number} [context.coats] - Число слоёв материала.
+ * @param {Object} [context.data] - Данные вкладки (для условных правил).
+ * @param {Object} [options] - Параметры.
+ * @param {boolean} [options.round=true] - Округлять ли результат по правилу (см. roundQuantity).
+ * @returns {number} Количество материала.
+ */
+function evaluateFormula(rule, context, { round = true } = {}) {
+  const {
+    area = 0,
+    perimeter = 0,
+    materialArea = 0,
+    visibleQuantity = 0,
+    wasteFactor,
+    coverage,
+    coats,
+    data = {},
+  } = context;
+
+  if (rule.type === 'conditional') {
+    const branch = data[rule.field] === rule.equals ? rule.then : rule.else;
+    return branch ? evaluateFormula(branch, context, { round }) : 0;
+  }
+
+  let quantity;
+  switch (rule.type) {
+    case 'fixed':
+      quantity = rule.quantity;
+      break;
+    case 'perArea':
+      quantity = area * rule.rate;
+      break;
+    case 'perPerimeter':
+      quantity = perimeter * rule.rate;
+      break;
+    case 'perPiece':
+      quantity = visibleQuantity * rule.rate;
+      break;
+    case 'perSheet': {
+      // Заданный у материала расход важнее площади, посчитанной по размерам
+      const sheetArea = coverage > 0 ? coverage : materialArea;
+      quantity = sheetArea > 0 ? area / sheetArea : area;
+      break;
+    }
+    case 'perCoverage': {
+      const effectiveCoverage = coverage > 0 ? coverage : rule.coverage;
+      quantity =
+        effectiveCoverage > 0 ? (area * (coats || rule.coats || 1)) / effectiveCoverage : 0;
+      break;
+    }
+    case 'lathing':
+    case 'linear':
+      return planLinearCuts(rule, context).quantity;
+    default:
+      functions.logger.warn('Unknown formula type, quantity set to 0', { rule });
+      return 0;
+  }
+
+  quantity *= wasteFactor || rule.wasteFactor || 1;
+  return round ? roundQuantity(rule, quantity) : quantity;
+}
+
+/**
+ * Округляет количество материала до покупаемых единиц по правилу.
+ * @param {Object|null} rule - Применяемое правило (без условных веток).
+ * @param {number} quantity - Потребность.
+ * @returns {number} Количество к покупке.
+ */
+function roundQuantity(rule, quantity) {
+  return rule && rule.round === 'ceil' ? Math.ceil(quantity) : quantity;
+}
+
+/**
+ * Разворачивает условное правило по данным вкладки до правила, которое будет применено.
+ * @param {Object|null} rule - Правило расчёта.
+ * @param {Object} [data={}] - Данные вкладки.
+ * @returns {Object|null} Применяемое правило или null, если ветка не задана.
+ */
+function unwrapConditional(rule, data = {}) {
+  let effectiveRule = rule;
+  while (effectiveRule && effectiveRule.type === 'conditional') {
+    effectiveRule =
+      data[effectiveRule.field] === effectiveRule.equals ? effectiveRule.then : effectiveRule.else;
+  }
+  return effectiveRule || null;
+}
+
+/**
+ * Возвращает отрезки (м), которые нужно нарезать для погонного правила.
+ * @param {Object} rule - Правило типа lathing или linear.
+ * @param {Object} surface - Поверхность.
+ * @param {number} surface.length - Длина поверхности (м).
+ * @param {number} surface.height - Высота поверхности (м).
+ * @param {Array<{ width: number, height: number }>} surface.openings - Проёмы поверхности (м).
+ * @param {Array<{ x: number, y: number }>|null} surface.outline - Вершины контура (м) или null.
+ * @returns {number[]} Длины отрезков.
+ */
+function getLinearSegments(rule, { length, height, openings, outline }) {
+  if (rule.type === 'lathing') {
+    const rows = Math.ceil(length / rule.step);
+    if (!outline) {
+      return Array(rows).fill(height);
+    }
+    // Для непрямоугольной поверхности рейка каждого ряда режется по высоте контура в этом ряду
+    return Array.from({ length: rows }, (_, row) =>
+      crossSection(outline, 'x', Math.min((row + 0.5) * rule.step, length - 1e-6)).map(
+        ([start, end]) => end - start
+      )
+    ).flat();
+  }
+  return rule.edges.flatMap(edge => {
+    if (edge === 'outline') {
+      return outline ? polygonEdges(outline) : [length, height, length, height];
+    }
+    if (SURFACE_EDGES.includes(edge)) {
+      return edge === 'top' || edge === 'bottom' ? length : height;
+    }
+    return openings.map(opening =>
+      edge === 'openingTop' || edge === 'openingBottom' ? opening.width : opening.height
+    );
+  });
+}
+
+/**
+ * Считает раскрой погонного материала по хлыстам длиной materialLength.
+ * Условные правила разворачиваются по данным вкладки.
+ * @param {Object} rule - Правило расчёта.
+ * @param {Object} context - Контекст расчёта (см. evaluateFormula).
+ * @param {number} [context.kerf] - Ширина пропила (м).
+ * @param {Array} [context.openings] - Проёмы поверхности (м).
+ * @param {Array} [context.outline] - Вершины контура непрямоугольной поверхности (м).
+ * @returns {{ quantity: number, stockLength: number, sticks: Array }|null}
+ *   Количество целых хлыстов и карта раскроя (мм) или null, если правило не погонное.
+ */
+function planLinearCuts(rule, context) {
+  const {
+    length = 0,
+    height = 0,
+    materialLength = 0,
+    kerf = 0,
+    openings = [],
+    outline = null,
+    wasteFactor,
+    data = {},
+  } = context;
+
+  const effectiveRule = unwrapConditional(rule, data);
+  if (!effectiveRule || !LINEAR_FORMULA_TYPES.includes(effectiveRule.type)) {
+    return null;
+  }
+
+  const segments = getLinearSegments(effectiveRule, { length, height, openings, outline });
+  // Без длины хлыста раскроить нельзя — считаем погонные метры
+  if (!(materialLength > 0)) {
+    const totalLength = segments.reduce((sum, segment) => sum + segment, 0);
+    return {
+      quantity: totalLength * (wasteFactor || effectiveRule.wasteFactor || 1),
+      stockLength: 0,
+      sticks: [],
+    };
+  }
+
+  const stockLength = Math.round(materialLength * 1000);
+  const plan = optimizeCutting(
+    segments.map(segment => segment * 1000),
+    stockLength,
+    kerf * 1000
+  );
+  if (!plan.success) {
+    functions.logger.warn('Cutting plan failed, quantity set to 0', { rule, error: plan.error });
+    return { quantity: 0, stockLength, sticks: [] };
+  }
+
+  // Отрезки уже разложены по целым хлыстам, запас на брак — только если задан у материала или в правиле
+  return {
+    quantity: Math.ceil(plan.stickCount * (wasteFactor || effectiveRule.wasteFactor || 1)),
+    stockLength,
+    sticks: plan.sticks,
+  };
+}
+
+/**
+ * Загружает правила расчёта для набора категорий одним пакетным чтением.
+ * @param {string[]} categories - Полные имена категорий ("Вкладка:Подкатегория").
+ * @returns {Promise<Object.<string, Object>>} Правила, сгруппированные по категориям.
+ */
+async function loadCategoryFormulas(categories) {
+  const uniqueCategories = [...new Set(categories.filter(Boolean))];
+  if (uniqueCategories.length === 0) {
+    return {};
+  }
+
+  const refs = uniqueCategories.map(category => db.collection(FORMULAS_COLLECTION).doc(category));
+  const docs = await db.getAll(...refs);
+  const formulas = {};
+  docs.forEach(doc => {
+    if (!doc.exists) return;
+    const { rule } = doc.data();
+    const validation = validateFormula(rule);
+    if (!validation.success) {
+      functions.logger.warn('Invalid category formula ignored', {
+        category: doc.id,
+        error: validation.error,
+      });
+      return;
+    }
+    formulas[doc.id] = rule;
+  });
+  return formulas;
+}
+
+/**
+ * Выбирает правило для материала: правило материала, затем правило категории, затем значение по умолчанию.
+ * @param {Object} material - Материал.
+ * @param {string} category - Категория, в рамках которой считается материал.
+ * @param {Object.<string, Object>} categoryFormulas - Правила категорий.
+ * @param {Object} defaultRule - Правило по умолчанию.
+ * @returns {Object} Правило расчёта.
+ */
+function resolveFormula(material, category, categoryFormulas, defaultRule) {
+  if (material && material.formula) {
+    const validation = validateFormula(material.formula);
+    if (validation.success) {
+      return material.formula;
+    }
+    functions.logger.warn('Invalid material formula ignored', {
+      materialName: material.name,
+      error: validation.error,
+    });
+  }
+  return categoryFormulas[category] || defaultRule;
+}
+
+/**
+ * Сохраняет правило расчёта для категории.
+ * @param {string} category - Полное имя категории.
+ * @param {Object|null} rule - Правило расчёта или null для удаления.
+ * @param {string} userId - ID пользователя.
+ * @returns {Promise<{ success: boolean, error?: string }>} Результат операции.
+ */
+async function saveCategoryFormula(category, rule, userId) {
+  try {
+    if (!category || typeof category !== 'string' || !/^[^:]+:[^:]+/.test(category)) {
+      throw new Error('Category must be a string in format "TabName:SubCategory"');
+    }
+    const docRef = db.collection(FORMULAS_COLLECTION).doc(category);
+    if (rule === null) {
+      await docRef.delete();
+      functions.logger.info('Category formula removed', { category, userId });
+      return { success: true };
+    }
+
+    const validation = validateFormula(rule);
+    if (!validation.success) {
+      return { success: false, error: validation.error };
+    }
+    await docRef.set({
+      rule,
+      updatedBy: userId || 'unauthenticated',
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    functions.logger.info('Category formula saved', { category, type: rule.type, userId });
+    return { success: true };
+  } catch (error) {
+    functions.logger.error('Error saving category formula', {
+      message: error.message,
+      stack: error.stack,
+      category,
+      userId,
+    });
+    return { success: false, error: error.message };
+  }
+}
+
+module.exports = {
+  FORMULA_TYPES,
+  validateFormula,
+  evaluateFormula,
+  roundQuantity,
+  planLinearCuts,
+  unwrapConditional,
+  loadCategoryFormulas,
+  resolveFormula,
+  saveCategoryFormula,
+};
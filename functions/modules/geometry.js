@@ -0,0 +1,148 @@
+// Типы помещения: балкон (боковые стены — ограждение высотой с парапет) или лоджия (глухие стены)
+const BALCONY_TYPES = ['balcony', 'loggia'];
+
+// Допустимое расхождение размеров сопряжённых поверхностей (мм)
+const DIMENSION_TOLERANCE = 10;
+
+/**
+ * Проверяет модель геометрии балкона и приводит её поля к числам.
+ * @param {Object} geometry - Геометрия балкона.
+ * @param {number} geometry.length - Длина вдоль дома (мм).
+ * @param {number} geometry.depth - Глубина/вынос (мм).
+ * @param {number} geometry.height - Высота от пола до потолка (мм).
+ * @param {number} geometry.parapetHeight - Высота парапета (мм).
+ * @param {string} geometry.type - Тип: balcony или loggia.
+ * @returns {{ success: boolean, geometry?: Object, error?: string }} Нормализованная геометрия или ошибка.
+ */
+function validateGeometry(geometry) {
+  if (!geometry || typeof geometry !== 'object' || Array.isArray(geometry)) {
+    return { success: false, error: 'Геометрия балкона должна быть объектом' };
+  }
+
+  const normalized = {
+    length: parseFloat(geometry.length),
+    depth: parseFloat(geometry.depth),
+    height: parseFloat(geometry.height),
+    parapetHeight: parseFloat(geometry.parapetHeight),
+    type: geometry.type,
+  };
+  if (!['length', 'depth', 'height', 'parapetHeight'].every(key => normalized[key] > 0)) {
+    return {
+      success: false,
+      error: 'Длина, глубина, высота и высота парапета должны быть положительными числами',
+    };
+  }
+  if (normalized.parapetHeight > normalized.height) {
+    return { success: false, error: 'Высота парапета не может превышать высоту балкона' };
+  }
+  if (!BALCONY_TYPES.includes(normalized.type)) {
+    return {
+      success: false,
+      error: `Недопустимый тип помещения: ${normalized.type}. Ожидается: ${BALCONY_TYPES.join(', ')}`,
+    };
+  }
+  return { success: true, geometry: normalized };
+}
+
+/**
+ * Рассчитывает размеры поверхностей по геометрии балкона.
+ * width — второй размер поверхности (высота стены или глубина для пола и потолка).
+ * @param {Object} geometry - Нормализованная геометрия (см. validateGeometry).
+ * @returns {Object.<string, { length: number, width: number }>} Размеры по названиям вкладок (мм).
+ */
+function deriveSurfaceDimensions(geometry) {
+  const { length, depth, height, parapetHeight, type } = geometry;
+  // У балкона боковины отделываются до высоты ограждения, у лоджии — на всю высоту
+  const sideHeight = type === 'loggia' ? height : parapetHeight;
+  return {
+    'Главная стена': { length, width: height },
+    'Фасадная стена': { length, width: parapetHeight },
+    'БЛ стена': { length: depth, width: sideHeight },
+    'БП стена': { length: depth, width: sideHeight },
+    Потолок: { length, width: depth },
+    Полы: { length, width: depth },
+  };
+}
+
+/**
+ * Подставляет размеры из геометрии в данные вкладки-поверхности.
+ * Размеры, введённые на самой вкладке, считаются переопределением и не заменяются.
+ * @param {string} tabName - Название вкладки.
+ * @param {Object} data - Данные вкладки.
+ * @param {Object|null} geometry - Нормализованная геометрия или null.
+ * @returns {Object} Данные вкладки с размерами.
+ */
+function applyGeometry(tabName, data, geometry) {
+  if (!geometry) {
+    return data;
+  }
+  const dimensions = deriveSurfaceDimensions(geometry)[tabName];
+  if (!dimensions) {
+    return data;
+  }
+  return {
+    ...data,
+    length: data.length > 0 ? data.length : dimensions.length,
+    width: data.width > 0 ? data.width : dimensions.width,
+  };
+}
+
+/**
+ * Проверяет согласованность размеров сопряжённых поверхностей.
+ * @param {Array<{ tabName: string, data: Object }>} tabs - Вкладки с итоговыми размерами.
+ * @param {Object|null} geometry - Нормализованная геометрия или null.
+ * @returns {string[]} Предупреждения о расхождениях.
+ */
+function checkSurfaceConsistency(tabs, geometry) {
+  const sizes = {};
+  tabs.forEach(({ tabName, data }) => {
+    // Поверхности, заданные контуром, сравниваются только визуально
+    if (data && !data.outline && data.length > 0 && data.width > 0) {
+      sizes[tabName] = { length: data.length, width: data.width };
+    }
+  });
+
+  const differs = (a, b) => Math.abs(a - b) > DIMENSION_TOLERANCE;
+  const warnings = [];
+  const ceiling = sizes['Потолок'];
+  const floor = sizes['Полы'];
+  if (
+    ceiling &&
+    floor &&
+    (differs(ceiling.length, floor.length) || differs(ceiling.width, floor.width))
+  ) {
+    warnings.push(
+      `Размеры потолка (${ceiling.length}x${ceiling.width}) не совпадают с размерами пола (${floor.length}x${floor.width})`
+    );
+  }
+
+  const left = sizes['БЛ стена'];
+  const right = sizes['БП стена'];
+  if (left && right && (differs(left.length, right.length) || differs(left.width, right.width))) {
+    warnings.push('Размеры левой и правой боковых стен не совпадают');
+  }
+
+  const main = sizes['Главная стена'];
+  if (geometry && geometry.type === 'loggia' && main) {
+    [
+      ['БЛ стена', left],
+      ['БП стена', right],
+    ].forEach(([tabName, side]) => {
+      if (side && differs(side.width, main.width)) {
+        warnings.push(
+          `Высота стены "${tabName}" (${side.width}) не совпадает с высотой главной стены (${main.width})`
+        );
+      }
+    });
+  }
+
+  return warnings;
+}
+
+module.exports = {
+  BALCONY_TYPES,
+  validateGeometry,
+  deriveSurfaceDimensions,
+  applyGeometry,
+  checkSurfaceConsistency,
+};
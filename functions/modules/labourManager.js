@@ -0,0 +1,311 @@
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const db = admin.firestore();
+
+// Коллекция каталога работ (монтаж, утепление, установка окон, электроточки)
+const LABOUR_COLLECTION = 'labour';
+
+// Базы расчёта объёма работы
+const LABOUR_BASES = [
+  'area', // Площадь поверхности вкладки за вычетом проёмов (м²)
+  'perimeter', // Периметр поверхности (м)
+  'openings', // Число проёмов на поверхности
+  'quantity', // Количество связанных материалов
+  'fixed', // Одна работа на вкладку
+];
+
+/**
+ * Логирует событие в Firestore.
+ * @param {string} event - Название события.
+ * @param {string} userId - ID пользователя.
+ * @param {Object} [extra] - Дополнительные данные для лога.
+ */
+async function logToFirestore(event, userId, extra = {}) {
+  try {
+    await db.collection('analytics').add({
+      event,
+      userId: userId || 'unauthenticated',
+      page_title: 'Balcony Calculator',
+      timestamp: admin.firestore.FieldValue.serverTimestamp(),
+      ...extra,
+    });
+  } catch (firestoreError) {
+    functions.logger.warn('Failed to log to Firestore', {
+      event,
+      message: firestoreError.message,
+      stack: firestoreError.stack,
+    });
+  }
+}
+
+/**
+ * Валидирует данные работы.
+ * Работа привязывается к категориям материалов: она попадает в расчёт вкладки,
+ * если в результатах есть материал одной из этих категорий.
+ * @param {Object} data - Данные работы.
+ * @returns {{ success: boolean, error?: string }} Результат валидации.
+ */
+function validateLabourData(data) {
+  if (!data || typeof data !== 'object') {
+    return { success: false, error: 'Data must be a non-empty object' };
+  }
+
+  const requiredFields = ['name', 'categories', 'price', 'unit', 'basis'];
+  for (const field of requiredFields) {
+    if (!(field in data)) {
+      return { success: false, error: `Missing required field: ${field}` };
+    }
+  }
+
+  if (typeof data.name !== 'string' || data.name.trim() === '') {
+    return { success: false, error: 'Name must be a non-empty string' };
+  }
+  if (data.name.length > 100) {
+    return { success: false, error: 'Name must not exceed 100 characters' };
+  }
+
+  if (!Array.isArray(data.categories) || data.categories.length === 0) {
+    return { success: false, error: 'Categories must be a non-empty array' };
+  }
+  for (const category of data.categories) {
+    if (typeof category !== 'string' || !/^[^:]+:[^:]+/.test(category)) {
+      return {
+        success: false,
+        error: `Invalid category format: "${category}". Expected "TabName:SubCategory"`,
+      };
+    }
+    if (category.length > 200) {
+      return { success: false, error: 'Category name must not exceed 200 characters' };
+    }
+  }
+
+  if (typeof data.price !== 'number' || isNaN(data.price) || data.price < 0) {
+    return { success: false, error: 'Price must be a non-negative number' };
+  }
+  if (typeof data.unit !== 'string' || data.unit.trim() === '' || data.unit.length > 20) {
+    return { success: false, error: 'Unit must be a non-empty string up to 20 characters' };
+  }
+  if (!LABOUR_BASES.includes(data.basis)) {
+    return {
+      success: false,
+      error: `Invalid basis: "${data.basis}". Expected one of: ${LABOUR_BASES.join(', ')}`,
+    };
+  }
+  if (
+    data.rate !== undefined &&
+    data.rate !== null &&
+    (typeof data.rate !== 'number' || !Number.isFinite(data.rate) || data.rate <= 0)
+  ) {
+    return { success: false, error: 'Rate must be a positive number' };
+  }
+
+  return { success: true };
+}
+
+/**
+ * Получает весь каталог работ. Каталог небольшой, поэтому читается целиком.
+ * @param {string} authToken - Токен аутентификации.
+ * @param {string} userId - ID пользователя.
+ * @returns {Promise<{ success: boolean, labour?: Object[], error?: string }>} Результат запроса.
+ */
+async function getLabourItems(authToken, userId) {
+  const startTime = Date.now();
+  try {
+    const snapshot = await db.collection(LABOUR_COLLECTION).orderBy('name').get();
+    const labour = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+
+    functions.logger.info('Labour catalog fetched', {
+      count: labour.length,
+      userId,
+      duration: `${Date.now() - startTime}ms`,
+    });
+    return { success: true, labour };
+  } catch (error) {
+    functions.logger.error('Error fetching labour catalog', {
+      message: error.message,
+      stack: error.stack,
+      userId,
+      duration: `${Date.now() - startTime}ms`,
+      authToken: authToken ? '[provided]' : '[missing]',
+    });
+    await logToFirestore('labour_fetch_failed', userId, {
+      error: error.message,
+      duration: `${Date.now() - startTime}ms`,
+    });
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Добавляет работу в каталог.
+ * @param {Object} data - Данные работы.
+ * @param {string} authToken - Токен аутентификации.
+ * @param {string} userId - ID пользователя.
+ * @returns {Promise<{ success: boolean, labourId?: string, error?: string }>} Результат запроса.
+ */
+async function addLabourItem(data, authToken, userId) {
+  const startTime = Date.now();
+  try {
+    const validation = validateLabourData(data);
+    if (!validation.success) {
+      return { success: false, error: validation.error };
+    }
+
+    const docRef = db.collection(LABOUR_COLLECTION).doc();
+    await docRef.set({
+      ...data,
+      rate: data.rate ?? null,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    functions.logger.info('Labour item added', {
+      labourId: docRef.id,
+      name: data.name,
+      userId,
+      duration: `${Date.now() - startTime}ms`,
+    });
+    await logToFirestore('labour_added', userId, {
+      labourId: docRef.id,
+      name: data.name,
+      duration: `${Date.now() - startTime}ms`,
+    });
+    return { success: true, labourId: docRef.id };
+  } catch (error) {
+    functions.logger.error('Error adding labour item', {
+      message: error.message,
+      stack: error.stack,
+      data,
+      userId,
+      duration: `${Date.now() - startTime}ms`,
+      authToken: authToken ? '[provided]' : '[missing]',
+    });
+    await logToFirestore('labour_add_failed', userId, {
+      error: error.message,
+      duration: `${Date.now() - startTime}ms`,
+    });
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Обновляет работу в каталоге.
+ * @param {Object} data - Данные работы с id.
+ * @param {string} authToken - Токен аутентификации.
+ * @param {string} userId - ID пользователя.
+ * @returns {Promise<{ success: boolean, error?: string }>} Результат запроса.
+ */
+async function editLabourItem(data, authToken, userId) {
+  const startTime = Date.now();
+  try {
+    const { id, ...updateData } = data;
+    if (!id || typeof id !== 'string') {
+      throw new Error('ID must be a non-empty string');
+    }
+    const validation = validateLabourData(updateData);
+    if (!validation.success) {
+      return { success: false, error: validation.error };
+    }
+
+    const docRef = db.collection(LABOUR_COLLECTION).doc(id);
+    const doc = await docRef.get();
+    if (!doc.exists) {
+      return { success: false, error: 'Labour item not found' };
+    }
+    await docRef.set(
+      {
+        ...updateData,
+        rate: updateData.rate ?? null,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      },
+      { merge: true }
+    );
+
+    functions.logger.info('Labour item updated', {
+      labourId: id,
+      name: updateData.name,
+      userId,
+      duration: `${Date.now() - startTime}ms`,
+    });
+    await logToFirestore('labour_updated', userId, {
+      labourId: id,
+      name: updateData.name,
+      duration: `${Date.now() - startTime}ms`,
+    });
+    return { success: true };
+  } catch (error) {
+    functions.logger.error('Error updating labour item', {
+      message: error.message,
+      stack: error.stack,
+      data,
+      userId,
+      duration: `${Date.now() - startTime}ms`,
+      authToken: authToken ? '[provided]' : '[missing]',
+    });
+    await logToFirestore('labour_update_failed', userId, {
+      error: error.message,
+      labourId: data.id,
+      duration: `${Date.now() - startTime}ms`,
+    });
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Удаляет работу из каталога.
+ * @param {string} key - ID работы.
+ * @param {string} authToken - Токен аутентификации.
+ * @param {string} userId - ID пользователя.
+ * @returns {Promise<{ success: boolean, error?: string }>} Результат запроса.
+ */
+async function deleteLabourItem(key, authToken, userId) {
+  const startTime = Date.now();
+  try {
+    if (!key || typeof key !== 'string') {
+      throw new Error('Key must be a non-empty string');
+    }
+    const docRef = db.collection(LABOUR_COLLECTION).doc(key);
+    const doc = await docRef.get();
+    if (!doc.exists) {
+      return { success: false, error: 'Labour item not found' };
+    }
+    await docRef.delete();
+
+    functions.logger.info('Labour item deleted', {
+      labourId: key,
+      name: doc.data().name,
+      userId,
+      duration: `${Date.now() - startTime}ms`,
+    });
+    await logToFirestore('labour_deleted', userId, {
+      labourId: key,
+      name: doc.data().name,
+      duration: `${Date.now() - startTime}ms`,
+    });
+    return { success: true };
+  } catch (error) {
+    functions.logger.error('Error deleting labour item', {
+      message: error.message,
+      stack: error.stack,
+      key,
+      userId,
+      duration: `${Date.now() - startTime}ms`,
+      authToken: authToken ? '[provided]' : '[missing]',
+    });
+    await logToFirestore('labour_delete_failed', userId, {
+      error: error.message,
+      labourId: key,
+      duration: `${Date.now() - startTime}ms`,
+    });
+    return { success: false, error: error.message };
+  }
+}
+
+module.exports = {
+  LABOUR_BASES,
+  validateLabourData,
+  getLabourItems,
+  addLabourItem,
+  editLabourItem,
+  deleteLabourItem,
+};
@@ -1,6 +1,16 @@
 const functions = require('firebase-functions');
 const admin = require('firebase-admin');
 const db = admin.firestore();
+const { validateFormula } = require('./formulas');
+
+// Максимум значений в одном запросе Firestore с in / array-contains-any
+const MAX_IN_VALUES = 30;
+
+// Ограничения импорта прайс-листа: строк в запросе и записей в одном пакете Firestore
+const IMPORT_LIMITS = {
+  MAX_ITEMS: 1000,
+  BATCH_SIZE: 500,
+};
 
 // Простой кэш в памяти для категорий
 const categoryCache = {
@@ -122,9 +132,177 @@ function validateMaterialData(data) {
     return { success: false, error: 'Color must be a string not exceeding 50 characters' };
   }
 
+  if (
+    data.sku !== undefined &&
+    data.sku !== null &&
+    (typeof data.sku !== 'string' || data.sku.trim() === '' || data.sku.length > 50)
+  ) {
+    return { success: false, error: 'SKU must be a non-empty string not exceeding 50 characters' };
+  }
+
+  // Необязательные параметры расчёта: null или отсутствие — значения по умолчанию из CONFIG
+  const isSet = value => value !== undefined && value !== null;
+  if (
+    isSet(data.wasteFactor) &&
+    (typeof data.wasteFactor !== 'number' || data.wasteFactor < 1 || data.wasteFactor > 3)
+  ) {
+    return { success: false, error: 'Waste factor must be a number between 1 and 3' };
+  }
+  if (isSet(data.coverage) && (typeof data.coverage !== 'number' || data.coverage <= 0)) {
+    return { success: false, error: 'Coverage must be a positive number' };
+  }
+  if (isSet(data.coats) && (!Number.isInteger(data.coats) || data.coats < 1 || data.coats > 10)) {
+    return { success: false, error: 'Coats must be an integer between 1 and 10' };
+  }
+  if (isSet(data.packSize) && (typeof data.packSize !== 'number' || data.packSize <= 0)) {
+    return { success: false, error: 'Pack size must be a positive number' };
+  }
+  if (
+    isSet(data.packUnit) &&
+    (typeof data.packUnit !== 'string' || data.packUnit.trim() === '' || data.packUnit.length > 20)
+  ) {
+    return {
+      success: false,
+      error: 'Pack unit must be a non-empty string not exceeding 20 characters',
+    };
+  }
+  if (isSet(data.packSize) !== isSet(data.packUnit)) {
+    return { success: false, error: 'Pack size and pack unit must be provided together' };
+  }
+  if (isSet(data.family)) {
+    if (typeof data.family !== 'string' || data.family.trim() === '' || data.family.length > 100) {
+      return {
+        success: false,
+        error: 'Family must be a non-empty string not exceeding 100 characters',
+      };
+    }
+    if (!isSet(data.packSize)) {
+      return { success: false, error: 'Materials in a family must have a pack size and pack unit' };
+    }
+  }
+
+  if (data.formula !== undefined && data.formula !== null) {
+    const formulaValidation = validateFormula(data.formula);
+    if (!formulaValidation.success) {
+      return { success: false, error: `Invalid formula: ${formulaValidation.error}` };
+    }
+  }
+
   return { success: true };
 }
 
+/**
+ * Разбивает список на части заданного размера.
+ * @param {Array} values - Список значений.
+ * @param {number} size - Размер части.
+ * @returns {Array<Array>} Части списка.
+ */
+function chunk(values, size) {
+  const chunks = [];
+  for (let i = 0; i < values.length; i += size) {
+    chunks.push(values.slice(i, i + size));
+  }
+  return chunks;
+}
+
+/**
+ * Пакетно загружает материалы: документы по ID — одним getAll, материалы категорий и товаров
+ * (family) — запросами array-contains-any / in. На весь вызов пишется одно событие аналитики.
+ * @param {Object} request - Что загрузить.
+ * @param {string[]} [request.ids=[]] - ID материалов.
+ * @param {string[]} [request.categories=[]] - Категории, все материалы которых нужны.
+ * @param {string[]} [request.families=[]] - Товары, все варианты упаковки которых нужны.
+ * @param {string} authToken - Токен аутентификации.
+ * @param {string} userId - ID пользователя.
+ * @returns {Promise<{ success: boolean, materials?: Object[], missingIds?: string[],
+ *   queries?: number, error?: string }>} Найденные материалы (без повторов), ненайденные ID
+ *   и число выполненных запросов.
+ */
+async function getMaterialsBatch({ ids = [], categories = [], families = [] }, authToken, userId) {
+  const startTime = Date.now();
+  const effectiveUserId = userId && typeof userId === 'string' ? userId : 'unauthenticated';
+  const uniqueIds = [...new Set(ids.filter(id => id && typeof id === 'string'))];
+  const uniqueCategories = [...new Set(categories.filter(c => c && typeof c === 'string'))];
+  const uniqueFamilies = [...new Set(families.filter(f => f && typeof f === 'string'))];
+
+  try {
+    const collection = db.collection('materials');
+    const requests = [];
+    if (uniqueIds.length > 0) {
+      requests.push(db.getAll(...uniqueIds.map(id => collection.doc(id))));
+    }
+    chunk(uniqueCategories, MAX_IN_VALUES).forEach(part => {
+      requests.push(
+        collection
+          .where('categories', 'array-contains-any', part)
+          .get()
+          .then(snapshot => snapshot.docs)
+      );
+    });
+    chunk(uniqueFamilies, MAX_IN_VALUES).forEach(part => {
+      requests.push(
+        collection
+          .where('family', 'in', part)
+          .get()
+          .then(snapshot => snapshot.docs)
+      );
+    });
+
+    const materials = new Map();
+    (await Promise.all(requests)).flat().forEach(doc => {
+      if (doc.exists && !materials.has(doc.id)) {
+        materials.set(doc.id, { id: doc.id, ...doc.data() });
+      }
+    });
+    const missingIds = uniqueIds.filter(id => !materials.has(id));
+
+    functions.logger.info('Materials batch fetched', {
+      ids: uniqueIds.length,
+      categories: uniqueCategories.length,
+      families: uniqueFamilies.length,
+      fetchedCount: materials.size,
+      missingIds,
+      queries: requests.length,
+      userId: effectiveUserId,
+      duration: `${Date.now() - startTime}ms`,
+    });
+
+    await logToFirestore(db, 'materials_batch_fetched', effectiveUserId, {
+      ids: uniqueIds.length,
+      categories: uniqueCategories.length,
+      families: uniqueFamilies.length,
+      fetchedCount: materials.size,
+      queries: requests.length,
+      duration: `${Date.now() - startTime}ms`,
+    });
+
+    return {
+      success: true,
+      materials: Array.from(materials.values()),
+      missingIds,
+      queries: requests.length,
+    };
+  } catch (error) {
+    functions.logger.error('Error fetching materials batch', {
+      message: error.message,
+      stack: error.stack,
+      ids: uniqueIds,
+      categories: uniqueCategories,
+      families: uniqueFamilies,
+      userId,
+      duration: `${Date.now() - startTime}ms`,
+      authToken: authToken ? '[provided]' : '[missing]',
+    });
+
+    await logToFirestore(db, 'materials_batch_fetch_failed', effectiveUserId, {
+      error: error.message,
+      duration: `${Date.now() - startTime}ms`,
+    });
+
+    return { success: false, error: error.message };
+  }
+}
+
 /**
  * Получает список категорий с использованием кэша.
  * @param {number} page - Номер страницы.
@@ -277,8 +455,9 @@ async function getMaterials(category, page, itemsPerPage, authToken, userId) {
       query = query.where('categories', 'array-contains', category);
     }
 
-    const totalSnapshot = await query.get();
-    const total = totalSnapshot.size;
+    // Агрегатный запрос считает документы без чтения их содержимого
+    const countSnapshot = await query.count().get();
+    const total = countSnapshot.data().count;
 
     const snapshot = await query
       .offset(page * itemsPerPage)
@@ -662,12 +841,141 @@ async function editMaterial(data, authToken, userId) {
   }
 }
 
+/**
+ * Импортирует прайс-лист: создаёт новые материалы и обновляет существующие пакетными
+ * записями. Все строки проверяются validateMaterialData до первой записи; пакеты по
+ * BATCH_SIZE записей фиксируются по очереди, поэтому при сбое записи часть пакетов
+ * может уже быть сохранена — ответ с ошибкой тоже содержит created/updated.
+ * @param {Array<{ id: string|null, row?: number, data: Object }>} items - Строки импорта:
+ *   id существующего материала (null — новый материал), номер строки в файле для сообщений
+ *   об ошибках (по умолчанию — порядковый номер элемента) и полные данные материала.
+ * @param {string} authToken - Токен аутентификации.
+ * @param {string} userId - ID пользователя.
+ * @returns {Promise<{ success: boolean, created?: number, updated?: number, error?: string }>}
+ *   Результат импорта; при сбое записи created/updated — уже сохранённые материалы.
+ */
+async function importMaterials(items, authToken, userId) {
+  const startTime = Date.now();
+  const effectiveUserId = userId && typeof userId === 'string' ? userId : 'unauthenticated';
+  functions.logger.info('Importing materials', {
+    itemsCount: Array.isArray(items) ? items.length : null,
+    userId: effectiveUserId,
+    authToken: authToken ? '[provided]' : '[missing]',
+  });
+
+  if (!Array.isArray(items) || items.length === 0 || items.length > IMPORT_LIMITS.MAX_ITEMS) {
+    return {
+      success: false,
+      error: `Items must be a non-empty array of at most ${IMPORT_LIMITS.MAX_ITEMS} materials`,
+    };
+  }
+  const ids = new Set();
+  for (const [index, item] of items.entries()) {
+    const { id = null, row = index + 1, data } = item || {};
+    if (!Number.isInteger(row) || row < 1) {
+      return { success: false, error: `Item ${index + 1}: row must be a positive integer` };
+    }
+    if (id !== null && (typeof id !== 'string' || id.trim() === '')) {
+      return { success: false, error: `Row ${row}: id must be a non-empty string or null` };
+    }
+    if (id !== null && ids.has(id)) {
+      return { success: false, error: `Row ${row}: material ${id} is updated twice` };
+    }
+    if (id !== null) ids.add(id);
+    const validation = validateMaterialData(data);
+    if (!validation.success) {
+      return {
+        success: false,
+        error: `Row ${row}${data && data.name ? ` (${data.name})` : ''}: ${validation.error}`,
+      };
+    }
+  }
+
+  let created = 0;
+  let updated = 0;
+  try {
+    const collection = db.collection('materials');
+    if (ids.size > 0) {
+      const docs = await db.getAll(...Array.from(ids, id => collection.doc(id)));
+      const missingIds = docs.filter(doc => !doc.exists).map(doc => doc.id);
+      if (missingIds.length > 0) {
+        return { success: false, error: `Materials not found: ${missingIds.join(', ')}` };
+      }
+    }
+
+    for (const part of chunk(items, IMPORT_LIMITS.BATCH_SIZE)) {
+      const batch = db.batch();
+      part.forEach(({ id = null, data }) => {
+        if (id === null) {
+          const docRef = collection.doc();
+          batch.set(docRef, {
+            ...data,
+            id: docRef.id,
+            createdAt: admin.firestore.FieldValue.serverTimestamp(),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+          });
+        } else {
+          batch.set(
+            collection.doc(id),
+            { ...data, id, updatedAt: admin.firestore.FieldValue.serverTimestamp() },
+            { merge: true }
+          );
+        }
+      });
+      await batch.commit();
+      const createdInBatch = part.filter(({ id = null }) => id === null).length;
+      created += createdInBatch;
+      updated += part.length - createdInBatch;
+    }
+
+    categoryCache.data = null;
+    categoryCache.lastUpdated = 0;
+
+    functions.logger.info('Materials imported', {
+      created,
+      updated,
+      userId: effectiveUserId,
+      duration: `${Date.now() - startTime}ms`,
+    });
+
+    await logToFirestore(db, 'materials_imported', effectiveUserId, {
+      created,
+      updated,
+      duration: `${Date.now() - startTime}ms`,
+    });
+
+    return { success: true, created, updated };
+  } catch (error) {
+    functions.logger.error('Error importing materials', {
+      message: error.message,
+      stack: error.stack,
+      created,
+      updated,
+      userId,
+      duration: `${Date.now() - startTime}ms`,
+      authToken: authToken ? '[provided]' : '[missing]',
+    });
+
+    await logToFirestore(db, 'materials_import_failed', effectiveUserId, {
+      error: error.message,
+      created,
+      updated,
+      duration: `${Date.now() - startTime}ms`,
+    });
+
+    return { success: false, created, updated, error: error.message };
+  }
+}
+
 module.exports = {
+  IMPORT_LIMITS,
   getMaterials,
   getMaterial,
+  getMaterialsBatch,
   getCategories,
   addMaterial,
   deleteMaterial,
   editMaterial,
+  importMaterials,
   validateMaterialData,
 };
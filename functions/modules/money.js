@@ -0,0 +1,57 @@
+// Денежные суммы внутри расчёта хранятся в целых копейках: сложение и вычитание точные,
+// а округление происходит один раз — при переводе цены за единицу в стоимость строки.
+// Наружу (в ответы API) суммы отдаются числами в рублях.
+
+/**
+ * Переводит сумму в рублях в целые копейки.
+ * @param {number|string} rubles - Сумма в рублях (строки — для данных старого формата).
+ * @returns {number} Сумма в копейках.
+ */
+function toKopecks(rubles) {
+  const value = typeof rubles === 'number' ? rubles : parseFloat(rubles);
+  if (!Number.isFinite(value)) {
+    return 0;
+  }
+  // toPrecision убирает двоичную погрешность вроде 1.005 * 100 = 100.49999999999999
+  return Math.round(parseFloat((value * 100).toPrecision(15)));
+}
+
+/**
+ * Переводит копейки в рубли.
+ * @param {number} kopecks - Сумма в копейках.
+ * @returns {number} Сумма в рублях.
+ */
+function fromKopecks(kopecks) {
+  return kopecks / 100;
+}
+
+/**
+ * Рассчитывает стоимость строки: количество × цена за единицу, округлённая до копейки.
+ * @param {number} quantity - Количество.
+ * @param {number} price - Цена за единицу (руб.).
+ * @returns {number} Стоимость в копейках.
+ */
+function costOf(quantity, price) {
+  return Math.round(parseFloat((quantity * toKopecks(price)).toPrecision(15)));
+}
+
+/**
+ * Рассчитывает долю суммы в процентах, округлённую до копейки.
+ * @param {number} kopecks - Сумма в копейках.
+ * @param {number} percent - Процент.
+ * @returns {number} Доля в копейках.
+ */
+function percentOf(kopecks, percent) {
+  return Math.round(parseFloat(((kopecks * percent) / 100).toPrecision(15)));
+}
+
+/**
+ * Проверяет, что значение — неотрицательное конечное число.
+ * @param {*} value - Проверяемое значение.
+ * @returns {boolean} True, если значение корректно.
+ */
+function isNonNegativeNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+module.exports = { toKopecks, fromKopecks, costOf, percentOf, isNonNegativeNumber };
@@ -0,0 +1,95 @@
+const { toKopecks, fromKopecks } = require('./money');
+
+// Точность подбора упаковок: потребность и объёмы упаковок переводятся в сотые доли единицы
+const PACK_PRECISION = 100;
+
+// Предел размера таблицы перебора; при большей потребности упаковки подбираются жадно
+const MAX_PACK_STEPS = 200000;
+
+/**
+ * Подбирает самую дешёвую комбинацию упаковок, покрывающую потребность.
+ * Используется динамическое программирование по объёму: cost[q] — минимальная стоимость
+ * упаковок (в копейках), в сумме дающих не меньше q.
+ * @param {number} required - Потребность в единицах упаковки (л., м, шт.).
+ * @param {Array<{ id: string, name: string, packSize: number, price: number }>} variants
+ *   Варианты упаковки одного товара.
+ * @returns {{ success: boolean, packs?: Array<{ id: string, name: string, packSize: number,
+ *   count: number, cost: number }>, purchased?: number, leftover?: number, cost?: number,
+ *   error?: string }} Выбранные упаковки, купленный объём, остаток и стоимость.
+ */
+function choosePacks(required, variants) {
+  const options = (variants || []).filter(
+    variant =>
+      typeof variant.packSize === 'number' &&
+      variant.packSize > 0 &&
+      typeof variant.price === 'number' &&
+      variant.price >= 0
+  );
+  if (options.length === 0) {
+    return { success: false, error: 'Нет вариантов упаковки с объёмом и ценой' };
+  }
+  if (!(required > 0)) {
+    return { success: true, packs: [], purchased: 0, leftover: 0, cost: 0 };
+  }
+
+  const steps = Math.ceil(required * PACK_PRECISION - 1e-6);
+  const counts = new Map();
+
+  if (steps > MAX_PACK_STEPS) {
+    // Берём упаковку с лучшей ценой за единицу и добираем остаток самой дешёвой подходящей
+    const best = [...options].sort((a, b) => a.price / a.packSize - b.price / b.packSize)[0];
+    const fullPacks = Math.floor(required / best.packSize);
+    counts.set(best, fullPacks);
+    const rest = required - fullPacks * best.packSize;
+    if (rest > 1e-9) {
+      const filler = options
+        .filter(option => option.packSize >= rest)
+        .sort((a, b) => a.price - b.price)[0];
+      const fillerOption = filler || best;
+      counts.set(fillerOption, (counts.get(fillerOption) || 0) + 1);
+    }
+  } else {
+    const sizes = options.map(option => Math.max(1, Math.round(option.packSize * PACK_PRECISION)));
+    const prices = options.map(option => toKopecks(option.price));
+    const cost = new Float64Array(steps + 1).fill(Infinity);
+    const choice = new Int32Array(steps + 1).fill(-1);
+    cost[0] = 0;
+    for (let q = 1; q <= steps; q++) {
+      prices.forEach((price, index) => {
+        const candidate = price + cost[Math.max(0, q - sizes[index])];
+        // При равной цене предпочитаем меньшее число упаковок (большую упаковку)
+        if (candidate < cost[q] || (candidate === cost[q] && sizes[index] > sizes[choice[q]])) {
+          cost[q] = candidate;
+          choice[q] = index;
+        }
+      });
+    }
+    for (let q = steps; q > 0; q -= sizes[choice[q]]) {
+      const option = options[choice[q]];
+      counts.set(option, (counts.get(option) || 0) + 1);
+    }
+  }
+
+  const packs = Array.from(counts.entries())
+    .filter(([, count]) => count > 0)
+    .map(([option, count]) => ({
+      id: option.id,
+      name: option.name,
+      packSize: option.packSize,
+      count,
+      cost: toKopecks(option.price) * count,
+    }))
+    .sort((a, b) => b.packSize - a.packSize);
+  const purchased = packs.reduce((sum, pack) => sum + pack.packSize * pack.count, 0);
+  const totalCost = packs.reduce((sum, pack) => sum + pack.cost, 0);
+
+  return {
+    success: true,
+    packs: packs.map(pack => ({ ...pack, cost: fromKopecks(pack.cost) })),
+    purchased: Math.round(purchased * 100) / 100,
+    leftover: Math.round((purchased - required) * 100) / 100,
+    cost: fromKopecks(totalCost),
+  };
+}
+
+module.exports = { choosePacks };
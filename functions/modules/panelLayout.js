@@ -0,0 +1,201 @@
+const functions = require('firebase-functions');
+const { bandCoverage, polygonArea } = require('./polygon');
+
+// Допустимые направления отделки
+const FINISH_DIRECTIONS = ['vertical', 'horizontal'];
+
+// Обрезки короче этой длины (мм) считаются отходом и не используются повторно
+const MIN_OFFCUT_LENGTH = 100;
+
+/**
+ * Возвращает свободные участки полосы, не перекрытые проёмами.
+ * Проём прерывает полосу, только если перекрывает её на всю ширину, иначе панель
+ * ставится целиком и в ней делается вырез.
+ * @param {Array<[number, number]>} coverage - Участки полосы, занятые поверхностью (мм).
+ * @param {number} stripStart - Начало полосы поперёк (мм).
+ * @param {number} stripEnd - Конец полосы поперёк (мм).
+ * @param {Array<{ acrossStart: number, acrossEnd: number, runStart: number, runEnd: number }>} openings
+ *   Проёмы в координатах полос.
+ * @returns {number[]} Длины свободных участков (мм).
+ */
+function getFreeSegments(coverage, stripStart, stripEnd, openings) {
+  const blocked = openings
+    .filter(opening => opening.acrossStart <= stripStart && opening.acrossEnd >= stripEnd)
+    .map(opening => [opening.runStart, opening.runEnd])
+    .sort((a, b) => a[0] - b[0]);
+
+  const segments = [];
+  coverage.forEach(([coverageStart, coverageEnd]) => {
+    let position = coverageStart;
+    blocked.forEach(([start, end]) => {
+      if (end <= position || start >= coverageEnd) return;
+      if (start > position) {
+        segments.push(start - position);
+      }
+      position = Math.max(position, end);
+    });
+    if (coverageEnd > position) {
+      segments.push(coverageEnd - position);
+    }
+  });
+  // Панели режутся с точностью до миллиметра
+  return segments.map(segment => Math.ceil(segment - 1e-6)).filter(segment => segment > 0);
+}
+
+/**
+ * Раскладывает панели по поверхности полосами и считает реальное количество панелей.
+ * При вертикальной отделке полосы идут снизу вверх (длина панели — по высоте поверхности),
+ * при горизонтальной — вдоль поверхности (длина панели — по длине поверхности).
+ * Обрезки, оставшиеся после подрезки, используются повторно, если подходят по длине и ширине.
+ * Проёмы (окна, двери) прерывают полосы, которые перекрывают целиком. Для непрямоугольной
+ * поверхности длина каждой полосы берётся по реальному контуру.
+ * @param {Object} params - Параметры раскладки.
+ * @param {number} params.surfaceLength - Длина поверхности (мм).
+ * @param {number} params.surfaceHeight - Высота поверхности (мм).
+ * @param {number} params.panelLength - Длина панели (мм).
+ * @param {number} params.panelWidth - Ширина панели (мм).
+ * @param {string} params.direction - Направление отделки: vertical или horizontal.
+ * @param {Array<{ width: number, height: number, x: number, y: number }>} [params.openings=[]]
+ *   Проёмы (мм): x — отступ от левого края, y — от низа поверхности.
+ * @param {Array<{ x: number, y: number }>|null} [params.outline=null] - Вершины контура (мм),
+ *   если поверхность не прямоугольная; габариты должны совпадать с surfaceLength и surfaceHeight.
+ * @returns {{ success: boolean, panelCount?: number, fullPanels?: number, cutPanels?: number,
+ *   stripCount?: number, offcutsReused?: number, wasteArea?: number, cutList?: Array, error?: string }}
+ *   Результат раскладки (площадь отходов — в м²).
+ */
+function layoutPanels({
+  surfaceLength,
+  surfaceHeight,
+  panelLength,
+  panelWidth,
+  direction,
+  openings = [],
+  outline = null,
+}) {
+  if (!FINISH_DIRECTIONS.includes(direction)) {
+    return { success: false, error: `Недопустимое направление отделки: ${direction}` };
+  }
+  if (
+    ![surfaceLength, surfaceHeight, panelLength, panelWidth].every(
+      value => typeof value === 'number' && Number.isFinite(value) && value > 0
+    )
+  ) {
+    return { success: false, error: 'Размеры поверхности и панели должны быть положительными' };
+  }
+
+  // Поперёк полос укладывается ширина панели, вдоль полосы — её длина
+  const across = direction === 'vertical' ? surfaceLength : surfaceHeight;
+  const run = direction === 'vertical' ? surfaceHeight : surfaceLength;
+  const stripCount = Math.ceil(across / panelWidth);
+  const stripOpenings = openings.map(opening =>
+    direction === 'vertical'
+      ? {
+          acrossStart: opening.x,
+          acrossEnd: opening.x + opening.width,
+          runStart: opening.y,
+          runEnd: opening.y + opening.height,
+        }
+      : {
+          acrossStart: opening.y,
+          acrossEnd: opening.y + opening.height,
+          runStart: opening.x,
+          runEnd: opening.x + opening.width,
+        }
+  );
+
+  const offcuts = [];
+  const cuts = new Map();
+  let fullPanels = 0;
+  let cutPanels = 0;
+  let offcutsReused = 0;
+
+  const addCut = (length, width, fromOffcut) => {
+    const key = `${length}x${width}:${fromOffcut}`;
+    const entry = cuts.get(key) || { length, width, count: 0, fromOffcut };
+    entry.count++;
+    cuts.set(key, entry);
+  };
+
+  for (let strip = 0; strip < stripCount; strip++) {
+    const stripStart = strip * panelWidth;
+    const stripWidth = Math.min(panelWidth, across - stripStart);
+    const coverage = outline
+      ? bandCoverage(
+          outline,
+          direction === 'vertical' ? 'x' : 'y',
+          stripStart,
+          stripStart + stripWidth
+        )
+      : [[0, run]];
+    const segments = getFreeSegments(coverage, stripStart, stripStart + stripWidth, stripOpenings);
+
+    for (const segment of segments) {
+      let remaining = segment;
+
+      while (remaining > 0) {
+        const need = Math.min(remaining, panelLength);
+        remaining -= need;
+
+        if (need === panelLength && stripWidth === panelWidth) {
+          fullPanels++;
+          continue;
+        }
+
+        // Ищем самый короткий подходящий обрезок (best fit)
+        let bestIndex = -1;
+        offcuts.forEach((offcut, index) => {
+          if (
+            offcut.length >= need &&
+            offcut.width >= stripWidth &&
+            (bestIndex === -1 || offcut.length < offcuts[bestIndex].length)
+          ) {
+            bestIndex = index;
+          }
+        });
+
+        if (bestIndex !== -1) {
+          const offcut = offcuts[bestIndex];
+          offcut.length -= need;
+          if (offcut.length < MIN_OFFCUT_LENGTH) {
+            offcuts.splice(bestIndex, 1);
+          }
+          offcutsReused++;
+          addCut(need, stripWidth, true);
+          continue;
+        }
+
+        cutPanels++;
+        addCut(need, stripWidth, false);
+        if (panelLength - need >= MIN_OFFCUT_LENGTH) {
+          offcuts.push({ length: panelLength - need, width: stripWidth });
+        }
+      }
+    }
+  }
+
+  const panelCount = fullPanels + cutPanels;
+  const openingArea = openings.reduce((sum, opening) => sum + opening.width * opening.height, 0);
+  const surfaceArea = outline ? polygonArea(outline) : surfaceLength * surfaceHeight;
+  const wasteArea = (panelCount * panelLength * panelWidth - (surfaceArea - openingArea)) / 1e6;
+
+  functions.logger.info('Panel layout calculated', {
+    direction,
+    stripCount,
+    fullPanels,
+    cutPanels,
+    offcutsReused,
+  });
+
+  return {
+    success: true,
+    panelCount,
+    fullPanels,
+    cutPanels,
+    stripCount,
+    offcutsReused,
+    wasteArea: Math.round(wasteArea * 100) / 100,
+    cutList: Array.from(cuts.values()),
+  };
+}
+
+module.exports = { FINISH_DIRECTIONS, layoutPanels };
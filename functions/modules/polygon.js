@@ -0,0 +1,243 @@
+// Максимальное число вершин контура поверхности
+const MAX_VERTICES = 50;
+
+// Допуск при сравнении координат (мм)
+const EPSILON = 0.5;
+
+/**
+ * Строит вершины по сторонам контура. Каждая сторона задаётся длиной и углом
+ * направления (градусы, 0 — вправо вдоль поверхности, 90 — вверх). Последняя
+ * сторона, замыкающая контур, может быть опущена.
+ * @param {Array<{ length: number, angle: number }>} segments - Стороны контура (мм).
+ * @returns {Array<{ x: number, y: number }>} Вершины контура.
+ */
+function segmentsToVertices(segments) {
+  const vertices = [{ x: 0, y: 0 }];
+  segments.forEach(({ length, angle }) => {
+    const last = vertices[vertices.length - 1];
+    const radians = (angle * Math.PI) / 180;
+    vertices.push({
+      x: Math.round((last.x + length * Math.cos(radians)) * 100) / 100,
+      y: Math.round((last.y + length * Math.sin(radians)) * 100) / 100,
+    });
+  });
+  const last = vertices[vertices.length - 1];
+  if (Math.abs(last.x) <= EPSILON && Math.abs(last.y) <= EPSILON) {
+    vertices.pop();
+  }
+  return vertices;
+}
+
+/**
+ * Проверяет, пересекаются ли отрезки ab и cd (касание концами не считается).
+ * @returns {boolean} True, если отрезки пересекаются.
+ */
+function segmentsIntersect(a, b, c, d) {
+  const cross = (p, q, r) => (q.x - p.x) * (r.y - p.y) - (q.y - p.y) * (r.x - p.x);
+  const d1 = cross(c, d, a);
+  const d2 = cross(c, d, b);
+  const d3 = cross(a, b, c);
+  const d4 = cross(a, b, d);
+  return d1 * d2 < 0 && d3 * d4 < 0;
+}
+
+/**
+ * Вычисляет площадь многоугольника (формула шнурования).
+ * @param {Array<{ x: number, y: number }>} vertices - Вершины.
+ * @returns {number} Площадь.
+ */
+function polygonArea(vertices) {
+  let sum = 0;
+  vertices.forEach((vertex, index) => {
+    const next = vertices[(index + 1) % vertices.length];
+    sum += vertex.x * next.y - next.x * vertex.y;
+  });
+  return Math.abs(sum) / 2;
+}
+
+/**
+ * Возвращает длины сторон многоугольника.
+ * @param {Array<{ x: number, y: number }>} vertices - Вершины.
+ * @returns {number[]} Длины сторон.
+ */
+function polygonEdges(vertices) {
+  return vertices.map((vertex, index) => {
+    const next = vertices[(index + 1) % vertices.length];
+    return Math.hypot(next.x - vertex.x, next.y - vertex.y);
+  });
+}
+
+/**
+ * Проверяет контур поверхности и приводит его к вершинам с началом в левом нижнем углу
+ * описанного прямоугольника.
+ * @param {Object} outline - Контур: { vertices: [{ x, y }] } или { segments: [{ length, angle }] } (мм).
+ * @returns {{ success: boolean, vertices?: Array<{ x: number, y: number }>, length?: number,
+ *   height?: number, area?: number, perimeter?: number, error?: string }}
+ *   Вершины, габариты, площадь (мм²) и периметр (мм) или ошибка.
+ */
+function normalizeOutline(outline) {
+  if (!outline || typeof outline !== 'object' || Array.isArray(outline)) {
+    return { success: false, error: 'Контур поверхности должен быть объектом' };
+  }
+
+  let vertices;
+  if (Array.isArray(outline.vertices)) {
+    vertices = outline.vertices.map(vertex => ({
+      x: parseFloat(vertex && vertex.x),
+      y: parseFloat(vertex && vertex.y),
+    }));
+    if (vertices.some(vertex => !Number.isFinite(vertex.x) || !Number.isFinite(vertex.y))) {
+      return { success: false, error: 'Координаты вершин контура должны быть числами' };
+    }
+  } else if (Array.isArray(outline.segments)) {
+    const segments = outline.segments.map(segment => ({
+      length: parseFloat(segment && segment.length),
+      angle: parseFloat(segment && segment.angle),
+    }));
+    if (segments.some(segment => !(segment.length > 0) || !Number.isFinite(segment.angle))) {
+      return {
+        success: false,
+        error: 'Стороны контура должны иметь положительную длину и числовой угол',
+      };
+    }
+    vertices = segmentsToVertices(segments);
+  } else {
+    return { success: false, error: 'Контур должен содержать vertices или segments' };
+  }
+
+  if (vertices.length < 3 || vertices.length > MAX_VERTICES) {
+    return {
+      success: false,
+      error: `Контур должен содержать от 3 до ${MAX_VERTICES} вершин`,
+    };
+  }
+
+  const edgeCount = vertices.length;
+  for (let i = 0; i < edgeCount; i++) {
+    for (let j = i + 1; j < edgeCount; j++) {
+      if (
+        segmentsIntersect(
+          vertices[i],
+          vertices[(i + 1) % edgeCount],
+          vertices[j],
+          vertices[(j + 1) % edgeCount]
+        )
+      ) {
+        return { success: false, error: 'Стороны контура не должны пересекаться' };
+      }
+    }
+  }
+
+  const minX = Math.min(...vertices.map(vertex => vertex.x));
+  const minY = Math.min(...vertices.map(vertex => vertex.y));
+  const shifted = vertices.map(vertex => ({ x: vertex.x - minX, y: vertex.y - minY }));
+  const area = polygonArea(shifted);
+  if (area <= 0) {
+    return { success: false, error: 'Площадь контура должна быть больше нуля' };
+  }
+
+  return {
+    success: true,
+    vertices: shifted,
+    length: Math.max(...shifted.map(vertex => vertex.x)),
+    height: Math.max(...shifted.map(vertex => vertex.y)),
+    area,
+    perimeter: polygonEdges(shifted).reduce((sum, edge) => sum + edge, 0),
+  };
+}
+
+/**
+ * Возвращает участки, которые многоугольник занимает на линии axis = value.
+ * @param {Array<{ x: number, y: number }>} vertices - Вершины.
+ * @param {string} axis - Ось секущей линии: 'x' (вертикальная линия) или 'y' (горизонтальная).
+ * @param {number} value - Координата секущей линии.
+ * @returns {Array<[number, number]>} Участки вдоль другой оси, по возрастанию.
+ */
+function crossSection(vertices, axis, value) {
+  const other = axis === 'x' ? 'y' : 'x';
+  const points = [];
+  vertices.forEach((vertex, index) => {
+    const next = vertices[(index + 1) % vertices.length];
+    const low = Math.min(vertex[axis], next[axis]);
+    const high = Math.max(vertex[axis], next[axis]);
+    // Полуоткрытый интервал, чтобы вершина не учитывалась дважды
+    if (value >= low && value < high) {
+      const t = (value - vertex[axis]) / (next[axis] - vertex[axis]);
+      points.push(vertex[other] + t * (next[other] - vertex[other]));
+    }
+  });
+  points.sort((a, b) => a - b);
+
+  const intervals = [];
+  for (let i = 0; i + 1 < points.length; i += 2) {
+    intervals.push([points[i], points[i + 1]]);
+  }
+  return intervals;
+}
+
+/**
+ * Объединяет пересекающиеся участки.
+ * @param {Array<[number, number]>} intervals - Участки.
+ * @returns {Array<[number, number]>} Непересекающиеся участки по возрастанию.
+ */
+function mergeIntervals(intervals) {
+  const sorted = [...intervals].sort((a, b) => a[0] - b[0]);
+  const merged = [];
+  sorted.forEach(([start, end]) => {
+    const last = merged[merged.length - 1];
+    if (last && start <= last[1] + EPSILON) {
+      last[1] = Math.max(last[1], end);
+    } else {
+      merged.push([start, end]);
+    }
+  });
+  return merged;
+}
+
+/**
+ * Возвращает участки, которые многоугольник занимает в полосе axis ∈ [start, end].
+ * Сечения берутся по краям полосы и рядом с вершинами внутри неё: между вершинами
+ * границы участков меняются линейно, поэтому этого достаточно.
+ * @param {Array<{ x: number, y: number }>} vertices - Вершины.
+ * @param {string} axis - Ось, поперёк которой идёт полоса: 'x' или 'y'.
+ * @param {number} start - Начало полосы.
+ * @param {number} end - Конец полосы.
+ * @returns {Array<[number, number]>} Участки вдоль полосы.
+ */
+function bandCoverage(vertices, axis, start, end) {
+  // Сечения по обе стороны от каждой вершины, чтобы не потерять выступы
+  const samples = [
+    start + EPSILON,
+    end - EPSILON,
+    ...vertices
+      .map(vertex => vertex[axis])
+      .filter(value => value > start && value < end)
+      .flatMap(value => [value - EPSILON, value + EPSILON]),
+  ].filter(value => value >= start && value <= end);
+  const sections = samples.flatMap(value => crossSection(vertices, axis, value));
+  return mergeIntervals(sections);
+}
+
+/**
+ * Проверяет, лежит ли точка внутри многоугольника или на его границе.
+ * @param {Array<{ x: number, y: number }>} vertices - Вершины.
+ * @param {{ x: number, y: number }} point - Точка.
+ * @returns {boolean} True, если точка внутри.
+ */
+function containsPoint(vertices, point) {
+  const top = Math.max(...vertices.map(vertex => vertex.y));
+  // Точка на верхней границе проверяется чуть ниже неё
+  const y = Math.min(point.y, top - EPSILON);
+  return crossSection(vertices, 'y', y).some(
+    ([start, end]) => point.x >= start - EPSILON && point.x <= end + EPSILON
+  );
+}
+
+module.exports = {
+  normalizeOutline,
+  polygonArea,
+  polygonEdges,
+  crossSection,
+  bandCoverage,
+  containsPoint,
+};
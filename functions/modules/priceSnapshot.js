@@ -0,0 +1,69 @@
+const { toKopecks, fromKopecks } = require('./money');
+const { DEFAULT_PRICING } = require('./pricing');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Формирует снимок цен расчёта: цены за единицу и данные материалов и работ, по которым
+ * посчитаны строки, с датой расчёта и сроком действия цен. По снимку видно, какие цены
+ * были названы клиенту, даже если позже администратор их изменит.
+ * @param {Array<{ results: Object[], labour?: Object[] }>} tabs - Результаты вкладок.
+ * @param {number} [validityDays] - Срок действия цен (дней).
+ * @param {Date} [now] - Момент расчёта.
+ * @returns {{ takenAt: string, validUntil: string, materials: Object, labour: Object }} Снимок:
+ *   materials и labour — { [id]: { name, unit, price, ... } }, цены в рублях.
+ */
+function buildPriceSnapshot(
+  tabs,
+  validityDays = DEFAULT_PRICING.priceValidityDays,
+  now = new Date()
+) {
+  const materials = {};
+  const labour = {};
+
+  tabs.forEach(tab => {
+    (tab.results || []).forEach(line => {
+      // Фасованный материал покупается упаковками своего товара — в снимок идут их цены
+      if (Array.isArray(line.packs) && line.packs.length > 0) {
+        line.packs.forEach(pack => {
+          if (!pack.id || !(pack.count > 0)) return;
+          materials[pack.id] = {
+            name: pack.name,
+            unit: line.unit,
+            packSize: pack.packSize,
+            price: fromKopecks(Math.round(toKopecks(pack.cost) / pack.count)),
+            category: line.category || null,
+          };
+        });
+        return;
+      }
+      const materialId = line.trace && line.trace.materialId;
+      if (!materialId) return;
+      materials[materialId] = {
+        name: line.material,
+        unit: line.unit,
+        price: line.trace.unitPrice,
+        category: line.category || null,
+      };
+    });
+    (tab.labour || []).forEach(line => {
+      const labourId = line.trace && line.trace.materialId;
+      if (!labourId) return;
+      labour[labourId] = {
+        name: line.work,
+        unit: line.unit,
+        price: line.trace.unitPrice,
+      };
+    });
+  });
+
+  const days = validityDays > 0 ? validityDays : DEFAULT_PRICING.priceValidityDays;
+  return {
+    takenAt: now.toISOString(),
+    validUntil: new Date(now.getTime() + days * DAY_MS).toISOString(),
+    materials,
+    labour,
+  };
+}
+
+module.exports = { buildPriceSnapshot };
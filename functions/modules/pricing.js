@@ -0,0 +1,338 @@
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const db = admin.firestore();
+const { toKopecks, fromKopecks, percentOf, isNonNegativeNumber } = require('./money');
+
+// Настройки ценообразования хранятся одним документом
+const SETTINGS_COLLECTION = 'settings';
+const PRICING_DOC = 'pricing';
+
+// Виды скидки на заказ: процент от суммы продажи или фиксированная сумма (руб.)
+const DISCOUNT_TYPES = ['percent', 'fixed'];
+
+// Как скрытые материалы (обрешётка, крепёж) попадают в предложение клиенту: отдельной строкой
+// "Расходные материалы" или включёнными в цены видимых материалов вкладки
+const HIDDEN_COSTS_DISPLAY = ['line', 'folded'];
+
+// Настройки по умолчанию: продажа по закупочной цене, без НДС и округления
+const DEFAULT_PRICING = {
+  defaultMarkup: 0, // Наценка для категорий без своей наценки (%)
+  labourMarkup: null, // Наценка на работы (%); null — как defaultMarkup
+  markups: {}, // Наценки по категориям материалов: { "Вкладка:Подкатегория": % }
+  vatRate: 0, // Ставка НДС (%); 0 — НДС не выделяется
+  vatIncluded: false, // НДС уже включён в цены продажи (иначе начисляется сверху)
+  roundTo: 0, // Шаг округления итога для клиента (руб.); 0 — до копеек
+  discount: null, // Скидка на заказ: { type: 'percent' | 'fixed', value }
+  priceValidityDays: 14, // Срок действия цен в расчёте (дней)
+  companyName: '', // Название компании в коммерческом предложении
+  companyDetails: '', // Контакты и реквизиты компании для коммерческого предложения
+  quoteTerms: '', // Условия предложения: сроки работ, оплата, гарантия
+  hiddenCostsDisplay: 'line', // Скрытые материалы в предложении: 'line' | 'folded'
+};
+
+// Ограничение срока действия цен (дней)
+const MAX_PRICE_VALIDITY_DAYS = 365;
+
+// Максимальная длина текстов коммерческого предложения
+const QUOTE_TEXT_LIMITS = {
+  companyName: 100,
+  companyDetails: 500,
+  quoteTerms: 2000,
+};
+
+/**
+ * Проверяет скидку на заказ.
+ * @param {Object|null} discount - Скидка { type, value } или null.
+ * @returns {{ success: boolean, error?: string }} Результат валидации.
+ */
+function validateDiscount(discount) {
+  if (discount === null || discount === undefined) {
+    return { success: true };
+  }
+  if (typeof discount !== 'object' || !DISCOUNT_TYPES.includes(discount.type)) {
+    return {
+      success: false,
+      error: `Тип скидки должен быть одним из: ${DISCOUNT_TYPES.join(', ')}`,
+    };
+  }
+  if (!isNonNegativeNumber(discount.value)) {
+    return { success: false, error: 'Размер скидки должен быть неотрицательным числом' };
+  }
+  if (discount.type === 'percent' && discount.value > 100) {
+    return { success: false, error: 'Скидка в процентах не может превышать 100' };
+  }
+  return { success: true };
+}
+
+/**
+ * Проверяет настройки ценообразования. Все поля необязательны.
+ * @param {Object} pricing - Настройки (см. DEFAULT_PRICING).
+ * @returns {{ success: boolean, error?: string }} Результат валидации.
+ */
+function validatePricing(pricing) {
+  if (!pricing || typeof pricing !== 'object' || Array.isArray(pricing)) {
+    return { success: false, error: 'Настройки ценообразования должны быть объектом' };
+  }
+  for (const field of ['defaultMarkup', 'vatRate', 'roundTo']) {
+    if (pricing[field] !== undefined && !isNonNegativeNumber(pricing[field])) {
+      return { success: false, error: `${field} должен быть неотрицательным числом` };
+    }
+  }
+  if (
+    pricing.labourMarkup !== undefined &&
+    pricing.labourMarkup !== null &&
+    !isNonNegativeNumber(pricing.labourMarkup)
+  ) {
+    return { success: false, error: 'labourMarkup должен быть неотрицательным числом' };
+  }
+  if (pricing.vatRate > 100) {
+    return { success: false, error: 'Ставка НДС не может превышать 100%' };
+  }
+  if (
+    pricing.priceValidityDays !== undefined &&
+    (!Number.isInteger(pricing.priceValidityDays) ||
+      pricing.priceValidityDays < 1 ||
+      pricing.priceValidityDays > MAX_PRICE_VALIDITY_DAYS)
+  ) {
+    return {
+      success: false,
+      error: `priceValidityDays должен быть целым числом от 1 до ${MAX_PRICE_VALIDITY_DAYS}`,
+    };
+  }
+  for (const [field, maxLength] of Object.entries(QUOTE_TEXT_LIMITS)) {
+    if (
+      pricing[field] !== undefined &&
+      (typeof pricing[field] !== 'string' || pricing[field].length > maxLength)
+    ) {
+      return {
+        success: false,
+        error: `${field} должен быть строкой не длиннее ${maxLength} символов`,
+      };
+    }
+  }
+  if (
+    pricing.hiddenCostsDisplay !== undefined &&
+    !HIDDEN_COSTS_DISPLAY.includes(pricing.hiddenCostsDisplay)
+  ) {
+    return {
+      success: false,
+      error: `hiddenCostsDisplay должен быть одним из: ${HIDDEN_COSTS_DISPLAY.join(', ')}`,
+    };
+  }
+  if (pricing.vatIncluded !== undefined && typeof pricing.vatIncluded !== 'boolean') {
+    return { success: false, error: 'vatIncluded должен быть логическим значением' };
+  }
+  if (pricing.markups !== undefined) {
+    if (!pricing.markups || typeof pricing.markups !== 'object' || Array.isArray(pricing.markups)) {
+      return { success: false, error: 'markups должен быть объектом { категория: наценка }' };
+    }
+    for (const [category, markup] of Object.entries(pricing.markups)) {
+      if (!/^[^:]+:[^:]+/.test(category)) {
+        return {
+          success: false,
+          error: `Недопустимая категория наценки: "${category}". Ожидается "TabName:SubCategory"`,
+        };
+      }
+      if (!isNonNegativeNumber(markup)) {
+        return { success: false, error: `Наценка для "${category}" должна быть неотрицательной` };
+      }
+    }
+  }
+  return validateDiscount(pricing.discount);
+}
+
+/**
+ * Округляет цену для клиента до шага step (по правилам математического округления).
+ * @param {number} kopecks - Цена в копейках (может быть дробной после наценки).
+ * @param {number} step - Шаг округления (руб.); 0 — до копеек.
+ * @returns {number} Округлённая цена в копейках.
+ */
+function roundPrice(kopecks, step) {
+  const stepKopecks = toKopecks(step);
+  if (stepKopecks > 0) {
+    return Math.round(parseFloat((kopecks / stepKopecks).toPrecision(15))) * stepKopecks;
+  }
+  return Math.round(parseFloat(kopecks.toPrecision(15)));
+}
+
+/**
+ * Загружает настройки ценообразования; при отсутствии документа или ошибке — значения по умолчанию.
+ * @param {string} userId - ID пользователя.
+ * @returns {Promise<Object>} Настройки (см. DEFAULT_PRICING).
+ */
+async function loadPricingSettings(userId) {
+  try {
+    const doc = await db.collection(SETTINGS_COLLECTION).doc(PRICING_DOC).get();
+    if (!doc.exists) {
+      return { ...DEFAULT_PRICING };
+    }
+    const { updatedAt, updatedBy, ...settings } = doc.data();
+    const validation = validatePricing(settings);
+    if (!validation.success) {
+      functions.logger.warn('Invalid pricing settings ignored', {
+        error: validation.error,
+        updatedAt,
+        updatedBy,
+        userId,
+      });
+      return { ...DEFAULT_PRICING };
+    }
+    return { ...DEFAULT_PRICING, ...settings };
+  } catch (error) {
+    functions.logger.warn('Pricing settings unavailable, using defaults', {
+      message: error.message,
+      userId,
+    });
+    return { ...DEFAULT_PRICING };
+  }
+}
+
+/**
+ * Сохраняет настройки ценообразования.
+ * @param {Object} settings - Настройки (см. DEFAULT_PRICING).
+ * @param {string} userId - ID пользователя.
+ * @returns {Promise<{ success: boolean, error?: string }>} Результат операции.
+ */
+async function savePricingSettings(settings, userId) {
+  try {
+    const validation = validatePricing(settings);
+    if (!validation.success) {
+      return { success: false, error: validation.error };
+    }
+    const normalized = {};
+    Object.keys(DEFAULT_PRICING).forEach(field => {
+      normalized[field] = settings[field] !== undefined ? settings[field] : DEFAULT_PRICING[field];
+    });
+    await db
+      .collection(SETTINGS_COLLECTION)
+      .doc(PRICING_DOC)
+      .set({
+        ...normalized,
+        updatedBy: userId || 'unauthenticated',
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    functions.logger.info('Pricing settings saved', { userId });
+    return { success: true };
+  } catch (error) {
+    functions.logger.error('Error saving pricing settings', {
+      message: error.message,
+      stack: error.stack,
+      userId,
+    });
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Применяет ценообразование к рассчитанным количествам.
+ * К каждой строке материалов и работ добавляются наценка и точная до копейки цена продажи
+ * (salePrice), к вкладке — сумма продажи (saleCost, в копейках). Скидка и НДС считаются на весь
+ * заказ, шаг округления roundTo применяется один раз — к итогу (разница — в rounding).
+ * @param {Array<{ results: Object[], labour?: Object[] }>} tabs - Результаты вкладок (изменяются).
+ * @param {Object} pricing - Настройки (см. DEFAULT_PRICING).
+ * @returns {{ purchaseCost: number, saleSubtotal: number, discount: number, saleNet: number,
+ *   vatRate: number, vatIncluded: boolean, vat: number, rounding: number, saleTotal: number }}
+ *   Итоги заказа в копейках.
+ */
+function applyPricing(tabs, pricing) {
+  const settings = { ...DEFAULT_PRICING, ...pricing };
+  const labourMarkup =
+    settings.labourMarkup !== null && settings.labourMarkup !== undefined
+      ? settings.labourMarkup
+      : settings.defaultMarkup;
+
+  const priceLine = (line, markup) => {
+    const cost = toKopecks(line.cost);
+    // Строка с ненулевой закупкой не может стоить клиенту 0 коп.
+    const salePrice = Math.max(roundPrice(cost * (1 + markup / 100), 0), cost > 0 ? 1 : 0);
+    line.markup = markup;
+    line.salePrice = fromKopecks(salePrice);
+    return { cost, salePrice };
+  };
+
+  let purchaseCost = 0;
+  let saleSubtotal = 0;
+  tabs.forEach(tab => {
+    let tabSale = 0;
+    (tab.results || []).forEach(line => {
+      const markup =
+        line.category && settings.markups[line.category] !== undefined
+          ? settings.markups[line.category]
+          : settings.defaultMarkup;
+      const { cost, salePrice } = priceLine(line, markup);
+      purchaseCost += cost;
+      tabSale += salePrice;
+    });
+    (tab.labour || []).forEach(line => {
+      const { cost, salePrice } = priceLine(line, labourMarkup);
+      purchaseCost += cost;
+      tabSale += salePrice;
+    });
+    tab.saleCost = tabSale;
+    saleSubtotal += tabSale;
+  });
+
+  let discount = 0;
+  if (settings.discount) {
+    discount =
+      settings.discount.type === 'percent'
+        ? roundPrice(percentOf(saleSubtotal, settings.discount.value), 0)
+        : toKopecks(settings.discount.value);
+    discount = Math.min(discount, saleSubtotal);
+  }
+  const saleNet = saleSubtotal - discount;
+
+  // НДС сверху увеличивает итог; включённый НДС выделяется из округлённого итога
+  const vatOnTop =
+    settings.vatRate > 0 && !settings.vatIncluded
+      ? roundPrice((saleNet * settings.vatRate) / 100, 0)
+      : 0;
+  // Непустой заказ не округляется до нуля — в этом случае итог равен одному шагу
+  const saleTotal =
+    roundPrice(saleNet + vatOnTop, settings.roundTo) ||
+    (saleNet + vatOnTop > 0 ? toKopecks(settings.roundTo) : 0);
+  const rounding = saleTotal - saleNet - vatOnTop;
+  let vat = vatOnTop;
+  if (settings.vatRate > 0 && settings.vatIncluded) {
+    vat = roundPrice((saleTotal * settings.vatRate) / (100 + settings.vatRate), 0);
+  }
+
+  return {
+    purchaseCost,
+    saleSubtotal,
+    discount,
+    saleNet,
+    vatRate: settings.vatRate,
+    vatIncluded: settings.vatIncluded,
+    vat,
+    rounding,
+    saleTotal,
+  };
+}
+
+/**
+ * Переводит денежные поля итогов ценообразования в рубли для ответа API.
+ * @param {Object} summary - Итоги заказа в копейках (см. applyPricing).
+ * @returns {Object} Итоги с суммами в рублях.
+ */
+function formatPricingSummary(summary) {
+  const formatted = { ...summary };
+  ['purchaseCost', 'saleSubtotal', 'discount', 'saleNet', 'vat', 'rounding', 'saleTotal'].forEach(
+    field => {
+      formatted[field] = fromKopecks(summary[field]);
+    }
+  );
+  return formatted;
+}
+
+module.exports = {
+  DISCOUNT_TYPES,
+  DEFAULT_PRICING,
+  validatePricing,
+  validateDiscount,
+  roundPrice,
+  loadPricingSettings,
+  savePricingSettings,
+  applyPricing,
+  formatPricingSummary,
+};
@@ -0,0 +1,645 @@
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const { Buffer } = require('buffer');
+const db = admin.firestore();
+const { ADJUSTMENT_LIMITS } = require('./adjustments');
+
+// Коллекция сохранённых расчётов (заказов)
+const PROJECTS_COLLECTION = 'projects';
+// Подколлекция прежних версий проекта: при каждом обновлении туда копируется предыдущее состояние
+const REVISIONS_COLLECTION = 'revisions';
+
+// Ограничения сохраняемого проекта
+const PROJECT_LIMITS = {
+  ORDER_NUMBER_LENGTH: 50,
+  ADDRESS_LENGTH: 200,
+  PHONE_LENGTH: 30,
+  MAX_TABS: 20,
+  MAX_VARIANTS: 5,
+  MAX_SIZE: 900000, // Байт JSON; документ Firestore ограничен 1 МиБ
+  PAGE_SIZE: 20,
+  MAX_PAGE_SIZE: 50,
+  TERM_LENGTH: 20, // Максимальная длина префикса для поиска
+  MAX_REVISIONS: 50, // Сколько последних версий отдаётся в списке
+};
+
+/**
+ * Логирует событие в Firestore.
+ * @param {string} event - Название события.
+ * @param {string} userId - ID пользователя.
+ * @param {Object} [extra] - Дополнительные данные для лога.
+ */
+async function logToFirestore(event, userId, extra = {}) {
+  try {
+    await db.collection('analytics').add({
+      event,
+      userId: userId || 'unauthenticated',
+      page_title: 'Balcony Calculator',
+      timestamp: admin.firestore.FieldValue.serverTimestamp(),
+      ...extra,
+    });
+  } catch (firestoreError) {
+    functions.logger.warn('Failed to log to Firestore', {
+      event,
+      message: firestoreError.message,
+      stack: firestoreError.stack,
+    });
+  }
+}
+
+/**
+ * Приводит телефон к цифрам; российский номер с ведущей 8 — к виду с 7.
+ * @param {string} phone - Телефон в любом формате.
+ * @returns {string} Цифры телефона.
+ */
+function normalizePhone(phone) {
+  const digits = String(phone || '').replace(/\D/g, '');
+  return digits.length === 11 && digits.startsWith('8') ? `7${digits.slice(1)}` : digits;
+}
+
+/**
+ * Разбивает текст на слова в нижнем регистре.
+ * @param {string} text - Текст.
+ * @returns {string[]} Слова.
+ */
+function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+}
+
+/**
+ * Формирует поисковые термины проекта: префиксы номера заказа и слов адреса,
+ * префиксы и окончания цифр телефона. Firestore не ищет по подстроке, поэтому
+ * поиск выполняется запросом array-contains по этим терминам.
+ * @param {{ orderNumber: string, address: string, phone: string }} header - Шапка проекта.
+ * @returns {string[]} Поисковые термины.
+ */
+function buildSearchTerms(header) {
+  const terms = new Set();
+  const addPrefixes = (word, minLength) => {
+    const limit = Math.min(word.length, PROJECT_LIMITS.TERM_LENGTH);
+    for (let length = minLength; length <= limit; length++) {
+      terms.add(word.slice(0, length));
+    }
+  };
+
+  const orderNumber = String(header.orderNumber || '')
+    .toLowerCase()
+    .trim();
+  if (orderNumber) {
+    addPrefixes(orderNumber, 1);
+  }
+  [...tokenize(header.orderNumber), ...tokenize(header.address)].forEach(word =>
+    addPrefixes(word, Math.min(2, word.length))
+  );
+
+  // По телефону ищут и с начала номера, и по последним цифрам
+  const phone = normalizePhone(header.phone);
+  if (phone) {
+    addPrefixes(phone, Math.min(3, phone.length));
+    for (let length = 4; length < phone.length; length++) {
+      terms.add(phone.slice(-length));
+    }
+  }
+  return Array.from(terms);
+}
+
+/**
+ * Разбирает поисковую строку: самое длинное слово идёт в запрос к Firestore,
+ * остальные проверяются по найденным проектам.
+ * @param {string} search - Поисковая строка (номер заказа, адрес или телефон).
+ * @returns {{ term: string, rest: string[] }|null} Термин запроса и остальные слова.
+ */
+function parseSearch(search) {
+  const text = String(search || '').trim();
+  if (!text) {
+    return null;
+  }
+  // Строка из цифр и символов телефона ищется как телефон
+  if (/^[\d\s()+-]+$/.test(text) && text.replace(/\D/g, '').length >= 3) {
+    return { term: normalizePhone(text).slice(0, PROJECT_LIMITS.TERM_LENGTH), rest: [] };
+  }
+  const words = tokenize(text).sort((a, b) => b.length - a.length);
+  if (words.length === 0) {
+    return null;
+  }
+  return {
+    term: words[0].slice(0, PROJECT_LIMITS.TERM_LENGTH),
+    rest: words.slice(1),
+  };
+}
+
+/**
+ * Валидирует данные проекта.
+ * @param {Object} data - Данные проекта: { header, inputs, results, schemaVersion }.
+ * @returns {{ success: boolean, error?: string }} Результат валидации.
+ */
+function validateProjectData(data) {
+  if (!data || typeof data !== 'object') {
+    return { success: false, error: 'Data must be a non-empty object' };
+  }
+
+  const { header, inputs, results, schemaVersion } = data;
+  if (!header || typeof header !== 'object') {
+    return { success: false, error: 'Header must be an object' };
+  }
+  const headerFields = [
+    ['orderNumber', PROJECT_LIMITS.ORDER_NUMBER_LENGTH],
+    ['address', PROJECT_LIMITS.ADDRESS_LENGTH],
+    ['phone', PROJECT_LIMITS.PHONE_LENGTH],
+  ];
+  for (const [field, maxLength] of headerFields) {
+    if (typeof header[field] !== 'string' || header[field].trim() === '') {
+      return { success: false, error: `Header field ${field} must be a non-empty string` };
+    }
+    if (header[field].length > maxLength) {
+      return {
+        success: false,
+        error: `Header field ${field} must not exceed ${maxLength} characters`,
+      };
+    }
+  }
+
+  if (!inputs || typeof inputs !== 'object' || !Array.isArray(inputs.tabs)) {
+    return { success: false, error: 'Inputs must be an object with a tabs array' };
+  }
+  if (inputs.tabs.length > PROJECT_LIMITS.MAX_TABS) {
+    return { success: false, error: `Inputs must not exceed ${PROJECT_LIMITS.MAX_TABS} tabs` };
+  }
+  if (
+    inputs.variants !== undefined &&
+    (!Array.isArray(inputs.variants) || inputs.variants.length > PROJECT_LIMITS.MAX_VARIANTS)
+  ) {
+    return {
+      success: false,
+      error: `Inputs variants must be an array of at most ${PROJECT_LIMITS.MAX_VARIANTS} items`,
+    };
+  }
+  if (
+    inputs.adjustments !== undefined &&
+    (!Array.isArray(inputs.adjustments) ||
+      inputs.adjustments.length > ADJUSTMENT_LIMITS.MAX_ADJUSTMENTS)
+  ) {
+    return {
+      success: false,
+      error: `Inputs adjustments must be an array of at most ${ADJUSTMENT_LIMITS.MAX_ADJUSTMENTS} items`,
+    };
+  }
+  if (results !== undefined && results !== null && typeof results !== 'object') {
+    return { success: false, error: 'Results must be an object or null' };
+  }
+  // Версия формата расчёта: по ней клиент обновляет старые проекты при открытии
+  if (!Number.isInteger(schemaVersion) || schemaVersion < 1) {
+    return { success: false, error: 'Schema version must be a positive integer' };
+  }
+
+  const size = Buffer.byteLength(JSON.stringify({ header, inputs, results }), 'utf8');
+  if (size > PROJECT_LIMITS.MAX_SIZE) {
+    return { success: false, error: `Project is too large: ${size} bytes` };
+  }
+  return { success: true };
+}
+
+/**
+ * Формирует краткие сведения о проекте для списка.
+ * @param {Object} doc - Документ проекта.
+ * @returns {Object} Сведения о проекте.
+ */
+function toProjectSummary(doc) {
+  const project = doc.data();
+  const results = project.results || {};
+  return {
+    id: doc.id,
+    header: project.header,
+    authorId: project.authorId,
+    authorEmail: project.authorEmail || null,
+    totalCost: results.totalCost ?? null,
+    saleTotal: results.pricing ? results.pricing.saleTotal : null,
+    priceValidUntil: results.priceSnapshot ? results.priceSnapshot.validUntil : null,
+    revision: project.revision || 1,
+    createdAt: project.createdAt ? project.createdAt.toDate().toISOString() : null,
+    updatedAt: project.updatedAt ? project.updatedAt.toDate().toISOString() : null,
+  };
+}
+
+/**
+ * Загружает документ проекта и проверяет доступ: открыть проект может автор или администратор.
+ * @param {string} projectId - ID проекта.
+ * @param {{ uid: string, admin?: boolean }} user - Пользователь из токена.
+ * @returns {Promise<{ success: boolean, docRef?: Object, doc?: Object, error?: string,
+ *   status?: number }>} Документ проекта или ошибка.
+ */
+async function loadOwnedProject(projectId, user) {
+  if (!projectId || typeof projectId !== 'string') {
+    return { success: false, error: 'Project ID must be a non-empty string', status: 400 };
+  }
+  const docRef = db.collection(PROJECTS_COLLECTION).doc(projectId);
+  const doc = await docRef.get();
+  if (!doc.exists) {
+    return { success: false, error: 'Project not found', status: 404 };
+  }
+  if (doc.data().authorId !== user.uid && user.admin !== true) {
+    return { success: false, error: 'Access denied', status: 403 };
+  }
+  return { success: true, docRef, doc };
+}
+
+/**
+ * Создаёт проект.
+ * @param {Object} data - Данные проекта: { header, inputs, results, schemaVersion }.
+ * @param {{ uid: string, email?: string }} user - Автор из токена.
+ * @returns {Promise<{ success: boolean, projectId?: string, error?: string }>} Результат запроса.
+ */
+async function createProject(data, user) {
+  const startTime = Date.now();
+  try {
+    const validation = validateProjectData(data);
+    if (!validation.success) {
+      return { success: false, error: validation.error };
+    }
+
+    const docRef = db.collection(PROJECTS_COLLECTION).doc();
+    await docRef.set({
+      header: data.header,
+      inputs: data.inputs,
+      results: data.results || null,
+      schemaVersion: data.schemaVersion,
+      searchTerms: buildSearchTerms(data.header),
+      authorId: user.uid,
+      authorEmail: user.email || null,
+      revision: 1,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    functions.logger.info('Project created', {
+      projectId: docRef.id,
+      orderNumber: data.header.orderNumber,
+      userId: user.uid,
+      duration: `${Date.now() - startTime}ms`,
+    });
+    await logToFirestore('project_created', user.uid, {
+      projectId: docRef.id,
+      duration: `${Date.now() - startTime}ms`,
+    });
+    return { success: true, projectId: docRef.id };
+  } catch (error) {
+    functions.logger.error('Error creating project', {
+      message: error.message,
+      stack: error.stack,
+      userId: user.uid,
+      duration: `${Date.now() - startTime}ms`,
+    });
+    await logToFirestore('project_create_failed', user.uid, {
+      error: error.message,
+      duration: `${Date.now() - startTime}ms`,
+    });
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Получает проект целиком.
+ * @param {string} projectId - ID проекта.
+ * @param {{ uid: string, admin?: boolean }} user - Пользователь из токена.
+ * @returns {Promise<{ success: boolean, project?: Object, error?: string, status?: number }>}
+ *   Результат запроса.
+ */
+async function getProject(projectId, user) {
+  const startTime = Date.now();
+  try {
+    const loaded = await loadOwnedProject(projectId, user);
+    if (!loaded.success) {
+      return loaded;
+    }
+    const { searchTerms, ...project } = loaded.doc.data();
+    functions.logger.info('Project fetched', {
+      projectId,
+      termsCount: searchTerms ? searchTerms.length : 0,
+      userId: user.uid,
+      duration: `${Date.now() - startTime}ms`,
+    });
+    return {
+      success: true,
+      project: {
+        ...project,
+        ...toProjectSummary(loaded.doc),
+      },
+    };
+  } catch (error) {
+    functions.logger.error('Error fetching project', {
+      message: error.message,
+      stack: error.stack,
+      projectId,
+      userId: user.uid,
+      duration: `${Date.now() - startTime}ms`,
+    });
+    await logToFirestore('project_fetch_failed', user.uid, {
+      error: error.message,
+      projectId,
+      duration: `${Date.now() - startTime}ms`,
+    });
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Обновляет проект: шапку, входные данные и результаты. Автор не меняется, прежнее состояние
+ * сохраняется как версия проекта.
+ * @param {Object} data - Данные проекта с id.
+ * @param {{ uid: string, admin?: boolean }} user - Пользователь из токена.
+ * @returns {Promise<{ success: boolean, revision?: number, error?: string, status?: number }>}
+ *   Результат запроса с номером новой версии.
+ */
+async function updateProject(data, user) {
+  const startTime = Date.now();
+  try {
+    const { id, ...projectData } = data || {};
+    const validation = validateProjectData(projectData);
+    if (!validation.success) {
+      return { success: false, error: validation.error, status: 400 };
+    }
+    const loaded = await loadOwnedProject(id, user);
+    if (!loaded.success) {
+      return loaded;
+    }
+
+    // Предыдущее состояние сохраняется как версия в той же транзакции, что и обновление
+    const revision = await db.runTransaction(async transaction => {
+      const current = await transaction.get(loaded.docRef);
+      const previous = current.data();
+      const previousRevision = previous.revision || 1;
+      transaction.set(
+        loaded.docRef.collection(REVISIONS_COLLECTION).doc(String(previousRevision)),
+        {
+          revision: previousRevision,
+          header: previous.header,
+          inputs: previous.inputs,
+          results: previous.results || null,
+          schemaVersion: previous.schemaVersion ?? null,
+          savedAt: previous.updatedAt || previous.createdAt || null,
+          savedBy: previous.updatedBy || previous.authorId,
+        }
+      );
+      transaction.update(loaded.docRef, {
+        header: projectData.header,
+        inputs: projectData.inputs,
+        results: projectData.results || null,
+        schemaVersion: projectData.schemaVersion,
+        searchTerms: buildSearchTerms(projectData.header),
+        revision: previousRevision + 1,
+        updatedBy: user.uid,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      return previousRevision + 1;
+    });
+
+    functions.logger.info('Project updated', {
+      projectId: id,
+      revision,
+      userId: user.uid,
+      duration: `${Date.now() - startTime}ms`,
+    });
+    await logToFirestore('project_updated', user.uid, {
+      projectId: id,
+      revision,
+      duration: `${Date.now() - startTime}ms`,
+    });
+    return { success: true, revision };
+  } catch (error) {
+    functions.logger.error('Error updating project', {
+      message: error.message,
+      stack: error.stack,
+      userId: user.uid,
+      duration: `${Date.now() - startTime}ms`,
+    });
+    await logToFirestore('project_update_failed', user.uid, {
+      error: error.message,
+      projectId: data && data.id,
+      duration: `${Date.now() - startTime}ms`,
+    });
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Получает проекты пользователя, начиная с последних изменённых, с поиском
+ * по номеру заказа, адресу или телефону.
+ * @param {Object} options - Параметры списка.
+ * @param {string} [options.search] - Поисковая строка.
+ * @param {string} [options.startAfter] - ID последнего проекта предыдущей страницы.
+ * @param {number} [options.limit] - Размер страницы.
+ * @param {{ uid: string }} user - Пользователь из токена.
+ * @returns {Promise<{ success: boolean, projects?: Object[], nextCursor?: string|null,
+ *   error?: string }>} Результат запроса.
+ */
+async function listProjects({ search, startAfter, limit } = {}, user) {
+  const startTime = Date.now();
+  try {
+    const pageSize = Math.min(
+      Math.max(parseInt(limit) || PROJECT_LIMITS.PAGE_SIZE, 1),
+      PROJECT_LIMITS.MAX_PAGE_SIZE
+    );
+    const parsedSearch = parseSearch(search);
+
+    let query = db.collection(PROJECTS_COLLECTION).where('authorId', '==', user.uid);
+    if (parsedSearch) {
+      query = query.where('searchTerms', 'array-contains', parsedSearch.term);
+    }
+    query = query.orderBy('updatedAt', 'desc');
+    if (startAfter) {
+      const cursorDoc = await db.collection(PROJECTS_COLLECTION).doc(startAfter).get();
+      if (cursorDoc.exists) {
+        query = query.startAfter(cursorDoc);
+      }
+    }
+
+    // Остальные слова запроса проверяются по префиксам, как и основной термин
+    const matches = doc => {
+      if (!parsedSearch || parsedSearch.rest.length === 0) return true;
+      const terms = doc.data().searchTerms || [];
+      return parsedSearch.rest.every(
+        word => word.length < 2 || terms.includes(word.slice(0, PROJECT_LIMITS.TERM_LENGTH))
+      );
+    };
+
+    // Фильтр по остальным словам отсеивает часть документов — читаем пачками, пока не
+    // наберётся страница или не кончится выборка; курсор — последний прочитанный документ
+    const projects = [];
+    let lastDoc = null;
+    let exhausted = false;
+    while (projects.length < pageSize && !exhausted) {
+      const snapshot = await (lastDoc ? query.startAfter(lastDoc) : query).limit(pageSize).get();
+      exhausted = snapshot.docs.length < pageSize;
+      for (const doc of snapshot.docs) {
+        lastDoc = doc;
+        if (matches(doc)) projects.push(toProjectSummary(doc));
+        if (projects.length === pageSize) {
+          exhausted = exhausted && doc === snapshot.docs[snapshot.docs.length - 1];
+          break;
+        }
+      }
+    }
+    const nextCursor = !exhausted && lastDoc ? lastDoc.id : null;
+
+    functions.logger.info('Projects listed', {
+      count: projects.length,
+      search: search || null,
+      userId: user.uid,
+      duration: `${Date.now() - startTime}ms`,
+    });
+    return { success: true, projects, nextCursor };
+  } catch (error) {
+    functions.logger.error('Error listing projects', {
+      message: error.message,
+      stack: error.stack,
+      search,
+      userId: user.uid,
+      duration: `${Date.now() - startTime}ms`,
+    });
+    await logToFirestore('projects_list_failed', user.uid, {
+      error: error.message,
+      duration: `${Date.now() - startTime}ms`,
+    });
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Формирует краткие сведения о версии проекта для списка.
+ * @param {Object} doc - Документ версии.
+ * @returns {Object} Сведения о версии.
+ */
+function toRevisionSummary(doc) {
+  const revision = doc.data();
+  const results = revision.results || {};
+  return {
+    id: doc.id,
+    revision: revision.revision,
+    header: revision.header,
+    totalCost: results.totalCost ?? null,
+    saleTotal: results.pricing ? results.pricing.saleTotal : null,
+    savedAt: revision.savedAt ? revision.savedAt.toDate().toISOString() : null,
+    savedBy: revision.savedBy || null,
+  };
+}
+
+/**
+ * Получает список прежних версий проекта, начиная с последней.
+ * @param {string} projectId - ID проекта.
+ * @param {{ uid: string, admin?: boolean }} user - Пользователь из токена.
+ * @returns {Promise<{ success: boolean, revisions?: Object[], currentRevision?: number,
+ *   error?: string, status?: number }>} Результат запроса.
+ */
+async function listProjectRevisions(projectId, user) {
+  const startTime = Date.now();
+  try {
+    const loaded = await loadOwnedProject(projectId, user);
+    if (!loaded.success) {
+      return loaded;
+    }
+    const snapshot = await loaded.docRef
+      .collection(REVISIONS_COLLECTION)
+      .orderBy('revision', 'desc')
+      .limit(PROJECT_LIMITS.MAX_REVISIONS)
+      .get();
+    const revisions = snapshot.docs.map(toRevisionSummary);
+
+    functions.logger.info('Project revisions listed', {
+      projectId,
+      count: revisions.length,
+      userId: user.uid,
+      duration: `${Date.now() - startTime}ms`,
+    });
+    return {
+      success: true,
+      revisions,
+      currentRevision: loaded.doc.data().revision || 1,
+    };
+  } catch (error) {
+    functions.logger.error('Error listing project revisions', {
+      message: error.message,
+      stack: error.stack,
+      projectId,
+      userId: user.uid,
+      duration: `${Date.now() - startTime}ms`,
+    });
+    await logToFirestore('project_revisions_list_failed', user.uid, {
+      error: error.message,
+      projectId,
+      duration: `${Date.now() - startTime}ms`,
+    });
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Получает прежнюю версию проекта целиком.
+ * @param {string} projectId - ID проекта.
+ * @param {string} revisionId - ID версии.
+ * @param {{ uid: string, admin?: boolean }} user - Пользователь из токена.
+ * @returns {Promise<{ success: boolean, revision?: Object, error?: string, status?: number }>}
+ *   Результат запроса.
+ */
+async function getProjectRevision(projectId, revisionId, user) {
+  const startTime = Date.now();
+  try {
+    if (!revisionId || typeof revisionId !== 'string') {
+      return { success: false, error: 'Revision ID must be a non-empty string', status: 400 };
+    }
+    const loaded = await loadOwnedProject(projectId, user);
+    if (!loaded.success) {
+      return loaded;
+    }
+    const doc = await loaded.docRef.collection(REVISIONS_COLLECTION).doc(revisionId).get();
+    if (!doc.exists) {
+      return { success: false, error: 'Revision not found', status: 404 };
+    }
+
+    functions.logger.info('Project revision fetched', {
+      projectId,
+      revisionId,
+      userId: user.uid,
+      duration: `${Date.now() - startTime}ms`,
+    });
+    return {
+      success: true,
+      revision: {
+        ...toRevisionSummary(doc),
+        inputs: doc.data().inputs,
+        results: doc.data().results || null,
+        schemaVersion: doc.data().schemaVersion ?? null,
+      },
+    };
+  } catch (error) {
+    functions.logger.error('Error fetching project revision', {
+      message: error.message,
+      stack: error.stack,
+      projectId,
+      revisionId,
+      userId: user.uid,
+      duration: `${Date.now() - startTime}ms`,
+    });
+    await logToFirestore('project_revision_fetch_failed', user.uid, {
+      error: error.message,
+      projectId,
+      revisionId,
+      duration: `${Date.now() - startTime}ms`,
+    });
+    return { success: false, error: error.message };
+  }
+}
+
+module.exports = {
+  PROJECT_LIMITS,
+  buildSearchTerms,
+  validateProjectData,
+  createProject,
+  getProject,
+  updateProject,
+  listProjects,
+  listProjectRevisions,
+  getProjectRevision,
+};
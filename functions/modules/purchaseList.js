@@ -0,0 +1,125 @@
+const functions = require('firebase-functions');
+const { choosePacks } = require('./packs');
+const { toKopecks, fromKopecks, costOf } = require('./money');
+
+// Группа для материалов без категории
+const NO_CATEGORY = 'Без категории';
+
+/**
+ * Определяет, по какому ключу строки разных вкладок считаются одним материалом:
+ * фасованный материал — по товару (упаковки могут отличаться), остальные — по ID материала.
+ * @param {Object} line - Строка материала вкладки.
+ * @returns {string} Ключ материала.
+ */
+function purchaseKey(line) {
+  const materialId = line.trace && line.trace.materialId;
+  if (Array.isArray(line.packs)) {
+    return `family:${line.material}\u0000${line.unit}`;
+  }
+  return materialId ? `id:${materialId}` : `name:${line.material}\u0000${line.unit}`;
+}
+
+/**
+ * Сводит материалы всех вкладок в список закупки: одинаковые материалы складываются по
+ * потребности до округления и округляются до покупаемых единиц один раз — целыми штуками,
+ * если правило расчёта округляет вверх, или целыми упаковками для фасованных материалов.
+ * Разбивка по вкладкам сохраняется в каждой позиции.
+ * @param {Array<{ tabName: string, results: Object[] }>} tabs - Результаты вкладок.
+ * @param {Object} catalog - Каталог материалов запроса (для вариантов упаковки).
+ * @returns {Promise<{ groups: Array<{ category: string, items: Object[], cost: number }>,
+ *   totalCost: number, tabsCost: number }>} Позиции по категориям; cost, totalCost — стоимость
+ *   сводной закупки, tabsCost — сумма тех же материалов по вкладкам (руб.).
+ */
+async function buildPurchaseList(tabs, catalog) {
+  const items = new Map();
+  tabs.forEach(({ tabName, results = [] }) => {
+    results.forEach(line => {
+      const key = purchaseKey(line);
+      const item = items.get(key) || {
+        materialId: (line.trace && line.trace.materialId) || null,
+        material: line.material,
+        unit: line.unit,
+        category: line.category || null,
+        unitPrice: line.trace ? line.trace.unitPrice : null,
+        packed: Array.isArray(line.packs),
+        ceil: false,
+        demand: 0,
+        tabsCost: 0,
+        tabs: [],
+      };
+      // Потребность до округления есть у материалов поверхностей; у остальных — количество
+      const demand = typeof line.demand === 'number' ? line.demand : line.quantity;
+      item.demand += demand;
+      item.tabsCost += toKopecks(line.cost);
+      item.ceil =
+        item.ceil ||
+        Boolean(line.trace && line.trace.formula && line.trace.formula.round === 'ceil');
+      item.tabs.push({ tabName, quantity: line.quantity, cost: line.cost });
+      items.set(key, item);
+    });
+  });
+
+  const groups = new Map();
+  let totalCost = 0;
+  let tabsCost = 0;
+  for (const item of items.values()) {
+    const demand = Math.round(item.demand * 1000) / 1000;
+    let quantity = item.ceil ? Math.ceil(demand - 1e-9) : Math.round(demand * 100) / 100;
+    let cost = item.unitPrice !== null ? costOf(quantity, item.unitPrice) : item.tabsCost;
+    let packDetails = {};
+
+    if (item.packed && item.materialId) {
+      const materialResult = await catalog.getMaterial(item.materialId);
+      const variants =
+        materialResult && materialResult.success
+          ? await catalog.getPackVariants(materialResult.material)
+          : null;
+      const selection = variants ? choosePacks(demand, variants) : null;
+      if (selection && selection.success) {
+        quantity = selection.purchased;
+        cost = toKopecks(selection.cost);
+        packDetails = { packs: selection.packs, leftover: selection.leftover };
+      } else {
+        // Без вариантов упаковки сводная закупка не может быть дешевле суммы вкладок
+        functions.logger.warn('Pack selection failed for purchase list, using tab totals', {
+          material: item.material,
+          error: selection ? selection.error : 'no pack variants',
+        });
+        quantity = Math.round(item.tabs.reduce((sum, tab) => sum + tab.quantity, 0) * 100) / 100;
+        cost = item.tabsCost;
+      }
+    }
+
+    const category = item.category || NO_CATEGORY;
+    const group = groups.get(category) || { category, items: [], cost: 0 };
+    group.items.push({
+      materialId: item.materialId,
+      material: item.material,
+      unit: item.unit,
+      demand,
+      quantity,
+      cost: fromKopecks(cost),
+      tabsCost: fromKopecks(item.tabsCost),
+      ...packDetails,
+      tabs: item.tabs,
+    });
+    group.cost += cost;
+    groups.set(category, group);
+    totalCost += cost;
+    tabsCost += item.tabsCost;
+  }
+
+  return {
+    groups: Array.from(groups.values())
+      .sort((a, b) => a.category.localeCompare(b.category, 'ru'))
+      .map(group => ({
+        ...group,
+        items: group.items.sort((a, b) => a.material.localeCompare(b.material, 'ru')),
+        cost: fromKopecks(group.cost),
+      })),
+    totalCost: fromKopecks(totalCost),
+    tabsCost: fromKopecks(tabsCost),
+  };
+}
+
+module.exports = { buildPurchaseList };
@@ -2,6 +2,8 @@ import { analytics, logEvent } from "./firebase.js";
 
 const MANAGE_MATERIALS_URL =
   "https://us-central1-balconycalculator-15c42.cloudfunctions.net/manageMaterials";
+const MANAGE_PROJECTS_URL =
+  "https://us-central1-balconycalculator-15c42.cloudfunctions.net/manageProjects";
 
 /**
  * Логирует ошибки в Firestore для аналитики.
@@ -30,15 +32,22 @@ async function logErrorToFirestore(action, userId, error, extra = {}) {
 }
 
 /**
- * Выполняет запрос к API manageMaterials.
+ * Выполняет запрос к API (по умолчанию manageMaterials).
  * @param {string} action - Действие для API (например, 'getMaterials').
  * @param {Object} body - Тело запроса.
  * @param {string} authToken - Токен аутентификации.
  * @param {string} userId - ID пользователя.
+ * @param {string} [url=MANAGE_MATERIALS_URL] - Адрес эндпоинта.
  * @returns {Promise<Object>} Результат запроса.
  * @throws {Error} Если запрос не удался.
  */
-async function makeApiRequest(action, body, authToken, userId) {
+async function makeApiRequest(
+  action,
+  body,
+  authToken,
+  userId,
+  url = MANAGE_MATERIALS_URL,
+) {
   logEvent(analytics, `${action}_initiated`, {
     action,
     userId: userId || "unauthenticated",
@@ -62,7 +71,7 @@ async function makeApiRequest(action, body, authToken, userId) {
     const timeoutId = setTimeout(() => controller.abort(), 10000); // 10 секунд таймаут
 
     try {
-      const response = await fetch(MANAGE_MATERIALS_URL, {
+      const response = await fetch(url, {
         method: "POST",
         headers: {
           "Content-Type": "application/json",
@@ -229,3 +238,247 @@ export async function deleteMaterial(materialId, authToken, userId) {
     userId,
   );
 }
+
+/**
+ * Импортирует прайс-лист одним пакетным запросом.
+ * @param {Array<{ id: string|null, data: Object }>} items - Материалы: id существующего
+ *   (null — новый) и полные данные.
+ * @param {string} authToken - Токен аутентификации.
+ * @param {string} userId - ID пользователя.
+ * @returns {Promise<Object>} Результат запроса с числом созданных и обновлённых материалов.
+ * @throws {Error} Если запрос не удался.
+ */
+export async function importMaterials(items, authToken, userId) {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new Error("items must be a non-empty array");
+  }
+  return makeApiRequest("importMaterials", { data: items }, authToken, userId);
+}
+
+/**
+ * Получает каталог работ.
+ * @param {string} authToken - Токен аутентификации.
+ * @param {string} userId - ID пользователя.
+ * @returns {Promise<Object>} Результат запроса.
+ * @throws {Error} Если запрос не удался.
+ */
+export async function getLabour(authToken, userId) {
+  return makeApiRequest("getLabour", {}, authToken, userId);
+}
+
+/**
+ * Добавляет работу в каталог.
+ * @param {Object} data - Данные работы.
+ * @param {string} authToken - Токен аутентификации.
+ * @param {string} userId - ID пользователя.
+ * @returns {Promise<Object>} Результат запроса.
+ * @throws {Error} Если запрос не удался.
+ */
+export async function addLabour(data, authToken, userId) {
+  if (!data || typeof data !== "object") {
+    throw new Error("data must be a non-empty object");
+  }
+  return makeApiRequest("addLabour", { data }, authToken, userId);
+}
+
+/**
+ * Обновляет работу в каталоге.
+ * @param {string} labourId - ID работы.
+ * @param {Object} data - Данные работы.
+ * @param {string} authToken - Токен аутентификации.
+ * @param {string} userId - ID пользователя.
+ * @returns {Promise<Object>} Результат запроса.
+ * @throws {Error} Если запрос не удался.
+ */
+export async function updateLabour(labourId, data, authToken, userId) {
+  if (!labourId || typeof labourId !== "string") {
+    throw new Error("labourId must be a non-empty string");
+  }
+  if (!data || typeof data !== "object") {
+    throw new Error("data must be a non-empty object");
+  }
+  return makeApiRequest(
+    "editLabour",
+    { data: { id: labourId, ...data } },
+    authToken,
+    userId,
+  );
+}
+
+/**
+ * Удаляет работу из каталога.
+ * @param {string} labourId - ID работы.
+ * @param {string} authToken - Токен аутентификации.
+ * @param {string} userId - ID пользователя.
+ * @returns {Promise<Object>} Результат запроса.
+ * @throws {Error} Если запрос не удался.
+ */
+export async function deleteLabour(labourId, authToken, userId) {
+  if (!labourId || typeof labourId !== "string") {
+    throw new Error("labourId must be a non-empty string");
+  }
+  return makeApiRequest("deleteLabour", { key: labourId }, authToken, userId);
+}
+
+/**
+ * Получает настройки ценообразования (наценки, НДС, округление).
+ * @param {string} authToken - Токен аутентификации.
+ * @param {string} userId - ID пользователя.
+ * @returns {Promise<Object>} Результат запроса.
+ * @throws {Error} Если запрос не удался.
+ */
+export async function getPricing(authToken, userId) {
+  return makeApiRequest("getPricing", {}, authToken, userId);
+}
+
+/**
+ * Сохраняет настройки ценообразования.
+ * @param {Object} data - Настройки ценообразования.
+ * @param {string} authToken - Токен аутентификации.
+ * @param {string} userId - ID пользователя.
+ * @returns {Promise<Object>} Результат запроса.
+ * @throws {Error} Если запрос не удался.
+ */
+export async function savePricing(data, authToken, userId) {
+  if (!data || typeof data !== "object") {
+    throw new Error("data must be a non-empty object");
+  }
+  return makeApiRequest("savePricing", { data }, authToken, userId);
+}
+
+/**
+ * Сохраняет новый расчёт (проект) в "Мои расчёты".
+ * @param {Object} data - Проект: { header, inputs, results }.
+ * @param {string} authToken - Токен аутентификации.
+ * @param {string} userId - ID пользователя.
+ * @returns {Promise<Object>} Результат запроса с projectId.
+ * @throws {Error} Если запрос не удался.
+ */
+export async function createProject(data, authToken, userId) {
+  if (!data || typeof data !== "object") {
+    throw new Error("data must be a non-empty object");
+  }
+  return makeApiRequest(
+    "createProject",
+    { data },
+    authToken,
+    userId,
+    MANAGE_PROJECTS_URL,
+  );
+}
+
+/**
+ * Получает сохранённый расчёт целиком.
+ * @param {string} projectId - ID проекта.
+ * @param {string} authToken - Токен аутентификации.
+ * @param {string} userId - ID пользователя.
+ * @returns {Promise<Object>} Результат запроса с project.
+ * @throws {Error} Если запрос не удался.
+ */
+export async function getProject(projectId, authToken, userId) {
+  if (!projectId || typeof projectId !== "string") {
+    throw new Error("projectId must be a non-empty string");
+  }
+  return makeApiRequest(
+    "getProject",
+    { key: projectId },
+    authToken,
+    userId,
+    MANAGE_PROJECTS_URL,
+  );
+}
+
+/**
+ * Обновляет сохранённый расчёт.
+ * @param {string} projectId - ID проекта.
+ * @param {Object} data - Проект: { header, inputs, results }.
+ * @param {string} authToken - Токен аутентификации.
+ * @param {string} userId - ID пользователя.
+ * @returns {Promise<Object>} Результат запроса.
+ * @throws {Error} Если запрос не удался.
+ */
+export async function updateProject(projectId, data, authToken, userId) {
+  if (!projectId || typeof projectId !== "string") {
+    throw new Error("projectId must be a non-empty string");
+  }
+  if (!data || typeof data !== "object") {
+    throw new Error("data must be a non-empty object");
+  }
+  return makeApiRequest(
+    "updateProject",
+    { data: { id: projectId, ...data } },
+    authToken,
+    userId,
+    MANAGE_PROJECTS_URL,
+  );
+}
+
+/**
+ * Получает страницу сохранённых расчётов пользователя.
+ * @param {string} search - Поиск по номеру заказа, адресу или телефону.
+ * @param {string|null} startAfter - ID последнего проекта предыдущей страницы.
+ * @param {string} authToken - Токен аутентификации.
+ * @param {string} userId - ID пользователя.
+ * @returns {Promise<Object>} Результат запроса с projects и nextCursor.
+ * @throws {Error} Если запрос не удался.
+ */
+export async function listProjects(search, startAfter, authToken, userId) {
+  return makeApiRequest(
+    "listProjects",
+    { search: search || "", startAfter: startAfter || null },
+    authToken,
+    userId,
+    MANAGE_PROJECTS_URL,
+  );
+}
+
+/**
+ * Получает список прежних версий сохранённого расчёта.
+ * @param {string} projectId - ID проекта.
+ * @param {string} authToken - Токен аутентификации.
+ * @param {string} userId - ID пользователя.
+ * @returns {Promise<Object>} Результат запроса с revisions и currentRevision.
+ * @throws {Error} Если запрос не удался.
+ */
+export async function listProjectRevisions(projectId, authToken, userId) {
+  if (!projectId || typeof projectId !== "string") {
+    throw new Error("projectId must be a non-empty string");
+  }
+  return makeApiRequest(
+    "listProjectRevisions",
+    { key: projectId },
+    authToken,
+    userId,
+    MANAGE_PROJECTS_URL,
+  );
+}
+
+/**
+ * Получает прежнюю версию сохранённого расчёта целиком.
+ * @param {string} projectId - ID проекта.
+ * @param {string} revisionId - ID версии.
+ * @param {string} authToken - Токен аутентификации.
+ * @param {string} userId - ID пользователя.
+ * @returns {Promise<Object>} Результат запроса с revision.
+ * @throws {Error} Если запрос не удался.
+ */
+export async function getProjectRevision(
+  projectId,
+  revisionId,
+  authToken,
+  userId,
+) {
+  if (!projectId || typeof projectId !== "string") {
+    throw new Error("projectId must be a non-empty string");
+  }
+  if (!revisionId || typeof revisionId !== "string") {
+    throw new Error("revisionId must be a non-empty string");
+  }
+  return makeApiRequest(
+    "getProjectRevision",
+    { key: projectId, revisionId },
+    authToken,
+    userId,
+    MANAGE_PROJECTS_URL,
+  );
+}
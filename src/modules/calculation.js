@@ -1,7 +1,469 @@
 import { analytics, logEvent } from "./firebase.js";
+import { getGeometryData, setGeometryData } from "./geometry.js";
+import { getDiscountData, setDiscountData } from "./pricing.js";
+import { toKopecks, formatMoney } from "./money.js";
+import {
+  serializeCalculation,
+  upgradeCalculation,
+} from "./calculationSchema.js";
+import { compareCalculations, renderComparison } from "./comparison.js";
+import { downloadFile } from "./download.js";
+import { renderPurchaseList } from "./purchaseList.js";
+import {
+  getVariantsData,
+  setVariantsData,
+  renderVariantsTable,
+} from "./variants.js";
+import { getAdjustmentsData, setAdjustmentsData } from "./spreadsheet.js";
 
-const CALCULATE_URL =
-  "https://us-central1-balconycalculator-15c42.cloudfunctions.net/calculateMaterials";
+const CALCULATE_PROJECT_URL =
+  "https://us-central1-balconycalculator-15c42.cloudfunctions.net/calculateProject";
+
+// Последний показанный расчёт (рассчитанный или загруженный) — его и сохраняет saveCalculation
+let lastCalculation = null;
+
+/**
+ * Преобразует селектор поля формы в имя поля, которое ожидает сервер
+ * (например, "#lengthTab3" -> "length", ".finish-type" -> "finishType").
+ * @param {string} selector - CSS-селектор поля.
+ * @returns {string} Имя поля.
+ */
+function toFieldName(selector) {
+  return selector
+    .replace(/^[#.]/, "")
+    .replace(/Tab\d+$/, "")
+    .replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+}
+
+/**
+ * Разбирает контур поверхности из текстового поля.
+ * Точки вводятся парами "a;b" через пробел или с новой строки: для вершин — x;y (мм),
+ * для сторон — длина (мм);угол направления (градусы).
+ * @param {string} shape - Форма: rectangle, vertices или segments.
+ * @param {string} text - Текст контура.
+ * @returns {{ outline: Object|null, error?: string }} Контур для сервера или ошибка.
+ */
+function parseOutline(shape, text) {
+  if (shape !== "vertices" && shape !== "segments") {
+    return { outline: null };
+  }
+  const pairs = (text || "")
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean)
+    .map((token) => token.split(";").map(Number));
+  if (
+    pairs.length === 0 ||
+    pairs.some((pair) => pair.length !== 2 || pair.some((v) => isNaN(v)))
+  ) {
+    return {
+      outline: null,
+      error: "Введите пары чисел через точку с запятой, например 3000;0",
+    };
+  }
+  if (shape === "vertices") {
+    if (pairs.length < 3) {
+      return {
+        outline: null,
+        error: "Контур должен содержать минимум 3 вершины",
+      };
+    }
+    return { outline: { vertices: pairs.map(([x, y]) => ({ x, y })) } };
+  }
+  if (pairs.length < 2) {
+    return {
+      outline: null,
+      error: "Контур должен содержать минимум 2 стороны",
+    };
+  }
+  return {
+    outline: {
+      segments: pairs.map(([length, angle]) => ({ length, angle })),
+    },
+  };
+}
+
+/**
+ * Формирует текст строки результата (материала или работы). Для фасованных материалов
+ * добавляет потребность, набор упаковок и остаток; скрытые материалы помечаются.
+ * @param {Object} item - Строка результата расчёта.
+ * @returns {string} Текст строки.
+ */
+function formatResultItem(item) {
+  const sale =
+    item.salePrice !== undefined
+      ? ` (продажа: ${formatMoney(item.salePrice)} руб.)`
+      : "";
+  const adjusted = item.adjusted ? " (изменено вручную)" : "";
+  const hidden = item.hidden ? " (не показывается клиенту)" : "";
+  const line = `${item.material ?? item.work}: ${item.quantity} ${item.unit} - ${formatMoney(item.cost)} руб.${sale}${adjusted}${hidden}`;
+  if (!Array.isArray(item.packs) || item.packs.length === 0) {
+    return line;
+  }
+  const packs = item.packs
+    .map((pack) => `${pack.packSize} ${item.unit} × ${pack.count}`)
+    .join(", ");
+  return `${line} (нужно ${item.required} ${item.unit}, упаковки: ${packs}, остаток ${item.leftover} ${item.unit})`;
+}
+
+// Подписи входных данных в трассировке расчёта
+const TRACE_INPUT_LABELS = {
+  length: "Длина поверхности, мм",
+  height: "Высота поверхности, мм",
+  openings: "Проёмов",
+  outline: "Задана контуром",
+  direction: "Направление раскладки",
+  panelLength: "Длина панели, мм",
+  panelWidth: "Ширина панели, мм",
+  materialArea: "Площадь листа, м²",
+  materialLength: "Длина хлыста, мм",
+  visibleQuantity: "Видимого материала",
+  quantity: "Количество",
+  windowQuantity: "Количество окон",
+  category: "Категория",
+};
+
+/**
+ * Создаёт раскрывающийся блок "Показать расчёт" с трассировкой строки результата.
+ * @param {Object} trace - Трассировка расчёта из ответа сервера.
+ * @returns {HTMLElement} Элемент details.
+ */
+function renderTrace(trace) {
+  const details = document.createElement("details");
+  details.className = "calculation-trace";
+  const summary = document.createElement("summary");
+  summary.textContent = "Показать расчёт";
+  details.appendChild(summary);
+
+  const formatValue = (value) =>
+    typeof value === "boolean" ? (value ? "да" : "нет") : String(value);
+  const rows = Object.entries(trace.inputs || {}).map(
+    ([key, value]) =>
+      `${TRACE_INPUT_LABELS[key] || key}: ${formatValue(value)}`,
+  );
+  rows.push(
+    trace.formula
+      ? `Правило: ${JSON.stringify(trace.formula)}`
+      : "Правило: количество задано напрямую",
+  );
+  if (trace.area !== null && trace.area !== undefined) {
+    rows.push(`Площадь за вычетом проёмов: ${trace.area} м²`);
+  }
+  if (trace.perimeter !== null && trace.perimeter !== undefined) {
+    rows.push(`Периметр: ${trace.perimeter} м`);
+  }
+  rows.push(`Запас на отходы: ×${trace.wasteFactor}`);
+  rows.push(`Цена за единицу: ${formatMoney(trace.unitPrice)} руб.`);
+  // Строка из ручной корректировки: показывается, что было по расчёту
+  if (trace.adjustment) {
+    rows.push(
+      `Изменено вручную, по расчёту: ${trace.adjustment.quantity} по ${formatMoney(trace.adjustment.unitPrice)} руб.`,
+    );
+  } else if (trace.adjustment === null) {
+    rows.push("Добавлено вручную");
+  }
+
+  const list = document.createElement("ul");
+  rows.forEach((row) => {
+    const li = document.createElement("li");
+    li.textContent = row;
+    list.appendChild(li);
+  });
+  details.appendChild(list);
+  return details;
+}
+
+/**
+ * Формирует строки итогов заказа: закупка, продажа, скидка, НДС и сумма для клиента.
+ * @param {Object} calculation - Расчёт (см. renderResults).
+ * @returns {string[]} Строки итогов.
+ */
+function formatTotals(calculation) {
+  const money = (value) => `${formatMoney(value)} руб.`;
+  const rows = [];
+  if (toKopecks(calculation.labourCost) > 0) {
+    rows.push(
+      `Материалы: ${money(calculation.materialsCost)}, работы: ${money(calculation.labourCost)}`,
+    );
+  }
+  const { pricing } = calculation;
+  if (!pricing) {
+    return rows;
+  }
+  rows.push(`Сумма продажи: ${money(pricing.saleSubtotal)}`);
+  if (toKopecks(pricing.discount) > 0) {
+    rows.push(`Скидка: −${money(pricing.discount)}`);
+  }
+  if (pricing.vatRate > 0) {
+    rows.push(
+      `НДС ${pricing.vatRate}% (${pricing.vatIncluded ? "включён" : "сверху"}): ${money(pricing.vat)}`,
+    );
+  }
+  if (toKopecks(pricing.rounding || 0) !== 0) {
+    rows.push(`Округление: ${money(pricing.rounding)}`);
+  }
+  return rows;
+}
+
+/**
+ * Форматирует дату для отображения.
+ * @param {string} iso - Дата в формате ISO.
+ * @returns {string} Дата, например "19.10.2026".
+ */
+function formatDate(iso) {
+  return new Date(iso).toLocaleDateString("ru-RU");
+}
+
+/**
+ * Показывает расчёт в контейнере результатов и запоминает его для сохранения.
+ * @param {HTMLElement} resultsContainer - Контейнер результатов.
+ * @param {Object} calculation - Расчёт: { header, inputs, tabs, errors, warnings, materialsCost,
+ *   labourCost, totalCost, pricing, priceSnapshot }; вкладки — { tabName, results, labour,
+ *   totalCost, saleCost }, inputs — исходные данные { tabs: [{ tabId, tabName, data }], geometry,
+ *   discount, variants }, priceSnapshot — цены, по которым выполнен расчёт, и срок их действия,
+ *   variants — результаты вариантов { name, tabs, errors, totalCost, pricing, ... },
+ *   purchaseList — сводная закупка по всем вкладкам { groups, totalCost, tabsCost }.
+ */
+function renderResults(resultsContainer, calculation) {
+  lastCalculation = calculation;
+  resultsContainer.innerHTML = "<h2>Результаты расчёта</h2>";
+  const headerInfo = document.createElement("div");
+  headerInfo.className = "header-info";
+  headerInfo.innerHTML = `
+    <p>Номер заказа: ${calculation.header.orderNumber}</p>
+    <p>Адрес: ${calculation.header.address}</p>
+    <p>Телефон: ${calculation.header.phone}</p>
+  `;
+  resultsContainer.appendChild(headerInfo);
+
+  if (calculation.priceSnapshot) {
+    const { takenAt, validUntil } = calculation.priceSnapshot;
+    const expired = new Date(validUntil) < new Date();
+    const snapshotInfo = document.createElement("p");
+    snapshotInfo.className = expired
+      ? "price-snapshot expired"
+      : "price-snapshot";
+    snapshotInfo.textContent = `Цены на ${formatDate(takenAt)}, действительны до ${formatDate(validUntil)}${
+      expired ? ". Срок действия цен истёк — пересчитайте по текущим ценам" : ""
+    }`;
+    resultsContainer.appendChild(snapshotInfo);
+  }
+
+  calculation.tabs.forEach((tabResult) => {
+    const { tabName, results = [], labour = [] } = tabResult;
+    if (results.length === 0 && labour.length === 0) return;
+    const section = document.createElement("div");
+    const tabTotal = formatMoney(tabResult.totalCost);
+    section.innerHTML =
+      tabResult.saleCost !== undefined
+        ? `<h3>${tabName} (Закупка: ${tabTotal} руб., продажа: ${formatMoney(tabResult.saleCost)} руб.)</h3>`
+        : `<h3>${tabName} (Итого: ${tabTotal} руб.)</h3>`;
+    // Материалы и работы выводятся отдельными списками со своими подытогами
+    [
+      ["Материалы", results, tabResult.materialsCost],
+      ["Работы", labour, tabResult.labourCost],
+    ].forEach(([title, items, subtotal]) => {
+      if (items.length === 0) return;
+      if (labour.length > 0) {
+        const heading = document.createElement("h4");
+        heading.textContent = `${title}: ${formatMoney(subtotal)} руб.`;
+        section.appendChild(heading);
+      }
+      const ul = document.createElement("ul");
+      items.forEach((item) => {
+        const li = document.createElement("li");
+        li.textContent = formatResultItem(item);
+        if (item.trace) {
+          li.appendChild(renderTrace(item.trace));
+        }
+        ul.appendChild(li);
+      });
+      section.appendChild(ul);
+    });
+    resultsContainer.appendChild(section);
+  });
+
+  (calculation.errors || []).forEach(({ tabName, error }) => {
+    const errorSection = document.createElement("p");
+    errorSection.className = "tab-error";
+    errorSection.textContent = `${tabName || "Вкладка"}: ошибка расчёта - ${error}`;
+    resultsContainer.appendChild(errorSection);
+  });
+
+  // Предупреждения о несогласованных размерах поверхностей
+  (calculation.warnings || []).forEach((warning) => {
+    const warningSection = document.createElement("p");
+    warningSection.className = "tab-warning";
+    warningSection.textContent = warning;
+    resultsContainer.appendChild(warningSection);
+  });
+
+  const totalDiv = document.createElement("div");
+  totalDiv.className = "results-total";
+  totalDiv.innerHTML = calculation.pricing
+    ? `<h3>Закупка: ${formatMoney(calculation.totalCost)} руб.</h3>`
+    : `<h3>Общая стоимость: ${formatMoney(calculation.totalCost)} руб.</h3>`;
+  formatTotals(calculation).forEach((row) => {
+    const p = document.createElement("p");
+    p.textContent = row;
+    totalDiv.appendChild(p);
+  });
+  if (calculation.pricing) {
+    const saleTotal = document.createElement("h3");
+    saleTotal.textContent = `Итого для клиента: ${formatMoney(calculation.pricing.saleTotal)} руб.`;
+    totalDiv.appendChild(saleTotal);
+  }
+  resultsContainer.appendChild(totalDiv);
+
+  if (calculation.purchaseList?.groups.length > 0) {
+    resultsContainer.appendChild(renderPurchaseList(calculation));
+  }
+
+  if (calculation.variants?.length > 0) {
+    resultsContainer.appendChild(renderVariantsTable(calculation.variants));
+  }
+}
+
+/**
+ * Возвращает последний показанный расчёт.
+ * @returns {Object|null} Расчёт (см. renderResults) или null.
+ */
+function getLastCalculation() {
+  return lastCalculation;
+}
+
+/**
+ * Показывает готовый расчёт (например, открытый из "Мои расчёты") в блоке результатов.
+ * @param {Object} calculation - Расчёт (см. renderResults).
+ */
+function showCalculation(calculation) {
+  const resultsContainer = document.getElementById("results");
+  if (!resultsContainer) {
+    throw new Error("Results container not found");
+  }
+  renderResults(resultsContainer, calculation);
+}
+
+// Поля вкладок: по ним форма собирается (getTabData) и восстанавливается (restoreFormState)
+const TAB_SELECTORS = {
+  tab1: {
+    selects: [
+      "#entryListToggle",
+      "#entryFastenersToggle",
+      "#entryTilingToggle",
+    ],
+    extraMaterials: ".extra-material",
+  },
+  tab2: {
+    selects: [
+      ".glazing-type",
+      ".frame-type",
+      ".exterior-finish",
+      ".balcony-block",
+      ".window-type",
+      ".window-slopes",
+      ".sill-type",
+      ".roof-type",
+    ],
+    inputs: ["#windowQuantityTab2"],
+    extraMaterials: ".extra-material",
+  },
+  tab3: {
+    inputs: ["#lengthTab3", "#widthTab3"],
+    selects: [
+      ".finish-type",
+      ".wall-painting",
+      ".insulation-type",
+      ".finish-direction",
+    ],
+    outline: { shape: ".surface-shape", points: ".outline-input" },
+    openings: ".opening-row",
+    extraMaterials: ".extra-material",
+  },
+  tab4: {
+    inputs: ["#lengthTab4", "#widthTab4"],
+    selects: [
+      ".finish-type",
+      ".wall-painting",
+      ".insulation-type",
+      ".finish-direction",
+    ],
+    outline: { shape: ".surface-shape", points: ".outline-input" },
+    openings: ".opening-row",
+    extraMaterials: ".extra-material",
+  },
+  tab5: {
+    inputs: ["#lengthTab5", "#widthTab5"],
+    selects: [
+      ".finish-type",
+      ".wall-painting",
+      ".insulation-type",
+      ".finish-direction",
+    ],
+    outline: { shape: ".surface-shape", points: ".outline-input" },
+    openings: ".opening-row",
+    extraMaterials: ".extra-material",
+  },
+  tab6: {
+    inputs: ["#lengthTab6", "#widthTab6"],
+    selects: [
+      ".finish-type",
+      ".wall-painting",
+      ".insulation-type",
+      ".finish-direction",
+    ],
+    outline: { shape: ".surface-shape", points: ".outline-input" },
+    openings: ".opening-row",
+    extraMaterials: ".extra-material",
+  },
+  tab7: {
+    inputs: ["#lengthTab7", "#widthTab7"],
+    selects: [
+      ".finish-type",
+      ".ceiling-painting",
+      ".insulation-type",
+      ".finish-direction",
+    ],
+    outline: { shape: ".surface-shape", points: ".outline-input" },
+    openings: ".opening-row",
+    extraMaterials: ".extra-material",
+  },
+  tab8: {
+    inputs: ["#lengthTab8", "#widthTab8"],
+    selects: [".finish-type", ".insulation-type"],
+    outline: { shape: ".surface-shape", points: ".outline-input" },
+    openings: ".opening-row",
+    extraMaterials: ".extra-material",
+  },
+  tab9: {
+    selects: [".cable-type", ".switch-type", ".socket-type", ".spot-type"],
+    inputs: [
+      "#cableQuantityTab9",
+      "#switchQuantityTab9",
+      "#socketQuantityTab9",
+      "#spotQuantityTab9",
+    ],
+    extraMaterials: ".extra-material",
+  },
+  tab10: {
+    selects: [
+      ".furniture-material",
+      ".furniture-painting",
+      ".shelf-top-material",
+      ".shelf-bottom-material",
+      ".stove-side",
+      ".countertop",
+    ],
+    inputs: ["#shelfTopQuantityTab10", "#shelfBottomQuantityTab10"],
+    extraMaterials: ".extra-material",
+  },
+  tab11: {
+    extraMaterials: ".extra-material",
+  },
+};
+
+// Вкладки, которые участвуют в расчёте
+const CALCULATION_TABS = Object.keys(TAB_SELECTORS);
 
 /**
  * Собирает данные с указанной вкладки.
@@ -22,113 +484,7 @@ function getTabData(tabId, showNotification) {
 
   const data = {};
 
-  // Определяем селекторы для каждого типа данных на вкладке
-  const selectors = {
-    tab1: {
-      selects: [
-        "#entryListToggle",
-        "#entryFastenersToggle",
-        "#entryTilingToggle",
-      ],
-      extraMaterials: ".extra-material",
-    },
-    tab2: {
-      selects: [
-        ".glazing-type",
-        ".frame-type",
-        ".exterior-finish",
-        ".balcony-block",
-        ".window-type",
-        ".window-slopes",
-        ".sill-type",
-        ".roof-type",
-      ],
-      inputs: ["#windowQuantityTab2"],
-      extraMaterials: ".extra-material",
-    },
-    tab3: {
-      inputs: ["#lengthTab3", "#widthTab3"],
-      selects: [
-        ".finish-type",
-        ".wall-painting",
-        ".insulation-type",
-        ".finish-direction",
-      ],
-      extraMaterials: ".extra-material",
-    },
-    tab4: {
-      inputs: ["#lengthTab4", "#widthTab4"],
-      selects: [
-        ".finish-type",
-        ".wall-painting",
-        ".insulation-type",
-        ".finish-direction",
-      ],
-      extraMaterials: ".extra-material",
-    },
-    tab5: {
-      inputs: ["#lengthTab5", "#widthTab5"],
-      selects: [
-        ".finish-type",
-        ".wall-painting",
-        ".insulation-type",
-        ".finish-direction",
-      ],
-      extraMaterials: ".extra-material",
-    },
-    tab6: {
-      inputs: ["#lengthTab6", "#widthTab6"],
-      selects: [
-        ".finish-type",
-        ".wall-painting",
-        ".insulation-type",
-        ".finish-direction",
-      ],
-      extraMaterials: ".extra-material",
-    },
-    tab7: {
-      inputs: ["#lengthTab7", "#widthTab7"],
-      selects: [
-        ".finish-type",
-        ".ceiling-painting",
-        ".insulation-type",
-        ".finish-direction",
-      ],
-      extraMaterials: ".extra-material",
-    },
-    tab8: {
-      inputs: ["#lengthTab8", "#widthTab8"],
-      selects: [".finish-type", ".insulation-type"],
-      extraMaterials: ".extra-material",
-    },
-    tab9: {
-      selects: [".cable-type", ".switch-type", ".socket-type", ".spot-type"],
-      inputs: [
-        "#cableQuantityTab9",
-        "#switchQuantityTab9",
-        "#socketQuantityTab9",
-        "#spotQuantityTab9",
-      ],
-      extraMaterials: ".extra-material",
-    },
-    tab10: {
-      selects: [
-        ".furniture-material",
-        ".furniture-painting",
-        ".shelf-top-material",
-        ".shelf-bottom-material",
-        ".stove-side",
-        ".countertop",
-      ],
-      inputs: ["#shelfTopQuantityTab10", "#shelfBottomQuantityTab10"],
-      extraMaterials: ".extra-material",
-    },
-    tab11: {
-      extraMaterials: ".extra-material",
-    },
-  };
-
-  const tabConfig = selectors[tabId];
+  const tabConfig = TAB_SELECTORS[tabId];
   if (!tabConfig) {
     showNotification(
       `Ошибка: Конфигурация для вкладки ${tabId} не определена`,
@@ -152,10 +508,7 @@ function getTabData(tabId, showNotification) {
         });
         return;
       }
-      const fieldName = selector.startsWith("#")
-        ? selector.replace("#", "")
-        : selector.replace(/\./g, "");
-      data[fieldName] = element.value || "";
+      data[toFieldName(selector)] = element.value || "";
     });
   }
 
@@ -168,13 +521,55 @@ function getTabData(tabId, showNotification) {
           reason: `Input ${selector} not found in tab ${tabId}`,
           page_title: "Balcony Calculator",
         });
-        data[selector.replace("#", "")] = 0;
+        data[toFieldName(selector)] = 0;
         return;
       }
-      data[selector.replace("#", "")] = parseFloat(input.value) || 0;
+      data[toFieldName(selector)] = parseFloat(input.value) || 0;
     });
   }
 
+  // Сбор контура непрямоугольной поверхности
+  if (tabConfig.outline) {
+    const shapeSelect = tab.querySelector(tabConfig.outline.shape);
+    const pointsInput = tab.querySelector(tabConfig.outline.points);
+    if (shapeSelect && pointsInput) {
+      const { outline, error } = parseOutline(
+        shapeSelect.value,
+        pointsInput.value,
+      );
+      if (error) {
+        pointsInput.classList.add("invalid");
+        const errorElement = document.getElementById(`${pointsInput.id}-error`);
+        if (errorElement) {
+          errorElement.textContent = error;
+          errorElement.classList.add("show");
+        }
+        showNotification(`Ошибка контура на вкладке ${tabId}: ${error}`, true);
+        // Без контура сервер посчитал бы поверхность прямоугольной — вкладка уходит в ошибки
+        data.outlineError = error;
+      }
+      if (outline) {
+        data.outline = outline;
+      }
+    }
+  }
+
+  // Сбор проёмов (окна, двери): строки без ширины или высоты пропускаются
+  if (tabConfig.openings) {
+    data.openings = Array.from(tab.querySelectorAll(tabConfig.openings))
+      .map((row) => {
+        const readValue = (className) =>
+          parseFloat(row.querySelector(`.${className}`)?.value) || 0;
+        return {
+          width: readValue("opening-width"),
+          height: readValue("opening-height"),
+          x: readValue("opening-x"),
+          y: readValue("opening-y"),
+        };
+      })
+      .filter((opening) => opening.width > 0 && opening.height > 0);
+  }
+
   // Сбор данных из .extra-material
   if (tabConfig.extraMaterials) {
     const elements = tab.querySelectorAll(tabConfig.extraMaterials);
@@ -210,12 +605,380 @@ function getTabData(tabId, showNotification) {
     tab_id: tabId,
     data_keys: Object.keys(data),
     extra_materials_count: data.extraMaterials ? data.extraMaterials.length : 0,
+    openings_count: data.openings ? data.openings.length : 0,
+    has_outline: Boolean(data.outline),
     page_title: "Balcony Calculator",
   });
 
   return data;
 }
 
+/**
+ * Копирует строку формы (проём, доп. материал) с пустыми полями и новыми ID.
+ * @param {HTMLElement} row - Исходная строка.
+ * @param {string} buttonSelector - Кнопка добавления, которая остаётся только в первой строке.
+ * @param {string|number} suffix - Суффикс новых ID.
+ * @returns {HTMLElement} Новая строка.
+ */
+function cloneEmptyRow(row, buttonSelector, suffix = Date.now()) {
+  const newRow = row.cloneNode(true);
+  newRow.querySelectorAll("select, input").forEach((element) => {
+    if (element.id) element.id = `${element.id}_${suffix}`;
+    element.value = "";
+  });
+  newRow.querySelector(buttonSelector)?.remove();
+  return newRow;
+}
+
+/**
+ * Заполняет строки формы по сохранённым данным: лишние строки удаляются, недостающие
+ * добавляются копированием первой.
+ * @param {HTMLElement} tab - Вкладка.
+ * @param {string} rowSelector - Селектор строк.
+ * @param {string} buttonSelector - Кнопка добавления строки.
+ * @param {Object[]} items - Сохранённые данные строк.
+ * @param {Function} fillRow - Заполняет строку: (row, item) => void.
+ */
+function restoreRows(tab, rowSelector, buttonSelector, items, fillRow) {
+  const [firstRow, ...extraRows] = tab.querySelectorAll(rowSelector);
+  if (!firstRow) return;
+  extraRows.forEach((row) => row.remove());
+  firstRow.querySelectorAll("select, input").forEach((element) => {
+    element.value = "";
+    element.classList.remove("invalid");
+  });
+
+  let previousRow = firstRow;
+  items.forEach((item, index) => {
+    let row = firstRow;
+    if (index > 0) {
+      row = cloneEmptyRow(firstRow, buttonSelector, `${Date.now()}_${index}`);
+      previousRow.after(row);
+      previousRow = row;
+    }
+    fillRow(row, item);
+  });
+}
+
+/**
+ * Выбирает вариант списка по сохранённому значению. Доп. материалы сохраняются только по ID,
+ * поэтому для них ищется вариант со значением "ID:категория:название".
+ * @param {HTMLSelectElement} select - Список.
+ * @param {string} value - Сохранённое значение; пустое — первый вариант списка.
+ * @param {boolean} byMaterialKey - Искать по ID материала.
+ * @returns {boolean} False, если сохранённого варианта в списке больше нет.
+ */
+function selectOption(select, value, byMaterialKey = false) {
+  const option = value
+    ? Array.from(select.options).find((item) =>
+        byMaterialKey
+          ? item.value.startsWith(`${value}:`)
+          : item.value === value,
+      )
+    : select.options[0];
+  if (!option) {
+    select.selectedIndex = 0;
+    return !value;
+  }
+  select.value = option.value;
+  return true;
+}
+
+/**
+ * Переводит контур из данных вкладки обратно в форму и текст поля контура.
+ * @param {Object|undefined} outline - Контур { vertices } или { segments }.
+ * @returns {{ shape: string, text: string }} Форма поверхности и текст контура.
+ */
+function formatOutline(outline) {
+  if (outline?.vertices) {
+    return {
+      shape: "vertices",
+      text: outline.vertices.map(({ x, y }) => `${x};${y}`).join(" "),
+    };
+  }
+  if (outline?.segments) {
+    return {
+      shape: "segments",
+      text: outline.segments
+        .map(({ length, angle }) => `${length};${angle}`)
+        .join(" "),
+    };
+  }
+  return { shape: "rectangle", text: "" };
+}
+
+/**
+ * Заполняет вкладку данными в формате getTabData.
+ * @param {string} tabId - ID вкладки.
+ * @param {Object} data - Данные вкладки; пустой объект очищает вкладку.
+ * @returns {string[]} Сохранённые варианты, которых нет в списках.
+ */
+function restoreTabData(tabId, data) {
+  const tab = document.getElementById(tabId);
+  const tabConfig = TAB_SELECTORS[tabId];
+  if (!tab || !tabConfig) return [];
+  const missing = [];
+
+  (tabConfig.selects || []).forEach((selector) => {
+    const select = tab.querySelector(selector);
+    const value = data[toFieldName(selector)] || "";
+    if (select && !selectOption(select, value)) {
+      missing.push(value.split(":").pop());
+    }
+  });
+
+  (tabConfig.inputs || []).forEach((selector) => {
+    const input = tab.querySelector(selector);
+    // Ноль не подставляется, чтобы размеры поверхностей снова брались из геометрии
+    if (input) input.value = data[toFieldName(selector)] || "";
+  });
+
+  if (tabConfig.outline) {
+    const shapeSelect = tab.querySelector(tabConfig.outline.shape);
+    const pointsInput = tab.querySelector(tabConfig.outline.points);
+    if (shapeSelect && pointsInput) {
+      const { shape, text } = formatOutline(data.outline);
+      shapeSelect.value = shape;
+      pointsInput.value = text;
+      pointsInput.hidden = shape === "rectangle";
+      pointsInput.classList.remove("invalid");
+    }
+  }
+
+  if (tabConfig.openings) {
+    restoreRows(
+      tab,
+      tabConfig.openings,
+      ".add-opening-button",
+      data.openings || [],
+      (row, opening) => {
+        ["width", "height", "x", "y"].forEach((field) => {
+          const input = row.querySelector(`.opening-${field}`);
+          if (input) input.value = opening[field] || "";
+        });
+      },
+    );
+  }
+
+  if (tabConfig.extraMaterials) {
+    restoreRows(
+      tab,
+      ".extra-material-row",
+      ".add-button",
+      data.extraMaterials || [],
+      (row, { materialKey, quantity }) => {
+        const select = row.querySelector(tabConfig.extraMaterials);
+        const quantityInput = row.querySelector('input[type="number"]');
+        if (!select || !quantityInput) return;
+        if (selectOption(select, materialKey, true)) {
+          quantityInput.value = quantity;
+        } else {
+          missing.push(materialKey);
+        }
+      },
+    );
+  }
+
+  return missing;
+}
+
+/**
+ * Восстанавливает форму по исходным данным сохранённого расчёта: шапку, поля и списки всех
+ * вкладок, проёмы, доп. материалы, геометрию, скидку, варианты и ручные корректировки.
+ * Вкладки без данных очищаются. После восстановления расчёт можно выполнить заново по текущим ценам.
+ * @param {Object} inputs - Исходные данные { tabs: [{ tabId, data }], geometry, discount,
+ *   variants, adjustments }.
+ * @param {Object} [header] - Шапка { orderNumber, address, phone }.
+ * @returns {string[]} Сохранённые варианты, которых больше нет в каталоге.
+ */
+function restoreFormState(inputs, header) {
+  if (header) {
+    [
+      ["orderNumberInput", header.orderNumber],
+      ["addressInput", header.address],
+      ["phoneInput", header.phone],
+    ].forEach(([id, value]) => {
+      const input = document.getElementById(id);
+      if (input) input.value = value || "";
+    });
+  }
+
+  const savedTabs = new Map(
+    (inputs.tabs || []).map(({ tabId, data }) => [tabId, data || {}]),
+  );
+  const missing = Object.keys(TAB_SELECTORS).flatMap((tabId) =>
+    restoreTabData(tabId, savedTabs.get(tabId) || {}),
+  );
+  setGeometryData(inputs.geometry || null);
+  setDiscountData(inputs.discount || null);
+  setVariantsData(inputs.variants || []);
+  setAdjustmentsData(inputs.adjustments || []);
+  return missing;
+}
+
+/**
+ * Проверяет, выбрано ли на вкладке что-то для расчёта.
+ * @param {Object} tabData - Данные вкладки (см. getTabData).
+ * @returns {boolean} True, если вкладку нужно рассчитывать.
+ */
+function hasTabData(tabData) {
+  return Object.values(tabData).some((value) =>
+    Array.isArray(value)
+      ? value.some((item) => item.materialKey && item.quantity > 0)
+      : Boolean(value) && value !== "no",
+  );
+}
+
+/**
+ * Рассчитывает проект на сервере по исходным данным формы. Вкладки без выбранных
+ * материалов не отправляются; пустая вкладка варианта исключает вкладку из варианта.
+ * @param {Object} inputs - Исходные данные { tabs: [{ tabId, tabName, data }], geometry, discount,
+ *   variants, adjustments }.
+ * @param {Object} header - Шапка { orderNumber, address, phone }.
+ * @param {string} authToken - Токен аутентификации для запросов.
+ * @param {string} userId - ID пользователя.
+ * @returns {Promise<Object|null>} Расчёт (см. renderResults) или null, если рассчитывать нечего.
+ * @throws {Error} При ошибке сервера.
+ */
+async function runCalculation(inputs, header, authToken, userId) {
+  const filledTabs = inputs.tabs.filter(({ data }) => hasTabData(data || {}));
+  // Вкладки с неверным контуром не рассчитываются, а показываются среди ошибок
+  const outlineErrors = filledTabs
+    .filter(({ data }) => data.outlineError)
+    .map(({ tabName, data }) => ({
+      tabName,
+      error: `Ошибка контура: ${data.outlineError}`,
+    }));
+  const projectTabs = filledTabs.filter(({ data }) => !data.outlineError);
+  const variants = inputs.variants || [];
+  if (projectTabs.length === 0 && variants.length === 0) {
+    if (outlineErrors.length > 0) {
+      throw new Error(
+        outlineErrors
+          .map(({ tabName, error }) => `${tabName}: ${error}`)
+          .join("; "),
+      );
+    }
+    return null;
+  }
+
+  const response = await fetch(CALCULATE_PROJECT_URL, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      Authorization: `Bearer ${authToken}`,
+    },
+    body: JSON.stringify({
+      tabs: projectTabs.map(({ tabName, data }) => ({ tabName, data })),
+      geometry: inputs.geometry,
+      discount: inputs.discount,
+      variants: variants.map(({ name, tabs }) => ({
+        name,
+        tabs: tabs.map(({ tabName, data }) => ({
+          tabName,
+          data: hasTabData(data || {}) ? data : null,
+        })),
+      })),
+      adjustments: inputs.adjustments || [],
+      userId: userId || "unknown",
+    }),
+  });
+
+  const result = await response.json().catch(() => null);
+  if (!result) {
+    throw new Error(`HTTP ошибка: ${response.status} ${response.statusText}`);
+  }
+  const tabErrors = [...outlineErrors, ...(result.errors || [])];
+  if (!result.success && (result.errors || []).length === 0) {
+    if (!response.ok) {
+      throw new Error(
+        `HTTP ошибка: ${response.status} ${response.statusText} - ${result.error}`,
+      );
+    }
+    throw new Error(result.error || "Ошибка расчёта");
+  }
+
+  (result.tabs || []).forEach((tabResult) => {
+    const { tabId } =
+      projectTabs.find((tab) => tab.tabName === tabResult.tabName) || {};
+    logEvent(analytics, "tab_calculated", {
+      tab_id: tabId || "unknown",
+      tab_name: tabResult.tabName,
+      total_cost: tabResult.totalCost,
+      results_count: tabResult.results.length,
+      page_title: "Balcony Calculator",
+      user_id: userId || "unknown",
+    });
+  });
+  tabErrors.forEach(({ tabName, error }) => {
+    logEvent(analytics, "tab_calculation_failed", {
+      tab_name: tabName || "unknown",
+      reason: error,
+      page_title: "Balcony Calculator",
+      user_id: userId || "unknown",
+    });
+  });
+
+  return {
+    header,
+    // Исходные данные вкладок сохраняются вместе с результатами, чтобы форму можно было восстановить
+    inputs,
+    tabs: result.tabs || [],
+    errors: tabErrors,
+    warnings: result.warnings || [],
+    materialsCost: result.materialsCost || 0,
+    labourCost: result.labourCost || 0,
+    totalCost: result.totalCost || 0,
+    pricing: result.pricing || null,
+    priceSnapshot: result.priceSnapshot || null,
+    variants: result.variants || [],
+    purchaseList: result.purchaseList || null,
+  };
+}
+
+/**
+ * Проверяет, что в расчёте нет ни одной рассчитанной вкладки — ни в основном расчёте,
+ * ни в вариантах.
+ * @param {Object|null} calculation - Расчёт (см. renderResults).
+ * @returns {boolean} True, если показывать нечего.
+ */
+function isEmptyCalculation(calculation) {
+  return (
+    !calculation ||
+    (calculation.tabs.length === 0 &&
+      (calculation.variants || []).every(
+        (variant) => variant.tabs.length === 0,
+      ))
+  );
+}
+
+/**
+ * Показывает итог расчёта в уведомлении: успех или список вкладок с ошибками.
+ * @param {Object} calculation - Расчёт (см. renderResults).
+ * @param {Function} showNotification - Функция для отображения уведомлений.
+ * @param {string} successMessage - Текст при расчёте без ошибок.
+ */
+function notifyCalculationResult(
+  calculation,
+  showNotification,
+  successMessage,
+) {
+  const failedTabs = [
+    ...calculation.errors.map(({ tabName }) => tabName || "без названия"),
+    ...(calculation.variants || []).flatMap(({ name, errors = [] }) =>
+      errors.map(({ tabName }) => `${tabName || "без названия"} (${name})`),
+    ),
+  ];
+  if (failedTabs.length > 0) {
+    showNotification(
+      `Расчёт выполнен частично: ошибки во вкладках ${failedTabs.join(", ")}`,
+      true,
+    );
+  } else {
+    showNotification(successMessage, false);
+  }
+}
+
 /**
  * Выполняет расчёт для всех вкладок и отображает результаты.
  * @param {Function} showNotification - Функция для отображения уведомлений.
@@ -249,26 +1012,14 @@ async function calculateAll(showNotification, validateForm, authToken, userId) {
       throw new Error("Results container not found");
     }
 
+    lastCalculation = null;
     resultsContainer.innerHTML =
       "<h2>Результаты расчёта</h2><p>Выполняется расчёт...</p>";
 
-    const tabs = [
-      "tab1",
-      "tab2",
-      "tab3",
-      "tab4",
-      "tab5",
-      "tab6",
-      "tab7",
-      "tab8",
-      "tab9",
-      "tab10",
-      "tab11",
-    ];
-    const allResults = [];
-    let totalCost = 0;
-
-    for (const tabId of tabs) {
+    // Данные всех вкладок, включая пустые, — для восстановления формы
+    const formTabs = [];
+
+    for (const tabId of CALCULATION_TABS) {
       const tabData = getTabData(tabId, showNotification);
       const tabButton = document.querySelector(
         `.tab__button[data-tab="${tabId}"]`,
@@ -281,80 +1032,41 @@ async function calculateAll(showNotification, validateForm, authToken, userId) {
         });
         continue;
       }
-      const tabName = tabButton.textContent;
-
-      let hasValidData = false;
-      for (const key in tabData) {
-        if (Array.isArray(tabData[key])) {
-          if (
-            tabData[key].some((item) => item.materialKey && item.quantity > 0)
-          ) {
-            hasValidData = true;
-            break;
-          }
-        } else if (
-          tabData[key] &&
-          tabData[key] !== "" &&
-          tabData[key] !== "no"
-        ) {
-          hasValidData = true;
-          break;
-        }
-      }
+      formTabs.push({
+        tabId,
+        tabName: tabButton.textContent.trim(),
+        data: tabData,
+      });
 
-      if (!hasValidData) {
+      if (!hasTabData(tabData)) {
         logEvent(analytics, "calculation_skipped", {
           tab_id: tabId,
           reason: "no_valid_data",
           page_title: "Balcony Calculator",
           user_id: userId || "unknown",
         });
-        continue;
       }
-
-      const response = await fetch(CALCULATE_URL, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          Authorization: `Bearer ${authToken}`,
-        },
-        body: JSON.stringify({
-          tabName,
-          data: tabData,
-          userId: userId || "unknown",
-        }),
-      });
-
-      if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(
-          `HTTP ошибка: ${response.status} ${response.statusText} - ${errorText}`,
-        );
-      }
-
-      const result = await response.json();
-      if (!result.success) {
-        throw new Error(result.error || "Ошибка расчёта");
-      }
-
-      allResults.push({
-        tabName,
-        results: result.results,
-        totalCost: result.totalCost,
-      });
-      totalCost += parseFloat(result.totalCost) || 0;
-
-      logEvent(analytics, "tab_calculated", {
-        tab_id: tabId,
-        tab_name: tabName,
-        total_cost: parseFloat(result.totalCost) || 0,
-        results_count: result.results.length,
-        page_title: "Balcony Calculator",
-        user_id: userId || "unknown",
-      });
     }
 
-    if (allResults.length === 0) {
+    const calculation = await runCalculation(
+      {
+        tabs: formTabs,
+        geometry: getGeometryData(),
+        discount: getDiscountData(),
+        variants: getVariantsData(),
+        adjustments: getAdjustmentsData(),
+      },
+      {
+        orderNumber:
+          document.getElementById("orderNumberInput")?.value || "Не указан",
+        address: document.getElementById("addressInput")?.value || "Не указан",
+        phone: document.getElementById("phoneInput")?.value || "Не указан",
+      },
+      authToken,
+      userId,
+    );
+
+    if (isEmptyCalculation(calculation)) {
       showNotification(
         "Нет данных для расчёта. Убедитесь, что выбраны материалы и указаны количества.",
         true,
@@ -369,43 +1081,20 @@ async function calculateAll(showNotification, validateForm, authToken, userId) {
       return;
     }
 
-    resultsContainer.innerHTML = "<h2>Результаты расчёта</h2>";
-    const headerInfo = document.createElement("div");
-    headerInfo.className = "header-info";
-    const orderNumber =
-      document.getElementById("orderNumberInput")?.value || "Не указан";
-    const address =
-      document.getElementById("addressInput")?.value || "Не указан";
-    const phone = document.getElementById("phoneInput")?.value || "Не указан";
-    headerInfo.innerHTML = `
-      <p>Номер заказа: ${orderNumber}</p>
-      <p>Адрес: ${address}</p>
-      <p>Телефон: ${phone}</p>
-    `;
-    resultsContainer.appendChild(headerInfo);
-
-    allResults.forEach(({ tabName, results, totalCost: tabTotal }) => {
-      if (results.length === 0) return;
-      const section = document.createElement("div");
-      section.innerHTML = `<h3>${tabName} (Итого: ${parseFloat(tabTotal).toFixed(2)} руб.)</h3>`;
-      const ul = document.createElement("ul");
-      results.forEach((item) => {
-        const li = document.createElement("li");
-        li.textContent = `${item.material}: ${item.quantity} ${item.unit} - ${parseFloat(item.cost).toFixed(2)} руб.`;
-        ul.appendChild(li);
-      });
-      section.appendChild(ul);
-      resultsContainer.appendChild(section);
-    });
-
-    const totalDiv = document.createElement("div");
-    totalDiv.innerHTML = `<h3>Общая стоимость: ${totalCost.toFixed(2)} руб.</h3>`;
-    resultsContainer.appendChild(totalDiv);
-
-    showNotification("Расчёт успешно выполнен", false);
+    renderResults(resultsContainer, calculation);
+    notifyCalculationResult(
+      calculation,
+      showNotification,
+      "Расчёт успешно выполнен",
+    );
     logEvent(analytics, "calculation_success", {
-      total_cost: totalCost,
-      tabs_processed: allResults.length,
+      total_cost: calculation.totalCost,
+      sale_total: calculation.pricing
+        ? calculation.pricing.saleTotal
+        : calculation.totalCost,
+      tabs_processed: calculation.tabs.length,
+      tabs_failed: calculation.errors.length,
+      warnings_count: calculation.warnings.length,
       page_title: "Balcony Calculator",
       user_id: userId || "unknown",
     });
@@ -428,53 +1117,92 @@ async function calculateAll(showNotification, validateForm, authToken, userId) {
 }
 
 /**
- * Сохраняет результаты расчёта в формате JSON.
+ * Пересчитывает показанный расчёт по текущим ценам каталога с теми же исходными данными
+ * и показывает построчно, что изменилось со времени снимка цен.
  * @param {Function} showNotification - Функция для отображения уведомлений.
+ * @param {string} authToken - Токен аутентификации для запросов.
  * @param {string} userId - ID пользователя.
+ * @returns {Promise<void>}
  */
-function saveCalculation(showNotification, userId) {
+async function repriceCalculation(showNotification, authToken, userId) {
+  const previous = lastCalculation;
   try {
+    if (!previous || !previous.inputs) {
+      throw new Error(
+        "нет расчёта с исходными данными: выполните или откройте сохранённый расчёт",
+      );
+    }
     const resultsContainer = document.getElementById("results");
     if (!resultsContainer) {
-      showNotification("Ошибка: Контейнер результатов не найден.", true);
       throw new Error("Results container not found");
     }
 
-    const resultsData = {
-      header: {
-        orderNumber:
-          document.getElementById("orderNumberInput")?.value || "Не указан",
-        address: document.getElementById("addressInput")?.value || "Не указан",
-        phone: document.getElementById("phoneInput")?.value || "Не указан",
-      },
-      tabs: [],
-      totalCost: 0,
-    };
-
-    const sections = resultsContainer.querySelectorAll("div:not(.header-info)");
-    sections.forEach((section) => {
-      const tabName = section.querySelector("h3")?.textContent?.split(" (")[0];
-      if (!tabName) return;
-
-      const totalCostMatch = section
-        .querySelector("h3")
-        ?.textContent?.match(/Итого: ([\d.]+) руб./);
-      const tabTotal = totalCostMatch ? parseFloat(totalCostMatch[1]) : 0;
-
-      const items = Array.from(section.querySelectorAll("li")).map((li) => {
-        const [materialPart, costPart] = li.textContent.split(" - ");
-        const [material, quantity, unit] = materialPart
-          .split(": ")[1]
-          .split(" ");
-        const cost = parseFloat(costPart.split(" ")[0]) || 0;
-        return { material, quantity: parseFloat(quantity) || 0, unit, cost };
-      });
+    const current = await runCalculation(
+      previous.inputs,
+      previous.header,
+      authToken,
+      userId,
+    );
+    if (isEmptyCalculation(current)) {
+      throw new Error("по сохранённым исходным данным нечего рассчитать");
+    }
 
-      resultsData.tabs.push({ tabName, results: items, totalCost: tabTotal });
-      resultsData.totalCost += tabTotal;
+    const comparison = compareCalculations(previous, current);
+    renderResults(resultsContainer, current);
+    resultsContainer.appendChild(
+      renderComparison(
+        comparison,
+        previous.priceSnapshot
+          ? `Изменения с ${formatDate(previous.priceSnapshot.takenAt)}`
+          : "Изменения по сравнению с сохранённым расчётом",
+      ),
+    );
+    notifyCalculationResult(
+      current,
+      showNotification,
+      comparison.lines.length > 0
+        ? `Расчёт пересчитан по текущим ценам: изменений — ${comparison.lines.length}`
+        : "Расчёт пересчитан по текущим ценам: изменений нет",
+    );
+    logEvent(analytics, "calculation_repriced", {
+      changed_lines: comparison.lines.length,
+      previous_total: previous.totalCost,
+      total_cost: current.totalCost,
+      page_title: "Balcony Calculator",
+      user_id: userId || "unknown",
+    });
+  } catch (error) {
+    showNotification(
+      `Ошибка при пересчёте по текущим ценам: ${error.message}`,
+      true,
+    );
+    logEvent(analytics, "calculation_reprice_failed", {
+      reason: error.message,
+      page_title: "Balcony Calculator",
+      user_id: userId || "unknown",
     });
+  }
+}
+
+/**
+ * Сохраняет расчёт в формате JSON: результаты вместе с исходными данными формы.
+ * @param {Function} showNotification - Функция для отображения уведомлений.
+ * @param {string} userId - ID пользователя.
+ */
+function saveCalculation(showNotification, userId) {
+  try {
+    // Сохраняется расчёт целиком: закупка, цены продажи, скидка и НДС
+    const resultsData = lastCalculation
+      ? {
+          ...lastCalculation,
+          tabs: lastCalculation.tabs.filter(
+            ({ results = [], labour = [] }) =>
+              results.length > 0 || labour.length > 0,
+          ),
+        }
+      : { tabs: [] };
 
-    if (resultsData.tabs.length === 0) {
+    if (isEmptyCalculation(resultsData)) {
       showNotification("Нет результатов для сохранения.", true);
       logEvent(analytics, "calculation_save_failed", {
         reason: "no_results",
@@ -484,15 +1212,11 @@ function saveCalculation(showNotification, userId) {
       return;
     }
 
-    const blob = new Blob([JSON.stringify(resultsData, null, 2)], {
-      type: "application/json",
-    });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url;
-    a.download = `calculation_${new Date().toISOString()}.json`;
-    a.click();
-    URL.revokeObjectURL(url);
+    downloadFile(
+      JSON.stringify(serializeCalculation(resultsData), null, 2),
+      `calculation_${new Date().toISOString()}.json`,
+      "application/json",
+    );
     showNotification("Расчёт сохранён", false);
     logEvent(analytics, "calculation_saved", {
       tabs_count: resultsData.tabs.length,
@@ -510,7 +1234,7 @@ function saveCalculation(showNotification, userId) {
 }
 
 /**
- * Загружает результаты расчёта из JSON-файла.
+ * Загружает расчёт из JSON-файла: восстанавливает форму и показывает сохранённые результаты.
  * @param {Function} showNotification - Функция для отображения уведомлений.
  * @param {string} userId - ID пользователя.
  */
@@ -533,52 +1257,42 @@ function loadCalculation(showNotification, userId) {
       const reader = new FileReader();
       reader.onload = (event) => {
         try {
-          const resultsData = JSON.parse(event.target.result);
+          const { calculation: resultsData, fromVersion } = upgradeCalculation(
+            JSON.parse(event.target.result),
+          );
           const resultsContainer = document.getElementById("results");
           if (!resultsContainer) {
             showNotification("Ошибка: Контейнер результатов не найден.", true);
             throw new Error("Results container not found");
           }
 
-          if (
-            !resultsData.header ||
-            !resultsData.tabs ||
-            !Array.isArray(resultsData.tabs)
-          ) {
-            throw new Error("Некорректный формат загруженных данных");
-          }
-
-          resultsContainer.innerHTML = "<h2>Результаты расчёта</h2>";
-          const headerInfo = document.createElement("div");
-          headerInfo.className = "header-info";
-          headerInfo.innerHTML = `
-            <p>Номер заказа: ${resultsData.header.orderNumber}</p>
-            <p>Адрес: ${resultsData.header.address}</p>
-            <p>Телефон: ${resultsData.header.phone}</p>
-          `;
-          resultsContainer.appendChild(headerInfo);
-
-          resultsData.tabs.forEach(({ tabName, results, totalCost }) => {
-            if (!results || results.length === 0) return;
-            const section = document.createElement("div");
-            section.innerHTML = `<h3>${tabName} (Итого: ${parseFloat(totalCost).toFixed(2)} руб.)</h3>`;
-            const ul = document.createElement("ul");
-            results.forEach((item) => {
-              const li = document.createElement("li");
-              li.textContent = `${item.material}: ${item.quantity} ${item.unit} - ${parseFloat(item.cost).toFixed(2)} руб.`;
-              ul.appendChild(li);
-            });
-            section.appendChild(ul);
-            resultsContainer.appendChild(section);
-          });
-
-          const totalDiv = document.createElement("div");
-          totalDiv.innerHTML = `<h3>Общая стоимость: ${parseFloat(resultsData.totalCost).toFixed(2)} руб.</h3>`;
-          resultsContainer.appendChild(totalDiv);
+          // В файлах старого формата нет исходных данных — показываются только результаты
+          const missing = resultsData.inputs
+            ? restoreFormState(resultsData.inputs, resultsData.header)
+            : [];
+          renderResults(resultsContainer, resultsData);
 
-          showNotification("Расчёт загружен", false);
+          if (!resultsData.inputs) {
+            showNotification(
+              "Расчёт загружен без исходных данных: форму восстановить нельзя",
+              true,
+            );
+          } else if (missing.length > 0) {
+            showNotification(
+              `Расчёт загружен. В каталоге не найдены: ${missing.join(", ")}`,
+              true,
+            );
+          } else {
+            showNotification(
+              "Расчёт загружен. Нажмите «Рассчитать», чтобы пересчитать по текущим ценам",
+              false,
+            );
+          }
           logEvent(analytics, "calculation_loaded", {
             tabs_count: resultsData.tabs.length,
+            schema_version: fromVersion,
+            form_restored: Boolean(resultsData.inputs),
+            missing_count: missing.length,
             page_title: "Balcony Calculator",
             user_id: userId || "unknown",
           });
@@ -619,7 +1333,7 @@ function loadCalculation(showNotification, userId) {
 }
 
 /**
- * Инициализирует обработчики событий для кнопок расчёта, сохранения и загрузки.
+ * Инициализирует обработчики событий для кнопок расчёта, пересчёта, сохранения и загрузки.
  * @param {Function} showNotification - Функция для отображения уведомлений.
  * @param {Function} validateForm - Функция для валидации формы.
  * @param {string} authToken - Токен аутентификации.
@@ -635,6 +1349,7 @@ async function initializeCalculation(
   const calculateBtn = document.getElementById("calculateBtn");
   const saveCalculationBtn = document.getElementById("saveCalculationBtn");
   const loadCalculationBtn = document.getElementById("loadCalculationBtn");
+  const repriceBtn = document.getElementById("repriceBtn");
 
   if (!calculateBtn || !saveCalculationBtn || !loadCalculationBtn) {
     showNotification("Ошибка: Кнопки управления расчётом не найдены", true);
@@ -668,6 +1383,14 @@ async function initializeCalculation(
     });
   });
 
+  repriceBtn?.addEventListener("click", async () => {
+    await repriceCalculation(showNotification, authToken, userId);
+    logEvent(analytics, "calculation_reprice_initiated", {
+      page_title: "Balcony Calculator",
+      user_id: userId || "unknown",
+    });
+  });
+
   loadCalculationBtn.addEventListener("click", () => {
     loadCalculation(showNotification, userId);
     logEvent(analytics, "calculation_load_initiated", {
@@ -676,10 +1399,56 @@ async function initializeCalculation(
     });
   });
 
+  // Поле контура показывается только для непрямоугольных поверхностей
+  document.querySelectorAll(".surface-shape").forEach((select) => {
+    select.addEventListener("change", () => {
+      const pointsInput = select.parentElement.querySelector(".outline-input");
+      if (pointsInput) {
+        pointsInput.hidden = select.value === "rectangle";
+      }
+      logEvent(analytics, "surface_shape_changed", {
+        shape: select.value,
+        page_title: "Balcony Calculator",
+        user_id: userId || "unknown",
+      });
+    });
+  });
+
+  document.querySelectorAll(".add-opening-button").forEach((button) => {
+    button.addEventListener("click", () => {
+      const tabId = button.getAttribute("data-tab-id");
+      const row = document.querySelector(
+        `.opening-row[data-tab-id="${tabId}"]`,
+      );
+      if (!row) {
+        showNotification(
+          "Ошибка: Элемент для добавления проёмов не найден",
+          true,
+        );
+        return;
+      }
+      const newRow = cloneEmptyRow(row, ".add-opening-button");
+      row.parentNode.insertBefore(newRow, row.nextSibling);
+      logEvent(analytics, "opening_added", {
+        tab_id: tabId,
+        page_title: "Balcony Calculator",
+        user_id: userId || "unknown",
+      });
+    });
+  });
+
   logEvent(analytics, "calculation_initialized", {
     page_title: "Balcony Calculator",
     user_id: userId || "unknown",
   });
 }
 
-export { getTabData, calculateAll, initializeCalculation };
+export {
+  CALCULATION_TABS,
+  getTabData,
+  calculateAll,
+  getLastCalculation,
+  showCalculation,
+  restoreFormState,
+  initializeCalculation,
+};
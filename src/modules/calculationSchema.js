@@ -0,0 +1,262 @@
+import { toKopecks, fromKopecks } from "./money.js";
+
+// Версия формата файла расчёта. При изменении полей вкладок или структуры результатов версия
+// увеличивается, а в MIGRATIONS добавляется функция перехода с предыдущей версии.
+const CALCULATION_SCHEMA_VERSION = 6;
+
+/**
+ * Приводит сумму или количество из файла к числу (старые файлы хранили их строками).
+ * @param {*} value - Значение из файла.
+ * @returns {number} Число; 0 для некорректных значений.
+ */
+function toNumber(value) {
+  const number = typeof value === "number" ? value : parseFloat(value);
+  return Number.isFinite(number) ? number : 0;
+}
+
+// Переходы между версиями: MIGRATIONS[n] переводит данные версии n в версию n + 1
+const MIGRATIONS = {
+  // 1 → 2: файлы без версии — и собранные из списка результатов, и ранние полные расчёты.
+  // Суммы могли быть строками, общая стоимость складывалась из округлённых строк,
+  // исходных данных формы, ошибок и предупреждений могло не быть.
+  1: (data) => {
+    const tabs = data.tabs.map((tab) => ({
+      ...tab,
+      results: (tab.results || []).map((item) => ({
+        ...item,
+        quantity: toNumber(item.quantity),
+        cost: toNumber(item.cost),
+      })),
+      labour: (tab.labour || []).map((item) => ({
+        ...item,
+        quantity: toNumber(item.quantity),
+        cost: toNumber(item.cost),
+      })),
+      totalCost: toNumber(tab.totalCost),
+    }));
+    const totalKopecks = tabs.reduce(
+      (sum, tab) => sum + toKopecks(tab.totalCost),
+      0,
+    );
+    return {
+      ...data,
+      inputs: data.inputs || null,
+      tabs,
+      errors: data.errors || [],
+      warnings: data.warnings || [],
+      totalCost: fromKopecks(totalKopecks),
+      pricing: data.pricing || null,
+    };
+  },
+  // 2 → 3: добавлен снимок цен; у расчётов, сохранённых до него, цены не зафиксированы
+  2: (data) => ({ ...data, priceSnapshot: data.priceSnapshot || null }),
+  // 3 → 4: добавлены варианты (эконом / стандарт / премиум) — в исходных данных и в результатах
+  3: (data) => ({
+    ...data,
+    inputs: data.inputs
+      ? { ...data.inputs, variants: data.inputs.variants || [] }
+      : null,
+    variants: data.variants || [],
+  }),
+  // 4 → 5: добавлена сводная закупка; у прежних расчётов её нет до пересчёта
+  4: (data) => ({ ...data, purchaseList: data.purchaseList || null }),
+  // 5 → 6: добавлены ручные корректировки сметы (импорт отредактированной таблицы)
+  5: (data) => ({
+    ...data,
+    inputs: data.inputs
+      ? { ...data.inputs, adjustments: data.inputs.adjustments || [] }
+      : null,
+  }),
+};
+
+/**
+ * Проверяет расчёт текущей версии.
+ * @param {Object} data - Расчёт.
+ * @throws {Error} С описанием первого найденного нарушения.
+ */
+function validateCalculation(data) {
+  const { header } = data;
+  if (
+    !header ||
+    typeof header !== "object" ||
+    ["orderNumber", "address", "phone"].some(
+      (field) => typeof header[field] !== "string",
+    )
+  ) {
+    throw new Error("в файле нет шапки расчёта (номер заказа, адрес, телефон)");
+  }
+  if (!Array.isArray(data.tabs)) {
+    throw new Error("в файле нет списка вкладок");
+  }
+  data.tabs.forEach((tab, index) => {
+    if (
+      !tab ||
+      typeof tab.tabName !== "string" ||
+      !Array.isArray(tab.results) ||
+      (tab.labour !== undefined && !Array.isArray(tab.labour))
+    ) {
+      throw new Error(`вкладка №${index + 1} имеет некорректный формат`);
+    }
+    if (typeof tab.totalCost !== "number") {
+      throw new Error(`у вкладки "${tab.tabName}" нет итоговой суммы`);
+    }
+  });
+  if (typeof data.totalCost !== "number") {
+    throw new Error("в файле нет общей стоимости");
+  }
+  if (
+    data.inputs !== null &&
+    (typeof data.inputs !== "object" ||
+      !Array.isArray(data.inputs.tabs) ||
+      !Array.isArray(data.inputs.adjustments))
+  ) {
+    throw new Error("исходные данные формы имеют некорректный формат");
+  }
+  const snapshot = data.priceSnapshot;
+  if (
+    snapshot !== null &&
+    (typeof snapshot !== "object" ||
+      isNaN(Date.parse(snapshot.takenAt)) ||
+      isNaN(Date.parse(snapshot.validUntil)))
+  ) {
+    throw new Error("снимок цен имеет некорректный формат");
+  }
+  if (
+    !Array.isArray(data.variants) ||
+    data.variants.some(
+      (variant) =>
+        !variant ||
+        typeof variant.name !== "string" ||
+        !Array.isArray(variant.tabs) ||
+        typeof variant.totalCost !== "number",
+    )
+  ) {
+    throw new Error("варианты расчёта имеют некорректный формат");
+  }
+  if (
+    data.purchaseList !== null &&
+    (typeof data.purchaseList !== "object" ||
+      !Array.isArray(data.purchaseList.groups))
+  ) {
+    throw new Error("сводная закупка имеет некорректный формат");
+  }
+  if (!Array.isArray(data.errors) || !Array.isArray(data.warnings)) {
+    throw new Error("ошибки и предупреждения расчёта должны быть списками");
+  }
+}
+
+/**
+ * Подготавливает расчёт к записи в файл: добавляет версию формата и дату сохранения.
+ * @param {Object} calculation - Расчёт (см. renderResults).
+ * @returns {Object} Данные файла.
+ */
+function serializeCalculation(calculation) {
+  return {
+    schemaVersion: CALCULATION_SCHEMA_VERSION,
+    savedAt: new Date().toISOString(),
+    ...calculation,
+    inputs: calculation.inputs || null,
+    errors: calculation.errors || [],
+    warnings: calculation.warnings || [],
+    pricing: calculation.pricing || null,
+    priceSnapshot: calculation.priceSnapshot || null,
+    variants: calculation.variants || [],
+    purchaseList: calculation.purchaseList || null,
+  };
+}
+
+/**
+ * Приводит данные файла расчёта к текущей версии формата и проверяет их.
+ * Файлы без версии считаются версией 1.
+ * @param {Object} data - Разобранный JSON файла.
+ * @returns {{ calculation: Object, fromVersion: number }} Расчёт текущей версии и исходная версия.
+ * @throws {Error} Если файл нельзя обновить до текущей версии.
+ */
+function upgradeCalculation(data) {
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    throw new Error("Файл не содержит расчёта");
+  }
+  const fromVersion = data.schemaVersion ?? 1;
+  if (!Number.isInteger(fromVersion) || fromVersion < 1) {
+    throw new Error(`Неизвестная версия файла расчёта: ${fromVersion}`);
+  }
+  if (fromVersion > CALCULATION_SCHEMA_VERSION) {
+    throw new Error(
+      `Файл сохранён более новой версией калькулятора (формат ${fromVersion}, поддерживается до ${CALCULATION_SCHEMA_VERSION}). Обновите страницу`,
+    );
+  }
+  if (!Array.isArray(data.tabs)) {
+    throw new Error(
+      `Файл расчёта версии ${fromVersion} повреждён: нет списка вкладок`,
+    );
+  }
+
+  let calculation = data;
+  for (
+    let version = fromVersion;
+    version < CALCULATION_SCHEMA_VERSION;
+    version++
+  ) {
+    const migrate = MIGRATIONS[version];
+    if (!migrate) {
+      throw new Error(
+        `Нет перехода с формата ${version} на ${version + 1}: файл не может быть загружен`,
+      );
+    }
+    try {
+      calculation = migrate(calculation);
+    } catch (error) {
+      throw new Error(
+        `Не удалось обновить файл с формата ${version} на ${version + 1}: ${error.message}`,
+      );
+    }
+  }
+
+  try {
+    validateCalculation(calculation);
+  } catch (error) {
+    throw new Error(
+      `Файл расчёта версии ${fromVersion} повреждён: ${error.message}`,
+    );
+  }
+  const { schemaVersion, savedAt, ...rest } = calculation;
+  return { calculation: rest, fromVersion };
+}
+
+/**
+ * Приводит проект из "Моих расчётов" к текущей версии формата и проверяет его так же,
+ * как файл. Проекты, сохранённые до появления версии, считаются версией 1.
+ * @param {Object} project - Проект или его версия: { header, inputs, results, schemaVersion }.
+ * @returns {{ calculation: Object|null, inputs: Object, fromVersion: number }} Расчёт текущей
+ *   версии (null, если результатов нет), исходные данные формы и исходная версия.
+ * @throws {Error} Если проект нельзя обновить до текущей версии.
+ */
+function upgradeProject({ header, inputs, results, schemaVersion }) {
+  // Без результатов обновляются только исходные данные формы
+  const { calculation, fromVersion } = upgradeCalculation({
+    ...(results || {
+      tabs: [],
+      totalCost: 0,
+      errors: [],
+      warnings: [],
+      variants: [],
+      priceSnapshot: null,
+      purchaseList: null,
+    }),
+    header,
+    inputs,
+    schemaVersion: schemaVersion ?? 1,
+  });
+  return {
+    calculation: results ? calculation : null,
+    inputs: calculation.inputs,
+    fromVersion,
+  };
+}
+
+export {
+  CALCULATION_SCHEMA_VERSION,
+  serializeCalculation,
+  upgradeCalculation,
+  upgradeProject,
+};
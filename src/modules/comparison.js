@@ -0,0 +1,304 @@
+import { toKopecks, fromKopecks, formatMoney } from "./money.js";
+
+/**
+ * Определяет цену за единицу строки: из снимка цен расчёта, а если его нет — из трассировки.
+ * @param {Object} line - Строка материала или работы.
+ * @param {Object|null} snapshot - Снимок цен расчёта.
+ * @param {string} kind - "materials" или "labour".
+ * @returns {number|null} Цена за единицу (руб.) или null, если она неизвестна.
+ */
+function unitPriceOf(line, snapshot, kind) {
+  const id = line.trace?.materialId;
+  const snapshotPrice = id ? snapshot?.[kind]?.[id]?.price : undefined;
+  return snapshotPrice ?? line.trace?.unitPrice ?? null;
+}
+
+/**
+ * Собирает строки расчёта по вкладкам и названиям. Одинаковые строки одной вкладки
+ * (например, материал выбран и основным, и дополнительным) складываются.
+ * @param {Object} calculation - Расчёт (см. renderResults).
+ * @returns {Map<string, Object>} Строки { tabName, name, unit, quantity, cost, price } по ключу.
+ */
+function collectLines(calculation) {
+  const lines = new Map();
+  (calculation.tabs || []).forEach((tab) => {
+    [
+      ["materials", tab.results || [], "material"],
+      ["labour", tab.labour || [], "work"],
+    ].forEach(([kind, items, nameField]) => {
+      items.forEach((item) => {
+        const name = item[nameField];
+        const key = `${tab.tabName}\u0000${kind}\u0000${name}`;
+        const line = lines.get(key) || {
+          tabName: tab.tabName,
+          name,
+          unit: item.unit,
+          quantity: 0,
+          cost: 0,
+          price: unitPriceOf(item, calculation.priceSnapshot, kind),
+        };
+        line.quantity =
+          Math.round((line.quantity + (item.quantity || 0)) * 100) / 100;
+        line.cost += toKopecks(item.cost);
+        lines.set(key, line);
+      });
+    });
+  });
+  return lines;
+}
+
+/**
+ * Сравнивает два расчёта построчно: какие материалы и работы появились, пропали или
+ * изменились по цене за единицу, количеству и стоимости, как изменились итоги вкладок и заказа.
+ * @param {Object} previous - Прежний расчёт.
+ * @param {Object} current - Новый расчёт.
+ * @returns {{ lines: Object[], tabs: Object[], totals: Object[] }} Изменённые строки
+ *   { tabName, name, unit, status: "added" | "removed" | "changed", previous, current },
+ *   итоги вкладок { tabName, previous, current } и заказа { label, previous, current };
+ *   суммы в копейках.
+ */
+function compareCalculations(previous, current) {
+  const previousLines = collectLines(previous);
+  const currentLines = collectLines(current);
+  const keys = new Set([...previousLines.keys(), ...currentLines.keys()]);
+
+  const lines = [];
+  keys.forEach((key) => {
+    const before = previousLines.get(key) || null;
+    const after = currentLines.get(key) || null;
+    const { tabName, name, unit } = after || before;
+    if (!before || !after) {
+      lines.push({
+        tabName,
+        name,
+        unit,
+        status: before ? "removed" : "added",
+        previous: before,
+        current: after,
+      });
+      return;
+    }
+    const priceChanged =
+      before.price !== null &&
+      after.price !== null &&
+      toKopecks(before.price) !== toKopecks(after.price);
+    if (
+      priceChanged ||
+      before.quantity !== after.quantity ||
+      before.cost !== after.cost
+    ) {
+      lines.push({
+        tabName,
+        name,
+        unit,
+        status: "changed",
+        previous: before,
+        current: after,
+      });
+    }
+  });
+
+  // Итоги вкладок в порядке прежнего расчёта; новые вкладки — в конце
+  const tabTotals = new Map();
+  [
+    ["previous", previous],
+    ["current", current],
+  ].forEach(([side, calculation]) => {
+    (calculation.tabs || []).forEach((tab) => {
+      const entry = tabTotals.get(tab.tabName) || {
+        tabName: tab.tabName,
+        previous: 0,
+        current: 0,
+      };
+      entry[side] += toKopecks(tab.totalCost);
+      tabTotals.set(tab.tabName, entry);
+    });
+  });
+
+  const totals = [
+    {
+      label: "Закупка",
+      previous: toKopecks(previous.totalCost),
+      current: toKopecks(current.totalCost),
+    },
+  ];
+  if (previous.pricing && current.pricing) {
+    totals.push({
+      label: "Итого для клиента",
+      previous: toKopecks(previous.pricing.saleTotal),
+      current: toKopecks(current.pricing.saleTotal),
+    });
+  }
+  return { lines, tabs: Array.from(tabTotals.values()), totals };
+}
+
+/**
+ * Форматирует разницу сумм со знаком.
+ * @param {number} kopecks - Разница в копейках.
+ * @returns {string} Например "+120.00 руб." или "−35.50 руб.".
+ */
+function formatDelta(kopecks) {
+  const sign = kopecks > 0 ? "+" : kopecks < 0 ? "−" : "";
+  return `${sign}${formatMoney(fromKopecks(Math.abs(kopecks)))} руб.`;
+}
+
+/**
+ * Формирует текст строки сравнения.
+ * @param {Object} line - Строка из compareCalculations.
+ * @returns {string} Текст строки.
+ */
+function formatComparisonLine(line) {
+  const { name, unit, status, previous, current } = line;
+  const title = name;
+  const money = (kopecks) => `${formatMoney(fromKopecks(kopecks))} руб.`;
+  if (status === "added") {
+    return `${title}: добавлено ${current.quantity} ${unit} - ${money(current.cost)}`;
+  }
+  if (status === "removed") {
+    return `${title}: убрано (было ${previous.quantity} ${unit} - ${money(previous.cost)})`;
+  }
+  const parts = [];
+  if (
+    previous.price !== null &&
+    current.price !== null &&
+    toKopecks(previous.price) !== toKopecks(current.price)
+  ) {
+    parts.push(
+      `цена ${formatMoney(previous.price)} → ${formatMoney(current.price)} руб./${unit}`,
+    );
+  }
+  if (previous.quantity !== current.quantity) {
+    parts.push(`количество ${previous.quantity} → ${current.quantity} ${unit}`);
+  }
+  parts.push(
+    `сумма ${money(previous.cost)} → ${money(current.cost)} (${formatDelta(current.cost - previous.cost)})`,
+  );
+  return `${title}: ${parts.join(", ")}`;
+}
+
+/**
+ * Создаёт блок сравнения двух расчётов.
+ * @param {{ lines: Object[], tabs: Object[], totals: Object[] }} comparison - Результат
+ *   compareCalculations.
+ * @param {string} title - Заголовок блока.
+ * @returns {HTMLElement} Блок сравнения.
+ */
+function renderComparison(comparison, title) {
+  const section = document.createElement("div");
+  section.className = "comparison";
+  const heading = document.createElement("h3");
+  heading.textContent = title;
+  section.appendChild(heading);
+
+  if (comparison.lines.length === 0) {
+    const p = document.createElement("p");
+    p.textContent = "Строки расчёта не изменились";
+    section.appendChild(p);
+  }
+
+  // Строки сгруппированы по вкладкам; вкладка без изменений не показывается
+  (comparison.tabs || []).forEach((tab) => {
+    const lines = comparison.lines.filter(
+      (line) => line.tabName === tab.tabName,
+    );
+    if (lines.length === 0 && tab.previous === tab.current) return;
+    const tabHeading = document.createElement("h4");
+    tabHeading.textContent = `${tab.tabName}: ${formatMoney(fromKopecks(tab.previous))} → ${formatMoney(fromKopecks(tab.current))} руб. (${formatDelta(tab.current - tab.previous)})`;
+    section.appendChild(tabHeading);
+    const ul = document.createElement("ul");
+    lines.forEach((line) => {
+      const li = document.createElement("li");
+      li.className = `comparison-${line.status}`;
+      li.textContent = formatComparisonLine(line);
+      ul.appendChild(li);
+    });
+    section.appendChild(ul);
+  });
+
+  comparison.totals.forEach(({ label, previous, current }) => {
+    const p = document.createElement("p");
+    p.textContent = `${label}: ${formatMoney(fromKopecks(previous))} → ${formatMoney(fromKopecks(current))} руб. (${formatDelta(current - previous)})`;
+    section.appendChild(p);
+  });
+  return section;
+}
+
+// Подписи состояний строки для выгрузки
+const STATUS_LABELS = {
+  added: "добавлено",
+  removed: "убрано",
+  changed: "изменено",
+};
+
+/**
+ * Формирует таблицу сравнения для выгрузки в CSV.
+ * @param {{ lines: Object[], tabs: Object[], totals: Object[] }} comparison - Результат
+ *   compareCalculations.
+ * @param {string} previousLabel - Название прежнего расчёта.
+ * @param {string} currentLabel - Название нового расчёта.
+ * @returns {Array<Array<string|number|null>>} Строки таблицы.
+ */
+function comparisonToRows(comparison, previousLabel, currentLabel) {
+  const rubles = (kopecks) =>
+    kopecks === null || kopecks === undefined ? null : fromKopecks(kopecks);
+  const rows = [
+    ["Сравнение расчётов", previousLabel, "→", currentLabel],
+    [],
+    [
+      "Вкладка",
+      "Позиция",
+      "Изменение",
+      "Ед.",
+      "Было, кол-во",
+      "Стало, кол-во",
+      "Было, руб.",
+      "Стало, руб.",
+      "Разница, руб.",
+    ],
+  ];
+  comparison.lines.forEach(
+    ({ tabName, name, unit, status, previous, current }) => {
+      rows.push([
+        tabName,
+        name,
+        STATUS_LABELS[status],
+        unit,
+        previous ? previous.quantity : null,
+        current ? current.quantity : null,
+        rubles(previous?.cost),
+        rubles(current?.cost),
+        rubles((current?.cost || 0) - (previous?.cost || 0)),
+      ]);
+    },
+  );
+  rows.push([]);
+  (comparison.tabs || []).forEach((tab) => {
+    rows.push([
+      tab.tabName,
+      "Итого по вкладке",
+      "",
+      "",
+      null,
+      null,
+      rubles(tab.previous),
+      rubles(tab.current),
+      rubles(tab.current - tab.previous),
+    ]);
+  });
+  comparison.totals.forEach(({ label, previous, current }) => {
+    rows.push([
+      "",
+      label,
+      "",
+      "",
+      null,
+      null,
+      rubles(previous),
+      rubles(current),
+      rubles(current - previous),
+    ]);
+  });
+  return rows;
+}
+
+export { compareCalculations, renderComparison, comparisonToRows };
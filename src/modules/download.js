@@ -0,0 +1,117 @@
+/**
+ * Скачивает сформированный в браузере файл.
+ * @param {string|Blob} content - Содержимое файла.
+ * @param {string} fileName - Имя файла.
+ * @param {string} type - MIME-тип.
+ */
+function downloadFile(content, fileName, type) {
+  const blob =
+    content instanceof Blob ? content : new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = fileName;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Формирует CSV для Excel: разделитель ";", текст с разделителями, запятыми и кавычками
+ * заключается в кавычки, в начале — BOM, чтобы кириллица открывалась без перекодировки.
+ * @param {Array<Array<string|number|null>>} rows - Строки таблицы.
+ * @returns {string} Текст CSV.
+ */
+function toCsv(rows) {
+  const escape = (value) => {
+    if (value === null || value === undefined) return "";
+    // Дробная запятая в числах не мешает разбору: разделитель определяется по заголовкам
+    if (typeof value === "number") return String(value).replace(".", ",");
+    const text = String(value);
+    return /[";,\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return `\uFEFF${rows.map((row) => row.map(escape).join(";")).join("\r\n")}`;
+}
+
+/**
+ * Разбирает CSV, сохранённый Excel или toCsv. Разделитель берётся из строки "sep=;", если
+ * она есть, иначе определяется по строке заголовков: ";" или "," — чего в ней больше вне
+ * кавычек. Значения в кавычках могут содержать разделители и переносы строк, BOM
+ * отбрасывается.
+ * @param {string} text - Текст CSV.
+ * @param {string} [headerCell] - Заголовок столбца, по которому ищется строка заголовков;
+ *   без него заголовками считается первая строка.
+ * @returns {string[][]} Строки таблицы; значения — строки без преобразования чисел.
+ */
+function parseCsv(text, headerCell) {
+  let source = text.replace(/^\uFEFF/, "");
+  const lines = source.split(/\r?\n/);
+  const sepLine = /^"?sep=(.)"?$/i.exec(lines[0]);
+  let delimiter;
+  if (sepLine) {
+    delimiter = sepLine[1];
+    source = source.slice(lines[0].length).replace(/^\r?\n/, "");
+  } else {
+    const header = headerCell ? headerCell.toLowerCase() : null;
+    const isHeaderLine = (line) =>
+      line
+        .split(/[;,]/)
+        .some((cell) => cell.replace(/"/g, "").trim().toLowerCase() === header);
+    const headerLine = (header && lines.find(isHeaderLine)) || lines[0];
+    const unquoted = headerLine.replace(/"[^"]*"/g, "");
+    delimiter =
+      unquoted.split(";").length >= unquoted.split(",").length ? ";" : ",";
+  }
+  const rows = [];
+  let row = [];
+  let value = "";
+  let quoted = false;
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        value += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        value += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(value);
+      value = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && source[i + 1] === "\n") i++;
+      row.push(value);
+      rows.push(row);
+      row = [];
+      value = "";
+    } else {
+      value += char;
+    }
+  }
+  if (value !== "" || row.length > 0) {
+    row.push(value);
+    rows.push(row);
+  }
+  return rows;
+}
+
+/**
+ * Приводит значение ячейки к числу: Excel отдаёт числа, CSV — текст с запятой.
+ * @param {*} value - Значение ячейки.
+ * @returns {number|null} Число или null для пустой или нечисловой ячейки.
+ */
+function parseNumber(value) {
+  if (typeof value === "number") {
+    return Number.isFinite(value) ? value : null;
+  }
+  const text = String(value ?? "")
+    .replace(/\s/g, "")
+    .replace(",", ".");
+  const number = text === "" ? NaN : Number(text);
+  return Number.isFinite(number) ? number : null;
+}
+
+export { downloadFile, toCsv, parseCsv, parseNumber };
@@ -0,0 +1,124 @@
+import { analytics, logEvent } from "./firebase.js";
+
+// Вкладки-поверхности, размеры которых рассчитываются по геометрии балкона
+const SURFACE_TAB_IDS = ["tab3", "tab4", "tab5", "tab6", "tab7", "tab8"];
+
+/**
+ * Собирает геометрию балкона из шапки.
+ * @returns {Object|null} Геометрия { length, depth, height, parapetHeight, type } в мм
+ *   или null, если заполнены не все поля.
+ */
+function getGeometryData() {
+  const readValue = (id) => parseFloat(document.getElementById(id)?.value) || 0;
+  const geometry = {
+    length: readValue("balconyLengthInput"),
+    depth: readValue("balconyDepthInput"),
+    height: readValue("balconyHeightInput"),
+    parapetHeight: readValue("parapetHeightInput"),
+    type: document.getElementById("balconyTypeSelect")?.value || "",
+  };
+  const isComplete =
+    geometry.length > 0 &&
+    geometry.depth > 0 &&
+    geometry.height > 0 &&
+    geometry.parapetHeight > 0 &&
+    geometry.type !== "";
+  return isComplete ? geometry : null;
+}
+
+/**
+ * Заполняет геометрию балкона в шапке (например, из сохранённого расчёта).
+ * @param {Object|null} geometry - Геометрия (см. getGeometryData); null — очистить поля.
+ */
+function setGeometryData(geometry) {
+  [
+    ["balconyLengthInput", "length"],
+    ["balconyDepthInput", "depth"],
+    ["balconyHeightInput", "height"],
+    ["parapetHeightInput", "parapetHeight"],
+    ["balconyTypeSelect", "type"],
+  ].forEach(([id, field]) => {
+    const element = document.getElementById(id);
+    if (element) element.value = geometry?.[field] ?? "";
+  });
+  updateSurfacePlaceholders();
+}
+
+/**
+ * Рассчитывает размеры поверхностей по геометрии (так же, как сервер).
+ * @param {Object} geometry - Геометрия балкона.
+ * @returns {Object.<string, { length: number, width: number }>} Размеры по ID вкладок (мм).
+ */
+function deriveSurfaceDimensions(geometry) {
+  const { length, depth, height, parapetHeight, type } = geometry;
+  const sideHeight = type === "loggia" ? height : parapetHeight;
+  return {
+    tab3: { length, width: height },
+    tab4: { length, width: parapetHeight },
+    tab5: { length: depth, width: sideHeight },
+    tab6: { length: depth, width: sideHeight },
+    tab7: { length, width: depth },
+    tab8: { length, width: depth },
+  };
+}
+
+/**
+ * Показывает размеры из геометрии в подсказках полей вкладок-поверхностей.
+ * Значение, введённое на вкладке, переопределяет размер из геометрии.
+ */
+function updateSurfacePlaceholders() {
+  const geometry = getGeometryData();
+  const dimensions = geometry ? deriveSurfaceDimensions(geometry) : {};
+  SURFACE_TAB_IDS.forEach((tabId) => {
+    const suffix = tabId.replace("tab", "Tab");
+    [
+      ["length", "Длина (мм)"],
+      ["width", "Ширина (мм)"],
+    ].forEach(([field, defaultPlaceholder]) => {
+      const input = document.getElementById(`${field}${suffix}`);
+      if (!input) return;
+      input.placeholder = dimensions[tabId]
+        ? `Из геометрии: ${dimensions[tabId][field]}`
+        : defaultPlaceholder;
+    });
+  });
+}
+
+/**
+ * Инициализирует блок геометрии балкона.
+ * @param {Function} showNotification - Функция для отображения уведомлений.
+ * @param {string} userId - ID пользователя.
+ */
+function initializeGeometry(showNotification, userId) {
+  const fields = [
+    "balconyLengthInput",
+    "balconyDepthInput",
+    "balconyHeightInput",
+    "parapetHeightInput",
+    "balconyTypeSelect",
+  ].map((id) => document.getElementById(id));
+
+  if (fields.some((field) => !field)) {
+    showNotification("Ошибка: Поля геометрии балкона не найдены", true);
+    logEvent(analytics, "geometry_initialize_failed", {
+      reason: "Geometry fields not found",
+      page_title: "Balcony Calculator",
+      user_id: userId || "unknown",
+    });
+    return;
+  }
+
+  fields.forEach((field) => {
+    field.addEventListener("change", () => {
+      updateSurfacePlaceholders();
+      logEvent(analytics, "geometry_changed", {
+        field: field.id,
+        page_title: "Balcony Calculator",
+        user_id: userId || "unknown",
+      });
+    });
+  });
+  updateSurfacePlaceholders();
+}
+
+export { getGeometryData, setGeometryData, initializeGeometry };
@@ -0,0 +1,214 @@
+import { analytics, logEvent } from "./firebase.js";
+import { getLabour, addLabour, updateLabour, deleteLabour } from "./api.js";
+
+// Подписи баз расчёта объёма работы
+const LABOUR_BASIS_LABELS = {
+  area: "по площади",
+  perimeter: "по периметру",
+  openings: "по числу проёмов",
+  quantity: "по количеству материалов",
+  fixed: "одна на вкладку",
+};
+
+// ID работы, которая сейчас редактируется в форме (null — добавление новой)
+let editingLabourId = null;
+
+/**
+ * Очищает форму работы.
+ */
+function resetLabourForm() {
+  editingLabourId = null;
+  [
+    "labourNameInput",
+    "labourPriceInput",
+    "labourUnitInput",
+    "labourRateInput",
+    "labourCategoriesInput",
+  ].forEach((id) => {
+    const input = document.getElementById(id);
+    if (input) input.value = "";
+  });
+  const basisSelect = document.getElementById("labourBasisSelect");
+  if (basisSelect) basisSelect.value = "area";
+  const saveButton = document.getElementById("saveLabourBtn");
+  if (saveButton) saveButton.textContent = "Сохранить работу";
+}
+
+/**
+ * Собирает и проверяет данные работы из формы.
+ * @returns {Object} Данные работы.
+ * @throws {Error} Если данные некорректны.
+ */
+function getLabourDataFromForm() {
+  const name = document.getElementById("labourNameInput")?.value.trim();
+  const price = parseFloat(document.getElementById("labourPriceInput")?.value);
+  const unit = document.getElementById("labourUnitInput")?.value.trim();
+  const basis = document.getElementById("labourBasisSelect")?.value;
+  const rateValue = document.getElementById("labourRateInput")?.value.trim();
+  const rate = rateValue ? parseFloat(rateValue) : null;
+  const categories = (
+    document.getElementById("labourCategoriesInput")?.value || ""
+  )
+    .split(",")
+    .map((category) => category.trim())
+    .filter(Boolean);
+
+  if (!name) {
+    throw new Error("Введите название работы");
+  }
+  if (isNaN(price) || price < 0) {
+    throw new Error("Цена работы должна быть неотрицательным числом");
+  }
+  if (!unit) {
+    throw new Error("Укажите единицу объёма работы");
+  }
+  if (rate !== null && !(rate > 0)) {
+    throw new Error("Коэффициент должен быть положительным числом");
+  }
+  if (categories.length === 0) {
+    throw new Error("Укажите хотя бы одну категорию материалов");
+  }
+  // Работы можно привязать и к скрытым категориям, поэтому проверяется только формат
+  const invalidCategory = categories.find(
+    (category) => !/^[^:]+:[^:]+/.test(category),
+  );
+  if (invalidCategory) {
+    throw new Error(`Недопустимая категория: ${invalidCategory}`);
+  }
+
+  return { name, price, unit, basis, rate, categories };
+}
+
+/**
+ * Загружает каталог работ и отображает его списком с кнопками редактирования и удаления.
+ * @param {Function} showNotification - Функция для отображения уведомлений.
+ * @param {string} authToken - Токен аутентификации.
+ * @param {string} userId - ID пользователя.
+ * @returns {Promise<void>}
+ */
+async function loadLabourList(showNotification, authToken, userId) {
+  const container = document.getElementById("labourList");
+  if (!container) return;
+  container.innerHTML = "<p>Загрузка работ...</p>";
+
+  try {
+    const response = await getLabour(authToken, userId);
+    if (!response.success) {
+      throw new Error(response.error || "Не удалось загрузить работы");
+    }
+    const labour = response.labour || [];
+    if (labour.length === 0) {
+      container.innerHTML = "<p>Работы отсутствуют.</p>";
+      return;
+    }
+
+    const list = document.createElement("ul");
+    labour.forEach((item) => {
+      const li = document.createElement("li");
+      const rate = item.rate ? ` × ${item.rate}` : "";
+      li.textContent = `${item.name}: ${item.price} руб./${item.unit}, ${LABOUR_BASIS_LABELS[item.basis] || item.basis}${rate} (${(item.categories || []).join(", ")}) `;
+
+      const editButton = document.createElement("button");
+      editButton.textContent = "Редактировать";
+      editButton.addEventListener("click", () => {
+        editingLabourId = item.id;
+        document.getElementById("labourNameInput").value = item.name;
+        document.getElementById("labourPriceInput").value = item.price;
+        document.getElementById("labourUnitInput").value = item.unit;
+        document.getElementById("labourBasisSelect").value = item.basis;
+        document.getElementById("labourRateInput").value = item.rate ?? "";
+        document.getElementById("labourCategoriesInput").value = (
+          item.categories || []
+        ).join(", ");
+        document.getElementById("saveLabourBtn").textContent =
+          "Сохранить изменения";
+      });
+
+      const deleteButton = document.createElement("button");
+      deleteButton.textContent = "Удалить";
+      deleteButton.addEventListener("click", async () => {
+        try {
+          const result = await deleteLabour(item.id, authToken, userId);
+          if (!result.success) {
+            throw new Error(result.error || "Не удалось удалить работу");
+          }
+          showNotification("Работа удалена", false);
+          logEvent(analytics, "labour_deleted", {
+            labour_id: item.id,
+            page_title: "Balcony Calculator - Manage Materials",
+            user_id: userId || "unknown",
+          });
+          if (editingLabourId === item.id) resetLabourForm();
+          await loadLabourList(showNotification, authToken, userId);
+        } catch (error) {
+          showNotification(
+            `Ошибка при удалении работы: ${error.message}`,
+            true,
+          );
+        }
+      });
+
+      li.appendChild(editButton);
+      li.appendChild(deleteButton);
+      list.appendChild(li);
+    });
+    container.innerHTML = "";
+    container.appendChild(list);
+  } catch (error) {
+    container.innerHTML = "<p>Ошибка загрузки работ.</p>";
+    showNotification(`Ошибка при загрузке работ: ${error.message}`, true);
+    logEvent(analytics, "labour_load_failed", {
+      reason: error.message,
+      page_title: "Balcony Calculator - Manage Materials",
+      user_id: userId || "unknown",
+    });
+  }
+}
+
+/**
+ * Инициализирует управление каталогом работ на вкладке "Управление материалами".
+ * @param {Function} showNotification - Функция для отображения уведомлений.
+ * @param {string} authToken - Токен аутентификации.
+ * @param {string} userId - ID пользователя.
+ * @returns {Promise<void>}
+ */
+async function initializeLabour(showNotification, authToken, userId) {
+  const saveButton = document.getElementById("saveLabourBtn");
+  if (!saveButton) {
+    logEvent(analytics, "labour_initialize_failed", {
+      reason: "Save labour button not found",
+      page_title: "Balcony Calculator - Manage Materials",
+      user_id: userId || "unknown",
+    });
+    return;
+  }
+
+  saveButton.addEventListener("click", async () => {
+    try {
+      const data = getLabourDataFromForm();
+      const result = editingLabourId
+        ? await updateLabour(editingLabourId, data, authToken, userId)
+        : await addLabour(data, authToken, userId);
+      if (!result.success) {
+        throw new Error(result.error || "Не удалось сохранить работу");
+      }
+      showNotification(
+        editingLabourId ? "Работа обновлена" : "Работа добавлена",
+        false,
+      );
+      logEvent(analytics, editingLabourId ? "labour_updated" : "labour_added", {
+        labour_name: data.name,
+        page_title: "Balcony Calculator - Manage Materials",
+        user_id: userId || "unknown",
+      });
+      resetLabourForm();
+      await loadLabourList(showNotification, authToken, userId);
+    } catch (error) {
+      showNotification(`Ошибка при сохранении работы: ${error.message}`, true);
+    }
+  });
+
+  await loadLabourList(showNotification, authToken, userId);
+}
+
+export { initializeLabour };
@@ -6,6 +6,15 @@ import {
 import { initializeTabs } from './tabs.js';
 import { validateForm } from './validation.js';
 import { initializeCalculation } from './calculation.js';
+import { initializeGeometry } from './geometry.js';
+import { initializeLabour } from './labour.js';
+import { initializePricing } from './pricing.js';
+import { initializeProjects } from './projects.js';
+import { initializeVariants } from './variants.js';
+import { initializeComparison } from './projectComparison.js';
+import { initializeQuote } from './quote.js';
+import { initializeWorkOrder } from './workOrder.js';
+import { initializeSpreadsheet } from './spreadsheet.js';
 import {
   analytics,
   logEvent,
@@ -125,6 +134,7 @@ async function initialize() {
           await logToFirestore(db, 'sign_in', userId, 'Balcony Calculator');
 
           await initializeTabs(showNotification, userId);
+          initializeGeometry(showNotification, userId);
           await populateSelects(showNotification, token, userId);
 
           if (isAdmin) {
@@ -136,6 +146,8 @@ async function initialize() {
               token,
               userId
             );
+            await initializeLabour(showNotification, token, userId);
+            await initializePricing(showNotification, token, userId);
             await logEvent(analytics, 'admin_access_granted', {
               page_title: 'Balcony Calculator - Admin Mode',
               user_id: userId,
@@ -161,6 +173,12 @@ async function initialize() {
             token,
             userId
           );
+          initializeVariants(showNotification, userId);
+          initializeProjects(showNotification, validateForm, token, userId);
+          initializeComparison(showNotification, token, userId);
+          initializeQuote(showNotification, token, userId);
+          initializeWorkOrder(showNotification, userId);
+          initializeSpreadsheet(showNotification, validateForm, token, userId);
 
           await logEvent(analytics, 'page_view', {
             page_title: 'Balcony Calculator',
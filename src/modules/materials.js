@@ -7,6 +7,7 @@ import {
   deleteMaterial,
 } from "./api.js";
 import { isValidCategory } from "./categories.js";
+import { initializePriceListImport } from "./priceListImport.js";
 
 // Переменные для пагинации
 let currentPage = 1;
@@ -15,6 +16,14 @@ const ITEMS_PER_PAGE = 10;
 // Хранилище userId (будет установлено в initializeMaterialActions)
 let userId = null;
 
+// Необязательные числовые параметры расчёта материала и поля формы для них
+const CALCULATION_FIELDS = {
+  wasteFactor: "wasteFactorInput",
+  coverage: "coverageInput",
+  coats: "coatsInput",
+  packSize: "packSizeInput",
+};
+
 /**
  * Логирует ошибки в Firestore для аналитики.
  * @param {string} action - Действие (например, loadCategories, addMaterial).
@@ -827,6 +836,22 @@ async function loadMaterialsTable(
           document.getElementById("quantityInput").value = material.quantity;
           document.getElementById("unitSelect").value = material.unit;
           document.getElementById("isHiddenInput").checked = material.isHidden;
+          const formulaInput = document.getElementById("formulaInput");
+          if (formulaInput) {
+            formulaInput.value = material.formula
+              ? JSON.stringify(material.formula)
+              : "";
+          }
+          Object.entries(CALCULATION_FIELDS).forEach(([field, inputId]) => {
+            const input = document.getElementById(inputId);
+            if (input) input.value = material[field] ?? "";
+          });
+          const packUnitInput = document.getElementById("packUnitInput");
+          if (packUnitInput) packUnitInput.value = material.packUnit || "";
+          const familyInput = document.getElementById("familyInput");
+          if (familyInput) familyInput.value = material.family || "";
+          const skuInput = document.getElementById("skuInput");
+          if (skuInput) skuInput.value = material.sku || "";
           document
             .querySelectorAll("#categoriesContainer input")
             .forEach((input) => {
@@ -956,6 +981,7 @@ function getMaterialDataFromForm() {
   const colorInput = document.getElementById("colorInput");
   const quantityInput = document.getElementById("quantityInput");
   const isHiddenInput = document.getElementById("isHiddenInput");
+  const formulaInput = document.getElementById("formulaInput");
 
   if (
     !nameInput ||
@@ -1009,6 +1035,48 @@ function getMaterialDataFromForm() {
     }
   }
 
+  let formula = null;
+  if (formulaInput && formulaInput.value.trim()) {
+    try {
+      formula = JSON.parse(formulaInput.value);
+    } catch {
+      throw new Error("Правило расчёта должно быть корректным JSON");
+    }
+    if (!formula || typeof formula !== "object" || !formula.type) {
+      throw new Error('Правило расчёта должно содержать поле "type"');
+    }
+  }
+
+  // Пустое поле — параметр не задан, расчёт возьмёт значение по умолчанию
+  const calculationAttributes = {};
+  Object.entries(CALCULATION_FIELDS).forEach(([field, inputId]) => {
+    const value = document.getElementById(inputId)?.value.trim();
+    calculationAttributes[field] = value ? parseFloat(value) : null;
+  });
+  const { wasteFactor, coverage, coats, packSize } = calculationAttributes;
+  if (wasteFactor !== null && !(wasteFactor >= 1 && wasteFactor <= 3)) {
+    throw new Error("Запас на отходы должен быть числом от 1 до 3");
+  }
+  if (coverage !== null && !(coverage > 0)) {
+    throw new Error("Расход должен быть положительным числом");
+  }
+  if (coats !== null && !(Number.isInteger(coats) && coats >= 1)) {
+    throw new Error("Число слоёв должно быть целым числом от 1");
+  }
+  const packUnit =
+    document.getElementById("packUnitInput")?.value.trim() || null;
+  if ((packSize !== null) !== (packUnit !== null)) {
+    throw new Error("Объём и единица упаковки задаются вместе");
+  }
+  if (packSize !== null && !(packSize > 0)) {
+    throw new Error("Объём упаковки должен быть положительным числом");
+  }
+  const family = document.getElementById("familyInput")?.value.trim() || null;
+  if (family !== null && packSize === null) {
+    throw new Error("Товар указывается только для фасованных материалов");
+  }
+  const sku = document.getElementById("skuInput")?.value.trim() || null;
+
   return {
     name,
     categories,
@@ -1018,6 +1086,11 @@ function getMaterialDataFromForm() {
     quantity: parseInt(quantityInput.value) || 0,
     unit,
     isHidden: isHiddenInput.checked || false,
+    formula,
+    ...calculationAttributes,
+    packUnit,
+    family,
+    sku,
   };
 }
 
@@ -1086,6 +1159,17 @@ async function addMaterialWrapper(showNotification, validateForm, authToken) {
       colorInput.value = "";
       quantityInput.value = "";
       isHiddenInput.checked = false;
+      const formulaInput = document.getElementById("formulaInput");
+      if (formulaInput) formulaInput.value = "";
+      [
+        ...Object.values(CALCULATION_FIELDS),
+        "packUnitInput",
+        "familyInput",
+        "skuInput",
+      ].forEach((inputId) => {
+        const input = document.getElementById(inputId);
+        if (input) input.value = "";
+      });
       document
         .querySelectorAll('input[name="category"]')
         .forEach((input) => (input.checked = false));
@@ -1430,6 +1514,17 @@ async function initializeMaterialActions(
       });
     });
 
+    initializePriceListImport(showNotification, authToken, userId, async () => {
+      await loadMaterialsTable(
+        currentPage,
+        showNotification,
+        authToken,
+        userId,
+      );
+      await populateSelects(showNotification, authToken, userId);
+      await loadMaterialSelectOptions(showNotification, authToken);
+    });
+
     await loadMaterialsTable(currentPage, showNotification, authToken, userId);
     await loadMaterialSelectOptions(showNotification, authToken);
 
@@ -0,0 +1,38 @@
+// Денежные суммы считаются в целых копейках (так же, как на сервере): сервер возвращает
+// суммы числами в рублях, сохранённые расчёты старого формата — строками
+
+/**
+ * Переводит сумму в рублях в целые копейки.
+ * @param {number|string} rubles - Сумма в рублях.
+ * @returns {number} Сумма в копейках.
+ */
+function toKopecks(rubles) {
+  const value = typeof rubles === "number" ? rubles : parseFloat(rubles);
+  if (!Number.isFinite(value)) {
+    return 0;
+  }
+  return Math.round(parseFloat((value * 100).toPrecision(15)));
+}
+
+/**
+ * Переводит копейки в рубли.
+ * @param {number} kopecks - Сумма в копейках.
+ * @returns {number} Сумма в рублях.
+ */
+function fromKopecks(kopecks) {
+  return kopecks / 100;
+}
+
+/**
+ * Форматирует сумму для отображения: два знака после запятой.
+ * @param {number|string} rubles - Сумма в рублях.
+ * @returns {string} Сумма, например "1234.50".
+ */
+function formatMoney(rubles) {
+  const kopecks = toKopecks(rubles);
+  const sign = kopecks < 0 ? "-" : "";
+  const absolute = Math.abs(kopecks);
+  return `${sign}${Math.floor(absolute / 100)}.${String(absolute % 100).padStart(2, "0")}`;
+}
+
+export { toKopecks, fromKopecks, formatMoney };
@@ -0,0 +1,607 @@
+import { analytics, logEvent } from "./firebase.js";
+import { getMaterials, importMaterials } from "./api.js";
+import { isValidCategory } from "./categories.js";
+import { parseCsv, parseNumber } from "./download.js";
+import { readXlsx } from "./xlsx.js";
+
+// Сколько материалов каталога загружается за один запрос при сопоставлении
+const CATALOG_PAGE_SIZE = 100;
+// Строк в одном импорте — как IMPORT_LIMITS.MAX_ITEMS на сервере
+const MAX_IMPORT_ITEMS = 1000;
+
+// Поля материала, которые можно загрузить из прайс-листа, и заголовки для автосопоставления
+const PRICE_LIST_FIELDS = [
+  {
+    field: "sku",
+    label: "Артикул",
+    headers: ["артикул", "sku", "код", "код товара"],
+  },
+  {
+    field: "name",
+    label: "Название",
+    headers: ["название", "наименование", "материал", "товар", "name"],
+  },
+  {
+    field: "price",
+    label: "Цена",
+    headers: ["цена", "цена, руб.", "цена за единицу", "стоимость", "price"],
+  },
+  {
+    field: "unit",
+    label: "Единица",
+    headers: ["ед.", "ед. изм.", "единица", "единица измерения", "unit"],
+  },
+  {
+    field: "categories",
+    label: "Категории",
+    headers: ["категория", "категории", "categories"],
+  },
+  {
+    field: "quantity",
+    label: "Остаток",
+    headers: ["остаток", "количество", "кол-во", "quantity"],
+  },
+  {
+    field: "packSize",
+    label: "Объём упаковки",
+    headers: ["объём упаковки", "фасовка", "pack size"],
+  },
+  {
+    field: "packUnit",
+    label: "Единица упаковки",
+    headers: ["единица упаковки", "ед. упаковки", "pack unit"],
+  },
+  {
+    field: "family",
+    label: "Товар (семейство)",
+    headers: ["товар (семейство упаковок)", "семейство", "family"],
+  },
+  { field: "color", label: "Цвет", headers: ["цвет", "color"] },
+];
+
+// Числовые поля прайс-листа
+const NUMBER_FIELDS = ["price", "quantity", "packSize"];
+
+// Служебные поля материала, которые не отправляются при обновлении
+const SERVICE_FIELDS = ["id", "createdAt", "updatedAt"];
+
+// Загруженный прайс-лист { fileName, headers, rows }, сопоставление столбцов и каталог
+let priceList = null;
+let mapping = {};
+let catalog = [];
+
+// Изменения из прайс-листа, ожидающие подтверждения
+let pendingImport = null;
+
+/**
+ * Приводит текст к виду для сравнения: без крайних пробелов, в нижнем регистре.
+ * @param {*} value - Значение ячейки или поля.
+ * @returns {string} Нормализованный текст.
+ */
+function normalize(value) {
+  return String(value ?? "")
+    .trim()
+    .replace(/\s+/g, " ")
+    .toLowerCase();
+}
+
+/**
+ * Читает файл прайс-листа: CSV или первый лист XLSX. Первая непустая строка — заголовки.
+ * @param {File} file - Выбранный файл.
+ * @returns {Promise<{ fileName: string, headers: string[], rows: Array<{ number: number,
+ *   cells: Array<*> }> }>} Заголовки и строки с номерами в файле.
+ * @throws {Error} Если в файле нет строк с данными.
+ */
+async function readPriceListFile(file) {
+  const table = /\.csv$/i.test(file.name)
+    ? parseCsv(await file.text())
+    : (await readXlsx(await file.arrayBuffer()))[0]?.rows || [];
+  const isEmpty = (row) => row.every((cell) => normalize(cell) === "");
+  const headerIndex = table.findIndex((row) => !isEmpty(row));
+  if (headerIndex < 0) {
+    throw new Error("файл пуст");
+  }
+  const rows = table
+    .map((cells, index) => ({ number: index + 1, cells }))
+    .slice(headerIndex + 1)
+    .filter(({ cells }) => !isEmpty(cells));
+  if (rows.length === 0) {
+    throw new Error("в файле нет строк после заголовков");
+  }
+  return {
+    fileName: file.name,
+    headers: table[headerIndex].map((cell) => String(cell ?? "").trim()),
+    rows,
+  };
+}
+
+/**
+ * Подбирает столбцы для полей материала по заголовкам файла.
+ * @param {string[]} headers - Заголовки прайс-листа.
+ * @returns {Object<string, number|null>} Номер столбца для каждого поля или null.
+ */
+function guessMapping(headers) {
+  const used = new Set();
+  return Object.fromEntries(
+    PRICE_LIST_FIELDS.map(({ field, headers: names }) => {
+      const index = headers.findIndex(
+        (header, i) => !used.has(i) && names.includes(normalize(header)),
+      );
+      if (index >= 0) used.add(index);
+      return [field, index >= 0 ? index : null];
+    }),
+  );
+}
+
+/**
+ * Загружает весь каталог материалов постранично.
+ * @param {string} authToken - Токен аутентификации.
+ * @param {string} userId - ID пользователя.
+ * @returns {Promise<Object[]>} Материалы каталога.
+ * @throws {Error} Если каталог не загрузился.
+ */
+async function loadCatalog(authToken, userId) {
+  const materials = [];
+  for (let page = 0; ; page++) {
+    const result = await getMaterials(
+      null,
+      page,
+      CATALOG_PAGE_SIZE,
+      authToken,
+      userId,
+    );
+    if (!result.success) {
+      throw new Error(result.error || "Не удалось загрузить материалы");
+    }
+    materials.push(...(result.materials || []));
+    if (
+      (result.materials || []).length < CATALOG_PAGE_SIZE ||
+      materials.length >= result.total
+    ) {
+      return materials;
+    }
+  }
+}
+
+/**
+ * Читает поля материала из строки прайс-листа по сопоставлению столбцов. Пустые ячейки
+ * не меняют поле материала.
+ * @param {Array<*>} cells - Ячейки строки.
+ * @param {Function} checkCategory - Проверка категории (с кэшем результатов).
+ * @returns {{ data: Object, error?: string }} Загруженные поля или ошибка строки.
+ */
+function readRow(cells, checkCategory) {
+  const data = {};
+  for (const { field, label } of PRICE_LIST_FIELDS) {
+    const index = mapping[field];
+    const text =
+      index === null || index === undefined
+        ? ""
+        : String(cells[index] ?? "").trim();
+    if (text === "") continue;
+
+    if (NUMBER_FIELDS.includes(field)) {
+      const number = parseNumber(cells[index]);
+      if (number === null || number < 0) {
+        return { data, error: `"${label}" должно быть неотрицательным числом` };
+      }
+      data[field] = number;
+    } else if (field === "categories") {
+      const categories = text
+        .split(/[;\n]/)
+        .map((category) => category.trim())
+        .filter(Boolean);
+      const invalid = categories.find((category) => !checkCategory(category));
+      if (invalid) {
+        return { data, error: `недопустимая категория "${invalid}"` };
+      }
+      data.categories = categories;
+    } else {
+      data[field] = text;
+    }
+  }
+  return { data };
+}
+
+/**
+ * Сравнивает значение поля материала с загруженным.
+ * @param {*} before - Значение в каталоге.
+ * @param {*} after - Значение из прайс-листа.
+ * @returns {boolean} True, если значения совпадают.
+ */
+function sameValue(before, after) {
+  if (Array.isArray(after)) {
+    return (
+      Array.isArray(before) &&
+      [...before].sort().join("\n") === [...after].sort().join("\n")
+    );
+  }
+  return typeof after === "number"
+    ? before === after
+    : normalize(before) === normalize(after);
+}
+
+/**
+ * Сопоставляет строки прайс-листа с каталогом: сначала по артикулу, затем по названию.
+ * @param {string[]} defaultCategories - Категории для новых материалов без столбца категорий.
+ * @returns {{ created: Array<{ number: number, data: Object }>, changed: Array<{ number: number,
+ *   material: Object, data: Object, changes: Array<{ field: string, before: *, after: * }> }>,
+ *   unchanged: number, errors: string[] }} Новые, изменённые и неизменные материалы и ошибки
+ *   строк (такие строки не импортируются).
+ * @throws {Error} Если не выбран столбец названия или артикула.
+ */
+function diffPriceList(defaultCategories) {
+  if (mapping.name === null && mapping.sku === null) {
+    throw new Error("выберите столбец с названием или артикулом");
+  }
+  const bySku = new Map();
+  const byName = new Map();
+  catalog.forEach((material) => {
+    if (material.sku) bySku.set(normalize(material.sku), material);
+    byName.set(normalize(material.name), material);
+  });
+  // isValidCategory пишет событие аналитики на каждый вызов — проверяем категорию один раз
+  const checkedCategories = new Map();
+  const checkCategory = (category) => {
+    if (!checkedCategories.has(category)) {
+      checkedCategories.set(category, isValidCategory(category));
+    }
+    return checkedCategories.get(category);
+  };
+
+  const result = { created: [], changed: [], unchanged: 0, errors: [] };
+  const matchedRows = new Map();
+  priceList.rows.forEach(({ number, cells }) => {
+    const { data, error } = readRow(cells, checkCategory);
+    if (error) {
+      result.errors.push(`Строка ${number}: ${error}`);
+      return;
+    }
+    if (!data.name && !data.sku) {
+      result.errors.push(`Строка ${number}: нет названия и артикула`);
+      return;
+    }
+    const material =
+      (data.sku && bySku.get(normalize(data.sku))) ||
+      (data.name && byName.get(normalize(data.name))) ||
+      null;
+    const key = material
+      ? material.id
+      : normalize(data.sku) || normalize(data.name);
+    if (matchedRows.has(key)) {
+      result.errors.push(
+        `Строка ${number}: повторяет строку ${matchedRows.get(key)}`,
+      );
+      return;
+    }
+    matchedRows.set(key, number);
+
+    if (material) {
+      const changes = Object.entries(data)
+        .filter(([field, value]) => !sameValue(material[field], value))
+        .map(([field, after]) => ({ field, before: material[field], after }));
+      if (changes.length === 0) {
+        result.unchanged++;
+        return;
+      }
+      const current = Object.fromEntries(
+        Object.entries(material).filter(
+          ([field]) => !SERVICE_FIELDS.includes(field),
+        ),
+      );
+      result.changed.push({
+        number,
+        material,
+        data: { ...current, ...data },
+        changes,
+      });
+      return;
+    }
+
+    const created = { quantity: 0, categories: defaultCategories, ...data };
+    const missing = [
+      [!created.name, "название"],
+      [created.price === undefined, "цена"],
+      [!created.unit, "единица"],
+      [created.categories.length === 0, "категория"],
+    ]
+      .filter(([isMissing]) => isMissing)
+      .map(([, label]) => label);
+    if (missing.length > 0) {
+      result.errors.push(
+        `Строка ${number}: для нового материала не указаны: ${missing.join(", ")}`,
+      );
+      return;
+    }
+    result.created.push({ number, data: created });
+  });
+  return result;
+}
+
+/**
+ * Возвращает категории, отмеченные в форме материала: их получают новые материалы,
+ * если в прайс-листе нет столбца категорий.
+ * @returns {string[]} Отмеченные категории.
+ */
+function getCheckedCategories() {
+  return Array.from(
+    document.querySelectorAll('input[name="category"]:checked'),
+  ).map((input) => input.value);
+}
+
+/**
+ * Форматирует значение поля для предпросмотра.
+ * @param {*} value - Значение поля.
+ * @returns {string} Текст значения.
+ */
+function formatValue(value) {
+  if (value === undefined || value === null || value === "") return "—";
+  return Array.isArray(value) ? value.join("; ") : String(value);
+}
+
+/**
+ * Показывает выбор столбцов для полей материала.
+ * @param {Function} onChange - Обработчик изменения сопоставления.
+ */
+function renderMapping(onChange) {
+  const container = document.getElementById("priceListMapping");
+  if (!container) return;
+  container.innerHTML = "";
+  container.hidden = !priceList;
+  if (!priceList) return;
+
+  const heading = document.createElement("h4");
+  heading.textContent = `Столбцы файла ${priceList.fileName}`;
+  container.appendChild(heading);
+  PRICE_LIST_FIELDS.forEach(({ field, label }) => {
+    const group = document.createElement("div");
+    group.className = "form-group";
+    const select = document.createElement("select");
+    select.id = `priceListColumn_${field}`;
+    const labelElement = document.createElement("label");
+    labelElement.htmlFor = select.id;
+    labelElement.textContent = `${label}:`;
+    [
+      ["", "— не загружать —"],
+      ...priceList.headers.map((header, index) => [
+        String(index),
+        header || `Столбец ${index + 1}`,
+      ]),
+    ].forEach(([value, text]) => {
+      const option = document.createElement("option");
+      option.value = value;
+      option.textContent = text;
+      select.appendChild(option);
+    });
+    select.value = mapping[field] === null ? "" : String(mapping[field]);
+    select.addEventListener("change", () => {
+      mapping[field] = select.value === "" ? null : Number(select.value);
+      onChange();
+    });
+    group.appendChild(labelElement);
+    group.appendChild(select);
+    container.appendChild(group);
+  });
+}
+
+/**
+ * Добавляет в предпросмотр раскрывающийся список строк.
+ * @param {HTMLElement} container - Контейнер предпросмотра.
+ * @param {string} title - Заголовок списка.
+ * @param {string[]} items - Строки списка.
+ * @param {string} [className] - Класс элемента (например, tab-error).
+ */
+function appendList(container, title, items, className) {
+  if (items.length === 0) return;
+  const details = document.createElement("details");
+  if (className) details.className = className;
+  const summary = document.createElement("summary");
+  summary.textContent = `${title}: ${items.length}`;
+  details.appendChild(summary);
+  const ul = document.createElement("ul");
+  items.forEach((item) => {
+    const li = document.createElement("li");
+    li.textContent = item;
+    ul.appendChild(li);
+  });
+  details.appendChild(ul);
+  container.appendChild(details);
+}
+
+/**
+ * Показывает предпросмотр импорта: новые, изменённые и неизменные материалы и ошибки строк.
+ * @param {Function} onApply - Обработчик кнопки "Импортировать".
+ * @param {Function} onCancel - Обработчик кнопки "Отмена".
+ */
+function renderPreview(onApply, onCancel) {
+  const container = document.getElementById("priceListPreview");
+  if (!container) return;
+  container.innerHTML = "";
+  container.hidden = !pendingImport;
+  if (!pendingImport) return;
+
+  const { created, changed, unchanged, errors } = pendingImport;
+  const heading = document.createElement("h4");
+  heading.textContent = `Новых: ${created.length}, изменённых: ${changed.length}, без изменений: ${unchanged}`;
+  container.appendChild(heading);
+  const labels = Object.fromEntries(
+    PRICE_LIST_FIELDS.map(({ field, label }) => [field, label]),
+  );
+  appendList(
+    container,
+    "Новые материалы",
+    created.map(
+      ({ number, data }) =>
+        `Строка ${number}: ${data.name} — ${data.price} руб./${data.unit}`,
+    ),
+  );
+  appendList(
+    container,
+    "Изменённые материалы",
+    changed.map(
+      ({ number, material, changes }) =>
+        `Строка ${number}: ${material.name} — ${changes
+          .map(
+            ({ field, before, after }) =>
+              `${labels[field]}: ${formatValue(before)} → ${formatValue(after)}`,
+          )
+          .join("; ")}`,
+    ),
+  );
+  appendList(container, "Строки с ошибками пропущены", errors, "tab-error");
+
+  const applyButton = document.createElement("button");
+  applyButton.textContent = "Импортировать";
+  applyButton.disabled = created.length + changed.length === 0;
+  applyButton.addEventListener("click", onApply);
+  const cancelButton = document.createElement("button");
+  cancelButton.textContent = "Отмена";
+  cancelButton.addEventListener("click", onCancel);
+  container.appendChild(applyButton);
+  container.appendChild(cancelButton);
+}
+
+/**
+ * Инициализирует импорт прайс-листа: загрузку файла, сопоставление столбцов, предпросмотр
+ * изменений и пакетную запись через manageMaterials.
+ * @param {Function} showNotification - Функция для отображения уведомлений.
+ * @param {string} authToken - Токен аутентификации.
+ * @param {string} userId - ID пользователя.
+ * @param {Function} onImported - Обновляет таблицу и списки материалов после импорта.
+ */
+function initializePriceListImport(
+  showNotification,
+  authToken,
+  userId,
+  onImported,
+) {
+  const importButton = document.getElementById("importPriceListBtn");
+  if (!importButton) {
+    logEvent(analytics, "price_list_initialize_failed", {
+      reason: "Price list import button not found",
+      page_title: "Balcony Calculator - Manage Materials",
+      user_id: userId || "unknown",
+    });
+    return;
+  }
+
+  const reset = () => {
+    priceList = null;
+    pendingImport = null;
+    catalog = [];
+    renderMapping(refresh);
+    renderPreview(apply, reset);
+  };
+
+  function refresh() {
+    try {
+      pendingImport = diffPriceList(getCheckedCategories());
+    } catch (error) {
+      pendingImport = null;
+      showNotification(`Прайс-лист: ${error.message}`, true);
+    }
+    renderPreview(apply, reset);
+  }
+
+  async function apply() {
+    if (!pendingImport) return;
+    const { created, changed } = pendingImport;
+    const items = [
+      ...created.map(({ number, data }) => ({ id: null, row: number, data })),
+      ...changed.map(({ number, material, data }) => ({
+        id: material.id,
+        row: number,
+        data,
+      })),
+    ];
+    try {
+      if (items.length > MAX_IMPORT_ITEMS) {
+        throw new Error(
+          `за один раз можно импортировать не более ${MAX_IMPORT_ITEMS} материалов`,
+        );
+      }
+      const response = await importMaterials(items, authToken, userId);
+      if (!response.success && response.created + response.updated > 0) {
+        // Часть пакетов уже записана: повторный импорт того же предпросмотра создал бы дубли
+        reset();
+        await onImported();
+        throw new Error(
+          `${response.error || "сбой записи"}; уже сохранено: добавлено ${response.created}, обновлено ${response.updated} — загрузите файл заново`,
+        );
+      }
+      if (!response.success) {
+        throw new Error(
+          response.error || "Не удалось импортировать прайс-лист",
+        );
+      }
+      showNotification(
+        `Прайс-лист импортирован: добавлено ${response.created}, обновлено ${response.updated}`,
+        false,
+      );
+      logEvent(analytics, "price_list_imported", {
+        created_count: response.created,
+        updated_count: response.updated,
+        page_title: "Balcony Calculator - Manage Materials",
+        user_id: userId || "unknown",
+      });
+      reset();
+      await onImported();
+    } catch (error) {
+      showNotification(`Ошибка импорта прайс-листа: ${error.message}`, true);
+      logEvent(analytics, "price_list_import_failed", {
+        reason: error.message,
+        page_title: "Balcony Calculator - Manage Materials",
+        user_id: userId || "unknown",
+      });
+    }
+  }
+
+  const load = async (file) => {
+    try {
+      priceList = await readPriceListFile(file);
+      catalog = await loadCatalog(authToken, userId);
+      mapping = guessMapping(priceList.headers);
+      renderMapping(refresh);
+      refresh();
+      logEvent(analytics, "price_list_loaded", {
+        rows_count: priceList.rows.length,
+        catalog_count: catalog.length,
+        page_title: "Balcony Calculator - Manage Materials",
+        user_id: userId || "unknown",
+      });
+    } catch (error) {
+      reset();
+      showNotification(
+        `Ошибка при загрузке прайс-листа: ${error.message}`,
+        true,
+      );
+      logEvent(analytics, "price_list_load_failed", {
+        reason: error.message,
+        page_title: "Balcony Calculator - Manage Materials",
+        user_id: userId || "unknown",
+      });
+    }
+  };
+
+  // Обработчики через свойства: повторная инициализация не дублирует их
+  importButton.onclick = () => {
+    const input = document.createElement("input");
+    input.type = "file";
+    input.accept = ".xlsx,.csv";
+    input.onchange = (e) => {
+      const file = e.target.files[0];
+      if (file) load(file);
+    };
+    input.click();
+  };
+  // Категории новых материалов берутся из формы — предпросмотр следует за отметками
+  const categoriesContainer = document.getElementById("categoriesContainer");
+  if (categoriesContainer) {
+    categoriesContainer.onchange = () => {
+      if (priceList) refresh();
+    };
+  }
+  reset();
+}
+
+export { initializePriceListImport };
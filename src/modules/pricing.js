@@ -0,0 +1,208 @@
+import { analytics, logEvent } from "./firebase.js";
+import { getPricing, savePricing } from "./api.js";
+
+/**
+ * Собирает скидку на заказ из шапки.
+ * @returns {Object|null} Скидка { type, value } или null, если скидка не указана.
+ */
+function getDiscountData() {
+  const value = parseFloat(
+    document.getElementById("discountValueInput")?.value,
+  );
+  if (!(value > 0)) {
+    return null;
+  }
+  return {
+    type: document.getElementById("discountTypeSelect")?.value || "percent",
+    value,
+  };
+}
+
+/**
+ * Заполняет скидку на заказ в шапке (например, из сохранённого расчёта).
+ * @param {Object|null} discount - Скидка { type, value }; null — без скидки.
+ */
+function setDiscountData(discount) {
+  const typeSelect = document.getElementById("discountTypeSelect");
+  const valueInput = document.getElementById("discountValueInput");
+  if (typeSelect) typeSelect.value = discount?.type || "percent";
+  if (valueInput) valueInput.value = discount ? discount.value : "";
+}
+
+/**
+ * Разбирает наценки по категориям: по одной на строку в формате "Категория = процент".
+ * @param {string} text - Текст поля.
+ * @returns {Object.<string, number>} Наценки по категориям.
+ * @throws {Error} Если строка некорректна.
+ */
+function parseCategoryMarkups(text) {
+  const markups = {};
+  (text || "")
+    .split("\n")
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .forEach((line) => {
+      const separator = line.lastIndexOf("=");
+      const category = separator > 0 ? line.slice(0, separator).trim() : "";
+      const markup = parseFloat(line.slice(separator + 1));
+      if (!/^[^:]+:[^:]+/.test(category) || isNaN(markup) || markup < 0) {
+        throw new Error(`Некорректная строка наценки: ${line}`);
+      }
+      markups[category] = markup;
+    });
+  return markups;
+}
+
+/**
+ * Заполняет форму ценообразования сохранёнными настройками.
+ * @param {Object} pricing - Настройки ценообразования.
+ */
+function fillPricingForm(pricing) {
+  document.getElementById("defaultMarkupInput").value =
+    pricing.defaultMarkup || "";
+  document.getElementById("labourMarkupInput").value =
+    pricing.labourMarkup ?? "";
+  document.getElementById("categoryMarkupsInput").value = Object.entries(
+    pricing.markups || {},
+  )
+    .map(([category, markup]) => `${category} = ${markup}`)
+    .join("\n");
+  document.getElementById("vatRateInput").value = pricing.vatRate || "";
+  document.getElementById("vatIncludedCheckbox").checked = Boolean(
+    pricing.vatIncluded,
+  );
+  document.getElementById("roundToInput").value = pricing.roundTo || "";
+  document.getElementById("priceValidityDaysInput").value =
+    pricing.priceValidityDays || "";
+  document.getElementById("companyNameInput").value = pricing.companyName || "";
+  document.getElementById("companyDetailsInput").value =
+    pricing.companyDetails || "";
+  document.getElementById("quoteTermsInput").value = pricing.quoteTerms || "";
+  document.getElementById("hiddenCostsDisplaySelect").value =
+    pricing.hiddenCostsDisplay || "line";
+}
+
+/**
+ * Собирает и проверяет настройки ценообразования из формы.
+ * @returns {Object} Настройки ценообразования.
+ * @throws {Error} Если данные некорректны.
+ */
+function getPricingDataFromForm() {
+  const readNumber = (id) => {
+    const value = document.getElementById(id)?.value.trim();
+    return value ? parseFloat(value) : 0;
+  };
+  const labourMarkupValue = document
+    .getElementById("labourMarkupInput")
+    ?.value.trim();
+  const pricing = {
+    defaultMarkup: readNumber("defaultMarkupInput"),
+    labourMarkup: labourMarkupValue ? parseFloat(labourMarkupValue) : null,
+    markups: parseCategoryMarkups(
+      document.getElementById("categoryMarkupsInput")?.value,
+    ),
+    vatRate: readNumber("vatRateInput"),
+    vatIncluded: Boolean(
+      document.getElementById("vatIncludedCheckbox")?.checked,
+    ),
+    roundTo: readNumber("roundToInput"),
+    priceValidityDays: readNumber("priceValidityDaysInput") || 14,
+    companyName:
+      document.getElementById("companyNameInput")?.value.trim() || "",
+    companyDetails:
+      document.getElementById("companyDetailsInput")?.value.trim() || "",
+    quoteTerms: document.getElementById("quoteTermsInput")?.value.trim() || "",
+    hiddenCostsDisplay:
+      document.getElementById("hiddenCostsDisplaySelect")?.value || "line",
+  };
+
+  if (
+    [pricing.defaultMarkup, pricing.vatRate, pricing.roundTo].some(
+      (value) => isNaN(value) || value < 0,
+    )
+  ) {
+    throw new Error(
+      "Наценка, НДС и шаг округления должны быть неотрицательными",
+    );
+  }
+  if (
+    pricing.labourMarkup !== null &&
+    (isNaN(pricing.labourMarkup) || pricing.labourMarkup < 0)
+  ) {
+    throw new Error("Наценка на работы должна быть неотрицательной");
+  }
+  if (pricing.vatRate > 100) {
+    throw new Error("Ставка НДС не может превышать 100%");
+  }
+  if (
+    !Number.isInteger(pricing.priceValidityDays) ||
+    pricing.priceValidityDays < 1 ||
+    pricing.priceValidityDays > 365
+  ) {
+    throw new Error(
+      "Срок действия цен должен быть целым числом от 1 до 365 дней",
+    );
+  }
+  return pricing;
+}
+
+/**
+ * Инициализирует форму настроек ценообразования на вкладке "Управление материалами".
+ * @param {Function} showNotification - Функция для отображения уведомлений.
+ * @param {string} authToken - Токен аутентификации.
+ * @param {string} userId - ID пользователя.
+ * @returns {Promise<void>}
+ */
+async function initializePricing(showNotification, authToken, userId) {
+  const saveButton = document.getElementById("savePricingBtn");
+  if (!saveButton) {
+    logEvent(analytics, "pricing_initialize_failed", {
+      reason: "Save pricing button not found",
+      page_title: "Balcony Calculator - Manage Materials",
+      user_id: userId || "unknown",
+    });
+    return;
+  }
+
+  saveButton.addEventListener("click", async () => {
+    try {
+      const data = getPricingDataFromForm();
+      const result = await savePricing(data, authToken, userId);
+      if (!result.success) {
+        throw new Error(result.error || "Не удалось сохранить настройки цен");
+      }
+      showNotification("Настройки цен сохранены", false);
+      logEvent(analytics, "pricing_saved", {
+        default_markup: data.defaultMarkup,
+        vat_rate: data.vatRate,
+        page_title: "Balcony Calculator - Manage Materials",
+        user_id: userId || "unknown",
+      });
+    } catch (error) {
+      showNotification(
+        `Ошибка при сохранении настроек цен: ${error.message}`,
+        true,
+      );
+    }
+  });
+
+  try {
+    const response = await getPricing(authToken, userId);
+    if (!response.success) {
+      throw new Error(response.error || "Не удалось загрузить настройки цен");
+    }
+    fillPricingForm(response.pricing || {});
+  } catch (error) {
+    showNotification(
+      `Ошибка при загрузке настроек цен: ${error.message}`,
+      true,
+    );
+    logEvent(analytics, "pricing_load_failed", {
+      reason: error.message,
+      page_title: "Balcony Calculator - Manage Materials",
+      user_id: userId || "unknown",
+    });
+  }
+}
+
+export { getDiscountData, setDiscountData, initializePricing };
@@ -0,0 +1,88 @@
+// Оформление печатных документов: страница A4, цвета — как в калькуляторе
+const PRINT_STYLES = `
+  @page { size: A4; margin: 15mm; }
+  body { font-family: Arial, sans-serif; font-size: 12px; color: #333; }
+  .document-header { display: flex; gap: 12px; align-items: center;
+    border-bottom: 2px solid #007bff; padding-bottom: 8px; }
+  .document-header img { width: 48px; height: 48px; }
+  .document-header h1 { margin: 0; font-size: 20px; color: #007bff; }
+  .company-details { white-space: pre-line; color: #666; }
+  h2 { font-size: 16px; margin: 16px 0 8px; }
+  h3 { font-size: 14px; margin: 12px 0 4px; }
+  table { width: 100%; border-collapse: collapse; page-break-inside: auto; }
+  tr { page-break-inside: avoid; }
+  th, td { border: 1px solid #aaa; padding: 4px 6px; text-align: left;
+    vertical-align: top; }
+  td.number, th.number { text-align: right; white-space: nowrap; }
+  tfoot td { font-weight: bold; }
+  .totals p { margin: 4px 0; text-align: right; }
+  .totals .grand-total { font-size: 16px; font-weight: bold; }
+  .terms { white-space: pre-line; margin-top: 16px; }
+  .cut-list { margin: 0; padding-left: 16px; }
+`;
+
+/**
+ * Экранирует текст для вставки в HTML.
+ * @param {*} value - Значение.
+ * @returns {string} Безопасный текст.
+ */
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Формирует HTML-документ для печати с общим оформлением.
+ * @param {string} title - Заголовок документа (имя файла при сохранении в PDF).
+ * @param {string} body - Содержимое body.
+ * @returns {string} HTML-документ.
+ */
+function buildPrintDocument(title, body) {
+  return `<!DOCTYPE html>
+<html lang="ru">
+  <head>
+    <meta charset="UTF-8" />
+    <title>${escapeHtml(title)}</title>
+    <style>${PRINT_STYLES}</style>
+  </head>
+  <body>${body}</body>
+</html>`;
+}
+
+/**
+ * Печатает документ через скрытый фрейм: в диалоге печати браузера его можно сохранить в PDF.
+ * @param {string} html - HTML-документ.
+ */
+function printDocument(html) {
+  const frame = document.createElement("iframe");
+  frame.className = "print-frame";
+  frame.setAttribute("aria-hidden", "true");
+  frame.addEventListener("load", () => {
+    frame.contentWindow.addEventListener("afterprint", () => frame.remove());
+    frame.contentWindow.focus();
+    frame.contentWindow.print();
+  });
+  frame.srcdoc = html;
+  document.body.appendChild(frame);
+}
+
+/**
+ * Возвращает шапку заказа для печатного документа: поля формы, а если они пусты — шапку
+ * показанного расчёта.
+ * @param {Object} calculation - Расчёт (см. renderResults).
+ * @returns {{ orderNumber: string, address: string, phone: string }} Шапка заказа.
+ */
+function readOrderHeader(calculation) {
+  const field = (id, fallback) =>
+    document.getElementById(id)?.value.trim() || fallback;
+  return {
+    orderNumber: field("orderNumberInput", calculation.header.orderNumber),
+    address: field("addressInput", calculation.header.address),
+    phone: field("phoneInput", calculation.header.phone),
+  };
+}
+
+export { escapeHtml, buildPrintDocument, printDocument, readOrderHeader };
@@ -0,0 +1,213 @@
+import { analytics, logEvent } from "./firebase.js";
+import { getProject, getProjectRevision } from "./api.js";
+import { getLastCalculation } from "./calculation.js";
+import { upgradeProject } from "./calculationSchema.js";
+import {
+  compareCalculations,
+  renderComparison,
+  comparisonToRows,
+} from "./comparison.js";
+import { downloadFile, toCsv } from "./download.js";
+
+// Выбранные для сравнения расчёты A и B: { type: "project" | "revision" | "current",
+// label, projectId?, revisionId?, calculation? }
+const slots = [null, null];
+
+// Последнее выполненное сравнение — для выгрузки в CSV
+let lastComparison = null;
+
+/**
+ * Показывает выбранные расчёты и включает кнопку сравнения, когда выбраны оба.
+ */
+function updateSlots() {
+  ["A", "B"].forEach((name, index) => {
+    const element = document.getElementById(`comparisonSlot${name}`);
+    if (element) {
+      element.textContent = `Расчёт ${name}: ${slots[index]?.label || "не выбран"}`;
+    }
+  });
+  const compareButton = document.getElementById("compareBtn");
+  if (compareButton) {
+    compareButton.disabled = !slots[0] || !slots[1];
+  }
+}
+
+/**
+ * Добавляет расчёт в сравнение: в A, если он свободен, иначе в B.
+ * @param {Object} source - Расчёт: { type, label, projectId?, revisionId?, calculation? }.
+ * @param {Function} showNotification - Функция для отображения уведомлений.
+ */
+function addToComparison(source, showNotification) {
+  const index = slots[0] ? 1 : 0;
+  slots[index] = source;
+  updateSlots();
+  showNotification(
+    `${source.label} добавлен в сравнение как расчёт ${index === 0 ? "A" : "B"}`,
+    false,
+  );
+}
+
+/**
+ * Загружает расчёт для сравнения: сохранённый проект, его версию или показанный расчёт.
+ * @param {Object} source - Расчёт из slots.
+ * @param {string} authToken - Токен аутентификации.
+ * @param {string} userId - ID пользователя.
+ * @returns {Promise<Object>} Расчёт (см. renderResults).
+ * @throws {Error} Если расчёт не найден или в нём нет результатов.
+ */
+async function loadSource(source, authToken, userId) {
+  if (source.type === "current") {
+    return source.calculation;
+  }
+  const response =
+    source.type === "revision"
+      ? await getProjectRevision(
+          source.projectId,
+          source.revisionId,
+          authToken,
+          userId,
+        )
+      : await getProject(source.projectId, authToken, userId);
+  if (!response.success) {
+    throw new Error(response.error || `Не удалось загрузить: ${source.label}`);
+  }
+  const { calculation } = upgradeProject(
+    source.type === "revision" ? response.revision : response.project,
+  );
+  if (!calculation) {
+    throw new Error(`${source.label}: в сохранённом расчёте нет результатов`);
+  }
+  return calculation;
+}
+
+/**
+ * Сравнивает расчёты A и B и показывает изменения по вкладкам.
+ * @param {Function} showNotification - Функция для отображения уведомлений.
+ * @param {string} authToken - Токен аутентификации.
+ * @param {string} userId - ID пользователя.
+ * @returns {Promise<void>}
+ */
+async function compareSlots(showNotification, authToken, userId) {
+  const container = document.getElementById("comparisonResult");
+  const exportButton = document.getElementById("exportComparisonBtn");
+  if (!container || !slots[0] || !slots[1]) return;
+
+  container.innerHTML = "<p>Загрузка расчётов...</p>";
+  try {
+    const [previous, current] = await Promise.all(
+      slots.map((source) => loadSource(source, authToken, userId)),
+    );
+    const comparison = compareCalculations(previous, current);
+    lastComparison = {
+      comparison,
+      previousLabel: slots[0].label,
+      currentLabel: slots[1].label,
+    };
+    container.innerHTML = "";
+    container.appendChild(
+      renderComparison(
+        comparison,
+        `Сравнение: ${slots[0].label} → ${slots[1].label}`,
+      ),
+    );
+    if (exportButton) exportButton.hidden = false;
+    logEvent(analytics, "calculations_compared", {
+      previous_type: slots[0].type,
+      current_type: slots[1].type,
+      changed_lines: comparison.lines.length,
+      page_title: "Balcony Calculator",
+      user_id: userId || "unknown",
+    });
+  } catch (error) {
+    lastComparison = null;
+    container.innerHTML = "";
+    if (exportButton) exportButton.hidden = true;
+    showNotification(`Ошибка при сравнении расчётов: ${error.message}`, true);
+    logEvent(analytics, "calculations_compare_failed", {
+      reason: error.message,
+      page_title: "Balcony Calculator",
+      user_id: userId || "unknown",
+    });
+  }
+}
+
+/**
+ * Сбрасывает выбранные расчёты и результат сравнения.
+ */
+function clearComparison() {
+  slots[0] = null;
+  slots[1] = null;
+  lastComparison = null;
+  updateSlots();
+  const container = document.getElementById("comparisonResult");
+  if (container) container.innerHTML = "";
+  const exportButton = document.getElementById("exportComparisonBtn");
+  if (exportButton) exportButton.hidden = true;
+}
+
+/**
+ * Инициализирует панель сравнения расчётов во вкладке "Мои расчёты".
+ * @param {Function} showNotification - Функция для отображения уведомлений.
+ * @param {string} authToken - Токен аутентификации.
+ * @param {string} userId - ID пользователя.
+ */
+function initializeComparison(showNotification, authToken, userId) {
+  const currentButton = document.getElementById("compareCurrentBtn");
+  const compareButton = document.getElementById("compareBtn");
+  const clearButton = document.getElementById("clearComparisonBtn");
+  const exportButton = document.getElementById("exportComparisonBtn");
+
+  if (!currentButton || !compareButton || !clearButton || !exportButton) {
+    showNotification("Ошибка: Элементы сравнения расчётов не найдены", true);
+    logEvent(analytics, "comparison_initialize_failed", {
+      reason: "Comparison elements not found",
+      page_title: "Balcony Calculator",
+      user_id: userId || "unknown",
+    });
+    return;
+  }
+
+  currentButton.addEventListener("click", () => {
+    const calculation = getLastCalculation();
+    if (!calculation) {
+      showNotification("Сначала выполните расчёт", true);
+      return;
+    }
+    const orderNumber = calculation.header?.orderNumber;
+    addToComparison(
+      {
+        type: "current",
+        label: orderNumber
+          ? `Текущий расчёт (заказ ${orderNumber})`
+          : "Текущий расчёт",
+        calculation,
+      },
+      showNotification,
+    );
+  });
+  compareButton.addEventListener("click", () =>
+    compareSlots(showNotification, authToken, userId),
+  );
+  clearButton.addEventListener("click", clearComparison);
+  exportButton.addEventListener("click", () => {
+    if (!lastComparison) return;
+    const { comparison, previousLabel, currentLabel } = lastComparison;
+    downloadFile(
+      toCsv(comparisonToRows(comparison, previousLabel, currentLabel)),
+      `comparison_${new Date().toISOString().slice(0, 10)}.csv`,
+      "text/csv;charset=utf-8",
+    );
+    logEvent(analytics, "comparison_exported", {
+      page_title: "Balcony Calculator",
+      user_id: userId || "unknown",
+    });
+  });
+
+  updateSlots();
+  logEvent(analytics, "comparison_initialized", {
+    page_title: "Balcony Calculator",
+    user_id: userId || "unknown",
+  });
+}
+
+export { addToComparison, initializeComparison };
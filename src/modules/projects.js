@@ -0,0 +1,402 @@
+import { analytics, logEvent } from "./firebase.js";
+import {
+  createProject,
+  getProject,
+  updateProject,
+  listProjects,
+  listProjectRevisions,
+} from "./api.js";
+import {
+  getLastCalculation,
+  showCalculation,
+  restoreFormState,
+} from "./calculation.js";
+import {
+  CALCULATION_SCHEMA_VERSION,
+  upgradeProject,
+} from "./calculationSchema.js";
+import { formatMoney } from "./money.js";
+import { addToComparison } from "./projectComparison.js";
+
+// Открытый сейчас сохранённый расчёт: повторное сохранение обновляет его, а не создаёт новый
+let currentProject = null;
+
+// Курсор следующей страницы списка и строка поиска, по которой он получен
+let nextCursor = null;
+let currentSearch = "";
+
+/**
+ * Показывает, какой сохранённый расчёт сейчас открыт.
+ */
+function updateCurrentProjectInfo() {
+  const info = document.getElementById("currentProjectInfo");
+  const newButton = document.getElementById("newProjectBtn");
+  if (info) {
+    info.hidden = !currentProject;
+    info.textContent = currentProject
+      ? `Открыт расчёт: заказ ${currentProject.orderNumber}. Сохранение обновит его.`
+      : "";
+  }
+  if (newButton) {
+    newButton.hidden = !currentProject;
+  }
+}
+
+/**
+ * Собирает проект для сохранения из шапки формы и последнего расчёта.
+ * @returns {Object} Проект: { header, inputs, results, schemaVersion }.
+ * @throws {Error} Если расчёт ещё не выполнен.
+ */
+function buildProjectData() {
+  const calculation = getLastCalculation();
+  if (!calculation) {
+    throw new Error("Сначала выполните расчёт");
+  }
+  const { header, inputs, ...results } = calculation;
+  return {
+    header: {
+      orderNumber: document.getElementById("orderNumberInput")?.value.trim(),
+      address: document.getElementById("addressInput")?.value.trim(),
+      phone: document.getElementById("phoneInput")?.value.trim(),
+    },
+    inputs: inputs || { tabs: [] },
+    results,
+    schemaVersion: CALCULATION_SCHEMA_VERSION,
+  };
+}
+
+/**
+ * Сохраняет текущий расчёт в "Мои расчёты": обновляет открытый или создаёт новый.
+ * @param {Function} showNotification - Функция для отображения уведомлений.
+ * @param {Function} validateForm - Функция для валидации формы.
+ * @param {string} authToken - Токен аутентификации.
+ * @param {string} userId - ID пользователя.
+ * @returns {Promise<void>}
+ */
+async function saveProject(showNotification, validateForm, authToken, userId) {
+  try {
+    if (!validateForm(true)) {
+      throw new Error("заполните номер заказа, адрес и телефон");
+    }
+    const data = buildProjectData();
+    const result = currentProject
+      ? await updateProject(currentProject.id, data, authToken, userId)
+      : await createProject(data, authToken, userId);
+    if (!result.success) {
+      throw new Error(result.error || "Не удалось сохранить расчёт");
+    }
+    const isUpdate = Boolean(currentProject);
+    currentProject = {
+      id: isUpdate ? currentProject.id : result.projectId,
+      orderNumber: data.header.orderNumber,
+    };
+    updateCurrentProjectInfo();
+    showNotification(
+      isUpdate ? "Расчёт обновлён" : "Расчёт сохранён в мои расчёты",
+      false,
+    );
+    logEvent(analytics, isUpdate ? "project_updated" : "project_created", {
+      project_id: currentProject.id,
+      page_title: "Balcony Calculator",
+      user_id: userId || "unknown",
+    });
+  } catch (error) {
+    showNotification(`Ошибка при сохранении расчёта: ${error.message}`, true);
+    logEvent(analytics, "project_save_failed", {
+      reason: error.message,
+      page_title: "Balcony Calculator",
+      user_id: userId || "unknown",
+    });
+  }
+}
+
+/**
+ * Открывает сохранённый расчёт: восстанавливает форму и показывает результаты.
+ * @param {string} projectId - ID проекта.
+ * @param {Function} showNotification - Функция для отображения уведомлений.
+ * @param {string} authToken - Токен аутентификации.
+ * @param {string} userId - ID пользователя.
+ * @returns {Promise<void>}
+ */
+async function openProject(projectId, showNotification, authToken, userId) {
+  try {
+    const response = await getProject(projectId, authToken, userId);
+    if (!response.success) {
+      throw new Error(response.error || "Не удалось открыть расчёт");
+    }
+    const { header } = response.project;
+    const { calculation, inputs, fromVersion } = upgradeProject(
+      response.project,
+    );
+    const missing = restoreFormState(inputs, header);
+    if (calculation) {
+      showCalculation(calculation);
+    }
+    currentProject = { id: projectId, orderNumber: header.orderNumber };
+    updateCurrentProjectInfo();
+    showNotification(
+      missing.length > 0
+        ? `Открыт расчёт по заказу ${header.orderNumber}. В каталоге не найдены: ${missing.join(", ")}`
+        : `Открыт расчёт по заказу ${header.orderNumber}`,
+      missing.length > 0,
+    );
+    logEvent(analytics, "project_opened", {
+      project_id: projectId,
+      missing_count: missing.length,
+      schema_version: fromVersion,
+      page_title: "Balcony Calculator",
+      user_id: userId || "unknown",
+    });
+  } catch (error) {
+    showNotification(`Ошибка при открытии расчёта: ${error.message}`, true);
+    logEvent(analytics, "project_open_failed", {
+      reason: error.message,
+      page_title: "Balcony Calculator",
+      user_id: userId || "unknown",
+    });
+  }
+}
+
+/**
+ * Показывает под строкой проекта список его прежних версий или скрывает его.
+ * @param {HTMLElement} li - Строка проекта в списке.
+ * @param {Object} project - Краткие данные проекта.
+ * @param {Function} showNotification - Функция для отображения уведомлений.
+ * @param {string} authToken - Токен аутентификации.
+ * @param {string} userId - ID пользователя.
+ * @returns {Promise<void>}
+ */
+async function toggleRevisions(
+  li,
+  project,
+  showNotification,
+  authToken,
+  userId,
+) {
+  const existing = li.querySelector(".project-revisions");
+  if (existing) {
+    existing.remove();
+    return;
+  }
+  const list = document.createElement("ul");
+  list.className = "project-revisions";
+  list.innerHTML = "<li>Загрузка версий...</li>";
+  li.appendChild(list);
+
+  try {
+    const response = await listProjectRevisions(project.id, authToken, userId);
+    if (!response.success) {
+      throw new Error(response.error || "Не удалось загрузить версии");
+    }
+    list.innerHTML = "";
+    (response.revisions || []).forEach((revision) => {
+      const item = document.createElement("li");
+      const text = document.createElement("span");
+      const saved = revision.savedAt
+        ? new Date(revision.savedAt).toLocaleString("ru-RU")
+        : "";
+      const total = revision.saleTotal ?? revision.totalCost ?? null;
+      text.textContent = `Версия ${revision.revision}${saved ? ` от ${saved}` : ""}${
+        total !== null ? ` · ${formatMoney(total)} руб.` : ""
+      }`;
+      const compareButton = document.createElement("button");
+      compareButton.textContent = "В сравнение";
+      compareButton.addEventListener("click", () =>
+        addToComparison(
+          {
+            type: "revision",
+            label: `Заказ ${project.header.orderNumber}, версия ${revision.revision}${saved ? ` от ${saved}` : ""}`,
+            projectId: project.id,
+            revisionId: revision.id,
+          },
+          showNotification,
+        ),
+      );
+      item.appendChild(text);
+      item.appendChild(compareButton);
+      list.appendChild(item);
+    });
+    if (list.children.length === 0) {
+      list.innerHTML = "<li>Прежних версий нет.</li>";
+    }
+    logEvent(analytics, "project_revisions_listed", {
+      project_id: project.id,
+      count: (response.revisions || []).length,
+      page_title: "Balcony Calculator",
+      user_id: userId || "unknown",
+    });
+  } catch (error) {
+    list.remove();
+    showNotification(`Ошибка при загрузке версий: ${error.message}`, true);
+    logEvent(analytics, "project_revisions_list_failed", {
+      reason: error.message,
+      page_title: "Balcony Calculator",
+      user_id: userId || "unknown",
+    });
+  }
+}
+
+/**
+ * Загружает список сохранённых расчётов.
+ * @param {boolean} reset - Начать список заново (новый поиск) или дозагрузить следующую страницу.
+ * @param {Function} showNotification - Функция для отображения уведомлений.
+ * @param {string} authToken - Токен аутентификации.
+ * @param {string} userId - ID пользователя.
+ * @returns {Promise<void>}
+ */
+async function loadProjects(reset, showNotification, authToken, userId) {
+  const container = document.getElementById("projectsList");
+  const moreButton = document.getElementById("projectsMoreBtn");
+  if (!container) return;
+
+  if (reset) {
+    currentSearch =
+      document.getElementById("projectSearchInput")?.value.trim() || "";
+    nextCursor = null;
+    container.innerHTML = "<p>Загрузка расчётов...</p>";
+  }
+
+  try {
+    const response = await listProjects(
+      currentSearch,
+      nextCursor,
+      authToken,
+      userId,
+    );
+    if (!response.success) {
+      throw new Error(response.error || "Не удалось загрузить расчёты");
+    }
+
+    let list = container.querySelector("ul");
+    if (reset || !list) {
+      container.innerHTML = "";
+      list = document.createElement("ul");
+      container.appendChild(list);
+    }
+    (response.projects || []).forEach((project) => {
+      const li = document.createElement("li");
+      const text = document.createElement("span");
+      const updated = project.updatedAt
+        ? new Date(project.updatedAt).toLocaleString("ru-RU")
+        : "";
+      const total = project.saleTotal ?? project.totalCost ?? null;
+      text.textContent = `Заказ ${project.header.orderNumber} — ${project.header.address}, ${project.header.phone}${
+        total !== null ? ` · ${formatMoney(total)} руб.` : ""
+      }${updated ? ` · ${updated}` : ""}${
+        project.priceValidUntil
+          ? ` · цены до ${new Date(project.priceValidUntil).toLocaleDateString("ru-RU")}`
+          : ""
+      }`;
+      const openButton = document.createElement("button");
+      openButton.textContent = "Открыть";
+      openButton.addEventListener("click", () =>
+        openProject(project.id, showNotification, authToken, userId),
+      );
+      const revisionsButton = document.createElement("button");
+      revisionsButton.textContent = "Версии";
+      revisionsButton.addEventListener("click", () =>
+        toggleRevisions(li, project, showNotification, authToken, userId),
+      );
+      const compareButton = document.createElement("button");
+      compareButton.textContent = "В сравнение";
+      compareButton.addEventListener("click", () =>
+        addToComparison(
+          {
+            type: "project",
+            label: `Заказ ${project.header.orderNumber} (версия ${project.revision || 1})`,
+            projectId: project.id,
+          },
+          showNotification,
+        ),
+      );
+      const actions = document.createElement("div");
+      actions.className = "project-actions";
+      actions.appendChild(openButton);
+      actions.appendChild(revisionsButton);
+      actions.appendChild(compareButton);
+      li.appendChild(text);
+      li.appendChild(actions);
+      list.appendChild(li);
+    });
+    if (list.children.length === 0) {
+      container.innerHTML = currentSearch
+        ? "<p>Ничего не найдено.</p>"
+        : "<p>Сохранённых расчётов пока нет.</p>";
+    }
+
+    nextCursor = response.nextCursor || null;
+    if (moreButton) moreButton.hidden = !nextCursor;
+    logEvent(analytics, "projects_listed", {
+      count: (response.projects || []).length,
+      has_search: Boolean(currentSearch),
+      page_title: "Balcony Calculator",
+      user_id: userId || "unknown",
+    });
+  } catch (error) {
+    if (reset) container.innerHTML = "<p>Ошибка загрузки расчётов.</p>";
+    showNotification(`Ошибка при загрузке расчётов: ${error.message}`, true);
+    logEvent(analytics, "projects_list_failed", {
+      reason: error.message,
+      page_title: "Balcony Calculator",
+      user_id: userId || "unknown",
+    });
+  }
+}
+
+/**
+ * Инициализирует вкладку "Мои расчёты" и кнопку сохранения расчёта на сервере.
+ * @param {Function} showNotification - Функция для отображения уведомлений.
+ * @param {Function} validateForm - Функция для валидации формы.
+ * @param {string} authToken - Токен аутентификации.
+ * @param {string} userId - ID пользователя.
+ */
+function initializeProjects(showNotification, validateForm, authToken, userId) {
+  const saveButton = document.getElementById("saveProjectBtn");
+  const searchButton = document.getElementById("projectSearchBtn");
+  const searchInput = document.getElementById("projectSearchInput");
+  const moreButton = document.getElementById("projectsMoreBtn");
+  const newButton = document.getElementById("newProjectBtn");
+  const tabButton = document.querySelector('.tab__button[data-tab="tab13"]');
+
+  if (!saveButton || !searchButton || !searchInput || !tabButton) {
+    showNotification('Ошибка: Элементы раздела "Мои расчёты" не найдены', true);
+    logEvent(analytics, "projects_initialize_failed", {
+      reason: "Projects elements not found",
+      page_title: "Balcony Calculator",
+      user_id: userId || "unknown",
+    });
+    return;
+  }
+
+  saveButton.addEventListener("click", () =>
+    saveProject(showNotification, validateForm, authToken, userId),
+  );
+  searchButton.addEventListener("click", () =>
+    loadProjects(true, showNotification, authToken, userId),
+  );
+  searchInput.addEventListener("keydown", (event) => {
+    if (event.key === "Enter") {
+      event.preventDefault();
+      loadProjects(true, showNotification, authToken, userId);
+    }
+  });
+  moreButton?.addEventListener("click", () =>
+    loadProjects(false, showNotification, authToken, userId),
+  );
+  newButton?.addEventListener("click", () => {
+    currentProject = null;
+    updateCurrentProjectInfo();
+    showNotification("Следующее сохранение создаст новый расчёт", false);
+  });
+  // Список обновляется при каждом открытии вкладки
+  tabButton.addEventListener("click", () =>
+    loadProjects(true, showNotification, authToken, userId),
+  );
+
+  logEvent(analytics, "projects_initialized", {
+    page_title: "Balcony Calculator",
+    user_id: userId || "unknown",
+  });
+}
+
+export { initializeProjects };
@@ -0,0 +1,136 @@
+import { analytics, logEvent, auth } from "./firebase.js";
+import { toKopecks, fromKopecks, formatMoney } from "./money.js";
+import { downloadFile, toCsv } from "./download.js";
+
+/**
+ * Формирует текст позиции закупки: количество к покупке, упаковки и потребность.
+ * @param {Object} item - Позиция сводной закупки.
+ * @returns {string} Текст позиции.
+ */
+function formatPurchaseItem(item) {
+  const packs = (item.packs || [])
+    .map(({ name, count }) => `${name} × ${count}`)
+    .join(", ");
+  return `${item.material}: ${item.quantity} ${item.unit}${
+    packs ? ` (${packs})` : ""
+  } - ${formatMoney(item.cost)} руб.${
+    item.demand !== item.quantity
+      ? ` Потребность: ${item.demand} ${item.unit}`
+      : ""
+  }`;
+}
+
+/**
+ * Формирует таблицу сводной закупки для выгрузки в CSV.
+ * @param {Object} purchaseList - Сводная закупка { groups, totalCost, tabsCost }.
+ * @param {Object} header - Шапка расчёта.
+ * @returns {Array<Array<string|number|null>>} Строки таблицы.
+ */
+function purchaseListToRows(purchaseList, header) {
+  const rows = [
+    ["Закупка по заказу", header?.orderNumber || "", header?.address || ""],
+    [],
+    [
+      "Категория",
+      "Материал",
+      "Ед.",
+      "Потребность",
+      "Купить",
+      "Упаковки",
+      "Сумма, руб.",
+      "По вкладкам",
+    ],
+  ];
+  purchaseList.groups.forEach(({ category, items }) => {
+    items.forEach((item) => {
+      rows.push([
+        category,
+        item.material,
+        item.unit,
+        item.demand,
+        item.quantity,
+        (item.packs || [])
+          .map(({ name, count }) => `${name} × ${count}`)
+          .join(", "),
+        item.cost,
+        item.tabs
+          .map(({ tabName, quantity }) => `${tabName}: ${quantity}`)
+          .join(", "),
+      ]);
+    });
+  });
+  rows.push([]);
+  rows.push(["", "Итого", "", "", "", "", purchaseList.totalCost, ""]);
+  return rows;
+}
+
+/**
+ * Создаёт блок сводной закупки: материалы всех вкладок, сложенные по материалу и
+ * сгруппированные по категориям, с разбивкой по вкладкам и выгрузкой в CSV.
+ * @param {Object} calculation - Расчёт (см. renderResults) со сводной закупкой.
+ * @returns {HTMLElement} Блок закупки.
+ */
+function renderPurchaseList(calculation) {
+  const { purchaseList, header } = calculation;
+  const section = document.createElement("details");
+  section.className = "purchase-list";
+  const summary = document.createElement("summary");
+  const itemsCount = purchaseList.groups.reduce(
+    (sum, group) => sum + group.items.length,
+    0,
+  );
+  summary.textContent = `Закупка: ${itemsCount} позиций на ${formatMoney(purchaseList.totalCost)} руб.`;
+  section.appendChild(summary);
+
+  const saving =
+    toKopecks(purchaseList.tabsCost) - toKopecks(purchaseList.totalCost);
+  if (saving > 0) {
+    const p = document.createElement("p");
+    p.textContent = `Одинаковые материалы вкладок сложены и округлены один раз: дешевле суммы по вкладкам на ${formatMoney(fromKopecks(saving))} руб.`;
+    section.appendChild(p);
+  }
+
+  purchaseList.groups.forEach(({ category, items, cost }) => {
+    const heading = document.createElement("h4");
+    heading.textContent = `${category}: ${formatMoney(cost)} руб.`;
+    section.appendChild(heading);
+    const ul = document.createElement("ul");
+    items.forEach((item) => {
+      const li = document.createElement("li");
+      li.textContent = formatPurchaseItem(item);
+      // Разбивка по вкладкам — откуда взялась позиция
+      if (item.tabs.length > 1) {
+        const breakdown = document.createElement("ul");
+        breakdown.className = "purchase-breakdown";
+        item.tabs.forEach(({ tabName, quantity, cost: tabCost }) => {
+          const tabLi = document.createElement("li");
+          tabLi.textContent = `${tabName}: ${quantity} ${item.unit} - ${formatMoney(tabCost)} руб.`;
+          breakdown.appendChild(tabLi);
+        });
+        li.appendChild(breakdown);
+      }
+      ul.appendChild(li);
+    });
+    section.appendChild(ul);
+  });
+
+  const exportButton = document.createElement("button");
+  exportButton.type = "button";
+  exportButton.textContent = "Скачать закупку (CSV)";
+  exportButton.addEventListener("click", () => {
+    downloadFile(
+      toCsv(purchaseListToRows(purchaseList, header)),
+      `purchase_${header?.orderNumber || new Date().toISOString().slice(0, 10)}.csv`,
+      "text/csv;charset=utf-8",
+    );
+    logEvent(analytics, "purchase_list_exported", {
+      items_count: itemsCount,
+      page_title: "Balcony Calculator",
+      user_id: auth.currentUser?.uid || "unknown",
+    });
+  });
+  section.appendChild(exportButton);
+  return section;
+}
+
+export { renderPurchaseList };
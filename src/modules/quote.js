@@ -0,0 +1,224 @@
+import { analytics, logEvent } from "./firebase.js";
+import { getPricing } from "./api.js";
+import { getLastCalculation } from "./calculation.js";
+import { toKopecks, formatMoney } from "./money.js";
+import { buildCustomerView } from "./views.js";
+import {
+  escapeHtml,
+  buildPrintDocument,
+  printDocument,
+  readOrderHeader,
+} from "./print.js";
+
+// Логотип в шапке предложения — иконка приложения; файлы public/ отдаются из корня сайта
+const LOGO_URL = "/favicon.ico.png";
+
+/**
+ * Форматирует сумму для предложения.
+ * @param {number} value - Сумма (руб.).
+ * @returns {string} Сумма, например "1 250.00 руб.".
+ */
+function money(value) {
+  return `${formatMoney(value)} руб.`;
+}
+
+/**
+ * Формирует таблицу вкладки для клиента (см. buildCustomerView).
+ * @param {Object} tab - Вкладка представления для клиента { tabName, lines, total }.
+ * @returns {string} HTML таблицы.
+ */
+function buildTabTable(tab) {
+  const rows = tab.lines.map(
+    (line) => `<tr>
+      <td>${escapeHtml(line.name)}</td>
+      <td class="number">${escapeHtml(line.quantity)} ${escapeHtml(line.unit)}</td>
+      <td class="number">${line.unitPrice !== null ? money(line.unitPrice) : ""}</td>
+      <td class="number">${money(line.cost)}</td>
+    </tr>`,
+  );
+
+  return `<h3>${escapeHtml(tab.tabName)}</h3>
+    <table>
+      <thead>
+        <tr>
+          <th>Наименование</th>
+          <th class="number">Количество</th>
+          <th class="number">Цена</th>
+          <th class="number">Сумма</th>
+        </tr>
+      </thead>
+      <tbody>${rows.join("")}</tbody>
+      <tfoot>
+        <tr>
+          <td colspan="3">Итого по разделу</td>
+          <td class="number">${money(tab.total)}</td>
+        </tr>
+      </tfoot>
+    </table>`;
+}
+
+/**
+ * Формирует итоги предложения: сумма, скидка, НДС и сумма к оплате.
+ * @param {Object} calculation - Расчёт (см. renderResults).
+ * @returns {string} HTML итогов.
+ */
+function buildTotals(calculation) {
+  const { pricing } = calculation;
+  if (!pricing) {
+    return `<p class="grand-total">Итого: ${money(calculation.totalCost)}</p>`;
+  }
+  const rows = [];
+  if (toKopecks(pricing.discount) > 0) {
+    rows.push(`<p>Сумма: ${money(pricing.saleSubtotal)}</p>`);
+    rows.push(`<p>Скидка: −${money(pricing.discount)}</p>`);
+  }
+  if (pricing.vatRate > 0) {
+    rows.push(
+      `<p>${pricing.vatIncluded ? "В том числе НДС" : "НДС"} ${pricing.vatRate}%: ${money(pricing.vat)}</p>`,
+    );
+  }
+  if (toKopecks(pricing.rounding || 0) !== 0) {
+    rows.push(`<p>Округление: ${money(pricing.rounding)}</p>`);
+  }
+  rows.push(
+    `<p class="grand-total">Итого к оплате: ${money(pricing.saleTotal)}</p>`,
+  );
+  return rows.join("");
+}
+
+/**
+ * Формирует таблицу итогов вариантов, если в расчёте они есть.
+ * @param {Object[]} variants - Результаты вариантов.
+ * @returns {string} HTML таблицы или пустая строка.
+ */
+function buildVariantsTable(variants) {
+  if (!variants || variants.length === 0) {
+    return "";
+  }
+  const rows = variants.map(
+    (variant) => `<tr>
+      <td>${escapeHtml(variant.name)}</td>
+      <td class="number">${money(variant.pricing ? variant.pricing.saleTotal : variant.totalCost)}</td>
+    </tr>`,
+  );
+  return `<h2>Варианты</h2>
+    <table>
+      <thead><tr><th>Вариант</th><th class="number">Итого к оплате</th></tr></thead>
+      <tbody>${rows.join("")}</tbody>
+    </table>`;
+}
+
+/**
+ * Формирует HTML-документ коммерческого предложения для клиента: только видимые позиции,
+ * скрытые материалы — строкой "Расходные материалы" или в ценах позиций (по настройкам).
+ * @param {Object} calculation - Расчёт (см. renderResults).
+ * @param {Object} header - Шапка заказа { orderNumber, address, phone }.
+ * @param {Object} settings - Настройки с реквизитами компании, условиями предложения и
+ *   способом показа скрытых материалов (hiddenCostsDisplay).
+ * @returns {string} HTML-документ.
+ */
+function buildQuoteHtml(calculation, header, settings) {
+  const today = new Date().toLocaleDateString("ru-RU");
+  const validUntil = calculation.priceSnapshot
+    ? new Date(calculation.priceSnapshot.validUntil).toLocaleDateString("ru-RU")
+    : null;
+  const tabs = buildCustomerView(calculation, {
+    hiddenCosts: settings.hiddenCostsDisplay,
+  })
+    .tabs.map(buildTabTable)
+    .join("");
+
+  return buildPrintDocument(
+    `КП_${header.orderNumber}`,
+    `
+    <div class="document-header">
+      <img src="${LOGO_URL}" alt="" />
+      <div>
+        <h1>${escapeHtml(settings.companyName || "Балконы под ключ")}</h1>
+        <div class="company-details">${escapeHtml(settings.companyDetails)}</div>
+      </div>
+    </div>
+    <h2>Коммерческое предложение по заказу № ${escapeHtml(header.orderNumber)} от ${today}</h2>
+    <p>Адрес объекта: ${escapeHtml(header.address)}</p>
+    <p>Телефон клиента: ${escapeHtml(header.phone)}</p>
+    ${tabs}
+    <div class="totals">${buildTotals(calculation)}</div>
+    ${buildVariantsTable(calculation.variants)}
+    ${validUntil ? `<p>Цены действительны до ${validUntil}.</p>` : ""}
+    ${settings.quoteTerms ? `<div class="terms">${escapeHtml(settings.quoteTerms)}</div>` : ""}`,
+  );
+}
+
+/**
+ * Формирует коммерческое предложение по показанному расчёту и открывает печать в PDF.
+ * @param {Function} showNotification - Функция для отображения уведомлений.
+ * @param {string} authToken - Токен аутентификации.
+ * @param {string} userId - ID пользователя.
+ * @returns {Promise<void>}
+ */
+async function generateQuote(showNotification, authToken, userId) {
+  try {
+    const calculation = getLastCalculation();
+    if (!calculation || calculation.tabs.length === 0) {
+      throw new Error("сначала выполните или откройте расчёт");
+    }
+    const header = readOrderHeader(calculation);
+
+    // Без реквизитов предложение всё равно формируется — с названием по умолчанию
+    let settings = {};
+    try {
+      const response = await getPricing(authToken, userId);
+      if (response.success) settings = response.pricing || {};
+    } catch (error) {
+      showNotification(
+        `Реквизиты компании не загружены: ${error.message}`,
+        true,
+      );
+    }
+
+    printDocument(buildQuoteHtml(calculation, header, settings));
+    showNotification(
+      "Коммерческое предложение готово: в окне печати выберите «Сохранить как PDF»",
+      false,
+    );
+    logEvent(analytics, "quote_generated", {
+      tabs_count: calculation.tabs.length,
+      variants_count: (calculation.variants || []).length,
+      page_title: "Balcony Calculator",
+      user_id: userId || "unknown",
+    });
+  } catch (error) {
+    showNotification(
+      `Ошибка при формировании предложения: ${error.message}`,
+      true,
+    );
+    logEvent(analytics, "quote_failed", {
+      reason: error.message,
+      page_title: "Balcony Calculator",
+      user_id: userId || "unknown",
+    });
+  }
+}
+
+/**
+ * Подключает кнопку формирования коммерческого предложения.
+ * @param {Function} showNotification - Функция для отображения уведомлений.
+ * @param {string} authToken - Токен аутентификации.
+ * @param {string} userId - ID пользователя.
+ */
+function initializeQuote(showNotification, authToken, userId) {
+  const quoteButton = document.getElementById("quoteBtn");
+  if (!quoteButton) {
+    logEvent(analytics, "quote_initialize_failed", {
+      reason: "Quote button not found",
+      page_title: "Balcony Calculator",
+      user_id: userId || "unknown",
+    });
+    return;
+  }
+  quoteButton.addEventListener("click", () =>
+    generateQuote(showNotification, authToken, userId),
+  );
+}
+
+export { initializeQuote };
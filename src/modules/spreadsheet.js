@@ -0,0 +1,685 @@
+import { analytics, logEvent } from "./firebase.js";
+import { calculateAll, getLastCalculation } from "./calculation.js";
+import { toKopecks, fromKopecks, formatMoney } from "./money.js";
+import { downloadFile, toCsv, parseCsv, parseNumber } from "./download.js";
+import { buildXlsx, readXlsx, toSheetName } from "./xlsx.js";
+
+// Ограничение корректировок — то же, что проверяет сервер
+const MAX_ADJUSTMENTS = 200;
+
+// Заголовки столбцов таблицы; при импорте столбцы ищутся по ним, порядок может меняться
+const COLUMNS = {
+  tabName: "Вкладка",
+  material: "Материал",
+  category: "Категория",
+  quantity: "Количество",
+  unit: "Ед.",
+  unitPrice: "Цена за ед., руб.",
+  cost: "Сумма, руб.",
+};
+const LINE_COLUMNS = [
+  "material",
+  "category",
+  "quantity",
+  "unit",
+  "unitPrice",
+  "cost",
+];
+
+// Сводный лист книги: только для чтения, при импорте не учитывается
+const SUMMARY_SHEET = "Сводная";
+
+// Ручные корректировки сметы: { tabName, material, unit, quantity, unitPrice, category } —
+// итоговое количество материала на вкладке и цена, если она изменена
+let adjustments = [];
+
+// Разобранная таблица, ожидающая подтверждения: { changes, skipped, unknownTabs }
+let pendingImport = null;
+
+/**
+ * Возвращает ключ материала на вкладке: строки с тем же названием и единицей — один материал.
+ * @param {string} tabName - Вкладка.
+ * @param {string} material - Название материала.
+ * @param {string} unit - Единица измерения.
+ * @returns {string} Ключ.
+ */
+function lineKey(tabName, material, unit) {
+  return `${tabName}\u0000${material}\u0000${unit}`;
+}
+
+/**
+ * Возвращает цену за единицу строки: стоимость, делённую на количество.
+ * @param {{ quantity: number, cost: number }} line - Строка расчёта.
+ * @returns {number|null} Цена (руб.) или null для нулевого количества.
+ */
+function unitPriceOf(line) {
+  return line.quantity > 0
+    ? fromKopecks(Math.round(toKopecks(line.cost) / line.quantity))
+    : null;
+}
+
+/**
+ * Формирует строку таблицы для строки материала.
+ * @param {Object} line - Строка материала { material, category, quantity, unit, cost }.
+ * @returns {Array<string|number|null>} Значения столбцов LINE_COLUMNS.
+ */
+function lineToRow(line) {
+  return [
+    line.material,
+    line.category || "",
+    line.quantity,
+    line.unit,
+    unitPriceOf(line),
+    line.cost,
+  ];
+}
+
+/**
+ * Формирует листы книги: сводный лист закупки и по листу на каждую вкладку.
+ * @param {Object} calculation - Расчёт (см. renderResults).
+ * @returns {Array<{ name: string, rows: Array<Array<string|number|null>> }>} Листы.
+ */
+function calculationToSheets(calculation) {
+  const header = LINE_COLUMNS.map((column) => COLUMNS[column]);
+  const tabs = calculation.tabs.filter(
+    ({ results = [] }) => results.length > 0,
+  );
+
+  // Сводный лист — сводная закупка; в старых расчётах без неё материалы складываются здесь
+  const summaryLines = calculation.purchaseList
+    ? calculation.purchaseList.groups.flatMap(({ category, items }) =>
+        items.map((item) => ({ ...item, category })),
+      )
+    : Array.from(
+        tabs
+          .flatMap(({ results }) => results)
+          .reduce((lines, line) => {
+            const key = lineKey("", line.material, line.unit);
+            const item = lines.get(key) || { ...line, quantity: 0, cost: 0 };
+            item.quantity =
+              Math.round((item.quantity + line.quantity) * 100) / 100;
+            item.cost = fromKopecks(
+              toKopecks(item.cost) + toKopecks(line.cost),
+            );
+            lines.set(key, item);
+            return lines;
+          }, new Map())
+          .values(),
+      );
+  const total = (lines) =>
+    fromKopecks(lines.reduce((sum, line) => sum + toKopecks(line.cost), 0));
+
+  return [
+    {
+      name: SUMMARY_SHEET,
+      rows: [
+        [
+          "Смета по заказу",
+          calculation.header?.orderNumber || "",
+          calculation.header?.address || "",
+        ],
+        [],
+        header,
+        ...summaryLines.map(lineToRow),
+        ["Итого", null, null, null, null, total(summaryLines)],
+      ],
+    },
+    ...tabs.map(({ tabName, results }) => ({
+      name: tabName,
+      rows: [
+        header,
+        ...results.map(lineToRow),
+        ["Итого", null, null, null, null, total(results)],
+      ],
+    })),
+  ];
+}
+
+/**
+ * Формирует CSV сметы: CSV — одна таблица, поэтому вкладка указывается в первом столбце,
+ * а сводного листа нет.
+ * @param {Object} calculation - Расчёт (см. renderResults).
+ * @returns {Array<Array<string|number|null>>} Строки таблицы.
+ */
+function calculationToCsvRows(calculation) {
+  return [
+    [
+      "Смета по заказу",
+      calculation.header?.orderNumber || "",
+      calculation.header?.address || "",
+    ],
+    [],
+    [COLUMNS.tabName, ...LINE_COLUMNS.map((column) => COLUMNS[column])],
+    ...calculation.tabs.flatMap(({ tabName, results = [] }) =>
+      results.map((line) => [tabName, ...lineToRow(line)]),
+    ),
+  ];
+}
+
+/**
+ * Читает строки материалов таблицы. Строка заголовков ищется по столбцу "Материал";
+ * строки без названия или количества (итоги, пустые) пропускаются.
+ * @param {Array<Array<*>>} rows - Строки листа или CSV.
+ * @returns {Array<{ tabName?: string, material: string, category: string|null,
+ *   quantity: number, unit: string, unitPrice: number|null }>} Строки материалов.
+ * @throws {Error} Если в таблице нет заголовков.
+ */
+function readLineRows(rows) {
+  const normalize = (value) =>
+    String(value ?? "")
+      .trim()
+      .toLowerCase();
+  const headerIndex = rows.findIndex((row) =>
+    row.some((cell) => normalize(cell) === normalize(COLUMNS.material)),
+  );
+  if (headerIndex < 0) {
+    throw new Error(
+      `не найдена строка заголовков со столбцом "${COLUMNS.material}"`,
+    );
+  }
+  const columns = {};
+  rows[headerIndex].forEach((cell, index) => {
+    const field = Object.keys(COLUMNS).find(
+      (key) => normalize(COLUMNS[key]) === normalize(cell),
+    );
+    if (field && columns[field] === undefined) columns[field] = index;
+  });
+  if (columns.quantity === undefined || columns.unit === undefined) {
+    throw new Error(`нужны столбцы "${COLUMNS.quantity}" и "${COLUMNS.unit}"`);
+  }
+
+  const cell = (row, field) =>
+    columns[field] === undefined ? null : row[columns[field]];
+  return rows
+    .slice(headerIndex + 1)
+    .map((row) => {
+      const material = String(cell(row, "material") ?? "").trim();
+      const quantity = parseNumber(cell(row, "quantity"));
+      const cost = parseNumber(cell(row, "cost"));
+      let unitPrice = parseNumber(cell(row, "unitPrice"));
+      if (unitPrice === null && cost !== null && quantity > 0) {
+        unitPrice = fromKopecks(Math.round(toKopecks(cost) / quantity));
+      }
+      return {
+        tabName: String(cell(row, "tabName") ?? "").trim(),
+        material,
+        category: String(cell(row, "category") ?? "").trim() || null,
+        quantity,
+        unit: String(cell(row, "unit") ?? "").trim(),
+        unitPrice,
+      };
+    })
+    .filter(
+      ({ material, quantity }) =>
+        material && quantity !== null && material !== "Итого",
+    );
+}
+
+/**
+ * Читает файл таблицы: XLSX — по листу на вкладку (сводный лист пропускается), CSV — вкладка
+ * в первом столбце.
+ * @param {File} file - Выбранный файл.
+ * @param {Object} calculation - Показанный расчёт (для сопоставления листов с вкладками).
+ * @returns {Promise<Map<string, Object[]>>} Строки материалов по названию вкладки.
+ * @throws {Error} Если файл нельзя разобрать.
+ */
+async function readSpreadsheetFile(file, calculation) {
+  const tabs = new Map();
+  const addLine = (tabName, line) => {
+    tabs.set(tabName, [...(tabs.get(tabName) || []), line]);
+  };
+
+  if (/\.csv$/i.test(file.name)) {
+    readLineRows(parseCsv(await file.text(), COLUMNS.material)).forEach(
+      (line) => {
+        if (!line.tabName) {
+          throw new Error(
+            `у материала "${line.material}" не указан столбец "${COLUMNS.tabName}"`,
+          );
+        }
+        addLine(line.tabName, line);
+      },
+    );
+    return tabs;
+  }
+
+  // Названия листов могли быть сокращены до ограничений Excel — сопоставляются так же
+  const tabNames = new Map(
+    calculation.tabs.map(({ tabName }) => [toSheetName(tabName), tabName]),
+  );
+  const sheets = await readXlsx(await file.arrayBuffer());
+  sheets.forEach(({ name, rows }) => {
+    if (name === SUMMARY_SHEET) return;
+    const tabName = tabNames.get(name) || name;
+    // Пустой лист вкладки означает, что все её материалы удалены
+    tabs.set(tabName, tabs.get(tabName) || []);
+    readLineRows(rows).forEach((line) => addLine(tabName, line));
+  });
+  return tabs;
+}
+
+/**
+ * Сравнивает таблицу с показанным расчётом и формирует корректировки: изменённое количество
+ * или цену, добавленные и удалённые материалы. Вкладки, которых нет в таблице, не меняются.
+ * @param {Object} calculation - Показанный расчёт.
+ * @param {Map<string, Object[]>} importedTabs - Строки материалов по вкладкам.
+ * @returns {{ changes: Array<{ adjustment: Object, before: Object|null }>, skipped: string[],
+ *   unknownTabs: string[] }} Изменения, пропущенные материалы (новые без цены) и вкладки
+ *   таблицы, которых нет в расчёте.
+ */
+function diffSpreadsheet(calculation, importedTabs) {
+  const changes = [];
+  const skipped = [];
+  const unknownTabs = [];
+
+  importedTabs.forEach((lines, tabName) => {
+    const tab = calculation.tabs.find((item) => item.tabName === tabName);
+    if (!tab) {
+      unknownTabs.push(tabName);
+      return;
+    }
+
+    const current = new Map();
+    (tab.results || []).forEach((line) => {
+      const key = lineKey(tabName, line.material, line.unit);
+      const item = current.get(key) || { ...line, quantity: 0, cost: 0 };
+      item.quantity += line.quantity;
+      item.cost = fromKopecks(toKopecks(item.cost) + toKopecks(line.cost));
+      current.set(key, item);
+    });
+    const imported = new Map();
+    lines.forEach((line) => {
+      const key = lineKey(tabName, line.material, line.unit);
+      const item = imported.get(key);
+      imported.set(
+        key,
+        item
+          ? {
+              ...item,
+              quantity: item.quantity + line.quantity,
+              unitPrice: line.unitPrice ?? item.unitPrice,
+            }
+          : line,
+      );
+    });
+
+    imported.forEach((line, key) => {
+      const before = current.get(key);
+      const quantity = Math.round(Math.max(line.quantity, 0) * 100) / 100;
+      if (!before) {
+        if (line.unitPrice === null) {
+          skipped.push(`${tabName}: ${line.material}`);
+          return;
+        }
+        if (quantity > 0) {
+          changes.push({
+            adjustment: {
+              tabName,
+              material: line.material,
+              unit: line.unit,
+              quantity,
+              unitPrice: line.unitPrice,
+              category: line.category,
+            },
+            before: null,
+          });
+        }
+        return;
+      }
+      const beforePrice = unitPriceOf(before);
+      const priceChanged =
+        line.unitPrice !== null &&
+        toKopecks(line.unitPrice) !== toKopecks(beforePrice ?? 0);
+      if (Math.abs(quantity - before.quantity) < 0.005 && !priceChanged) {
+        return;
+      }
+      changes.push({
+        adjustment: {
+          tabName,
+          material: before.material,
+          unit: before.unit,
+          quantity,
+          unitPrice: priceChanged ? line.unitPrice : null,
+          category: before.category || null,
+        },
+        before: {
+          quantity: Math.round(before.quantity * 100) / 100,
+          unitPrice: beforePrice,
+        },
+      });
+    });
+    current.forEach((before, key) => {
+      if (imported.has(key)) return;
+      changes.push({
+        adjustment: {
+          tabName,
+          material: before.material,
+          unit: before.unit,
+          quantity: 0,
+          unitPrice: null,
+          category: before.category || null,
+        },
+        before: {
+          quantity: Math.round(before.quantity * 100) / 100,
+          unitPrice: unitPriceOf(before),
+        },
+      });
+    });
+  });
+  return { changes, skipped, unknownTabs };
+}
+
+/**
+ * Формирует текст корректировки для списка и предпросмотра.
+ * @param {Object} adjustment - Корректировка.
+ * @param {Object|null} [before] - Количество и цена по расчёту; undefined — не показывать.
+ * @returns {string} Текст.
+ */
+function formatAdjustment(adjustment, before) {
+  const { tabName, material, unit, quantity, unitPrice } = adjustment;
+  const price = unitPrice !== null ? ` по ${formatMoney(unitPrice)} руб.` : "";
+  if (before === null) {
+    return `${tabName}: ${material} — добавлен, ${quantity} ${unit}${price}`;
+  }
+  if (quantity === 0) {
+    return `${tabName}: ${material} — удалён`;
+  }
+  const was = before
+    ? ` (было ${before.quantity} ${unit} по ${formatMoney(before.unitPrice ?? 0)} руб.)`
+    : "";
+  return `${tabName}: ${material} — ${quantity} ${unit}${price}${was}`;
+}
+
+/**
+ * Показывает список ручных корректировок сметы.
+ */
+function renderAdjustmentsList() {
+  const list = document.getElementById("adjustmentsList");
+  if (!list) return;
+  list.innerHTML = "";
+  adjustments.forEach((adjustment) => {
+    const li = document.createElement("li");
+    const text = document.createElement("span");
+    text.textContent = formatAdjustment(adjustment);
+    const removeButton = document.createElement("button");
+    removeButton.textContent = "Удалить";
+    removeButton.addEventListener("click", () => {
+      adjustments = adjustments.filter((item) => item !== adjustment);
+      renderAdjustmentsList();
+    });
+    li.appendChild(text);
+    li.appendChild(removeButton);
+    list.appendChild(li);
+  });
+}
+
+/**
+ * Возвращает ручные корректировки сметы для расчёта и сохранения.
+ * @returns {Object[]} Корректировки.
+ */
+function getAdjustmentsData() {
+  return adjustments.map((adjustment) => ({ ...adjustment }));
+}
+
+/**
+ * Заменяет ручные корректировки (например, при открытии сохранённого расчёта).
+ * @param {Object[]|null} data - Корректировки.
+ */
+function setAdjustmentsData(data) {
+  adjustments = Array.isArray(data)
+    ? data.filter(
+        (adjustment) =>
+          adjustment &&
+          typeof adjustment.tabName === "string" &&
+          typeof adjustment.material === "string" &&
+          typeof adjustment.quantity === "number",
+      )
+    : [];
+  renderAdjustmentsList();
+}
+
+/**
+ * Добавляет корректировки импорта к сохранённым: корректировка того же материала заменяется,
+ * а ранее заданная цена сохраняется, если в новой таблице цена не менялась.
+ * @param {Object[]} current - Сохранённые корректировки.
+ * @param {Object[]} imported - Корректировки импорта.
+ * @returns {Object[]} Объединённые корректировки.
+ */
+function mergeAdjustments(current, imported) {
+  const merged = new Map(
+    current.map((item) => [
+      lineKey(item.tabName, item.material, item.unit),
+      item,
+    ]),
+  );
+  imported.forEach((item) => {
+    const key = lineKey(item.tabName, item.material, item.unit);
+    const previous = merged.get(key);
+    merged.set(
+      key,
+      previous
+        ? {
+            ...previous,
+            ...item,
+            unitPrice: item.unitPrice ?? previous.unitPrice,
+          }
+        : item,
+    );
+  });
+  return Array.from(merged.values());
+}
+
+/**
+ * Показывает предпросмотр импорта с кнопками применения и отмены.
+ * @param {Function} onApply - Обработчик кнопки "Применить".
+ */
+function renderImportPreview(onApply) {
+  const container = document.getElementById("adjustmentsPreview");
+  if (!container) return;
+  container.innerHTML = "";
+  container.hidden = !pendingImport;
+  if (!pendingImport) return;
+
+  const { changes, skipped, unknownTabs } = pendingImport;
+  const heading = document.createElement("h4");
+  heading.textContent = `Изменения из таблицы: ${changes.length}`;
+  container.appendChild(heading);
+  const ul = document.createElement("ul");
+  changes.forEach(({ adjustment, before }) => {
+    const li = document.createElement("li");
+    li.textContent = formatAdjustment(adjustment, before);
+    ul.appendChild(li);
+  });
+  container.appendChild(ul);
+  [
+    [skipped, "Новые материалы без цены пропущены"],
+    [unknownTabs, "Листы без вкладки в расчёте пропущены"],
+  ].forEach(([items, title]) => {
+    if (items.length === 0) return;
+    const p = document.createElement("p");
+    p.className = "tab-error";
+    p.textContent = `${title}: ${items.join(", ")}`;
+    container.appendChild(p);
+  });
+
+  const applyButton = document.createElement("button");
+  applyButton.textContent = "Применить и пересчитать";
+  applyButton.disabled = changes.length === 0;
+  applyButton.addEventListener("click", onApply);
+  const cancelButton = document.createElement("button");
+  cancelButton.textContent = "Отмена";
+  cancelButton.addEventListener("click", () => {
+    pendingImport = null;
+    renderImportPreview(onApply);
+  });
+  container.appendChild(applyButton);
+  container.appendChild(cancelButton);
+}
+
+/**
+ * Выгружает показанный расчёт в XLSX или CSV.
+ * @param {"xlsx"|"csv"} format - Формат файла.
+ * @param {Function} showNotification - Функция для отображения уведомлений.
+ * @param {string} userId - ID пользователя.
+ */
+function exportSpreadsheet(format, showNotification, userId) {
+  const calculation = getLastCalculation();
+  if (!calculation || calculation.tabs.length === 0) {
+    showNotification("Сначала выполните или откройте расчёт", true);
+    return;
+  }
+  const fileName = `estimate_${calculation.header?.orderNumber || new Date().toISOString().slice(0, 10)}`;
+  if (format === "xlsx") {
+    downloadFile(
+      buildXlsx(calculationToSheets(calculation)),
+      `${fileName}.xlsx`,
+    );
+  } else {
+    downloadFile(
+      toCsv(calculationToCsvRows(calculation)),
+      `${fileName}.csv`,
+      "text/csv;charset=utf-8",
+    );
+  }
+  logEvent(analytics, "spreadsheet_exported", {
+    format,
+    tabs_count: calculation.tabs.length,
+    page_title: "Balcony Calculator",
+    user_id: userId || "unknown",
+  });
+}
+
+/**
+ * Загружает отредактированную таблицу и показывает изменения для подтверждения.
+ * @param {File} file - Выбранный файл.
+ * @param {Function} showNotification - Функция для отображения уведомлений.
+ * @param {Function} onApply - Обработчик применения изменений.
+ * @param {string} userId - ID пользователя.
+ * @returns {Promise<void>}
+ */
+async function importSpreadsheet(file, showNotification, onApply, userId) {
+  try {
+    const calculation = getLastCalculation();
+    if (!calculation || !calculation.inputs) {
+      throw new Error(
+        "нет расчёта с исходными данными: выполните или откройте сохранённый расчёт",
+      );
+    }
+    const importedTabs = await readSpreadsheetFile(file, calculation);
+    pendingImport = diffSpreadsheet(calculation, importedTabs);
+    renderImportPreview(onApply);
+    showNotification(
+      pendingImport.changes.length > 0
+        ? `Таблица загружена: изменений — ${pendingImport.changes.length}. Проверьте и примените`
+        : "Таблица загружена: изменений нет",
+      false,
+    );
+    logEvent(analytics, "spreadsheet_imported", {
+      changes_count: pendingImport.changes.length,
+      skipped_count: pendingImport.skipped.length,
+      page_title: "Balcony Calculator",
+      user_id: userId || "unknown",
+    });
+  } catch (error) {
+    pendingImport = null;
+    renderImportPreview(onApply);
+    showNotification(`Ошибка при загрузке таблицы: ${error.message}`, true);
+    logEvent(analytics, "spreadsheet_import_failed", {
+      reason: error.message,
+      page_title: "Balcony Calculator",
+      user_id: userId || "unknown",
+    });
+  }
+}
+
+/**
+ * Инициализирует панель таблицы сметы: выгрузку в XLSX и CSV, загрузку отредактированной
+ * таблицы и список ручных корректировок.
+ * @param {Function} showNotification - Функция для отображения уведомлений.
+ * @param {Function} validateForm - Функция для валидации формы.
+ * @param {string} authToken - Токен аутентификации.
+ * @param {string} userId - ID пользователя.
+ */
+function initializeSpreadsheet(
+  showNotification,
+  validateForm,
+  authToken,
+  userId,
+) {
+  const xlsxButton = document.getElementById("exportXlsxBtn");
+  const csvButton = document.getElementById("exportCsvBtn");
+  const importButton = document.getElementById("importSpreadsheetBtn");
+  const clearButton = document.getElementById("clearAdjustmentsBtn");
+
+  if (!xlsxButton || !csvButton || !importButton || !clearButton) {
+    showNotification("Ошибка: Элементы таблицы сметы не найдены", true);
+    logEvent(analytics, "spreadsheet_initialize_failed", {
+      reason: "Spreadsheet elements not found",
+      page_title: "Balcony Calculator",
+      user_id: userId || "unknown",
+    });
+    return;
+  }
+
+  const applyImport = async () => {
+    if (!pendingImport) return;
+    const merged = mergeAdjustments(
+      adjustments,
+      pendingImport.changes.map(({ adjustment }) => adjustment),
+    );
+    if (merged.length > MAX_ADJUSTMENTS) {
+      showNotification(
+        `Можно сохранить не более ${MAX_ADJUSTMENTS} корректировок`,
+        true,
+      );
+      return;
+    }
+    const changesCount = pendingImport.changes.length;
+    setAdjustmentsData(merged);
+    pendingImport = null;
+    renderImportPreview(applyImport);
+    logEvent(analytics, "adjustments_applied", {
+      changes_count: changesCount,
+      adjustments_count: merged.length,
+      page_title: "Balcony Calculator",
+      user_id: userId || "unknown",
+    });
+    await calculateAll(showNotification, validateForm, authToken, userId);
+  };
+
+  xlsxButton.addEventListener("click", () =>
+    exportSpreadsheet("xlsx", showNotification, userId),
+  );
+  csvButton.addEventListener("click", () =>
+    exportSpreadsheet("csv", showNotification, userId),
+  );
+  importButton.addEventListener("click", () => {
+    const input = document.createElement("input");
+    input.type = "file";
+    input.accept = ".xlsx,.csv";
+    input.onchange = (e) => {
+      const file = e.target.files[0];
+      if (file) importSpreadsheet(file, showNotification, applyImport, userId);
+    };
+    input.click();
+  });
+  clearButton.addEventListener("click", () => {
+    setAdjustmentsData([]);
+    showNotification(
+      "Корректировки удалены. Нажмите «Рассчитать», чтобы пересчитать смету",
+      false,
+    );
+    logEvent(analytics, "adjustments_cleared", {
+      page_title: "Balcony Calculator",
+      user_id: userId || "unknown",
+    });
+  });
+
+  renderAdjustmentsList();
+  logEvent(analytics, "spreadsheet_initialized", {
+    page_title: "Balcony Calculator",
+    user_id: userId || "unknown",
+  });
+}
+
+export { getAdjustmentsData, setAdjustmentsData, initializeSpreadsheet };
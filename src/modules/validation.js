@@ -143,6 +143,10 @@ function validateForm(isCalculation = false) {
 
   // Валидация числовых полей
   const numericInputs = [
+    "balconyLengthInput",
+    "balconyDepthInput",
+    "balconyHeightInput",
+    "parapetHeightInput",
     "extraQuantityTab1",
     "windowQuantityInputTab2",
     "extraQuantityTab2",
@@ -175,6 +179,10 @@ function validateForm(isCalculation = false) {
     "extraQuantityTab11",
     "priceInput",
     "quantityInput",
+    "wasteFactorInput",
+    "coverageInput",
+    "coatsInput",
+    "packSizeInput",
   ];
 
   numericInputs.forEach((id) => {
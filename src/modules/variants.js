@@ -0,0 +1,258 @@
+import { analytics, logEvent } from "./firebase.js";
+import { CALCULATION_TABS, getTabData } from "./calculation.js";
+import { formatMoney } from "./money.js";
+
+// Ограничения вариантов — те же, что проверяет сервер
+const MAX_VARIANTS = 5;
+const VARIANT_NAME_LENGTH = 50;
+
+// Варианты проекта: { name, tabs: [{ tabId, tabName, data }] } — вкладки, которые вариант
+// заменяет; остальные вкладки и замеры берутся из формы
+let variants = [];
+
+/**
+ * Показывает список сохранённых вариантов.
+ */
+function renderVariantsList() {
+  const list = document.getElementById("variantsList");
+  if (!list) return;
+  list.innerHTML = "";
+  variants.forEach((variant) => {
+    const li = document.createElement("li");
+    const text = document.createElement("span");
+    text.textContent = `${variant.name}: ${variant.tabs
+      .map(({ tabName }) => tabName)
+      .join(", ")}`;
+    const removeButton = document.createElement("button");
+    removeButton.textContent = "Удалить";
+    removeButton.addEventListener("click", () => {
+      variants = variants.filter(({ name }) => name !== variant.name);
+      renderVariantsList();
+    });
+    li.appendChild(text);
+    li.appendChild(removeButton);
+    list.appendChild(li);
+  });
+}
+
+/**
+ * Возвращает варианты проекта для расчёта и сохранения.
+ * @returns {Array<{ name: string, tabs: Object[] }>} Варианты.
+ */
+function getVariantsData() {
+  return variants.map((variant) => ({ ...variant, tabs: [...variant.tabs] }));
+}
+
+/**
+ * Заменяет варианты проекта (например, при открытии сохранённого расчёта).
+ * @param {Array<{ name: string, tabs: Object[] }>|null} data - Варианты.
+ */
+function setVariantsData(data) {
+  variants = Array.isArray(data)
+    ? data.filter(
+        (variant) =>
+          variant &&
+          typeof variant.name === "string" &&
+          Array.isArray(variant.tabs),
+      )
+    : [];
+  renderVariantsList();
+}
+
+/**
+ * Сохраняет выбранные вкладки формы как вариант. Вариант с тем же названием заменяется.
+ * @param {Function} showNotification - Функция для отображения уведомлений.
+ * @param {string} userId - ID пользователя.
+ */
+function addVariant(showNotification, userId) {
+  const nameInput = document.getElementById("variantNameInput");
+  const name = nameInput?.value.trim() || "";
+  const tabIds = Array.from(
+    document.querySelectorAll("#variantTabs input:checked"),
+  ).map((checkbox) => checkbox.value);
+  const exists = variants.some((variant) => variant.name === name);
+
+  if (!name || name.length > VARIANT_NAME_LENGTH) {
+    showNotification(
+      `Введите название варианта (не более ${VARIANT_NAME_LENGTH} символов)`,
+      true,
+    );
+    return;
+  }
+  if (tabIds.length === 0) {
+    showNotification("Отметьте вкладки, которые отличаются в варианте", true);
+    return;
+  }
+  if (!exists && variants.length >= MAX_VARIANTS) {
+    showNotification(
+      `Можно сохранить не более ${MAX_VARIANTS} вариантов`,
+      true,
+    );
+    return;
+  }
+
+  const variant = {
+    name,
+    tabs: tabIds.map((tabId) => ({
+      tabId,
+      tabName:
+        document
+          .querySelector(`.tab__button[data-tab="${tabId}"]`)
+          ?.textContent.trim() || tabId,
+      data: getTabData(tabId, showNotification),
+    })),
+  };
+  // Об ошибке контура getTabData уже сообщил: вариант без контура посчитался бы неверно
+  if (variant.tabs.some(({ data }) => data.outlineError)) {
+    return;
+  }
+  variants = exists
+    ? variants.map((item) => (item.name === name ? variant : item))
+    : [...variants, variant];
+  renderVariantsList();
+  nameInput.value = "";
+  showNotification(
+    exists ? `Вариант "${name}" обновлён` : `Вариант "${name}" сохранён`,
+    false,
+  );
+  logEvent(analytics, exists ? "variant_updated" : "variant_added", {
+    tabs_count: tabIds.length,
+    variants_count: variants.length,
+    page_title: "Balcony Calculator",
+    user_id: userId || "unknown",
+  });
+}
+
+/**
+ * Создаёт таблицу вариантов для клиента: стоимость вкладок и итоги вариантов рядом.
+ * @param {Object[]} results - Результаты вариантов { name, tabs, errors, totalCost, pricing }.
+ * @returns {HTMLElement} Блок сравнения вариантов.
+ */
+function renderVariantsTable(results) {
+  const section = document.createElement("div");
+  section.className = "variants";
+  const heading = document.createElement("h3");
+  heading.textContent = "Варианты";
+  section.appendChild(heading);
+
+  // Вкладки в порядке первого появления; у вкладки показывается цена продажи, если она есть
+  const tabNames = [
+    ...new Set(
+      results.flatMap(({ tabs }) => tabs.map(({ tabName }) => tabName)),
+    ),
+  ];
+  const money = (value) =>
+    value === null || value === undefined ? "—" : `${formatMoney(value)} руб.`;
+  const rows = tabNames.map((tabName) => [
+    tabName,
+    ...results.map(({ tabs }) => {
+      const tab = tabs.find((item) => item.tabName === tabName);
+      return tab ? money(tab.saleCost ?? tab.totalCost) : "—";
+    }),
+  ]);
+  rows.push(["Закупка", ...results.map(({ totalCost }) => money(totalCost))]);
+  if (results.some(({ pricing }) => pricing)) {
+    rows.push([
+      "Скидка",
+      ...results.map(({ pricing }) => money(pricing?.discount)),
+    ]);
+    rows.push([
+      "Итого для клиента",
+      ...results.map(({ pricing }) => money(pricing?.saleTotal)),
+    ]);
+  }
+
+  const wrapper = document.createElement("div");
+  wrapper.className = "table-wrapper";
+  const table = document.createElement("table");
+  const headRow = document.createElement("tr");
+  ["", ...results.map(({ name }) => name)].forEach((title) => {
+    const th = document.createElement("th");
+    th.textContent = title;
+    headRow.appendChild(th);
+  });
+  const thead = document.createElement("thead");
+  thead.appendChild(headRow);
+  table.appendChild(thead);
+  const tbody = document.createElement("tbody");
+  rows.forEach((cells, index) => {
+    const tr = document.createElement("tr");
+    if (index >= tabNames.length) tr.className = "variants-total";
+    cells.forEach((cell, cellIndex) => {
+      const td = document.createElement(cellIndex === 0 ? "th" : "td");
+      td.textContent = cell;
+      tr.appendChild(td);
+    });
+    tbody.appendChild(tr);
+  });
+  table.appendChild(tbody);
+  wrapper.appendChild(table);
+  section.appendChild(wrapper);
+
+  results.forEach(({ name, errors = [] }) => {
+    errors.forEach(({ tabName, error }) => {
+      const p = document.createElement("p");
+      p.className = "tab-error";
+      p.textContent = `${name}, ${tabName || "вкладка"}: ошибка расчёта - ${error}`;
+      section.appendChild(p);
+    });
+  });
+  return section;
+}
+
+/**
+ * Инициализирует панель вариантов: список вкладок для выбора и кнопки.
+ * @param {Function} showNotification - Функция для отображения уведомлений.
+ * @param {string} userId - ID пользователя.
+ */
+function initializeVariants(showNotification, userId) {
+  const tabsContainer = document.getElementById("variantTabs");
+  const addButton = document.getElementById("addVariantBtn");
+  const clearButton = document.getElementById("clearVariantsBtn");
+
+  if (!tabsContainer || !addButton || !clearButton) {
+    showNotification("Ошибка: Элементы вариантов расчёта не найдены", true);
+    logEvent(analytics, "variants_initialize_failed", {
+      reason: "Variants elements not found",
+      page_title: "Balcony Calculator",
+      user_id: userId || "unknown",
+    });
+    return;
+  }
+
+  tabsContainer.innerHTML = "";
+  CALCULATION_TABS.forEach((tabId) => {
+    const tabButton = document.querySelector(
+      `.tab__button[data-tab="${tabId}"]`,
+    );
+    if (!tabButton) return;
+    const label = document.createElement("label");
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.value = tabId;
+    label.appendChild(checkbox);
+    label.append(` ${tabButton.textContent.trim()}`);
+    tabsContainer.appendChild(label);
+  });
+
+  addButton.addEventListener("click", () =>
+    addVariant(showNotification, userId),
+  );
+  clearButton.addEventListener("click", () => {
+    setVariantsData([]);
+    showNotification("Варианты удалены", false);
+  });
+
+  renderVariantsList();
+  logEvent(analytics, "variants_initialized", {
+    page_title: "Balcony Calculator",
+    user_id: userId || "unknown",
+  });
+}
+
+export {
+  getVariantsData,
+  setVariantsData,
+  renderVariantsTable,
+  initializeVariants,
+};
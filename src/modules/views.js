@@ -0,0 +1,164 @@
+import { toKopecks, fromKopecks } from "./money.js";
+
+// Строка предложения, в которую сводятся скрытые материалы вкладки
+const CONSUMABLES_LINE = "Расходные материалы";
+
+/**
+ * Возвращает сумму строки для клиента: цену продажи, а для расчёта без наценок — стоимость.
+ * @param {Object} line - Строка материала или работы.
+ * @returns {number} Сумма (руб.).
+ */
+function customerCost(line) {
+  return line.salePrice ?? line.cost;
+}
+
+/**
+ * Распределяет сумму скрытых материалов по строкам пропорционально их сумме;
+ * остаток от округления до копейки достаётся самой дорогой строке.
+ * @param {Array<{ costKopecks: number }>} lines - Видимые строки (изменяются на месте).
+ * @param {number} hiddenKopecks - Сумма скрытых материалов (коп.).
+ */
+function foldHiddenCost(lines, hiddenKopecks) {
+  const base = lines.reduce((sum, line) => sum + line.costKopecks, 0);
+  let rest = hiddenKopecks;
+  lines.forEach((line) => {
+    const share =
+      base > 0
+        ? Math.floor((hiddenKopecks * line.costKopecks) / base)
+        : Math.floor(hiddenKopecks / lines.length);
+    line.costKopecks += share;
+    rest -= share;
+  });
+  const largest = lines.reduce((max, line) =>
+    line.costKopecks > max.costKopecks ? line : max,
+  );
+  largest.costKopecks += rest;
+}
+
+/**
+ * Формирует представление расчёта для клиента: только видимые материалы и работы по ценам
+ * продажи. Скрытые материалы (обрешётка, крепёж) показываются одной строкой "Расходные
+ * материалы" или включаются в цены видимых материалов вкладки — итог вкладки не меняется.
+ * @param {Object} calculation - Расчёт (см. renderResults).
+ * @param {Object} [options] - Параметры представления.
+ * @param {"line"|"folded"} [options.hiddenCosts="line"] - Как показывать скрытые материалы.
+ * @returns {{ tabs: Array<{ tabName: string, lines: Array<{ name: string, quantity: number,
+ *   unit: string, unitPrice: number|null, cost: number }>, total: number }> }} Вкладки с
+ *   суммами в рублях.
+ */
+function buildCustomerView(calculation, { hiddenCosts = "line" } = {}) {
+  const tabs = calculation.tabs
+    .filter(
+      ({ results = [], labour = [] }) =>
+        results.length > 0 || labour.length > 0,
+    )
+    .map((tab) => {
+      const results = tab.results || [];
+      const materials = results
+        .filter((line) => !line.hidden)
+        .map((line) => ({
+          name: line.material,
+          quantity: line.quantity,
+          unit: line.unit,
+          costKopecks: toKopecks(customerCost(line)),
+        }));
+      const hiddenKopecks = results
+        .filter((line) => line.hidden)
+        .reduce((sum, line) => sum + toKopecks(customerCost(line)), 0);
+      if (hiddenKopecks > 0) {
+        if (hiddenCosts === "folded" && materials.length > 0) {
+          foldHiddenCost(materials, hiddenKopecks);
+        } else {
+          materials.push({
+            name: CONSUMABLES_LINE,
+            quantity: 1,
+            unit: "компл.",
+            costKopecks: hiddenKopecks,
+          });
+        }
+      }
+      const labour = (tab.labour || []).map((line) => ({
+        name: line.work,
+        quantity: line.quantity,
+        unit: line.unit,
+        costKopecks: toKopecks(customerCost(line)),
+      }));
+
+      return {
+        tabName: tab.tabName,
+        lines: [...materials, ...labour].map(({ costKopecks, ...line }) => ({
+          ...line,
+          unitPrice:
+            line.quantity > 0
+              ? fromKopecks(Math.round(costKopecks / line.quantity))
+              : null,
+          cost: fromKopecks(costKopecks),
+        })),
+        total: tab.saleCost ?? tab.totalCost,
+      };
+    });
+  return { tabs };
+}
+
+/**
+ * Формирует карту раскроя строки: хлысты погонного материала или резы панелей отделки.
+ * @param {Object} line - Строка материала с cutting или layout.
+ * @returns {string[]} Строки раскроя; пустой список, если раскроя нет.
+ */
+function formatCutList(line) {
+  if (line.cutting && line.cutting.stockLength > 0) {
+    return line.cutting.sticks.map(
+      ({ cuts, offcut, count }) =>
+        `Хлыст ${line.cutting.stockLength} мм × ${count}: ${cuts.join(" + ")} мм, остаток ${offcut} мм`,
+    );
+  }
+  if (line.layout) {
+    const { fullPanels, cutList = [] } = line.layout;
+    return [
+      ...(fullPanels > 0 ? [`Целых панелей: ${fullPanels}`] : []),
+      ...cutList.map(
+        ({ length, width, count, fromOffcut }) =>
+          `Рез ${length}×${width} мм × ${count}${fromOffcut ? " (из обрезков)" : ""}`,
+      ),
+    ];
+  }
+  return [];
+}
+
+/**
+ * Формирует представление расчёта для монтажа и закупки: все материалы, включая скрытые,
+ * с количествами, упаковками и картами раскроя, и работы — без цен.
+ * @param {Object} calculation - Расчёт (см. renderResults).
+ * @returns {{ tabs: Array<{ tabName: string, materials: Array<{ name: string, quantity: number,
+ *   unit: string, hidden: boolean, category: string|null, packs: string, cutList: string[] }>,
+ *   labour: Array<{ name: string, quantity: number, unit: string }> }> }} Вкладки.
+ */
+function buildWorkOrderView(calculation) {
+  const tabs = calculation.tabs
+    .filter(
+      ({ results = [], labour = [] }) =>
+        results.length > 0 || labour.length > 0,
+    )
+    .map((tab) => ({
+      tabName: tab.tabName,
+      materials: (tab.results || []).map((line) => ({
+        name: line.material,
+        quantity: line.quantity,
+        unit: line.unit,
+        hidden: Boolean(line.hidden),
+        category: line.category || null,
+        packs: (line.packs || [])
+          .map(({ name, count }) => `${name} × ${count}`)
+          .join(", "),
+        cutList: formatCutList(line),
+      })),
+      labour: (tab.labour || []).map((line) => ({
+        name: line.work,
+        quantity: line.quantity,
+        unit: line.unit,
+      })),
+    }));
+  return { tabs };
+}
+
+export { buildCustomerView, buildWorkOrderView, formatCutList };
@@ -0,0 +1,187 @@
+import { analytics, logEvent } from "./firebase.js";
+import { getLastCalculation } from "./calculation.js";
+import { buildWorkOrderView } from "./views.js";
+import {
+  escapeHtml,
+  buildPrintDocument,
+  printDocument,
+  readOrderHeader,
+} from "./print.js";
+
+/**
+ * Формирует таблицу материалов вкладки для монтажника: количества, упаковки и раскрой.
+ * @param {Object[]} materials - Материалы вкладки (см. buildWorkOrderView).
+ * @returns {string} HTML таблицы.
+ */
+function buildMaterialsTable(materials) {
+  const rows = materials.map(
+    (line) => `<tr>
+      <td>${escapeHtml(line.name)}${line.hidden ? " (не в КП)" : ""}</td>
+      <td class="number">${escapeHtml(line.quantity)} ${escapeHtml(line.unit)}</td>
+      <td>${escapeHtml(line.packs)}</td>
+      <td>${
+        line.cutList.length > 0
+          ? `<ul class="cut-list">${line.cutList.map((item) => `<li>${escapeHtml(item)}</li>`).join("")}</ul>`
+          : ""
+      }</td>
+    </tr>`,
+  );
+  return `<table>
+      <thead>
+        <tr>
+          <th>Материал</th>
+          <th class="number">Количество</th>
+          <th>Упаковки</th>
+          <th>Раскрой</th>
+        </tr>
+      </thead>
+      <tbody>${rows.join("")}</tbody>
+    </table>`;
+}
+
+/**
+ * Формирует таблицу работ вкладки без расценок.
+ * @param {Object[]} labour - Работы вкладки (см. buildWorkOrderView).
+ * @returns {string} HTML таблицы или пустая строка.
+ */
+function buildLabourTable(labour) {
+  if (labour.length === 0) {
+    return "";
+  }
+  const rows = labour.map(
+    (line) => `<tr>
+      <td>${escapeHtml(line.name)}</td>
+      <td class="number">${escapeHtml(line.quantity)} ${escapeHtml(line.unit)}</td>
+    </tr>`,
+  );
+  return `<table>
+      <thead><tr><th>Работа</th><th class="number">Объём</th></tr></thead>
+      <tbody>${rows.join("")}</tbody>
+    </table>`;
+}
+
+/**
+ * Формирует сводную закупку без цен, если она есть в расчёте.
+ * @param {Object|null} purchaseList - Сводная закупка { groups }.
+ * @returns {string} HTML раздела или пустая строка.
+ */
+function buildPurchaseSection(purchaseList) {
+  if (!purchaseList || purchaseList.groups.length === 0) {
+    return "";
+  }
+  const rows = purchaseList.groups.flatMap(({ category, items }) =>
+    items.map(
+      (item) => `<tr>
+        <td>${escapeHtml(category)}</td>
+        <td>${escapeHtml(item.material)}</td>
+        <td class="number">${escapeHtml(item.quantity)} ${escapeHtml(item.unit)}</td>
+        <td>${escapeHtml(
+          (item.packs || [])
+            .map(({ name, count }) => `${name} × ${count}`)
+            .join(", "),
+        )}</td>
+      </tr>`,
+    ),
+  );
+  return `<h2>Закупка</h2>
+    <table>
+      <thead>
+        <tr>
+          <th>Категория</th>
+          <th>Материал</th>
+          <th class="number">Количество</th>
+          <th>Упаковки</th>
+        </tr>
+      </thead>
+      <tbody>${rows.join("")}</tbody>
+    </table>`;
+}
+
+/**
+ * Формирует HTML-документ заказ-наряда для монтажников и закупки: все материалы, включая
+ * скрытые от клиента, с упаковками и картами раскроя, работы и сводная закупка — без цен.
+ * @param {Object} calculation - Расчёт (см. renderResults).
+ * @param {Object} header - Шапка заказа { orderNumber, address, phone }.
+ * @returns {string} HTML-документ.
+ */
+function buildWorkOrderHtml(calculation, header) {
+  const today = new Date().toLocaleDateString("ru-RU");
+  const tabs = buildWorkOrderView(calculation)
+    .tabs.map(
+      (tab) => `<h3>${escapeHtml(tab.tabName)}</h3>
+        ${buildMaterialsTable(tab.materials)}
+        ${buildLabourTable(tab.labour)}`,
+    )
+    .join("");
+
+  return buildPrintDocument(
+    `Заказ-наряд_${header.orderNumber}`,
+    `
+    <div class="document-header">
+      <h1>Заказ-наряд № ${escapeHtml(header.orderNumber)} от ${today}</h1>
+    </div>
+    <p>Адрес объекта: ${escapeHtml(header.address)}</p>
+    <p>Телефон клиента: ${escapeHtml(header.phone)}</p>
+    ${tabs}
+    ${buildPurchaseSection(calculation.purchaseList)}`,
+  );
+}
+
+/**
+ * Формирует заказ-наряд по показанному расчёту и открывает печать в PDF.
+ * @param {Function} showNotification - Функция для отображения уведомлений.
+ * @param {string} userId - ID пользователя.
+ */
+function generateWorkOrder(showNotification, userId) {
+  try {
+    const calculation = getLastCalculation();
+    if (!calculation || calculation.tabs.length === 0) {
+      throw new Error("сначала выполните или откройте расчёт");
+    }
+
+    printDocument(
+      buildWorkOrderHtml(calculation, readOrderHeader(calculation)),
+    );
+    showNotification(
+      "Заказ-наряд готов: в окне печати выберите «Сохранить как PDF»",
+      false,
+    );
+    logEvent(analytics, "work_order_generated", {
+      tabs_count: calculation.tabs.length,
+      page_title: "Balcony Calculator",
+      user_id: userId || "unknown",
+    });
+  } catch (error) {
+    showNotification(
+      `Ошибка при формировании заказ-наряда: ${error.message}`,
+      true,
+    );
+    logEvent(analytics, "work_order_failed", {
+      reason: error.message,
+      page_title: "Balcony Calculator",
+      user_id: userId || "unknown",
+    });
+  }
+}
+
+/**
+ * Подключает кнопку формирования заказ-наряда.
+ * @param {Function} showNotification - Функция для отображения уведомлений.
+ * @param {string} userId - ID пользователя.
+ */
+function initializeWorkOrder(showNotification, userId) {
+  const workOrderButton = document.getElementById("workOrderBtn");
+  if (!workOrderButton) {
+    logEvent(analytics, "work_order_initialize_failed", {
+      reason: "Work order button not found",
+      page_title: "Balcony Calculator",
+      user_id: userId || "unknown",
+    });
+    return;
+  }
+  workOrderButton.addEventListener("click", () =>
+    generateWorkOrder(showNotification, userId),
+  );
+}
+
+export { initializeWorkOrder };
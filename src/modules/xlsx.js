@@ -0,0 +1,407 @@
+// Минимальная запись и чтение XLSX без сторонних библиотек: книга — ZIP-архив с XML-листами.
+// Запись — без сжатия (так проще и для небольших смет достаточно), чтение — и сжатых
+// архивов, которые сохраняет Excel (распаковка через DecompressionStream браузера).
+
+const MAIN_NS = "http://schemas.openxmlformats.org/spreadsheetml/2006/main";
+const RELS_NS =
+  "http://schemas.openxmlformats.org/officeDocument/2006/relationships";
+const PACKAGE_RELS_NS =
+  "http://schemas.openxmlformats.org/package/2006/relationships";
+const XLSX_MIME =
+  "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet";
+
+// Ограничения Excel для названий листов
+const SHEET_NAME_LENGTH = 31;
+const SHEET_NAME_FORBIDDEN = /[[\]:*?/\\]/g;
+
+let crcTable = null;
+
+/**
+ * Считает CRC-32 содержимого файла архива.
+ * @param {Uint8Array} bytes - Содержимое.
+ * @returns {number} Контрольная сумма.
+ */
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  bytes.forEach((byte) => {
+    crc = crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  });
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Собирает ZIP-архив без сжатия.
+ * @param {Array<{ name: string, content: string }>} files - Файлы архива.
+ * @returns {Uint8Array} Архив.
+ */
+function buildZip(files) {
+  const encoder = new TextEncoder();
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  files.forEach(({ name, content }) => {
+    const nameBytes = encoder.encode(name);
+    const data = encoder.encode(content);
+    const crc = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true); // Версия для распаковки
+    local.setUint16(6, 0x0800, true); // Имена в UTF-8
+    local.setUint16(8, 0, true); // Без сжатия
+    local.setUint16(10, 0, true); // Время
+    local.setUint16(12, 0x21, true); // Дата: 01.01.1980
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, nameBytes.length, true);
+    local.setUint16(28, 0, true);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014b50, true);
+    central.setUint16(4, 20, true);
+    central.setUint16(6, 20, true);
+    central.setUint16(8, 0x0800, true);
+    central.setUint16(10, 0, true);
+    central.setUint16(12, 0, true);
+    central.setUint16(14, 0x21, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, data.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, nameBytes.length, true);
+    central.setUint32(42, offset, true);
+
+    localParts.push(new Uint8Array(local.buffer), nameBytes, data);
+    centralParts.push(new Uint8Array(central.buffer), nameBytes);
+    offset += 30 + nameBytes.length + data.length;
+  });
+
+  const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+  const zip = new Uint8Array(offset + centralSize + 22);
+  let position = 0;
+  parts.forEach((part) => {
+    zip.set(part, position);
+    position += part.length;
+  });
+  return zip;
+}
+
+/**
+ * Читает оглавление ZIP-архива.
+ * @param {ArrayBuffer} buffer - Архив.
+ * @returns {Map<string, function(): Promise<string>>} Файлы архива: имя → чтение содержимого.
+ * @throws {Error} Если файл не является ZIP-архивом или сжат неподдерживаемым методом.
+ */
+function readZip(buffer) {
+  const view = new DataView(buffer);
+  const bytes = new Uint8Array(buffer);
+  const decoder = new TextDecoder();
+
+  let endOffset = -1;
+  for (let i = buffer.byteLength - 22; i >= 0; i--) {
+    if (view.getUint32(i, true) === 0x06054b50) {
+      endOffset = i;
+      break;
+    }
+  }
+  if (endOffset < 0) {
+    throw new Error("файл не является книгой Excel (XLSX)");
+  }
+
+  const files = new Map();
+  const count = view.getUint16(endOffset + 10, true);
+  let position = view.getUint32(endOffset + 16, true);
+  for (let i = 0; i < count; i++) {
+    if (view.getUint32(position, true) !== 0x02014b50) {
+      throw new Error("оглавление книги Excel повреждено");
+    }
+    const method = view.getUint16(position + 10, true);
+    const compressedSize = view.getUint32(position + 20, true);
+    const nameLength = view.getUint16(position + 28, true);
+    const extraLength = view.getUint16(position + 30, true);
+    const commentLength = view.getUint16(position + 32, true);
+    const localOffset = view.getUint32(position + 42, true);
+    const name = decoder.decode(
+      bytes.subarray(position + 46, position + 46 + nameLength),
+    );
+
+    files.set(name, async () => {
+      const dataStart =
+        localOffset +
+        30 +
+        view.getUint16(localOffset + 26, true) +
+        view.getUint16(localOffset + 28, true);
+      const data = bytes.subarray(dataStart, dataStart + compressedSize);
+      if (method === 0) {
+        return decoder.decode(data);
+      }
+      if (method !== 8) {
+        throw new Error(`метод сжатия ${method} не поддерживается`);
+      }
+      const stream = new Blob([data])
+        .stream()
+        .pipeThrough(new DecompressionStream("deflate-raw"));
+      return new Response(stream).text();
+    });
+    position += 46 + nameLength + extraLength + commentLength;
+  }
+  return files;
+}
+
+/**
+ * Экранирует текст для XML; управляющие символы, недопустимые в XML, удаляются.
+ * @param {*} value - Значение.
+ * @returns {string} Текст.
+ */
+function escapeXml(value) {
+  return Array.from(String(value))
+    .filter(
+      (char) => char >= " " || char === "\t" || char === "\n" || char === "\r",
+    )
+    .join("")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Возвращает буквенное обозначение столбца: 0 → A, 26 → AA.
+ * @param {number} index - Номер столбца с нуля.
+ * @returns {string} Обозначение.
+ */
+function columnName(index) {
+  let name = "";
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+}
+
+/**
+ * Приводит название к допустимому названию листа Excel.
+ * @param {string} name - Название (например, вкладки).
+ * @returns {string} Название листа: без символов []:*?/\ и не длиннее 31 символа.
+ */
+function toSheetName(name) {
+  return (
+    String(name)
+      .replace(SHEET_NAME_FORBIDDEN, " ")
+      .trim()
+      .slice(0, SHEET_NAME_LENGTH) || "Лист"
+  );
+}
+
+/**
+ * Формирует XML листа. Строки записываются как встроенные строки, числа — числами.
+ * @param {Array<Array<string|number|null>>} rows - Строки листа.
+ * @returns {string} XML листа.
+ */
+function buildSheetXml(rows) {
+  const rowsXml = rows.map((row, rowIndex) => {
+    const cells = row
+      .map((value, column) => {
+        if (value === null || value === undefined || value === "") return "";
+        const ref = `${columnName(column)}${rowIndex + 1}`;
+        return typeof value === "number" && Number.isFinite(value)
+          ? `<c r="${ref}"><v>${value}</v></c>`
+          : `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+      })
+      .join("");
+    return `<row r="${rowIndex + 1}">${cells}</row>`;
+  });
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<worksheet xmlns="${MAIN_NS}"><sheetData>${rowsXml.join("")}</sheetData></worksheet>`;
+}
+
+/**
+ * Формирует книгу Excel.
+ * @param {Array<{ name: string, rows: Array<Array<string|number|null>> }>} sheets - Листы;
+ *   названия приводятся к допустимым и делаются уникальными.
+ * @returns {Blob} Файл XLSX.
+ */
+function buildXlsx(sheets) {
+  const used = new Set();
+  const names = sheets.map(({ name }) => {
+    const base = toSheetName(name);
+    let unique = base;
+    for (let n = 2; used.has(unique.toLowerCase()); n++) {
+      const suffix = ` (${n})`;
+      unique = base.slice(0, SHEET_NAME_LENGTH - suffix.length) + suffix;
+    }
+    used.add(unique.toLowerCase());
+    return unique;
+  });
+
+  const files = [
+    {
+      name: "[Content_Types].xml",
+      content: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>${sheets
+        .map(
+          (sheet, index) =>
+            `<Override PartName="/xl/worksheets/sheet${index + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`,
+        )
+        .join("")}</Types>`,
+    },
+    {
+      name: "_rels/.rels",
+      content: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="${PACKAGE_RELS_NS}"><Relationship Id="rId1" Type="${RELS_NS}/officeDocument" Target="xl/workbook.xml"/></Relationships>`,
+    },
+    {
+      name: "xl/workbook.xml",
+      content: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<workbook xmlns="${MAIN_NS}" xmlns:r="${RELS_NS}"><sheets>${names
+        .map(
+          (name, index) =>
+            `<sheet name="${escapeXml(name)}" sheetId="${index + 1}" r:id="rId${index + 1}"/>`,
+        )
+        .join("")}</sheets></workbook>`,
+    },
+    {
+      name: "xl/_rels/workbook.xml.rels",
+      content: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="${PACKAGE_RELS_NS}">${sheets
+        .map(
+          (sheet, index) =>
+            `<Relationship Id="rId${index + 1}" Type="${RELS_NS}/worksheet" Target="worksheets/sheet${index + 1}.xml"/>`,
+        )
+        .join("")}</Relationships>`,
+    },
+    ...sheets.map(({ rows }, index) => ({
+      name: `xl/worksheets/sheet${index + 1}.xml`,
+      content: buildSheetXml(rows),
+    })),
+  ];
+  return new Blob([buildZip(files)], { type: XLSX_MIME });
+}
+
+/**
+ * Разбирает XML части книги.
+ * @param {Map<string, function(): Promise<string>>} files - Файлы архива.
+ * @param {string} name - Путь части в архиве.
+ * @returns {Promise<Document|null>} Документ или null, если части нет.
+ */
+async function readXmlPart(files, name) {
+  const read = files.get(name);
+  if (!read) return null;
+  return new DOMParser().parseFromString(await read(), "application/xml");
+}
+
+/**
+ * Возвращает номер столбца по ссылке на ячейку: "B3" → 1.
+ * @param {string} ref - Ссылка на ячейку.
+ * @returns {number} Номер столбца с нуля.
+ */
+function columnIndex(ref) {
+  const letters = ref.replace(/[^A-Z]/gi, "").toUpperCase();
+  return (
+    [...letters].reduce((sum, char) => sum * 26 + char.charCodeAt(0) - 64, 0) -
+    1
+  );
+}
+
+/**
+ * Читает книгу Excel: все листы по порядку со значениями ячеек.
+ * @param {ArrayBuffer} buffer - Содержимое файла XLSX.
+ * @returns {Promise<Array<{ name: string, rows: Array<Array<string|number|boolean|null>> }>>}
+ *   Листы; пустые ячейки — null.
+ * @throws {Error} Если файл не является книгой Excel.
+ */
+async function readXlsx(buffer) {
+  const files = readZip(buffer);
+  const workbook = await readXmlPart(files, "xl/workbook.xml");
+  if (!workbook) {
+    throw new Error("в файле нет книги Excel");
+  }
+  const rels = await readXmlPart(files, "xl/_rels/workbook.xml.rels");
+  const targets = new Map(
+    Array.from(
+      rels ? rels.getElementsByTagNameNS("*", "Relationship") : [],
+    ).map((rel) => [rel.getAttribute("Id"), rel.getAttribute("Target")]),
+  );
+  const sharedStrings = await readXmlPart(files, "xl/sharedStrings.xml");
+  const strings = sharedStrings
+    ? Array.from(sharedStrings.getElementsByTagNameNS(MAIN_NS, "si")).map(
+        (si) =>
+          Array.from(si.getElementsByTagNameNS(MAIN_NS, "t"))
+            .map((t) => t.textContent)
+            .join(""),
+      )
+    : [];
+
+  const sheets = [];
+  for (const sheet of Array.from(
+    workbook.getElementsByTagNameNS(MAIN_NS, "sheet"),
+  )) {
+    const target = targets.get(sheet.getAttributeNS(RELS_NS, "id")) || "";
+    const path = target.startsWith("/")
+      ? target.slice(1)
+      : `xl/${target.replace(/^\.\//, "")}`;
+    const sheetXml = await readXmlPart(files, path);
+    if (!sheetXml) continue;
+
+    const rows = [];
+    Array.from(sheetXml.getElementsByTagNameNS(MAIN_NS, "row")).forEach(
+      (row, index) => {
+        const rowIndex = (parseInt(row.getAttribute("r"), 10) || index + 1) - 1;
+        const values = [];
+        Array.from(row.getElementsByTagNameNS(MAIN_NS, "c")).forEach(
+          (cell, position) => {
+            const ref = cell.getAttribute("r");
+            const column = ref ? columnIndex(ref) : position;
+            const type = cell.getAttribute("t");
+            const raw = cell.getElementsByTagNameNS(MAIN_NS, "v")[0]
+              ?.textContent;
+            let value = null;
+            if (type === "inlineStr") {
+              value = Array.from(cell.getElementsByTagNameNS(MAIN_NS, "t"))
+                .map((t) => t.textContent)
+                .join("");
+            } else if (raw === undefined) {
+              value = null;
+            } else if (type === "s") {
+              value = strings[parseInt(raw, 10)] ?? null;
+            } else if (type === "str") {
+              value = raw;
+            } else if (type === "b") {
+              value = raw === "1";
+            } else if (type !== "e") {
+              const number = parseFloat(raw);
+              value = Number.isFinite(number) ? number : null;
+            }
+            values[column] = value;
+          },
+        );
+        rows[rowIndex] = Array.from(values, (value) => value ?? null);
+      },
+    );
+    sheets.push({
+      name: sheet.getAttribute("name"),
+      rows: Array.from(rows, (row) => row || []),
+    });
+  }
+  return sheets;
+}
+
+export { buildXlsx, readXlsx, toSheetName };